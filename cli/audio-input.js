@@ -0,0 +1,61 @@
+/**
+ * Reading audio files from disk for the CLI
+ */
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { WavDecoder } from '../scripts/utils/wav-decoder.js';
+
+const WAV_EXTENSIONS = ['.wav', '.wave'];
+const PCM_EXTENSIONS = ['.pcm', '.raw'];
+
+/**
+ * Check whether a path looks like audio the CLI can decode
+ * @param {string} file - File path
+ * @returns {boolean} True for WAV and raw PCM files
+ */
+export function isAudioFile(file) {
+    const extension = path.extname(file).toLowerCase();
+    return WAV_EXTENSIONS.includes(extension) || PCM_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Decode a WAV or raw PCM file
+ * @param {string} file - File path
+ * @param {Object} pcmOptions - sampleRate, channels and format for raw PCM
+ * @returns {Promise<Object>} AudioBuffer-like object
+ */
+export async function readAudioFile(file, pcmOptions) {
+    const extension = path.extname(file).toLowerCase();
+    const contents = await readFile(file);
+    const arrayBuffer = contents.buffer.slice(contents.byteOffset, contents.byteOffset + contents.byteLength);
+
+    if (WAV_EXTENSIONS.includes(extension)) {
+        return WavDecoder.decodeWav(arrayBuffer);
+    }
+    if (PCM_EXTENSIONS.includes(extension)) {
+        return WavDecoder.decodePcm(arrayBuffer, pcmOptions);
+    }
+    throw new Error(`${file}: only WAV and raw PCM input is supported (convert with e.g. ffmpeg -i input.mp3 output.wav)`);
+}
+
+/**
+ * Expand files and directories into a sorted list of audio files
+ * @param {Array<string>} paths - Files and directories; directories are searched recursively
+ * @returns {Promise<Array<string>>} Audio file paths
+ */
+export async function collectAudioFiles(paths) {
+    const files = [];
+
+    for (const entry of paths) {
+        if ((await stat(entry)).isDirectory()) {
+            const children = await readdir(entry);
+            const nested = await collectAudioFiles(children.map(child => path.join(entry, child)));
+            files.push(...nested.filter(isAudioFile));
+        } else {
+            files.push(entry);
+        }
+    }
+
+    return files.sort();
+}
@@ -0,0 +1,127 @@
+/**
+ * On-disk fingerprint index for the CLI
+ *
+ * Layout of an index directory:
+ *   index.json           - format version, analysis version and options, and track list
+ *   tracks/<trackId>.json - [[hash, anchorTime], ...] for one track
+ *
+ * Track IDs are the SHA-1 of the audio file, so indexing the same file twice
+ * replaces its entry instead of duplicating it.
+ */
+
+import { mkdir, readFile, writeFile, rm } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { FingerprintDatabase } from '../scripts/utils/fingerprint-database.js';
+import { ANALYSIS_VERSION } from '../scripts/utils/track-analyzer.js';
+
+const INDEX_VERSION = 1;
+
+export class DiskIndex {
+    /**
+     * @param {string} directory - Index directory
+     * @param {Object} analysisOptions - Options of the TrackAnalyzer producing the hashes
+     */
+    constructor(directory, analysisOptions) {
+        this.directory = directory;
+        this.analysisOptions = analysisOptions;
+        this.tracks = [];
+    }
+
+    get manifestPath() {
+        return path.join(this.directory, 'index.json');
+    }
+
+    trackPath(trackId) {
+        return path.join(this.directory, 'tracks', `${trackId}.json`);
+    }
+
+    /**
+     * Compute the track ID of a file's contents
+     * @param {Buffer} contents - Raw file contents
+     * @returns {string} Hex SHA-1
+     */
+    static trackId(contents) {
+        return createHash('sha1').update(contents).digest('hex');
+    }
+
+    /**
+     * Read the manifest, starting an empty index if there is none
+     * @param {boolean} mustExist - Throw instead of starting an empty index
+     */
+    async open(mustExist = false) {
+        let manifest;
+        try {
+            manifest = JSON.parse(await readFile(this.manifestPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT' && !mustExist) {
+                this.tracks = [];
+                return;
+            }
+            if (error.code === 'ENOENT') {
+                throw new Error(`No fingerprint index found in ${this.directory}`);
+            }
+            throw error;
+        }
+
+        if (manifest.version !== INDEX_VERSION) {
+            throw new Error(`Index version ${manifest.version} is not supported (expected ${INDEX_VERSION})`);
+        }
+        if (manifest.analysisVersion !== ANALYSIS_VERSION) {
+            throw new Error(`Index in ${this.directory} was built by an older analysis pipeline; rebuild it`);
+        }
+        if (JSON.stringify(manifest.analysis) !== JSON.stringify(this.analysisOptions)) {
+            throw new Error(`Index in ${this.directory} was built with different analysis options; rebuild it`);
+        }
+        this.tracks = manifest.tracks;
+    }
+
+    /**
+     * Add or replace a track
+     * @param {Object} metadata - Track details; must include trackId
+     * @param {Array<Object>} hashes - Hashes as produced by Fingerprinter.generate
+     */
+    async addTrack(metadata, hashes) {
+        await mkdir(path.dirname(this.trackPath(metadata.trackId)), { recursive: true });
+        await writeFile(this.trackPath(metadata.trackId), JSON.stringify(hashes.map(({ hash, anchorTime }) => [hash, anchorTime])));
+
+        this.tracks = this.tracks.filter(track => track.trackId !== metadata.trackId);
+        this.tracks.push({ ...metadata, hashCount: hashes.length });
+    }
+
+    /**
+     * Remove a track
+     * @param {string} trackId - Track to remove
+     */
+    async removeTrack(trackId) {
+        this.tracks = this.tracks.filter(track => track.trackId !== trackId);
+        await rm(this.trackPath(trackId), { force: true });
+    }
+
+    /**
+     * Write the manifest
+     */
+    async save() {
+        await mkdir(this.directory, { recursive: true });
+        const manifest = {
+            version: INDEX_VERSION,
+            analysisVersion: ANALYSIS_VERSION,
+            analysis: this.analysisOptions,
+            tracks: this.tracks
+        };
+        await writeFile(this.manifestPath, JSON.stringify(manifest, null, 2));
+    }
+
+    /**
+     * Load every track into an in-memory database for matching
+     * @returns {Promise<FingerprintDatabase>} Populated database
+     */
+    async loadDatabase() {
+        const database = new FingerprintDatabase();
+        for (const track of this.tracks) {
+            const pairs = JSON.parse(await readFile(this.trackPath(track.trackId), 'utf8'));
+            database.addTrack(track.trackId, track, pairs.map(([hash, anchorTime]) => ({ hash, anchorTime })));
+        }
+        return database;
+    }
+}
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Headless fingerprinting CLI
+ *
+ * Runs the same spectrogram → peak → hash pipeline as the page, on WAV or raw
+ * PCM files, and builds or queries an on-disk index. All output is JSON.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { TrackAnalyzer, DEFAULT_ANALYSIS_OPTIONS } from '../scripts/utils/track-analyzer.js';
+import { FingerprintDatabase } from '../scripts/utils/fingerprint-database.js';
+import { readAudioFile, collectAudioFiles } from './audio-input.js';
+import { DiskIndex } from './disk-index.js';
+
+const USAGE = `Usage:
+  audio-fingerprint fingerprint <file> [--peaks-only]
+  audio-fingerprint index <file|dir>... --db <dir>
+  audio-fingerprint match <file|dir>... --db <dir> [--limit <n>]
+
+Input is WAV, or raw interleaved PCM (.pcm, .raw) described by:
+  --sample-rate <hz>   default 44100
+  --channels <n>       default 1
+  --format <fmt>       u8, s16le, s24le, s32le or f32le (default s16le)`;
+
+const OPTIONS = {
+    db: { type: 'string' },
+    limit: { type: 'string', default: '5' },
+    'peaks-only': { type: 'boolean', default: false },
+    'sample-rate': { type: 'string', default: '44100' },
+    channels: { type: 'string', default: '1' },
+    format: { type: 'string', default: 's16le' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+function print(value) {
+    process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+}
+
+async function fingerprint(files, options, pcmOptions) {
+    if (files.length !== 1) {
+        throw new UsageError('fingerprint takes exactly one file');
+    }
+
+    const analyzer = new TrackAnalyzer();
+    const audio = await readAudioFile(files[0], pcmOptions);
+    const { peaks, hashes, secondsPerFrame, duration } = analyzer.analyze(audio);
+
+    const result = {
+        file: files[0],
+        sampleRate: audio.sampleRate,
+        duration,
+        secondsPerFrame,
+        peaks
+    };
+    if (!options['peaks-only']) {
+        result.hashes = hashes.map(({ hash, anchorTime }) => ({ hash, anchorTime }));
+    }
+    print(result);
+}
+
+async function index(paths, options, pcmOptions) {
+    const directory = requireDb(options);
+    const analyzer = new TrackAnalyzer();
+    const diskIndex = new DiskIndex(directory, DEFAULT_ANALYSIS_OPTIONS);
+    await diskIndex.open();
+
+    const added = [];
+    for (const file of await collectAudioFiles(paths)) {
+        const audio = await readAudioFile(file, pcmOptions);
+        const { hashes, sampleRate, secondsPerFrame, duration } = analyzer.analyze(audio);
+        const metadata = {
+            trackId: DiskIndex.trackId(await readFile(file)),
+            title: path.basename(file, path.extname(file)),
+            file: path.resolve(file),
+            sampleRate,
+            duration,
+            secondsPerFrame
+        };
+        await diskIndex.addTrack(metadata, hashes);
+        added.push({ file, trackId: metadata.trackId, hashes: hashes.length });
+    }
+
+    await diskIndex.save();
+    print({ db: directory, tracks: diskIndex.tracks.length, added });
+}
+
+async function match(paths, options, pcmOptions) {
+    const directory = requireDb(options);
+    const limit = parseInt(options.limit, 10);
+    if (!(limit > 0)) {
+        throw new UsageError('--limit must be a positive number');
+    }
+
+    const analyzer = new TrackAnalyzer();
+    const diskIndex = new DiskIndex(directory, DEFAULT_ANALYSIS_OPTIONS);
+    await diskIndex.open(true);
+    const database = await diskIndex.loadDatabase();
+
+    const results = [];
+    for (const file of await collectAudioFiles(paths)) {
+        const audio = await readAudioFile(file, pcmOptions);
+        const { hashes, secondsPerFrame } = analyzer.analyze(audio);
+        const candidates = database.query(hashes, limit);
+        const summarize = (candidate) => ({
+            trackId: candidate.trackId,
+            title: candidate.track.title,
+            score: candidate.score,
+            matchCount: candidate.matchCount,
+            offsetSeconds: candidate.offset * secondsPerFrame
+        });
+
+        results.push({
+            query: file,
+            queryHashes: hashes.length,
+            match: candidates.length ? summarize(candidates[0]) : null,
+            confidence: FingerprintDatabase.confidence(candidates),
+            candidates: candidates.map(summarize)
+        });
+    }
+
+    print(results);
+}
+
+function requireDb(options) {
+    if (!options.db) {
+        throw new UsageError('--db <dir> is required');
+    }
+    return options.db;
+}
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...paths] = positionals;
+
+    if (options.help || !command) {
+        process.stdout.write(USAGE + '\n');
+        return;
+    }
+
+    const commands = { fingerprint, index, match };
+    if (!commands[command]) {
+        throw new UsageError(`Unknown command: ${command}`);
+    }
+    if (!paths.length) {
+        throw new UsageError(`${command} needs at least one file`);
+    }
+
+    const pcmOptions = {
+        sampleRate: parseInt(options['sample-rate'], 10),
+        channels: parseInt(options.channels, 10),
+        format: options.format
+    };
+    await commands[command](paths, options, pcmOptions);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    process.stderr.write(`${error.message}\n`);
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+        process.stderr.write(`\n${USAGE}\n`);
+        process.exitCode = 2;
+    } else {
+        process.exitCode = 1;
+    }
+});
@@ -3,21 +3,62 @@
  */
 
 import WaveSurfer from 'https://unpkg.com/wavesurfer.js@7/dist/wavesurfer.esm.js';
-import Spectrogram from 'https://unpkg.com/wavesurfer.js@7/dist/plugins/spectrogram.esm.js';
+import RegionsPlugin from 'https://unpkg.com/wavesurfer.js@7/dist/plugins/regions.esm.js';
 import { AudioLoader } from './utils/audio-loader.js';
+import { PlaybackController } from './utils/playback-controller.js';
+import SpectrogramPlugin from './plugins/spectrogram.js';
 import ConstellationPlugin from './plugins/constellation.js';
+import { FingerprintView } from './visualizations/fingerprint-view.js';
+import { ConstellationBuilder } from './visualizations/constellation-builder.js';
+import { FingerprintDatabase } from './utils/fingerprint-database.js';
+import { TrackAnalyzer } from './utils/track-analyzer.js';
+import { DatabaseView } from './visualizations/database-view.js';
+import { OffsetHistogramView } from './visualizations/offset-histogram-view.js';
+import { MatchScatterView } from './visualizations/match-scatter-view.js';
+import { MicrophoneRecorder } from './utils/microphone-recorder.js';
+import { ListenView } from './visualizations/listen-view.js';
+import { AudioDegrader } from './utils/audio-degrader.js';
+import { NoiseView } from './visualizations/noise-view.js';
+import { AudioTransformer } from './utils/audio-transform.js';
+import { FINGERPRINT_SCHEMES, createFingerprinter } from './utils/fingerprint-schemes.js';
+import { TransformView } from './visualizations/transform-view.js';
+import { FINGERPRINT_METHODS, createAnalyzer } from './utils/fingerprint-methods.js';
+import { MethodComparisonView } from './visualizations/method-comparison-view.js';
+import { RegionView } from './visualizations/region-view.js';
+import { SpectrumView } from './visualizations/spectrum-view.js';
+import { FingerprintFormat } from './utils/fingerprint-format.js';
+import { RecognitionBenchmark } from './utils/recognition-benchmark.js';
+import { BenchmarkView } from './visualizations/benchmark-view.js';
+import { PeakTuningPanel } from './visualizations/peak-tuning-panel.js';
+import { AnalysisClient } from './workers/analysis-client.js';
+import { FingerprintLibrary } from './utils/fingerprint-library.js';
+import { LibraryView } from './visualizations/library-view.js';
+import { LocalMatchBackend, HttpMatchBackend } from './utils/match-backend.js';
+import { DeepLink, LINK_OPTION_KEYS } from './utils/deep-link.js';
+
+// Length of a listen mode recording in seconds
+const LISTEN_SECONDS = 5;
+
+// Seconds of the current song drawn by every method in the method comparison
+const METHOD_EXCERPT_SECONDS = 5;
+
+// Speed changes, in percent, that clips are tested at when measuring accuracy by speed
+const RATE_SWEEP_PERCENTS = [-10, -5, -2, 0, 2, 5, 10];
+
+// Optional precomputed database; tracks found in it are not fingerprinted on load
+const PRECOMPUTED_INDEX_URL = 'assets/fingerprints.afp';
 
 class ShazamVisualizer {
     constructor() {
         // Audio setup
         this.audioLoader = new AudioLoader();
-        this.isPlaying = false;
-        this.startTime = 0;
-        
-        // Create shared audio element
-        this.audioElement = document.createElement('audio');
-        this.audioElement.controls = false;
-        
+
+        // One audio element, decoded once, drives every waveform view
+        this.playback = new PlaybackController(this.audioLoader, {
+            onTimeUpdate: () => this.handleTimeUpdate(),
+            onStateChange: () => this.updatePlayButton()
+        });
+
         // Initialize main waveform
         this.waveform = WaveSurfer.create({
             container: '#waveform',
@@ -25,9 +66,13 @@ class ShazamVisualizer {
             progressColor: '#1e88e5',
             height: 128,
             normalize: true,
-            media: this.audioElement
+            media: this.playback.media
         });
 
+        // Drag across the main waveform to select a query clip
+        this.regions = this.waveform.registerPlugin(RegionsPlugin.create());
+        this.regions.enableDragSelection({ color: 'rgba(74, 158, 255, 0.2)' });
+
         // Initialize spectrogram waveform
         this.spectrogramWaveform = WaveSurfer.create({
             container: '#spectrogram-waveform',
@@ -35,21 +80,14 @@ class ShazamVisualizer {
             progressColor: '#1e88e5',
             height: 80,
             normalize: true,
-            media: this.audioElement
+            media: this.playback.media
         });
 
-        this.spectrogramWaveform.once('interaction', () => {
-            this.spectrogramWaveform.play()
-  })
-
         // Initialize the Spectrogram plugin
-        this.spectrogramWaveform.registerPlugin(
-            Spectrogram.create({
-                labels: true,
+        this.spectrogram = this.spectrogramWaveform.registerPlugin(
+            SpectrogramPlugin.create({
                 height: 200,
-                scale: 'linear',
-                fftSamples: 1024,
-                labelsBackground: 'rgba(0, 0, 0, 0.1)',
+                scale: document.getElementById('spectrogramScaleSelect').value,
                 container: '#spectrogram'
             })
         );
@@ -61,27 +99,29 @@ class ShazamVisualizer {
             progressColor: '#1e88e5',
             height: 80,
             normalize: true,
-            media: this.audioElement
+            media: this.playback.media
         });
 
         // Initialize constellation spectrogram with plugin
-        this.constellationWaveform.registerPlugin(
-            Spectrogram.create({
-                labels: true,
+        this.constellationSpectrogram = this.constellationWaveform.registerPlugin(
+            SpectrogramPlugin.create({
                 height: 200,
-                scale: 'linear',
-                fftSamples: 1024,
-                labelsBackground: 'rgba(0, 0, 0, 0.1)',
-                container: '#constellation-spectrogram'
+                scale: document.getElementById('constellationScaleSelect').value,
+                container: '#constellation-spectrogram',
+                // The fingerprint analysis settings, so the overlay can use these frames
+                stft: TrackAnalyzer.getStftOptions()
             })
         );
 
+        // The plugins only report failures through their events
+        [this.spectrogram, this.constellationSpectrogram].forEach(plugin => {
+            plugin.on('analysis-error', (error) => console.error('Spectrogram analysis failed:', error));
+        });
+
         // Initialize constellation plugin
-        this.constellationWaveform.registerPlugin(
+        this.constellationPlugin = this.constellationWaveform.registerPlugin(
             ConstellationPlugin.create({
-                minPeakMagnitude: 0.25,    // Base threshold, will be adjusted dynamically
-                maxDistance: 30,
-                maxTimeDistance: 50,
+                spectrogram: this.constellationSpectrogram,
                 peakColor: 'white',
                 peakRadius: 2,
                 connectionColor: 'rgba(255, 255, 0, 0.2)',
@@ -89,105 +129,1374 @@ class ShazamVisualizer {
             })
         );
 
-        // Sync constellation waveform with main waveform
-        this.waveform.on('play', () => {
-            if (!this.spectrogramWaveform.isPlaying()) {
-                this.spectrogramWaveform.play();
-            }
-            if (!this.constellationWaveform.isPlaying()) {
-                this.constellationWaveform.play();
-            }
+        [this.waveform, this.spectrogramWaveform, this.constellationWaveform].forEach(view => this.playback.addView(view));
+
+        // Peaks and hashes inside a region selected on the constellation spectrogram
+        this.regionView = new RegionView(document.getElementById('regionInspector'), {
+            onClear: () => this.constellationSpectrogram.clearSelection()
         });
-        
-        this.waveform.on('pause', () => {
-            if (this.spectrogramWaveform.isPlaying()) {
-                this.spectrogramWaveform.pause();
-            }
-            if (this.constellationWaveform.isPlaying()) {
-                this.constellationWaveform.pause();
+
+        // Live spectrum of the frame under the playhead
+        this.spectrumView = new SpectrumView(document.getElementById('spectrumWrapper'));
+
+        // Peak picking parameters
+        this.peakTuningPanel = new PeakTuningPanel(
+            document.getElementById('peakTuningPanel'),
+            this.constellationPlugin.options,
+            (options) => this.constellationPlugin.setPeakOptions(options)
+        );
+        // Shared links only carry settings that differ from these
+        this.linkDefaults = this.getLinkOptions();
+
+        // Fingerprint generation, sharing the overlay's target zone
+        this.fingerprinter = this.constellationPlugin.fingerprinter;
+        this.fingerprintView = new FingerprintView(
+            document.querySelector('#fingerprint .visualization-wrapper'),
+            this.fingerprinter
+        );
+        this.constellationBuilder = new ConstellationBuilder(
+            document.querySelector('canvas[data-type="constellation"]'),
+            this.fingerprinter,
+            {
+                previousButton: document.getElementById('prevAnchorBtn'),
+                nextButton: document.getElementById('nextAnchorBtn'),
+                autoplayButton: document.getElementById('autoplayAnchorBtn'),
+                status: document.getElementById('builderStatus'),
+                hashList: document.getElementById('builderHashList')
             }
+        );
+
+        // Fingerprint database of every track in the song list
+        this.trackAnalyzer = new TrackAnalyzer();
+        this.analysisClient = new AnalysisClient();
+        this.fingerprintDatabase = new FingerprintDatabase();
+        this.trackBuffers = new Map();
+        this.indexReady = false;
+        // Where queries are matched: the page's own index or a match server
+        this.localMatchBackend = new LocalMatchBackend(this.fingerprintDatabase);
+        this.matchBackend = this.localMatchBackend;
+        this.databaseView = new DatabaseView(document.querySelector('#database .visualization-wrapper'));
+        this.offsetHistogramView = new OffsetHistogramView(document.getElementById('offsetHistogram'));
+        // Analysed tracks and uploaded files kept across page loads
+        this.library = null;
+        this.libraryIds = new Map();
+        this.libraryView = new LibraryView(document.getElementById('libraryPanel'), {
+            onRename: (id, title) => this.renameLibraryTrack(id, title),
+            onDelete: (id) => this.deleteLibraryTrack(id)
+        });
+        this.matchScatterView = new MatchScatterView(
+            document.getElementById('matchScatter'),
+            (trackId, seconds) => this.seekToTrack(trackId, seconds)
+        );
+
+        // Listen mode
+        this.microphoneRecorder = new MicrophoneRecorder(this.audioLoader.audioContext);
+        this.listenView = new ListenView(document.getElementById('listenPanel'));
+
+        // Accuracy benchmark
+        this.benchmarkView = new BenchmarkView(document.getElementById('benchmarkResults'));
+        this.benchmarkReport = null;
+
+        // Noise simulator
+        this.noiseView = new NoiseView(document.getElementById('noiseWrapper'));
+        this.degradedBuffer = null;
+        this.degradedSource = null;
+
+        // Speed and pitch changes
+        this.transformView = new TransformView(document.getElementById('transformPanel'));
+
+        // Other fingerprinting methods; the constellation one shares the index's settings
+        this.methodAnalyzers = {};
+        Object.keys(FINGERPRINT_METHODS).forEach(method => {
+            this.methodAnalyzers[method] = method === 'constellation' ? this.trackAnalyzer : createAnalyzer(method);
         });
+        this.methodView = new MethodComparisonView(
+            document.getElementById('methodComparison'),
+            Object.entries(FINGERPRINT_METHODS).map(([name, { label }]) => ({ name, label }))
+        );
 
         // UI elements
         this.playBtn = document.getElementById('playBtn');
         this.progressBar = document.getElementById('progressBar');
+        this.progressTrack = document.getElementById('progressTrack');
+        this.rateSelect = document.getElementById('rateSelect');
+        this.loopBtn = document.getElementById('loopBtn');
         this.currentTimeSpan = document.getElementById('currentTime');
         this.totalTimeSpan = document.getElementById('totalTime');
         this.songSelect = document.getElementById('songSelect');
+        this.uploadBtn = document.getElementById('uploadBtn');
+        this.copyLinkBtn = document.getElementById('copyLinkBtn');
+        this.fileInput = document.getElementById('fileInput');
+        this.identifyClipBtn = document.getElementById('identifyClipBtn');
+        this.clipLengthSelect = document.getElementById('clipLengthSelect');
+        this.identifyRegionBtn = document.getElementById('identifyRegionBtn');
+        this.matchBackendSelect = document.getElementById('matchBackendSelect');
+        this.matchServerInput = document.getElementById('matchServerInput');
+        this.exportDatabaseBtn = document.getElementById('exportDatabaseBtn');
+        this.importDatabaseBtn = document.getElementById('importDatabaseBtn');
+        this.importDatabaseInput = document.getElementById('importDatabaseInput');
+        this.exportPeaksCsvBtn = document.getElementById('exportPeaksCsvBtn');
+        this.exportPeaksJsonBtn = document.getElementById('exportPeaksJsonBtn');
+        this.benchmarkClipsInput = document.getElementById('benchmarkClipsInput');
+        this.benchmarkLengthSelect = document.getElementById('benchmarkLengthSelect');
+        this.benchmarkDegradeToggle = document.getElementById('benchmarkDegradeToggle');
+        this.runBenchmarkBtn = document.getElementById('runBenchmarkBtn');
+        this.downloadBenchmarkBtn = document.getElementById('downloadBenchmarkBtn');
+        this.listenBtn = document.getElementById('listenBtn');
+        this.listenSourceSelect = document.getElementById('listenSourceSelect');
+        this.noiseTypeSelect = document.getElementById('noiseTypeSelect');
+        this.snrSlider = document.getElementById('snrSlider');
+        this.snrValue = document.getElementById('snrValue');
+        this.phoneSpeakerToggle = document.getElementById('phoneSpeakerToggle');
+        this.bitrateSelect = document.getElementById('bitrateSelect');
+        this.clippingSlider = document.getElementById('clippingSlider');
+        this.clippingValue = document.getElementById('clippingValue');
+        this.applyDegradationBtn = document.getElementById('applyDegradationBtn');
+        this.playDegradedBtn = document.getElementById('playDegradedBtn');
+        this.transformModeSelect = document.getElementById('transformModeSelect');
+        this.transformPercentSlider = document.getElementById('transformPercentSlider');
+        this.transformPercentValue = document.getElementById('transformPercentValue');
+        this.applyTransformBtn = document.getElementById('applyTransformBtn');
+        this.compareSchemesBtn = document.getElementById('compareSchemesBtn');
+        this.compareRatesBtn = document.getElementById('compareRatesBtn');
+        this.methodDegradeToggle = document.getElementById('methodDegradeToggle');
+        this.compareMethodsBtn = document.getElementById('compareMethodsBtn');
+        this.streamPeaksToggle = document.getElementById('streamPeaksToggle');
+        this.spectrogramScaleSelect = document.getElementById('spectrogramScaleSelect');
+        this.constellationScaleSelect = document.getElementById('constellationScaleSelect');
+        this.resetZoomBtn = document.getElementById('resetZoomBtn');
+        this.freezeSpectrumBtn = document.getElementById('freezeSpectrumBtn');
+        this.spectrumWindowSelect = document.getElementById('spectrumWindowSelect');
+        this.spectrumCompareSelect = document.getElementById('spectrumCompareSelect');
+        this.constellationStatus = document.getElementById('constellationStatus');
         
         // Setup event listeners
         this.setupEventListeners();
         
-        // Load initial song
-        this.loadSelectedSong();
+        // Load the initial song, or the moment a shared link points to
+        this.restoreLink(DeepLink.decode(window.location.search));
+
+        // Fingerprint the whole song list for the matching demo
+        this.buildFingerprintIndex();
     }
 
     setupEventListeners() {
         this.playBtn.addEventListener('click', () => this.togglePlayback());
+        this.rateSelect.addEventListener('change', () => this.playback.setRate(parseFloat(this.rateSelect.value)));
+        this.loopBtn.addEventListener('click', () => {
+            this.loopBtn.setAttribute('aria-pressed', String(!this.playback.loop));
+            this.updateLoop();
+        });
+        this.setupProgressBar();
         this.songSelect.addEventListener('change', () => this.loadSelectedSong());
+        this.uploadBtn.addEventListener('click', () => this.fileInput.click());
+        this.copyLinkBtn.addEventListener('click', () => this.copyLink());
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files.length) {
+                this.addLocalFile(this.fileInput.files[0]);
+            }
+            this.fileInput.value = '';
+        });
+
+        // Drag and drop anywhere on the page
+        let dragDepth = 0;
+        document.addEventListener('dragenter', (event) => {
+            if (!event.dataTransfer.types.includes('Files')) return;
+            dragDepth++;
+            document.body.classList.add('dragging');
+        });
+        document.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (!dragDepth) {
+                document.body.classList.remove('dragging');
+            }
+        });
+        document.addEventListener('dragover', (event) => event.preventDefault());
+        document.addEventListener('drop', (event) => {
+            event.preventDefault();
+            dragDepth = 0;
+            document.body.classList.remove('dragging');
+            if (event.dataTransfer.files.length) {
+                this.addLocalFile(event.dataTransfer.files[0]);
+            }
+        });
+        this.identifyClipBtn.addEventListener('click', () => this.identifyClip());
+        this.identifyRegionBtn.addEventListener('click', () => this.identifyRegion());
+        this.matchBackendSelect.addEventListener('change', () => this.setMatchBackend(this.matchBackendSelect.value));
+        this.matchServerInput.addEventListener('change', () => {
+            if (this.matchBackendSelect.value === 'server') {
+                this.setMatchBackend('server');
+            }
+        });
+        this.runBenchmarkBtn.addEventListener('click', () => this.runBenchmark());
+        this.exportDatabaseBtn.addEventListener('click', () => this.exportDatabase());
+        this.importDatabaseBtn.addEventListener('click', () => this.importDatabaseInput.click());
+        this.importDatabaseInput.addEventListener('change', () => {
+            if (this.importDatabaseInput.files.length) {
+                this.importDatabase(this.importDatabaseInput.files[0]);
+            }
+            this.importDatabaseInput.value = '';
+        });
+        this.exportPeaksCsvBtn.addEventListener('click', () => this.exportPeaks('csv'));
+        this.exportPeaksJsonBtn.addEventListener('click', () => this.exportPeaks('json'));
+        this.downloadBenchmarkBtn.addEventListener('click', () => this.downloadBenchmark());
+
+        // Keep a single selection on the waveform
+        this.regions.on('region-created', (region) => {
+            this.regions.getRegions().forEach(other => {
+                if (other !== region) other.remove();
+            });
+            this.updateRegionButton();
+            this.updateLoop();
+        });
+        this.regions.on('region-updated', () => this.updateLoop());
+        this.regions.on('region-removed', () => {
+            this.updateRegionButton();
+            this.updateLoop();
+        });
+        this.listenBtn.addEventListener('click', () => this.listen());
+        this.applyDegradationBtn.addEventListener('click', () => this.applyDegradation());
+        this.playDegradedBtn.addEventListener('click', () => this.toggleDegradedPlayback());
+        this.snrSlider.addEventListener('input', () => {
+            this.snrValue.textContent = `${this.snrSlider.value} dB`;
+        });
+        this.applyTransformBtn.addEventListener('click', () => this.applyTransform());
+        this.compareSchemesBtn.addEventListener('click', () => this.compareHashSchemes());
+        this.compareRatesBtn.addEventListener('click', () => this.compareRates());
+        this.compareMethodsBtn.addEventListener('click', () => this.compareMethods());
+        this.transformPercentSlider.addEventListener('input', () => {
+            this.transformPercentValue.textContent = TransformView.formatChange(parseFloat(this.transformPercentSlider.value));
+        });
+        this.freezeSpectrumBtn.addEventListener('click', () => {
+            const frozen = this.freezeSpectrumBtn.getAttribute('aria-pressed') !== 'true';
+            this.freezeSpectrumBtn.setAttribute('aria-pressed', String(frozen));
+            this.spectrumView.setFrozen(frozen);
+            if (!frozen) this.updateSpectrum();
+        });
+        const updateSpectrumWindows = () => {
+            this.spectrumView.setWindows(this.spectrumWindowSelect.value, this.spectrumCompareSelect.value || null);
+        };
+        this.spectrumWindowSelect.addEventListener('change', updateSpectrumWindows);
+        this.spectrumCompareSelect.addEventListener('change', updateSpectrumWindows);
+        this.spectrogramScaleSelect.addEventListener('change', () => {
+            this.spectrogram.setScale(this.spectrogramScaleSelect.value);
+        });
+        this.constellationScaleSelect.addEventListener('change', () => {
+            this.constellationSpectrogram.setScale(this.constellationScaleSelect.value);
+        });
+
+        this.resetZoomBtn.addEventListener('click', () => {
+            if (this.constellationWaveform.getDecodedData()) {
+                this.constellationWaveform.zoom(0);
+            }
+        });
+        this.constellationSpectrogram.on('select', () => this.updateRegionView());
+
+        this.streamPeaksToggle.addEventListener('change', () => {
+            this.constellationPlugin.setStreaming(this.streamPeaksToggle.checked);
+        });
+        this.clippingSlider.addEventListener('input', () => {
+            this.clippingValue.textContent = `+${this.clippingSlider.value} dB`;
+        });
         
         // Wavesurfer events
         this.waveform.on('ready', () => {
             document.body.classList.remove('loading');
             this.updateTotalTime();
+            this.updateSpectrum();
         });
-        
-        this.waveform.on('audioprocess', () => {
-            this.updateCurrentTime();
-            this.updateProgressBar();
+
+        // Hash the constellation peaks whenever they are re-paired
+        this.constellationPlugin.on('pairs-ready', () => {
+            const secondsPerFrame = this.constellationWaveform.getDuration() / this.constellationPlugin.frequencies.length;
+            this.fingerprintView.setPeaks(this.constellationPlugin.peaks, secondsPerFrame);
+            this.updateFingerprintHighlight();
+            this.constellationBuilder.setPeaks(this.constellationPlugin.peaks, {
+                secondsPerFrame,
+                numBins: this.constellationPlugin.frequencies[0].length,
+                binFrequency: (bin) => this.constellationPlugin.getBinFrequency(bin)
+            });
+            this.applyTransformBtn.disabled = !this.constellationPlugin.peaks.length;
+            this.updateRegionView();
         });
-        
-        this.waveform.on('finish', () => {
-            this.isPlaying = false;
-            this.updatePlayButton();
+
+        const onPeaks = (peaks) => {
+            this.constellationStatus.textContent = '';
+            this.exportPeaksCsvBtn.disabled = !peaks.length;
+            this.exportPeaksJsonBtn.disabled = !peaks.length;
+            this.peakTuningPanel.showStats(
+                peaks,
+                this.constellationWaveform.getDuration(),
+                (bin) => this.constellationPlugin.getBinFrequency(bin)
+            );
+        };
+        this.constellationPlugin.on('peaks-ready', onPeaks);
+        // While streaming, the peak list grows as playback advances
+        this.constellationPlugin.on('peaks-update', onPeaks);
+        this.constellationPlugin.on('analysis-progress', (fraction, stage) => {
+            this.constellationStatus.textContent = `Computing ${stage}... ${Math.round(fraction * 100)}%`;
+        });
+        this.constellationPlugin.on('analysis-error', (error) => {
+            this.constellationStatus.textContent = `Could not analyse this track: ${error.message}`;
+        });
+    }
+
+    /**
+     * Click or drag the floating progress bar to seek; arrow keys step five seconds
+     */
+    setupProgressBar() {
+        const seekToPointer = (event) => {
+            const rect = this.progressTrack.getBoundingClientRect();
+            const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+            this.playback.seek(fraction * this.playback.getDuration());
+        };
+
+        this.progressTrack.addEventListener('pointerdown', (event) => {
+            if (!this.playback.getDuration()) return;
+            this.progressTrack.setPointerCapture(event.pointerId);
+            this.progressTrack.classList.add('dragging');
+            seekToPointer(event);
+        });
+        this.progressTrack.addEventListener('pointermove', (event) => {
+            if (this.progressTrack.hasPointerCapture(event.pointerId)) {
+                seekToPointer(event);
+            }
+        });
+        const endDrag = () => this.progressTrack.classList.remove('dragging');
+        this.progressTrack.addEventListener('pointerup', endDrag);
+        this.progressTrack.addEventListener('pointercancel', endDrag);
+
+        this.progressTrack.addEventListener('keydown', (event) => {
+            const steps = { ArrowLeft: -5, ArrowRight: 5, Home: -Infinity, End: Infinity };
+            if (!(event.key in steps)) return;
+            event.preventDefault();
+            this.playback.seek(this.playback.getCurrentTime() + steps[event.key]);
         });
     }
 
     togglePlayback() {
-        if (this.waveform.isPlaying()) {
-            this.waveform.pause();
-            this.isPlaying = false;
-        } else {
-            this.waveform.play();
-            this.isPlaying = true;
-        }
-        this.updatePlayButton();
+        this.playback.toggle();
     }
 
     updatePlayButton() {
         const icon = this.playBtn.querySelector('i');
-        icon.className = this.isPlaying ? 'fas fa-pause' : 'fas fa-play';
+        icon.className = this.playback.isPlaying() ? 'fas fa-pause' : 'fas fa-play';
+    }
+
+    /**
+     * Loop the waveform selection if there is one, otherwise the whole track
+     */
+    updateLoop() {
+        const enabled = this.loopBtn.getAttribute('aria-pressed') === 'true';
+        const [region] = this.regions.getRegions();
+        this.playback.setLoop(enabled, region ? { start: region.start, end: region.end } : null);
+    }
+
+    /**
+     * Follow the playhead in every view that depends on it
+     */
+    handleTimeUpdate() {
+        this.updateCurrentTime();
+        this.updateProgressBar();
+        this.updateFingerprintHighlight();
+        this.updateSpectrum();
     }
 
-    async loadSelectedSong() {
+    /**
+     * @param {AudioBuffer} [buffer] - Decoded audio of the selected song, if already at hand
+     */
+    async loadSelectedSong(buffer = null) {
         document.body.classList.add('loading');
+        this.hideError();
         const selectedSong = this.songSelect.value;
 
         // Clear constellation dots
-        const constellationPlugin = this.constellationWaveform.getActivePlugins().find(p => p.name === 'constellation')
-        if (constellationPlugin) {
-            constellationPlugin.clear()
-        }
+        this.constellationPlugin.clear();
+        this.regions.clearRegions();
+        this.regionView.clear();
+        this.fingerprintView.clear();
+        this.constellationBuilder.clear();
+        this.spectrumView.clear();
+        this.freezeSpectrumBtn.setAttribute('aria-pressed', 'false');
+        this.constellationStatus.textContent = '';
+        this.exportPeaksCsvBtn.disabled = true;
+        this.exportPeaksJsonBtn.disabled = true;
+        this.stopDegradedPlayback();
+        this.degradedBuffer = null;
+        this.playDegradedBtn.disabled = true;
+        this.noiseView.clear();
+        this.applyTransformBtn.disabled = true;
+        this.transformView.clear();
+        this.methodView.clear();
 
-        await Promise.all([this.waveform.load(selectedSong), this.spectrogramWaveform.load(selectedSong), this.constellationWaveform.load(selectedSong)]);
-        
         // Update song title
         const songTitle = this.songSelect.options[this.songSelect.selectedIndex].text;
+
+        try {
+            const loaded = await this.playback.load(selectedSong, buffer || this.trackBuffers.get(selectedSong));
+            // Another song was picked while this one loaded
+            if (!loaded) return;
+        } catch (error) {
+            console.error('Error loading song:', error);
+            this.showError(`Could not load ${songTitle}: ${error.message}`);
+            return;
+        }
+
         document.querySelector('.song-title').textContent = songTitle;
     }
 
+    async addLocalFile(file) {
+        document.body.classList.add('loading');
+        this.hideError();
+
+        let buffer;
+        try {
+            buffer = await this.audioLoader.loadFile(file);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        // A file already in the library is selected rather than added twice
+        const libraryId = await this.hashFile(file);
+        const existing = [...this.libraryIds].find(([, id]) => id === libraryId);
+        if (existing) {
+            this.songSelect.value = existing[0];
+            await this.loadSelectedSong();
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        const title = file.name || 'Recording';
+        this.addUploadOption(url, title, libraryId);
+        this.songSelect.value = url;
+
+        const fingerprinted = this.fingerprintTrack(url, title, buffer)
+            .then(result => this.saveToLibrary(url, { id: libraryId, title, source: 'upload', file }, result))
+            .then(() => this.refreshLibraryView())
+            .then(() => this.syncMatchBackend())
+            .catch((error) => {
+                console.error(`Error fingerprinting ${title}:`, error);
+            });
+        await Promise.all([fingerprinted, this.loadSelectedSong(buffer)]);
+    }
+
+    /**
+     * Add an uploaded file to the song list
+     * @param {string} url - Object URL of the file, also its track id
+     * @param {string} title - Title to show
+     * @param {string|null} libraryId - Content hash if the file is kept in the library
+     */
+    addUploadOption(url, title, libraryId) {
+        // Without the library, uploads live as object URLs until the page is closed
+        const option = new Option(libraryId ? title : `${title} (this session)`, url);
+        option.dataset.upload = libraryId ? 'library' : 'session';
+        this.songSelect.add(option);
+    }
+
+    showError(message) {
+        document.body.classList.remove('loading');
+        document.body.classList.add('error');
+
+        if (!this.errorMessage) {
+            this.errorMessage = document.createElement('div');
+            this.errorMessage.className = 'error-message';
+            this.errorMessage.setAttribute('role', 'alert');
+            this.errorMessage.innerHTML = '<p></p><button class="btn btn-primary">OK</button>';
+            this.errorMessage.querySelector('button').addEventListener('click', () => this.hideError());
+            document.body.appendChild(this.errorMessage);
+        }
+        this.errorMessage.querySelector('p').textContent = message;
+        this.errorMessage.classList.remove('hidden');
+    }
+
+    hideError() {
+        document.body.classList.remove('error');
+        if (this.errorMessage) {
+            this.errorMessage.classList.add('hidden');
+        }
+    }
+
+    async buildFingerprintIndex() {
+        const options = [...this.songSelect.options];
+        this.identifyClipBtn.disabled = true;
+        await this.loadPrecomputedIndex();
+        await this.openLibrary();
+
+        for (const [i, option] of options.entries()) {
+            const status = `Fingerprinting ${option.text} (${i + 1}/${options.length})...`;
+            this.databaseView.setStatus(status);
+
+            try {
+                const contents = await this.audioLoader.fetchAudio(option.value);
+                // Hash before decoding, which detaches the contents
+                const libraryId = this.library ? await FingerprintLibrary.contentHash(contents) : null;
+                const buffer = await this.audioLoader.decodeAudio(contents);
+                this.trackBuffers.set(option.value, buffer);
+
+                // Precomputed and saved tracks only need their audio for clips and the noise simulator
+                if (this.fingerprintDatabase.tracks.has(option.value) || await this.restoreFromLibrary(option.value, libraryId)) {
+                    continue;
+                }
+                const result = await this.fingerprintTrack(option.value, option.text, buffer, (fraction) => {
+                    this.databaseView.setStatus(`${status} ${Math.round(fraction * 100)}%`);
+                });
+                await this.saveToLibrary(option.value, { id: libraryId, title: option.text, source: 'bundled' }, result);
+            } catch (error) {
+                console.error(`Error fingerprinting ${option.value}:`, error);
+            }
+        }
+
+        await this.restoreLibraryUploads();
+
+        const trackCount = this.fingerprintDatabase.getTracks().length;
+        this.databaseView.setStatus(`${trackCount} tracks indexed (${this.fingerprintDatabase.index.size} unique hashes). Pick a moment in the song and identify a clip.`);
+        this.identifyClipBtn.disabled = false;
+        this.indexReady = true;
+        this.updateRegionButton();
+        this.runBenchmarkBtn.disabled = false;
+        this.exportDatabaseBtn.disabled = false;
+        this.listenBtn.disabled = false;
+        this.applyDegradationBtn.disabled = false;
+        this.compareSchemesBtn.disabled = false;
+        this.compareRatesBtn.disabled = false;
+        this.compareMethodsBtn.disabled = false;
+    }
+
+    /**
+     * Run the analysis pipeline in the worker
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {Function} [onProgress] - Called with the fraction done
+     * @returns {Promise<Object>} Same result as TrackAnalyzer.analyze
+     */
+    analyze(buffer, onProgress = null) {
+        return this.analysisClient.analyze(buffer, this.trackAnalyzer.options, { onProgress });
+    }
+
+    async fingerprintTrack(trackId, title, buffer, onProgress = null) {
+        const result = await this.analyze(buffer, onProgress);
+        const { hashes, sampleRate, secondsPerFrame, duration } = result;
+        this.trackBuffers.set(trackId, buffer);
+        this.fingerprintDatabase.addTrack(trackId, { title, sampleRate, secondsPerFrame, duration }, hashes);
+        return result;
+    }
+
+    async openLibrary() {
+        if (!FingerprintLibrary.isSupported()) return;
+
+        const library = new FingerprintLibrary(this.trackAnalyzer.options);
+        try {
+            await library.open();
+            this.library = library;
+        } catch (error) {
+            console.warn('Fingerprint library unavailable, uploads will last this session only:', error);
+        }
+    }
+
+    /**
+     * @param {File} file - Audio file
+     * @returns {Promise<string|null>} Library id of the file, or null without a library
+     */
+    async hashFile(file) {
+        if (!this.library) return null;
+        return FingerprintLibrary.contentHash(await file.arrayBuffer());
+    }
+
+    /**
+     * Index a track from its library record, if one was made with the current settings
+     * @param {string} trackId - Track id in the song list
+     * @param {string|null} libraryId - Content hash of the track's file
+     * @returns {Promise<boolean>} Whether the track was restored
+     */
+    async restoreFromLibrary(trackId, libraryId) {
+        if (!libraryId) return false;
+
+        const record = await this.library.get(libraryId);
+        if (!record || !this.library.isCurrent(record)) return false;
+
+        const { title, sampleRate, secondsPerFrame, duration } = record;
+        this.fingerprintDatabase.addTrack(trackId, { title, sampleRate, secondsPerFrame, duration }, FingerprintLibrary.unpackHashes(record.hashes));
+        this.libraryIds.set(trackId, libraryId);
+        return true;
+    }
+
+    /**
+     * Keep an analysed track in the library; failures only cost a re-analysis next time
+     * @param {string} trackId - Track id in the song list
+     * @param {Object} record - id (content hash), title, source and, for uploads, file and addedAt
+     * @param {Object} result - Analysis result from fingerprintTrack
+     */
+    async saveToLibrary(trackId, record, { peaks, hashes, sampleRate, secondsPerFrame, duration }) {
+        if (!this.library || !record.id) return;
+
+        try {
+            await this.library.put({ ...record, sampleRate, secondsPerFrame, duration, peaks, hashes });
+            this.libraryIds.set(trackId, record.id);
+        } catch (error) {
+            console.warn(`Could not save ${record.title} to the library:`, error);
+        }
+    }
+
+    /**
+     * Put the files uploaded in earlier visits back in the song list and the index
+     */
+    async restoreLibraryUploads() {
+        if (!this.library) {
+            this.libraryView.setStatus('This browser cannot store files, so uploads last this session only.');
+            return;
+        }
+
+        try {
+            const records = (await this.library.list()).filter(record => record.source === 'upload');
+            for (const record of records) {
+                const url = URL.createObjectURL(record.file);
+                this.addUploadOption(url, record.title, record.id);
+                try {
+                    const buffer = await this.audioLoader.decodeAudio(await record.file.arrayBuffer());
+                    this.trackBuffers.set(url, buffer);
+                    if (!await this.restoreFromLibrary(url, record.id)) {
+                        // Analysed with other settings: fingerprint the stored file again
+                        this.databaseView.setStatus(`Updating ${record.title} for the current analysis settings...`);
+                        const { id, title, source, file, addedAt } = record;
+                        const result = await this.fingerprintTrack(url, title, buffer);
+                        await this.saveToLibrary(url, { id, title, source, file, addedAt }, result);
+                    }
+                } catch (error) {
+                    console.error(`Error restoring ${record.title}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Error reading the fingerprint library:', error);
+        }
+        await this.refreshLibraryView();
+    }
+
+    async refreshLibraryView() {
+        if (!this.library) return;
+        const records = await this.library.list();
+        this.libraryView.show(records.filter(record => record.source === 'upload'));
+    }
+
+    /**
+     * @param {string} libraryId - Content hash of the file
+     * @returns {HTMLOptionElement|undefined} Song list entry of the file
+     */
+    findLibraryOption(libraryId) {
+        return [...this.songSelect.options].find(option => this.libraryIds.get(option.value) === libraryId);
+    }
+
+    async renameLibraryTrack(libraryId, title) {
+        try {
+            await this.library.rename(libraryId, title);
+        } catch (error) {
+            this.showError(`Could not rename ${title}: ${error.message}`);
+            return;
+        }
+
+        const option = this.findLibraryOption(libraryId);
+        if (option) {
+            option.text = title;
+            this.fingerprintDatabase.renameTrack(option.value, title);
+            if (option.selected) {
+                document.querySelector('.song-title').textContent = title;
+            }
+        }
+        await this.refreshLibraryView();
+    }
+
+    async deleteLibraryTrack(libraryId) {
+        const option = this.findLibraryOption(libraryId);
+        if (option && !window.confirm(`Delete ${option.text} from your library?`)) return;
+
+        try {
+            await this.library.delete(libraryId);
+        } catch (error) {
+            this.showError(`Could not delete the file: ${error.message}`);
+            return;
+        }
+
+        if (option) {
+            const wasSelected = option.selected;
+            this.fingerprintDatabase.removeTrack(option.value);
+            this.trackBuffers.delete(option.value);
+            this.libraryIds.delete(option.value);
+            option.remove();
+            URL.revokeObjectURL(option.value);
+            if (wasSelected) {
+                this.loadSelectedSong();
+            }
+        }
+        await this.refreshLibraryView();
+    }
+
+    async loadPrecomputedIndex() {
+        try {
+            const response = await fetch(PRECOMPUTED_INDEX_URL);
+            if (!response.ok) return;
+            this.loadDatabaseFile(await response.arrayBuffer());
+        } catch (error) {
+            console.warn('Precomputed fingerprints not loaded:', error);
+        }
+    }
+
+    /**
+     * Add every track of a binary fingerprint database file
+     * @param {ArrayBuffer} contents - File in the FingerprintFormat binary format
+     * @returns {number} Number of tracks added
+     */
+    loadDatabaseFile(contents) {
+        const { header, tracks } = FingerprintFormat.decodeDatabase(contents);
+        FingerprintFormat.assertCompatible(header, this.trackAnalyzer.options);
+        tracks.forEach(({ trackId, metadata, hashes }) => {
+            this.fingerprintDatabase.addTrack(trackId, metadata, hashes);
+        });
+        return tracks.length;
+    }
+
+    async importDatabase(file) {
+        try {
+            const count = this.loadDatabaseFile(await file.arrayBuffer());
+            await this.syncMatchBackend();
+            this.databaseView.setStatus(`Imported ${count} tracks from ${file.name}. ${this.fingerprintDatabase.getTracks().length} tracks indexed.`);
+        } catch (error) {
+            console.error('Error importing fingerprints:', error);
+            this.showError(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    exportDatabase() {
+        const contents = FingerprintFormat.encodeDatabase(this.fingerprintDatabase, this.trackAnalyzer.options);
+        this.downloadFile(new Blob([contents], { type: 'application/octet-stream' }), 'fingerprints.afp');
+    }
+
+    exportPeaks(format) {
+        const plugin = this.constellationPlugin;
+        if (!plugin.peaks.length) return;
+
+        const title = this.songSelect.options[this.songSelect.selectedIndex].text;
+        const secondsPerFrame = plugin.stft.secondsPerFrame(plugin.sampleRate);
+        const name = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'peaks';
+
+        if (format === 'csv') {
+            const csv = FingerprintFormat.peaksToCsv(plugin.peaks, secondsPerFrame, (bin) => plugin.getBinFrequency(bin));
+            this.downloadFile(new Blob([csv], { type: 'text/csv' }), `${name}-peaks.csv`);
+        } else {
+            const json = FingerprintFormat.peaksToJson(plugin.peaks, {
+                title,
+                sampleRate: plugin.sampleRate,
+                fftSize: plugin.stft.fftSize,
+                hopSize: plugin.stft.options.hopSize,
+                window: plugin.stft.options.window,
+                secondsPerFrame
+            });
+            this.downloadFile(new Blob([json], { type: 'application/json' }), `${name}-peaks.json`);
+        }
+    }
+
+    downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Switch where queries are matched
+     * @param {string} type - 'local' for the page's index, 'server' for the match server
+     */
+    async setMatchBackend(type) {
+        if (type === 'local') {
+            this.matchBackend = this.localMatchBackend;
+            this.databaseView.setStatus(`Matching in this page against ${this.fingerprintDatabase.getTracks().length} tracks.`);
+            return;
+        }
+
+        const backend = new HttpMatchBackend(this.matchServerInput.value, this.trackAnalyzer.options);
+        this.databaseView.setStatus(`Connecting to ${backend.label}...`);
+        try {
+            await backend.connect();
+            this.matchBackend = backend;
+            await this.syncMatchBackend();
+            this.databaseView.setStatus(`Matching on ${backend.label} against ${backend.getTracks().length} tracks. Only hashes are sent.`);
+        } catch (error) {
+            console.error('Error connecting to the match server:', error);
+            this.matchBackend = this.localMatchBackend;
+            this.matchBackendSelect.value = 'local';
+            this.databaseView.setStatus('');
+            this.showError(`Could not use the match server at ${backend.label}: ${error.message}. Start it with npm run server.`);
+        }
+    }
+
+    /**
+     * Send the fingerprints of tracks the match server does not have yet
+     */
+    async syncMatchBackend() {
+        const backend = this.matchBackend;
+        if (backend === this.localMatchBackend) return;
+
+        const known = new Set(backend.getTracks().map(track => track.trackId));
+        const missing = this.fingerprintDatabase.getTracks().filter(track => !known.has(track.trackId));
+        if (!missing.length) return;
+
+        const hashesByTrack = this.fingerprintDatabase.getHashesByTrack();
+        for (const [i, { trackId, title, sampleRate, secondsPerFrame, duration }] of missing.entries()) {
+            this.databaseView.setStatus(`Sending fingerprints of ${title} to ${backend.label} (${i + 1}/${missing.length})...`);
+            await backend.addTrack(trackId, { title, sampleRate, secondsPerFrame, duration }, hashesByTrack.get(trackId));
+        }
+    }
+
+    async identifyClip() {
+        const buffer = this.trackBuffers.get(this.songSelect.value);
+        if (!buffer) return;
+
+        // Take the clip from the playhead, moving it back if it would run past the end
+        const clipLength = Math.min(parseFloat(this.clipLengthSelect.value), buffer.duration);
+        const startTime = Math.min(this.playback.getCurrentTime(), buffer.duration - clipLength);
+        await this.matchClip(this.audioLoader.sliceAudio(buffer, startTime, clipLength));
+    }
+
+    updateRegionButton() {
+        this.identifyRegionBtn.disabled = !this.indexReady || !this.regions.getRegions().length;
+    }
+
+    async identifyRegion() {
+        const buffer = this.trackBuffers.get(this.songSelect.value);
+        const [region] = this.regions.getRegions();
+        if (!buffer || !region) return;
+
+        await this.matchClip(this.audioLoader.sliceAudio(buffer, region.start, region.end - region.start));
+    }
+
+    /**
+     * Fingerprint a clip and show how it matches with the current backend
+     * @param {AudioBuffer} clip - Query audio
+     */
+    async matchClip(clip) {
+        try {
+            const { hashes, secondsPerFrame } = await this.analyze(clip);
+            const candidates = await this.matchBackend.query(hashes);
+            this.showMatchResults(candidates, hashes.length, secondsPerFrame);
+        } catch (error) {
+            console.error('Error identifying clip:', error);
+            this.showError(`Could not identify the clip: ${error.message}`);
+        }
+    }
+
+    /**
+     * Bundled songs only; uploaded files are left out so runs stay comparable
+     * @returns {Array<Object>} Tracks as {trackId, title, buffer}
+     */
+    getBenchmarkTracks() {
+        return [...this.songSelect.options]
+            .filter(option => !option.dataset.upload && this.trackBuffers.has(option.value))
+            .map(option => ({ trackId: option.value, title: option.text, buffer: this.trackBuffers.get(option.value) }));
+    }
+
+    getBenchmarkOptions() {
+        return {
+            clipsPerTrack: Math.max(1, parseInt(this.benchmarkClipsInput.value, 10) || 1),
+            clipLength: parseFloat(this.benchmarkLengthSelect.value)
+        };
+    }
+
+    async runBenchmark() {
+        const tracks = this.getBenchmarkTracks();
+        if (!tracks.length) return;
+
+        const degradation = this.benchmarkDegradeToggle.checked ? this.getDegradationSettings() : null;
+        const benchmark = new RecognitionBenchmark(
+            {
+                analyze: (clip) => this.analyze(clip),
+                slice: (buffer, startTime, duration) => this.audioLoader.sliceAudio(buffer, startTime, duration),
+                degrade: degradation ? (clip) => AudioDegrader.degrade(clip, degradation) : null
+            },
+            this.fingerprintDatabase,
+            this.getBenchmarkOptions()
+        );
+
+        this.runBenchmarkBtn.disabled = true;
+        this.downloadBenchmarkBtn.disabled = true;
+        try {
+            const report = await benchmark.run(tracks, (done, total) => {
+                this.benchmarkView.setStatus(`Running query ${done} of ${total}...`);
+            });
+            // Record the settings under test alongside the results
+            this.benchmarkReport = {
+                createdAt: new Date().toISOString(),
+                analysisOptions: this.trackAnalyzer.options,
+                degradation,
+                ...report
+            };
+            this.benchmarkView.showReport(this.benchmarkReport);
+            this.downloadBenchmarkBtn.disabled = false;
+        } catch (error) {
+            console.error('Benchmark failed:', error);
+            this.benchmarkView.setStatus(`Benchmark failed: ${error.message}`);
+        } finally {
+            this.runBenchmarkBtn.disabled = false;
+        }
+    }
+
+    downloadBenchmark() {
+        if (!this.benchmarkReport) return;
+
+        const blob = new Blob([JSON.stringify(this.benchmarkReport, null, 2)], { type: 'application/json' });
+        this.downloadFile(blob, `benchmark-${this.benchmarkReport.createdAt.replace(/[:.]/g, '-')}.json`);
+    }
+
+    async listen() {
+        this.listenBtn.disabled = true;
+        let stream = null;
+
+        try {
+            let duration = LISTEN_SECONDS;
+            if (this.listenSourceSelect.value === 'replay') {
+                // Stand in for the microphone by replaying the current song from the playhead
+                const buffer = this.trackBuffers.get(this.songSelect.value);
+                if (!buffer) {
+                    throw new Error('The current song has not been fingerprinted yet.');
+                }
+                duration = Math.min(duration, buffer.duration);
+                const startTime = Math.min(this.playback.getCurrentTime(), buffer.duration - duration);
+                stream = this.microphoneRecorder.createReplayStream(buffer, startTime);
+            } else {
+                this.listenView.setStatus('Waiting for microphone access...');
+                stream = await MicrophoneRecorder.getMicrophoneStream();
+            }
+
+            this.listenView.setStatus('Listening...');
+            const recording = await this.microphoneRecorder.record(stream, duration, (fraction) => {
+                this.listenView.setProgress(fraction);
+            });
+
+            const { hashes, secondsPerFrame } = await this.analyze(recording);
+            const candidates = await this.matchBackend.query(hashes);
+            const best = candidates[0];
+            this.listenView.showResult(
+                best,
+                FingerprintDatabase.confidence(candidates),
+                best ? Math.max(0, best.offset * secondsPerFrame) : 0
+            );
+            this.showMatchResults(candidates, hashes.length, secondsPerFrame);
+        } catch (error) {
+            console.error('Error listening:', error);
+            this.listenView.showError(error.name === 'NotAllowedError' ? 'Microphone access was denied.' : error.message);
+        } finally {
+            if (stream) {
+                stream.getTracks().forEach(track => track.stop());
+            }
+            this.listenView.setProgress(0);
+            this.listenBtn.disabled = false;
+        }
+    }
+
+    getDegradationSettings() {
+        return {
+            noiseType: this.noiseTypeSelect.value,
+            snr: parseFloat(this.snrSlider.value),
+            phoneSpeaker: this.phoneSpeakerToggle.checked,
+            bitrate: parseInt(this.bitrateSelect.value, 10),
+            clipping: parseFloat(this.clippingSlider.value)
+        };
+    }
+
+    async applyDegradation() {
+        const buffer = this.trackBuffers.get(this.songSelect.value);
+        if (!buffer) return;
+
+        this.applyDegradationBtn.disabled = true;
+        this.stopDegradedPlayback();
+        this.noiseView.setStatus('Rendering degraded audio...');
+
+        try {
+            this.degradedBuffer = await AudioDegrader.degrade(buffer, this.getDegradationSettings());
+            const [clean, degraded] = await Promise.all([this.analyze(buffer), this.analyze(this.degradedBuffer)]);
+            this.noiseView.showComparison(clean, degraded, AudioDegrader.compare(clean, degraded));
+            this.playDegradedBtn.disabled = false;
+        } catch (error) {
+            console.error('Error degrading audio:', error);
+            this.noiseView.setStatus(`Could not degrade the audio: ${error.message}`);
+        } finally {
+            this.applyDegradationBtn.disabled = false;
+        }
+    }
+
+    getTransformSettings() {
+        return {
+            mode: this.transformModeSelect.value,
+            percent: parseFloat(this.transformPercentSlider.value)
+        };
+    }
+
+    /**
+     * Apply the chosen speed change to the audio behind the constellation and
+     * count how many of its hashes each scheme finds again
+     */
+    async applyTransform() {
+        const buffer = this.playback.buffer;
+        const { sampleRate, stft, fingerprinter } = this.constellationPlugin;
+        const peaks = this.constellationPlugin.getPeaks();
+        if (!buffer || !sampleRate || !peaks.length) return;
+
+        const transform = this.getTransformSettings();
+        this.applyTransformBtn.disabled = true;
+        this.transformView.setStatus('Transforming the audio and picking its peaks...');
+
+        try {
+            // Same sample rate, spectrogram and peak settings as the overlay
+            const viewAudio = await this.audioLoader.resample(buffer, sampleRate);
+            const transformed = await AudioTransformer.transform(viewAudio, transform);
+            const result = await this.analysisClient.computeSpectrogram(
+                transformed.getChannelData(0),
+                sampleRate,
+                stft.options,
+                this.constellationPlugin.getPeakOptions()
+            );
+
+            const rate = AudioTransformer.toRate(transform.percent);
+            const rows = Object.entries(FINGERPRINT_SCHEMES).map(([scheme, { label }]) => {
+                const hasher = createFingerprinter({ ...fingerprinter.options, scheme });
+                return { label, ...AudioTransformer.compareHashes(hasher.generate(peaks), hasher.generate(result.peaks), rate) };
+            });
+            this.transformView.showSurvival(TransformView.describe(transform), rows);
+        } catch (error) {
+            console.error('Error transforming audio:', error);
+            this.transformView.setStatus(`Could not transform the audio: ${error.message}`);
+        } finally {
+            this.applyTransformBtn.disabled = false;
+        }
+    }
+
+    /**
+     * @returns {Object} Fingerprinter for each hashing scheme, with the index's other settings
+     */
+    getSchemeFingerprinters() {
+        const { fingerprintOptions } = this.trackAnalyzer.options;
+        const fingerprinters = {};
+        Object.keys(FINGERPRINT_SCHEMES).forEach(scheme => {
+            fingerprinters[scheme] = createFingerprinter({ ...fingerprintOptions, scheme });
+        });
+        return fingerprinters;
+    }
+
+    /**
+     * Index the bundled songs with every hashing scheme and query each index
+     * with the same transformed clips
+     */
+    async compareHashSchemes() {
+        const tracks = this.getBenchmarkTracks();
+        if (!tracks.length) return;
+
+        const transform = this.getTransformSettings();
+        const fingerprinters = this.getSchemeFingerprinters();
+
+        this.compareSchemesBtn.disabled = true;
+        try {
+            const reports = await RecognitionBenchmark.compareSchemes(
+                tracks,
+                fingerprinters,
+                {
+                    analyze: (clip) => this.analyze(clip),
+                    slice: (buffer, startTime, duration) => this.audioLoader.sliceAudio(buffer, startTime, duration),
+                    degrade: (clip) => AudioTransformer.transform(clip, transform)
+                },
+                this.getBenchmarkOptions(),
+                (done, total) => this.transformView.setRecognitionStatus(`Comparing hash schemes: step ${done} of ${total}...`)
+            );
+            this.transformView.showRecognition(
+                TransformView.describe(transform),
+                Object.entries(reports).map(([scheme, report]) => ({ label: FINGERPRINT_SCHEMES[scheme].label, report }))
+            );
+        } catch (error) {
+            console.error('Hash scheme comparison failed:', error);
+            this.transformView.setRecognitionStatus(`Comparison failed: ${error.message}`);
+        } finally {
+            this.compareSchemesBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Query every scheme's index with clips at a range of speeds, changed the
+     * chosen way, to show how accuracy falls as the speed moves from the track's
+     */
+    async compareRates() {
+        const tracks = this.getBenchmarkTracks();
+        if (!tracks.length) return;
+
+        const { mode } = this.getTransformSettings();
+        this.compareRatesBtn.disabled = true;
+        try {
+            const results = await RecognitionBenchmark.compareRates(
+                tracks,
+                this.getSchemeFingerprinters(),
+                {
+                    analyze: (clip) => this.analyze(clip),
+                    slice: (buffer, startTime, duration) => this.audioLoader.sliceAudio(buffer, startTime, duration),
+                    transform: (clip, percent) => AudioTransformer.transform(clip, { mode, percent })
+                },
+                RATE_SWEEP_PERCENTS,
+                this.getBenchmarkOptions(),
+                (done, total) => this.transformView.setRecognitionStatus(`Measuring accuracy by speed: step ${done} of ${total}...`)
+            );
+            this.transformView.showRates(mode, results.map(({ percent, reports }) => ({
+                percent,
+                rows: Object.entries(reports).map(([scheme, report]) => ({ label: FINGERPRINT_SCHEMES[scheme].label, report }))
+            })));
+        } catch (error) {
+            console.error('Accuracy by speed failed:', error);
+            this.transformView.setRecognitionStatus(`Measuring accuracy by speed failed: ${error.message}`);
+        } finally {
+            this.compareRatesBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Draw every method's fingerprint of the audio at the playhead, then index
+     * the bundled songs with each method and query them with the same clips
+     */
+    async compareMethods() {
+        const tracks = this.getBenchmarkTracks();
+        const buffer = this.playback.buffer;
+        if (!tracks.length || !buffer) return;
+
+        const methods = Object.keys(FINGERPRINT_METHODS);
+        const fingerprint = (method, audio) => this.analysisClient.fingerprint(method, audio, this.methodAnalyzers[method].options);
+        const degradation = this.methodDegradeToggle.checked ? this.getDegradationSettings() : null;
+
+        this.compareMethodsBtn.disabled = true;
+        this.methodView.setStatus('Fingerprinting the excerpt...');
+        try {
+            const length = Math.min(METHOD_EXCERPT_SECONDS, buffer.duration);
+            const startTime = Math.min(this.playback.getCurrentTime(), buffer.duration - length);
+            const excerpt = this.audioLoader.sliceAudio(buffer, startTime, length);
+            const images = {};
+            for (const method of methods) {
+                images[method] = this.methodAnalyzers[method].getImage(await fingerprint(method, excerpt));
+            }
+            this.methodView.showImages(images);
+
+            const analyzers = {};
+            methods.forEach(method => {
+                analyzers[method] = (audio) => fingerprint(method, audio);
+            });
+            const options = this.getBenchmarkOptions();
+            const reports = await RecognitionBenchmark.compareMethods(
+                tracks,
+                analyzers,
+                {
+                    slice: (source, start, duration) => this.audioLoader.sliceAudio(source, start, duration),
+                    degrade: degradation ? (clip) => AudioDegrader.degrade(clip, degradation) : null
+                },
+                options,
+                (done, total) => this.methodView.setStatus(`Comparing methods: step ${done} of ${total}...`)
+            );
+
+            this.methodView.showResults(methods.map(method => {
+                const { index, summary } = reports[method];
+                return {
+                    label: FINGERPRINT_METHODS[method].label,
+                    bitsPerSecond: (index.hashCount * this.methodAnalyzers[method].hashBits) / index.duration,
+                    summary
+                };
+            }));
+            this.methodView.setStatus(
+                `${options.clipsPerTrack} clips of ${options.clipLength}s from each bundled song` +
+                `${degradation ? ', degraded with the noise simulator settings' : ''}. Index size counts the hash values only.`
+            );
+        } catch (error) {
+            console.error('Method comparison failed:', error);
+            this.methodView.setStatus(`Comparison failed: ${error.message}`);
+        } finally {
+            this.compareMethodsBtn.disabled = false;
+        }
+    }
+
+    /**
+     * List the peaks and hashes in the selected region, which changes along
+     * with the peaks when they are re-picked or re-paired
+     */
+    updateRegionView() {
+        const region = this.constellationSpectrogram.selection;
+        if (region) {
+            this.regionView.show(region, this.constellationPlugin.getRegionContents(region));
+        } else {
+            this.regionView.clear();
+        }
+    }
+
+    toggleDegradedPlayback() {
+        if (this.degradedSource) {
+            this.stopDegradedPlayback();
+            return;
+        }
+        if (!this.degradedBuffer) return;
+
+        // Don't play the clean and degraded versions on top of each other
+        this.playback.pause();
+
+        const { audioContext } = this.audioLoader;
+        audioContext.resume();
+        this.degradedSource = audioContext.createBufferSource();
+        this.degradedSource.buffer = this.degradedBuffer;
+        this.degradedSource.connect(audioContext.destination);
+        this.degradedSource.onended = () => this.stopDegradedPlayback();
+        this.degradedSource.start();
+        this.playDegradedBtn.querySelector('i').className = 'fas fa-stop';
+    }
+
+    stopDegradedPlayback() {
+        if (!this.degradedSource) return;
+
+        this.degradedSource.onended = null;
+        this.degradedSource.stop();
+        this.degradedSource.disconnect();
+        this.degradedSource = null;
+        this.playDegradedBtn.querySelector('i').className = 'fas fa-play';
+    }
+
+    showMatchResults(candidates, queryHashCount, secondsPerFrame) {
+        const backend = this.matchBackend;
+        const note = backend === this.localMatchBackend
+            ? ''
+            : `Sent ${queryHashCount} hashes (${(backend.lastRequestBytes / 1024).toFixed(1)} KB, no audio) to ${backend.label}.`;
+        this.databaseView.showResults(backend.getTracks(), candidates, queryHashCount, note);
+        if (candidates.length) {
+            this.offsetHistogramView.show(candidates[0], secondsPerFrame);
+            this.matchScatterView.show(candidates[0], secondsPerFrame);
+        } else {
+            this.offsetHistogramView.clear();
+            this.matchScatterView.clear();
+        }
+    }
+
+    /**
+     * @returns {Object} Peak picking and target zone settings of the constellation
+     */
+    getLinkOptions() {
+        const options = {};
+        LINK_OPTION_KEYS.forEach(key => {
+            options[key] = this.constellationPlugin.options[key];
+        });
+        return options;
+    }
+
+    /**
+     * @returns {string|null} Id of the section at the top of the window
+     */
+    getCurrentSection() {
+        let current = null;
+        document.querySelectorAll('section[id]').forEach(section => {
+            if (section.getBoundingClientRect().top <= window.innerHeight / 3) {
+                current = section.id;
+            }
+        });
+        return current;
+    }
+
+    /**
+     * Open the page where a shared link points: apply its settings before the
+     * track is analysed, then move to its time and section
+     * @param {Object} link - Result of DeepLink.decode
+     */
+    async restoreLink({ track, time, section, options }) {
+        if (Object.keys(options).length) {
+            this.peakTuningPanel.setValues(options);
+            this.constellationPlugin.setOptions(options);
+        }
+
+        const option = track && [...this.songSelect.options].find(({ value }) => DeepLink.trackName(value) === track);
+        if (option) {
+            this.songSelect.value = option.value;
+        }
+
+        await this.loadSelectedSong();
+        if (time !== null) {
+            this.playback.seek(time);
+        }
+        const target = section && document.getElementById(section);
+        if (target) {
+            target.scrollIntoView();
+        }
+    }
+
+    /**
+     * Put a link to the current track, time, section and settings in the
+     * address bar and on the clipboard
+     */
+    async copyLink() {
+        // Uploaded files only exist in this browser, so neither they nor a time in them can be shared
+        const selected = this.songSelect.options[this.songSelect.selectedIndex];
+        const shared = selected && !selected.dataset.upload;
+        const query = DeepLink.encode({
+            track: shared ? selected.value : null,
+            time: shared ? this.playback.getCurrentTime() : null,
+            section: this.getCurrentSection(),
+            options: this.getLinkOptions()
+        }, this.linkDefaults);
+        const url = `${window.location.origin}${window.location.pathname}${query}`;
+        window.history.replaceState(null, '', url);
+
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (error) {
+            window.prompt('Copy this link:', url);
+            return;
+        }
+
+        const icon = this.copyLinkBtn.querySelector('i');
+        icon.className = 'fas fa-check';
+        setTimeout(() => {
+            icon.className = 'fas fa-link';
+        }, 2000);
+    }
+
+    /**
+     * Load a track if it isn't already playing, then move every view to a position in it
+     * @param {string} trackId - Song list value of the track
+     * @param {number} seconds - Position in the track
+     */
+    async seekToTrack(trackId, seconds) {
+        // Tracks only the match server knows have no audio in the page
+        if (![...this.songSelect.options].some(option => option.value === trackId)) return;
+
+        if (this.songSelect.value !== trackId) {
+            this.songSelect.value = trackId;
+            await this.loadSelectedSong();
+        }
+
+        this.playback.seek(seconds);
+    }
+
+    updateFingerprintHighlight() {
+        const entry = this.fingerprintView.showAnchorAt(this.playback.getCurrentTime());
+        if (entry) {
+            this.constellationPlugin.highlightTargetZone(entry.anchor, entry.zone, entry.targets);
+        }
+    }
+
+    updateSpectrum() {
+        // The full-rate decode; the views draw from a copy resampled to 8 kHz
+        this.spectrumView.update(this.playback.buffer, this.playback.getCurrentTime());
+    }
+
     updateCurrentTime() {
-        const currentTime = this.waveform.getCurrentTime();
+        const currentTime = this.playback.getCurrentTime();
         this.currentTimeSpan.textContent = this.formatTime(currentTime);
+        this.progressTrack.setAttribute('aria-valuenow', Math.round(currentTime));
+        this.progressTrack.setAttribute('aria-valuetext', this.formatTime(currentTime));
     }
 
     updateTotalTime() {
-        const duration = this.waveform.getDuration();
+        const duration = this.playback.getDuration();
         this.totalTimeSpan.textContent = this.formatTime(duration);
+        this.progressTrack.setAttribute('aria-valuemax', Math.round(duration));
     }
 
     updateProgressBar() {
-        const progress = (this.waveform.getCurrentTime() / this.waveform.getDuration()) * 100;
+        const duration = this.playback.getDuration();
+        const progress = duration ? (this.playback.getCurrentTime() / duration) * 100 : 0;
         this.progressBar.style.width = `${progress}%`;
     }
 
@@ -2,26 +2,78 @@
  * Constellation plugin for WaveSurfer
  *
  * Draws constellation points and connections over the spectrogram by finding
- * peak frequencies that are robust against noise and distortion
+ * peak frequencies that are robust against noise and distortion. Peaks are
+ * picked from the spectrogram plugin's frames when both use the same STFT
+ * settings, so the track is only transformed once.
+ *
+ * The defaults are TrackAnalyzer's: the mono mix is resampled to the analysis
+ * rate and peaks are picked block by block, so the peaks and hashes shown are
+ * the ones the fingerprint database and .afp files hold.
+ *
+ * Usage:
+ *   const spectrogram = wavesurfer.registerPlugin(SpectrogramPlugin.create({ ... }))
+ *   const constellation = wavesurfer.registerPlugin(ConstellationPlugin.create({ spectrogram }))
+ *   constellation.on('peaks-ready', (peaks) => ...)
+ *
+ * Events:
+ *   peaks-ready (peaks)              - all peaks of the track are known
+ *   peaks-update (peaks)             - streaming mode found more peaks
+ *   pairs-ready (pairs)              - peaks were paired within the target zone
+ *   peak-click (peak, event)         - a peak was clicked
+ *   analysis-progress (fraction, stage)
+ *   analysis-error (error)
  */
 
-import EventEmitter from 'https://unpkg.com/wavesurfer.js@7/dist/event-emitter.js'
+import BasePlugin from 'https://unpkg.com/wavesurfer.js@7/dist/base-plugin.js'
+import { PeakFinder, DEFAULT_PEAK_OPTIONS } from '../utils/peak-finder.js'
+import { STFT } from '../utils/stft.js'
+import { StreamingPeakFinder } from '../utils/streaming-peak-finder.js'
+import { Fingerprinter, DEFAULT_FINGERPRINT_OPTIONS } from '../utils/fingerprint.js'
+import { TrackAnalyzer, DEFAULT_ANALYSIS_OPTIONS } from '../utils/track-analyzer.js'
+import { Resampler } from '../utils/resampler.js'
+import { AnalysisClient } from '../workers/analysis-client.js'
+
+// Options that change how peaks are paired
+const TARGET_ZONE_OPTIONS = ['maxDistance', 'minTimeDistance', 'maxTimeDistance', 'fanOut']
+
+// Hash settings of the fingerprint database
+const FINGERPRINT_OPTIONS = { ...DEFAULT_FINGERPRINT_OPTIONS, ...DEFAULT_ANALYSIS_OPTIONS.fingerprintOptions }
 
 const defaultOptions = {
-    // Minimum magnitude for a point to be considered a peak
-    minPeakMagnitude: 0.3,
-    
-    // Size of neighborhood to check when finding peaks (higher = fewer peaks)
-    neighborhoodSize: 3,
-    
-    // Maximum distance between peaks to draw connections
-    maxDistance: 50,
-    
-    // Maximum time distance (in frames) between peaks to consider connecting
-    maxTimeDistance: 30,
-    
-    // Target density of peaks per time-frequency region
-    peakDensity: 0.2,
+    // Spectrogram plugin instance to draw over (required)
+    spectrogram: null,
+
+    // Log analysis details to the console
+    debug: false,
+
+    // Peak picking options (see PeakFinder)
+    ...DEFAULT_PEAK_OPTIONS,
+    ...DEFAULT_ANALYSIS_OPTIONS.peakOptions,
+
+    // Audio is resampled to this rate before the spectrogram is computed
+    sampleRate: DEFAULT_ANALYSIS_OPTIONS.sampleRate,
+
+    // Spectrogram analysis options (see STFT)
+    stft: TrackAnalyzer.getStftOptions(),
+
+    // Frames per block that peaks are picked from, whether streaming or not
+    chunkFrames: DEFAULT_ANALYSIS_OPTIONS.chunkFrames,
+
+    // Compute the spectrogram and peaks in a Web Worker, where supported
+    useWorker: true,
+
+    // Reveal peaks as the playhead passes them instead of all at once
+    streaming: false,
+
+    // Target zone: frequency bins above and below the anchor...
+    maxDistance: FINGERPRINT_OPTIONS.frequencySpan,
+
+    // ...and frames after it (see Fingerprinter)
+    minTimeDistance: FINGERPRINT_OPTIONS.minTimeOffset,
+    maxTimeDistance: FINGERPRINT_OPTIONS.maxTimeOffset,
+
+    // Maximum number of targets connected to each anchor
+    fanOut: FINGERPRINT_OPTIONS.fanOut,
     
     // Peak drawing options
     peakColor: 'yellow',
@@ -29,41 +81,78 @@ const defaultOptions = {
     
     // Connection drawing options
     connectionColor: 'rgba(255, 255, 0, 0.2)',
-    connectionWidth: 1
+    connectionWidth: 1,
+    showConnections: true,
+
+    // Show each pair's frequencies, time delta and hash on hover
+    tooltips: true,
+
+    // Pixels between the pointer and a connection for it to count as hovered
+    hoverDistance: 6,
+
+    // Target zone highlight options
+    anchorColor: '#4a9eff',
+    targetColor: '#4caf50',
+    targetZoneColor: 'rgba(76, 175, 80, 0.2)'
 }
 
-class ConstellationPlugin extends EventEmitter {
+class ConstellationPlugin extends BasePlugin {
     constructor(options = {}) {
-        super()
-        this.options = { ...defaultOptions, ...options }
+        super({ ...defaultOptions, ...options })
         this.peaks = []
         this.canvas = null
         this.ctx = null
         this.wrapper = null
+        this.width = 0
+        this.height = 0
+        this.resizeObserver = null
         this.isReady = false
-        this.subscriptions = []
         this.name = 'constellation'
         this.frequencies = null
+        this.sampleRate = null
+        this.highlight = null
+        this.stream = null
+        this.analysisClient = null
+        this.analysisController = null
+        this.pairs = []
+        this.hoveredPair = null
+        this.tooltip = null
+        this.fingerprinter = new Fingerprinter({ ...FINGERPRINT_OPTIONS, ...this.getTargetZoneOptions() })
+        this.peakFinder = new PeakFinder(this.options)
+        // Peaks are always picked from a normalized dB spectrogram
+        this.stft = new STFT({ ...this.options.stft, scale: 'db', normalize: true })
     }
 
     static create(options) {
         return new ConstellationPlugin(options)
     }
 
-    _init(wavesurfer) {
-        this.wavesurfer = wavesurfer
+    /**
+     * Translate the plugin's target zone options into Fingerprinter options
+     * @returns {Object} Fingerprinter options
+     */
+    getTargetZoneOptions() {
+        const { minTimeDistance, maxTimeDistance, maxDistance, fanOut } = this.options
+        return {
+            minTimeOffset: minTimeDistance,
+            maxTimeOffset: maxTimeDistance,
+            frequencySpan: maxDistance,
+            fanOut
+        }
+    }
+
+    onInit() {
         if (!this.wavesurfer) {
             throw Error('WaveSurfer is not initialized')
         }
+        if (!this.options.spectrogram) {
+            throw Error('ConstellationPlugin needs the spectrogram plugin to draw over (options.spectrogram)')
+        }
 
-        // Subscribe to wavesurfer events
         this.subscriptions.push(
             this.wavesurfer.on('ready', () => {
-                // Get the spectrogram container
-                const spectrogramPlugin = this.wavesurfer.getActivePlugins()[0]
-                if (!spectrogramPlugin) return
-
-                this.wrapper = spectrogramPlugin.wrapper
+                // The spectrogram creates its wrapper when it is registered
+                this.wrapper = this.options.spectrogram.wrapper
                 if (!this.wrapper) return
 
                 this.createCanvas()
@@ -71,28 +160,56 @@ class ConstellationPlugin extends EventEmitter {
                 this.processAudioData()
             }),
             this.wavesurfer.on('redraw', () => this.redraw()),
-            this.wavesurfer.on('destroy', () => this.clear())
+
+            // Keep streamed peaks in step with playback
+            this.wavesurfer.on('audioprocess', () => {
+                if (this.isReady) {
+                    this.advanceStream()
+                    this.redraw()
+                }
+            }),
+
+            // Jumping ahead reveals everything up to the new position
+            this.wavesurfer.on('seeking', () => {
+                if (this.isReady && this.options.streaming) {
+                    this.advanceStream()
+                    this.redraw()
+                }
+            }),
+
+            // Peaks move with the spectrogram's frequency axis and zoom
+            this.options.spectrogram.on('scale-change', () => this.redraw()),
+            this.options.spectrogram.on('view-change', () => this.redraw()),
+
+            // The spectrogram's own analysis is the first stage of ours when its frames are shared
+            this.options.spectrogram.on('ready', () => {
+                if (this.sharesSpectrogram()) this.processAudioData()
+            }),
+            this.options.spectrogram.on('analysis-progress', (fraction, stage) => {
+                if (this.sharesSpectrogram()) this.emit('analysis-progress', fraction, stage)
+            }),
+            this.options.spectrogram.on('analysis-error', (error) => {
+                if (this.sharesSpectrogram()) this.emit('analysis-error', error)
+            })
         )
+    }
 
-        // Also process on audioprocess to keep peaks in sync during playback
-        this.wavesurfer.on('audioprocess', () => {
-            if (this.isReady) {
-                this.redraw()
-            }
-        })
+    /**
+     * Log analysis details when the debug option is on
+     */
+    log(message, details) {
+        if (this.options.debug) {
+            console.debug(`[constellation] ${message}`, details)
+        }
     }
 
     createCanvas() {
-        if (!this.wrapper) return
+        // Every track load fires 'ready'; the overlay is created once
+        if (!this.wrapper || this.canvas) return
 
         // Create canvas overlay
         this.canvas = document.createElement('canvas')
         this.canvas.classList.add('constellation-overlay')
-        
-        // Match spectrogram dimensions
-        const rect = this.wrapper.getBoundingClientRect()
-        this.canvas.width = rect.width
-        this.canvas.height = rect.height
 
         // Position absolutely over spectrogram
         this.canvas.style.position = 'absolute'
@@ -109,239 +226,689 @@ class ConstellationPlugin extends EventEmitter {
         this.wrapper.style.position = 'relative' // Ensure absolute positioning works
         this.wrapper.appendChild(this.canvas)
 
-        console.log('Canvas created with:', {
-            wrapper: {
-                position: this.wrapper.style.position,
-                width: this.wrapper.clientWidth,
-                height: this.wrapper.clientHeight
-            },
-            canvas: {
-                width: this.canvas.width,
-                height: this.canvas.height,
-                style: {
-                    position: this.canvas.style.position,
-                    top: this.canvas.style.top,
-                    left: this.canvas.style.left,
-                    zIndex: this.canvas.style.zIndex
-                }
-            }
-        })
-        
-        // Handle canvas resizing
+        // The canvas ignores the pointer so clicks still seek, so the pointer is tracked on the wrapper
+        this.onClick = (event) => this.handleClick(event)
+        this.wrapper.addEventListener('click', this.onClick)
+        if (this.options.tooltips) {
+            this.tooltip = document.createElement('div')
+            this.tooltip.className = 'constellation-tooltip'
+            this.tooltip.hidden = true
+            this.wrapper.appendChild(this.tooltip)
+
+            this.onPointerMove = (event) => this.handlePointerMove(event)
+            this.onPointerLeave = () => this.setHoveredPair(null)
+            this.wrapper.addEventListener('mousemove', this.onPointerMove)
+            this.wrapper.addEventListener('mouseleave', this.onPointerLeave)
+        }
+
+        this.updateCanvasSize()
         this.resizeObserver = new ResizeObserver(() => {
             this.updateCanvasSize()
             this.redraw()
         })
         this.resizeObserver.observe(this.wrapper)
+        this.log('Overlay created', { width: this.width, height: this.height })
     }
 
+    /**
+     * Match the canvas to the wrapper; drawing is done in CSS pixels
+     */
     updateCanvasSize() {
         if (!this.wrapper || !this.canvas) return
 
         const rect = this.wrapper.getBoundingClientRect()
         const dpr = window.devicePixelRatio || 1
-        
-        this.canvas.width = rect.width * dpr
-        this.canvas.height = rect.height * dpr
-        this.ctx.scale(dpr, dpr)
+        this.width = rect.width
+        this.height = rect.height
+
+        // Resizing resets the context, so the scale is set rather than accumulated
+        this.canvas.width = Math.round(rect.width * dpr)
+        this.canvas.height = Math.round(rect.height * dpr)
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
     }
 
-    processAudioData() {
+    /**
+     * Whether the spectrogram plugin computes the same STFT as this overlay
+     * needs, so its frames can be used instead of computing them again. It
+     * never resamples, so the track must already be at the analysis rate.
+     * @returns {boolean} Whether the frames are shared
+     */
+    sharesSpectrogram() {
+        const { stft } = this.options.spectrogram
+        const decodedData = this.wavesurfer && this.wavesurfer.getDecodedData()
+        if (!stft || !decodedData || decodedData.sampleRate !== this.options.sampleRate) return false
+
+        const ours = this.stft.options
+        const theirs = stft.options
+        return [...new Set([...Object.keys(ours), ...Object.keys(theirs)])]
+            .every(key => JSON.stringify(ours[key]) === JSON.stringify(theirs[key]))
+    }
+
+    async processAudioData() {
         if (!this.isReady || !this.wavesurfer) return
 
         const decodedData = this.wavesurfer.getDecodedData()
         if (!decodedData) return
 
-        // Get the spectrogram plugin
-        const spectrogramPlugin = this.wavesurfer.getActivePlugins()[0]
-        if (!spectrogramPlugin || !spectrogramPlugin.getFrequencies) return
-
-        // Get raw frequency data from spectrogram plugin
-        const frequencies = spectrogramPlugin.getFrequencies(decodedData)
-        if (!frequencies || !frequencies.length) return
+        // Shared frames arrive with the spectrogram's 'ready' event, which calls this again
+        const { spectrogram } = this.options
+        const shared = this.sharesSpectrogram()
+        if (shared && !spectrogram.frames) return
+
+        // Only the latest track's analysis matters
+        this.cancelAnalysis()
+        const controller = new AbortController()
+        this.analysisController = controller
+
+        // Otherwise compute our own spectrogram as TrackAnalyzer does, so peak
+        // positions don't depend on how the spectrogram plugin renders colors
+        const { sampleRate } = this.options
+        const peakFinderOptions = this.peakFinder.options
+        const peakOptions = this.getPeakOptions()
+        const useWorker = this.options.useWorker && typeof Worker !== 'undefined'
+        const job = {
+            signal: controller.signal,
+            onProgress: (fraction, stage) => this.emit('analysis-progress', fraction, stage)
+        }
+        let frames
+        let workerPeaks = null
+        try {
+            if (shared) {
+                frames = spectrogram.frames
+                if (useWorker && !this.options.streaming) {
+                    this.analysisClient = this.analysisClient || new AnalysisClient()
+                    workerPeaks = (await this.analysisClient.findPeaks(frames, peakOptions, job)).peaks
+                }
+            } else {
+                const samples = Resampler.resample(TrackAnalyzer.toMono(decodedData), decodedData.sampleRate, sampleRate)
+                if (useWorker) {
+                    this.analysisClient = this.analysisClient || new AnalysisClient()
+                    const result = await this.analysisClient.computeSpectrogram(
+                        samples,
+                        sampleRate,
+                        this.stft.options,
+                        this.options.streaming ? null : peakOptions,
+                        job
+                    )
+                    frames = result.frames
+                    workerPeaks = result.peaks
+                } else {
+                    frames = this.stft.compute(samples, sampleRate)
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.log('Analysis failed', error)
+                this.emit('analysis-error', error)
+            }
+            return
+        } finally {
+            if (this.analysisController === controller) {
+                this.analysisController = null
+            }
+        }
+        if (controller.signal.aborted || !frames.length) return
 
-        // Get first channel's data (format is [channel][sample][frequency])
-        const channelData = frequencies[0]
-        
-        console.log('Got frequencies:', {
-            channels: frequencies.length,
-            timeFrames: channelData.length,
-            frequencyBins: channelData[0].length,
-            sampleTimeSlice: channelData[0].slice(0, 5)
+        this.log('Computed spectrogram', {
+            sampleRate,
+            timeFrames: frames.length,
+            frequencyBins: frames[0].length
         })
 
         // Store frequencies for scaling in redraw
-        this.frequencies = channelData
-
-        this.findPeaks(channelData)
+        this.frequencies = frames
+        this.sampleRate = sampleRate
+
+        if (this.options.streaming) {
+            this.startStream()
+        } else {
+            // Peaks from the worker are stale if the options changed meanwhile
+            if (workerPeaks && peakFinderOptions === this.peakFinder.options) {
+                this.updatePeaks(workerPeaks)
+            } else {
+                this.findPeaks(frames)
+            }
+            this.emit('peaks-ready', this.peaks)
+        }
         this.redraw()
     }
 
-    findPeaks(frequencies) {
-        if (!frequencies || !frequencies.length) return
+    /**
+     * Stop a spectrogram analysis that is still running
+     */
+    cancelAnalysis() {
+        if (this.analysisController) {
+            this.analysisController.abort()
+            this.analysisController = null
+        }
+    }
 
-        const peaks = []
-        const { minPeakMagnitude } = this.options
-        
-        // Get the frequency data
-        const freqData = frequencies
-        const numTimeFrames = freqData.length
-        const numFreqBins = freqData[0].length
-
-        // Calculate global statistics for adaptive thresholding
-        let maxMagnitude = 0
-        let totalMagnitude = 0
-        let magnitudeCount = 0
-
-        for (let timeIndex = 0; timeIndex < numTimeFrames; timeIndex++) {
-            for (let freqIndex = 0; freqIndex < numFreqBins; freqIndex++) {
-                const magnitude = freqData[timeIndex][freqIndex] / 255
-                if (magnitude > maxMagnitude) maxMagnitude = magnitude
-                totalMagnitude += magnitude
-                magnitudeCount++
-            }
+    /**
+     * Switch between revealing peaks during playback and showing them all
+     * @param {boolean} enabled - Whether to stream
+     */
+    setStreaming(enabled) {
+        this.options.streaming = enabled
+        if (!this.frequencies) return
+
+        this.highlight = null
+        if (enabled) {
+            this.startStream()
+        } else {
+            this.stream = null
+            this.findPeaks(this.frequencies)
+            this.emit('peaks-ready', this.peaks)
         }
+        this.redraw()
+    }
 
-        const avgMagnitude = totalMagnitude / magnitudeCount
-        const dynamicMinMagnitude = Math.max(minPeakMagnitude, avgMagnitude * 1.2)
+    startStream() {
+        this.stream = new StreamingPeakFinder(this.getPeakOptions())
+        this.updatePeaks([])
+        this.emit('peaks-update', this.peaks)
+        this.advanceStream()
+    }
 
-        // Adjust region size based on audio content
-        const energyLevel = avgMagnitude / maxMagnitude
-        const baseRegionSize = 8
-        const minRegions = 20
-        const maxRegions = 40
-        const timeRegions = Math.max(minRegions, Math.min(maxRegions, Math.floor(baseRegionSize / energyLevel)))
-        const freqRegions = Math.max(minRegions, Math.min(maxRegions, Math.floor(baseRegionSize / energyLevel)))
-        
-        const timeRegionSize = Math.floor(numTimeFrames / timeRegions)
-        const freqRegionSize = Math.floor(numFreqBins / freqRegions)
-
-        // For each region
-        for (let timeRegion = 0; timeRegion < timeRegions; timeRegion++) {
-            for (let freqRegion = 0; freqRegion < freqRegions; freqRegion++) {
-                const timeStart = timeRegion * timeRegionSize
-                const timeEnd = Math.min((timeRegion + 1) * timeRegionSize, numTimeFrames)
-                const freqStart = freqRegion * freqRegionSize
-                const freqEnd = Math.min((freqRegion + 1) * freqRegionSize, numFreqBins)
-
-                let maxMagnitude = 0
-                let maxPeak = null
-                let regionAvgMagnitude = 0
-                let regionCount = 0
-
-                // First pass: calculate region statistics
-                for (let timeIndex = timeStart; timeIndex < timeEnd; timeIndex++) {
-                    for (let freqIndex = freqStart; freqIndex < freqEnd; freqIndex++) {
-                        const magnitude = freqData[timeIndex][freqIndex] / 255
-                        regionAvgMagnitude += magnitude
-                        regionCount++
-                    }
-                }
-                regionAvgMagnitude /= regionCount
-
-                // Only process region if it has significant energy
-                if (regionAvgMagnitude > dynamicMinMagnitude * 0.3) {
-                    // Second pass: find peaks
-                    for (let timeIndex = timeStart; timeIndex < timeEnd; timeIndex++) {
-                        for (let freqIndex = freqStart; freqIndex < freqEnd; freqIndex++) {
-                            const magnitude = freqData[timeIndex][freqIndex] / 255
-
-                            // Skip if magnitude is too low relative to both global and local thresholds
-                            if (magnitude < dynamicMinMagnitude || magnitude < regionAvgMagnitude * 1.1) continue
-
-                            // Check if it's higher than ALL neighbors in a small window
-                            let isHighest = true
-                            for (let t = -2; t <= 2 && isHighest; t++) {
-                                for (let f = -2; f <= 2 && isHighest; f++) {
-                                    if (t === 0 && f === 0) continue
-                                    
-                                    const neighborTime = timeIndex + t
-                                    const neighborFreq = freqIndex + f
-                                    
-                                    if (neighborTime >= 0 && neighborTime < numTimeFrames && 
-                                        neighborFreq >= 0 && neighborFreq < numFreqBins) {
-                                        const neighborMag = freqData[neighborTime][neighborFreq] / 255
-                                        if (neighborMag >= magnitude) {
-                                            isHighest = false
-                                            break
-                                        }
-                                    }
-                                }
-                            }
-
-                            if (isHighest && magnitude > maxMagnitude) {
-                                maxMagnitude = magnitude
-                                maxPeak = {
-                                    frequency: freqIndex,
-                                    magnitude: magnitude,
-                                    time: timeIndex
-                                }
-                            }
-                        }
-                    }
-
-                    // Add the highest peak from this region if we found one
-                    if (maxPeak) {
-                        peaks.push(maxPeak)
-                    }
-                }
-            }
+    /**
+     * Feed the streaming detector the frames up to the playhead, plus one
+     * block ahead so peaks are already known when the playhead reaches them
+     */
+    advanceStream() {
+        if (!this.stream || !this.frequencies) return
+
+        const numTimeFrames = this.frequencies.length
+        const target = Math.min(numTimeFrames, this.getPlayheadFrame() + this.options.chunkFrames)
+        if (target <= this.stream.frameCount) return
+
+        const newPeaks = this.stream.push(this.frequencies.slice(this.stream.frameCount, target))
+        const finished = target === numTimeFrames
+        if (finished) {
+            newPeaks.push(...this.stream.flush())
         }
 
-        if (peaks.length > 0) {
-            console.log('Peak statistics:', {
-                totalPeaks: peaks.length,
-                timeRegions,
-                freqRegions,
-                avgMagnitude: avgMagnitude.toFixed(3),
-                dynamicMinMagnitude: dynamicMinMagnitude.toFixed(3),
-                timeRange: {
-                    min: Math.min(...peaks.map(p => p.time)),
-                    max: Math.max(...peaks.map(p => p.time))
-                },
-                freqRange: {
-                    min: Math.min(...peaks.map(p => p.frequency)),
-                    max: Math.max(...peaks.map(p => p.frequency))
-                }
-            })
+        if (newPeaks.length) {
+            this.updatePeaks(this.peaks.concat(newPeaks))
+            this.emit('peaks-update', this.peaks)
+        }
+        if (finished) {
+            this.stream = null
+            this.emit('peaks-ready', this.peaks)
         }
+    }
+
+    /**
+     * @returns {number} Spectrogram frame under the playhead
+     */
+    getPlayheadFrame() {
+        const duration = this.wavesurfer.getDuration()
+        if (!duration || !this.frequencies) return 0
+        return (this.wavesurfer.getCurrentTime() / duration) * this.frequencies.length
+    }
+
+    /**
+     * Peaks that should currently be drawn
+     * @returns {Array<Object>} All peaks, or in streaming mode those the playhead has passed
+     */
+    getVisiblePeaks() {
+        if (!this.options.streaming) return this.peaks
+
+        const playheadFrame = this.getPlayheadFrame()
+        return this.peaks.filter(peak => peak.time <= playheadFrame)
+    }
 
+    findPeaks(frequencies) {
+        if (!frequencies || !frequencies.length) return
+
+        const peaks = TrackAnalyzer.findPeaksInBlocks(this.peakFinder, frequencies, this.options.chunkFrames)
+        const stats = this.peakFinder.stats
+        this.log('Found peaks', {
+            totalPeaks: peaks.length,
+            // Statistics of the last block
+            timeRegions: stats.timeRegions,
+            freqRegions: stats.freqRegions,
+            avgMagnitude: stats.avgMagnitude,
+            dynamicMinMagnitude: stats.dynamicMinMagnitude
+        })
+
+        this.updatePeaks(peaks)
+    }
+
+    /**
+     * @returns {Object} PeakFinder options with the block size, as the analysis worker takes them
+     */
+    getPeakOptions() {
+        return { ...this.peakFinder.options, chunkFrames: this.options.chunkFrames }
+    }
+
+    /**
+     * Replace the peaks and pair them up within the target zone
+     * @param {Array<Object>} peaks - Constellation peaks
+     */
+    updatePeaks(peaks) {
         this.peaks = peaks
+        this.pairs = this.fingerprinter.generate(peaks)
+        this.setHoveredPair(null)
+        this.emit('pairs-ready', this.pairs)
+    }
+
+    /**
+     * Change the target zone and re-pair the current peaks
+     * @param {Object} options - maxDistance, minTimeDistance, maxTimeDistance and/or fanOut
+     */
+    setTargetZone(options) {
+        Object.assign(this.options, options)
+        Object.assign(this.fingerprinter.options, this.getTargetZoneOptions())
+        if (!this.frequencies) return
+
+        this.highlight = null
+        this.updatePeaks(this.peaks)
+        this.redraw()
+    }
+
+    /**
+     * Pairs whose target the playhead has passed, or all pairs when not streaming
+     * @returns {Array<Object>} Pairs as {hash, anchorTime, anchor, target}
+     */
+    getVisiblePairs() {
+        if (!this.options.streaming) return this.pairs
+
+        const playheadFrame = this.getPlayheadFrame()
+        return this.pairs.filter(pair => pair.target.time <= playheadFrame)
     }
 
     redraw() {
-        if (!this.ctx || !this.canvas || !this.peaks || !this.peaks.length) return
+        if (!this.ctx || !this.canvas) return
 
         // Clear the canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
-        
-        const numTimeFrames = this.frequencies.length
-        const numFreqBins = this.frequencies[0].length
-        
+        this.ctx.clearRect(0, 0, this.width, this.height)
+        if (!this.frequencies || !this.peaks || !this.peaks.length) return
+
+        const { toX, toY } = this.getScale(this.width, this.height)
+
+        // Draw anchor → target connections underneath the peaks
+        if (this.options.showConnections) {
+            this.ctx.strokeStyle = this.options.connectionColor
+            this.ctx.lineWidth = this.options.connectionWidth
+            this.ctx.beginPath()
+            this.getVisiblePairs().forEach(({ anchor, target }) => {
+                this.ctx.moveTo(toX(anchor.time), toY(anchor.frequency))
+                this.ctx.lineTo(toX(target.time), toY(target.frequency))
+            })
+            this.ctx.stroke()
+        }
+
         // Draw peaks
         this.ctx.fillStyle = this.options.peakColor
-        this.peaks.forEach(peak => {
-            // Scale coordinates to match spectrogram dimensions exactly
-            const x = (peak.time / numTimeFrames) * this.canvas.width
-            // Invert y-coordinate since canvas 0 is at top but frequency 0 is at bottom
-            const y = (1 - peak.frequency / numFreqBins) * this.canvas.height
+        this.getVisiblePeaks().forEach(peak => {
+            this.ctx.beginPath()
+            this.ctx.arc(toX(peak.time), toY(peak.frequency), this.options.peakRadius, 0, 2 * Math.PI)
+            this.ctx.fill()
+        })
+
+        if (this.highlight) {
+            this.drawHighlight(toX, toY)
+        }
+        if (this.hoveredPair) {
+            this.drawPair(this.hoveredPair.anchor, [this.hoveredPair.target], toX, toY)
+        }
+    }
+
+    /**
+     * Draw an anchor, its targets and the connections between them in the
+     * anchor and target colours
+     */
+    drawPair(anchor, targets, toX, toY) {
+        const radius = this.options.peakRadius * 2
+
+        this.ctx.strokeStyle = this.options.targetColor
+        this.ctx.lineWidth = this.options.connectionWidth * 2
+        this.ctx.beginPath()
+        targets.forEach(target => {
+            this.ctx.moveTo(toX(anchor.time), toY(anchor.frequency))
+            this.ctx.lineTo(toX(target.time), toY(target.frequency))
+        })
+        this.ctx.stroke()
 
+        this.ctx.fillStyle = this.options.targetColor
+        targets.forEach(target => {
             this.ctx.beginPath()
-            this.ctx.arc(x, y, this.options.peakRadius, 0, 2 * Math.PI)
+            this.ctx.arc(toX(target.time), toY(target.frequency), radius, 0, 2 * Math.PI)
             this.ctx.fill()
         })
+
+        this.ctx.fillStyle = this.options.anchorColor
+        this.ctx.beginPath()
+        this.ctx.arc(toX(anchor.time), toY(anchor.frequency), radius, 0, 2 * Math.PI)
+        this.ctx.fill()
+    }
+
+    /**
+     * Map spectrogram frames and bins to pixels. Bins are placed on the
+     * spectrogram's frequency axis and frames within its visible time range
+     * when it has them, otherwise linearly over the whole track.
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     * @returns {Object} toX(time) and toY(frequency) functions
+     */
+    getScale(width, height) {
+        const numTimeFrames = this.frequencies.length
+        const numFreqBins = this.frequencies[0].length
+        const { frequencyScale, view = { start: 0, end: 1 } } = this.options.spectrogram
+        const span = view.end - view.start
+        return {
+            toX: (time) => ((time / numTimeFrames - view.start) / span) * width,
+            // Frequency 0 is at the bottom
+            toY: frequencyScale
+                ? (frequency) => (1 - frequencyScale.toPosition(this.getBinFrequency(frequency))) * height
+                : (frequency) => (1 - frequency / numFreqBins) * height
+        }
+    }
+
+    /**
+     * Pointer position in CSS pixels within the wrapper, with the mapping for it
+     * @param {MouseEvent} event - Pointer event
+     * @returns {Object} x, y, toX and toY
+     */
+    getPointer(event) {
+        const rect = this.wrapper.getBoundingClientRect()
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top,
+            ...this.getScale(rect.width, rect.height)
+        }
+    }
+
+    handleClick(event) {
+        if (!this.frequencies || !this.peaks.length) return
+
+        const { x, y, toX, toY } = this.getPointer(event)
+        let nearest = null
+        let nearestDistance = this.options.hoverDistance
+        this.getVisiblePeaks().forEach(peak => {
+            const distance = Math.hypot(toX(peak.time) - x, toY(peak.frequency) - y)
+            if (distance <= nearestDistance) {
+                nearest = peak
+                nearestDistance = distance
+            }
+        })
+
+        if (nearest) {
+            this.emit('peak-click', nearest, event)
+        }
+    }
+
+    handlePointerMove(event) {
+        if (!this.frequencies || !this.pairs.length) return
+
+        // Hit-test in CSS pixels
+        const { x, y, toX, toY } = this.getPointer(event)
+
+        let nearest = null
+        let nearestDistance = this.options.hoverDistance
+        this.getVisiblePairs().forEach(pair => {
+            const distance = ConstellationPlugin.distanceToSegment(
+                x, y,
+                toX(pair.anchor.time), toY(pair.anchor.frequency),
+                toX(pair.target.time), toY(pair.target.frequency)
+            )
+            if (distance <= nearestDistance) {
+                nearest = pair
+                nearestDistance = distance
+            }
+        })
+
+        this.setHoveredPair(nearest, x, y)
+    }
+
+    setHoveredPair(pair, x = 0, y = 0) {
+        const changed = pair !== this.hoveredPair
+        this.hoveredPair = pair
+
+        if (this.tooltip) {
+            this.tooltip.hidden = !pair
+            if (pair) {
+                this.tooltip.textContent = this.describePair(pair)
+                // Keep the tooltip inside the wrapper
+                const flip = x > this.wrapper.clientWidth / 2
+                this.tooltip.style.left = flip ? '' : `${x + 12}px`
+                this.tooltip.style.right = flip ? `${this.wrapper.clientWidth - x + 12}px` : ''
+                this.tooltip.style.top = `${Math.max(0, y - 36)}px`
+            }
+        }
+        if (changed) {
+            this.redraw()
+        }
+    }
+
+    /**
+     * @param {Object} pair - Pair as {hash, anchor, target}
+     * @returns {string} The pair's (f1, f2, Δt) and hash
+     */
+    describePair({ hash, anchor, target }) {
+        const deltaTime = target.time - anchor.time
+        const duration = this.wavesurfer ? this.wavesurfer.getDuration() : 0
+        const milliseconds = duration ? Math.round((deltaTime * duration * 1000) / this.frequencies.length) : null
+        const hz = (bin) => Math.round(this.getBinFrequency(bin))
+
+        return `f1 ${anchor.frequency} (${hz(anchor.frequency)} Hz), ` +
+            `f2 ${target.frequency} (${hz(target.frequency)} Hz), ` +
+            `Δt ${deltaTime}${milliseconds !== null ? ` (${milliseconds} ms)` : ''}, ` +
+            `hash ${Fingerprinter.formatHash(hash)}`
+    }
+
+    static distanceToSegment(x, y, x1, y1, x2, y2) {
+        const dx = x2 - x1
+        const dy = y2 - y1
+        const lengthSquared = dx * dx + dy * dy
+        const t = lengthSquared ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared)) : 0
+        return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy))
+    }
+
+    /**
+     * Change peak picking options and re-run it on the current spectrogram
+     * @param {Object} options - PeakFinder options or chunkFrames to change
+     */
+    setPeakOptions(options) {
+        Object.assign(this.options, options)
+        this.peakFinder.options = { ...this.peakFinder.options, ...options }
+        if (!this.frequencies) return
+
+        this.highlight = null
+        if (this.options.streaming) {
+            this.startStream()
+        } else {
+            this.findPeaks(this.frequencies)
+            this.emit('peaks-ready', this.peaks)
+        }
+        this.redraw()
+    }
+
+    /**
+     * @returns {Array<Object>} Peaks of the current track as {time, frequency, magnitude}
+     */
+    getPeaks() {
+        return [...this.peaks]
+    }
+
+    /**
+     * @returns {Array<Object>} Pairs of the current peaks as {hash, anchorTime, anchor, target}
+     */
+    getPairs() {
+        return [...this.pairs]
+    }
+
+    /**
+     * Peaks and pairs drawn inside a region of the spectrogram
+     * @param {Object} region - start and end as fractions of the track, lowFrequency and highFrequency in Hz
+     * @returns {Object} peaks as {time, frequency, magnitude} in seconds and Hz, sorted by time,
+     *   and pairs as {hash, anchor, target} with both peaks inside the region
+     */
+    getRegionContents({ start, end, lowFrequency, highFrequency }) {
+        if (!this.frequencies) return { peaks: [], pairs: [] }
+
+        const numTimeFrames = this.frequencies.length
+        const secondsPerFrame = this.stft.secondsPerFrame(this.sampleRate)
+        const inside = (peak) => {
+            const position = peak.time / numTimeFrames
+            const frequency = this.getBinFrequency(peak.frequency)
+            return position >= start && position <= end && frequency >= lowFrequency && frequency <= highFrequency
+        }
+        const describe = (peak) => ({
+            time: peak.time * secondsPerFrame,
+            frequency: this.getBinFrequency(peak.frequency),
+            magnitude: peak.magnitude
+        })
+
+        return {
+            peaks: this.getVisiblePeaks().filter(inside).map(describe).sort((a, b) => a.time - b.time),
+            pairs: this.getVisiblePairs()
+                .filter(({ anchor, target }) => inside(anchor) && inside(target))
+                .map(({ hash, anchor, target }) => ({ hash, anchor: describe(anchor), target: describe(target) }))
+                .sort((a, b) => a.anchor.time - b.anchor.time)
+        }
+    }
+
+    /**
+     * Change any options and redo only the work they affect
+     * @param {Object} options - Options to change; stft settings are merged
+     */
+    setOptions({ spectrogram, stft, sampleRate, streaming, ...options }) {
+        if (spectrogram && spectrogram !== this.options.spectrogram) {
+            throw Error('The spectrogram of a registered ConstellationPlugin cannot be changed')
+        }
+
+        const peakOptions = {}
+        const zoneOptions = {}
+        Object.entries(options).forEach(([key, value]) => {
+            if (key in DEFAULT_PEAK_OPTIONS || key === 'chunkFrames') {
+                peakOptions[key] = value
+            } else if (TARGET_ZONE_OPTIONS.includes(key)) {
+                zoneOptions[key] = value
+            } else {
+                this.options[key] = value
+            }
+        })
+
+        if (Object.keys(zoneOptions).length) {
+            this.setTargetZone(zoneOptions)
+        }
+        if (streaming !== undefined && streaming !== this.options.streaming) {
+            this.setStreaming(streaming)
+        }
+
+        if (stft || sampleRate) {
+            // A new spectrogram means new peaks, whatever else changed
+            Object.assign(this.options, peakOptions)
+            this.peakFinder.options = { ...this.peakFinder.options, ...peakOptions }
+            this.options.sampleRate = sampleRate || this.options.sampleRate
+            this.options.stft = { ...this.options.stft, ...stft }
+            this.stft = new STFT({ ...this.options.stft, scale: 'db', normalize: true })
+            this.processAudioData()
+        } else if (Object.keys(peakOptions).length) {
+            this.setPeakOptions(peakOptions)
+        } else {
+            this.redraw()
+        }
+    }
+
+    /**
+     * Frequency of a spectrogram bin of the current track
+     * @param {number} bin - Frequency bin
+     * @returns {number} Frequency in Hz
+     */
+    getBinFrequency(bin) {
+        return this.sampleRate ? this.stft.binFrequency(bin, this.sampleRate) : 0
+    }
+
+    /**
+     * Highlight an anchor, its target zone and the targets it pairs with
+     * @param {Object|null} anchor - Anchor peak, or null to remove the highlight
+     * @param {Object} zone - Zone bounds as returned by Fingerprinter.getTargetZone
+     * @param {Array<Object>} targets - Peaks paired with the anchor
+     */
+    highlightTargetZone(anchor, zone, targets = []) {
+        this.highlight = anchor ? { anchor, zone, targets } : null
+        this.redraw()
+    }
+
+    drawHighlight(toX, toY) {
+        const { anchor, zone } = this.highlight
+        const numFreqBins = this.frequencies[0].length
+
+        // While streaming, targets appear once the playhead reaches them
+        const playheadFrame = this.options.streaming ? this.getPlayheadFrame() : Infinity
+        if (anchor.time > playheadFrame) return
+        const targets = this.highlight.targets.filter(target => target.time <= playheadFrame)
+
+        // Zone bounds are inclusive, so extend to the end of the last frame and bin
+        const zoneTop = toY(Math.min(zone.freqEnd + 1, numFreqBins))
+        this.ctx.fillStyle = this.options.targetZoneColor
+        this.ctx.fillRect(
+            toX(zone.timeStart),
+            zoneTop,
+            toX(zone.timeEnd + 1) - toX(zone.timeStart),
+            toY(zone.freqStart) - zoneTop
+        )
+
+        this.drawPair(anchor, targets, toX, toY)
     }
 
     clear() {
+        this.cancelAnalysis()
+
         // Clear canvas
         if (this.ctx && this.canvas) {
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
+            this.ctx.clearRect(0, 0, this.width, this.height)
         }
         // Clear data
         this.peaks = []
+        this.pairs = []
+        this.hoveredPair = null
+        if (this.tooltip) {
+            this.tooltip.hidden = true
+        }
         this.frequencies = null
+        this.sampleRate = null
+        this.highlight = null
+        this.stream = null
         this.isReady = false
     }
+
+    /**
+     * Stop analysis and remove the overlay, its listeners and the worker.
+     * WaveSurfer calls this when it is destroyed.
+     */
+    destroy() {
+        this.clear()
+        if (this.analysisClient) {
+            this.analysisClient.terminate()
+            this.analysisClient = null
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect()
+            this.resizeObserver = null
+        }
+        if (this.wrapper) {
+            this.wrapper.removeEventListener('click', this.onClick)
+            if (this.onPointerMove) {
+                this.wrapper.removeEventListener('mousemove', this.onPointerMove)
+                this.wrapper.removeEventListener('mouseleave', this.onPointerLeave)
+            }
+        }
+        if (this.canvas) {
+            this.canvas.remove()
+        }
+        if (this.tooltip) {
+            this.tooltip.remove()
+        }
+        this.canvas = null
+        this.ctx = null
+        this.tooltip = null
+        this.wrapper = null
+
+        // Emits 'destroy' and unsubscribes from WaveSurfer
+        super.destroy()
+    }
 }
 
 export default ConstellationPlugin
\ No newline at end of file
@@ -0,0 +1,679 @@
+/**
+ * Spectrogram plugin for WaveSurfer
+ *
+ * Renders the track's spectrogram on a linear, logarithmic, mel or
+ * constant-Q frequency axis, with the axis labelled in Hz and note names.
+ * Other plugins that draw over it, like the constellation overlay, read
+ * frequencyScale and view to place frequencies and times the same way, and
+ * may reuse its frames instead of computing the same STFT again.
+ *
+ * The visible time range follows the WaveSurfer instance's zoom and scroll.
+ * The wheel or a pinch zooms around the pointer, dragging pans and dragging
+ * with Shift held selects a region.
+ *
+ * Usage:
+ *   const spectrogram = wavesurfer.registerPlugin(SpectrogramPlugin.create({ container: '#spectrogram', scale: 'log' }))
+ *   spectrogram.setScale('mel')
+ *   spectrogram.on('select', (region) => ...)
+ *
+ * Events:
+ *   ready ()                         - the spectrogram of the track is drawn
+ *   scale-change (frequencyScale)    - the frequency axis changed
+ *   view-change (view)               - the visible time range changed
+ *   select (region)                  - a region was selected, or null when cleared
+ *   click (relativeX)                - the spectrogram was clicked
+ *   analysis-progress (fraction, stage)
+ *   analysis-error (error)
+ */
+
+import BasePlugin from 'https://unpkg.com/wavesurfer.js@7/dist/base-plugin.js'
+import { STFT } from '../utils/stft.js'
+import { FrequencyScale } from '../utils/frequency-scale.js'
+import { TrackAnalyzer } from '../utils/track-analyzer.js'
+import { AnalysisClient } from '../workers/analysis-client.js'
+
+// Dark to bright, so white constellation peaks stay visible on top
+const COLOR_STOPS = [
+    [0, [0, 0, 4]],
+    [0.25, [59, 15, 112]],
+    [0.5, [140, 41, 129]],
+    [0.75, [222, 73, 104]],
+    [0.9, [254, 159, 109]],
+    [1, [252, 253, 191]]
+]
+
+// Pixels the pointer must move before a press counts as a drag
+const DRAG_THRESHOLD = 4
+
+// Zoom factor per pixel of wheel movement
+const WHEEL_ZOOM_SPEED = 0.002
+
+const defaultOptions = {
+    // Element or selector the spectrogram is rendered into; defaults to below the waveform
+    container: null,
+
+    // Height in CSS pixels
+    height: 200,
+
+    // Frequency axis: 'linear', 'log', 'mel' or 'cqt' (see FREQUENCY_SCALES)
+    scale: 'linear',
+
+    // Bottom of the axis in Hz; null for the scale's default
+    minFrequency: null,
+
+    // Rows per octave of the constant-Q axis
+    binsPerOctave: 24,
+
+    // Spectrogram analysis options (see STFT)
+    stft: {
+        windowSize: 1024,
+        hopSize: 256,
+        window: 'hann',
+        rangeDB: 80
+    },
+
+    // Compute the spectrogram in a Web Worker, where supported
+    useWorker: true,
+
+    // Closest zoom, in pixels per second
+    maxPxPerSec: 1000,
+
+    // Region selection colours
+    selectionColor: 'rgba(74, 158, 255, 0.2)',
+    selectionBorderColor: '#4a9eff',
+
+    // Draw the frequency axis labels
+    labels: true,
+    labelsColor: 'rgba(255, 255, 255, 0.85)',
+    labelsBackground: 'rgba(0, 0, 0, 0.35)',
+    tickColor: 'rgba(255, 255, 255, 0.2)'
+}
+
+class SpectrogramPlugin extends BasePlugin {
+    constructor(options = {}) {
+        super({ ...defaultOptions, ...options })
+        this.name = 'spectrogram'
+        this.wrapper = null
+        this.canvas = null
+        this.labelsCanvas = null
+        // Rendered view, rebuilt when the visible range, width or scale changes
+        this.image = null
+        this.rows = null
+        this.frames = null
+        this.sampleRate = null
+        this.frequencyScale = null
+        this.analysisClient = null
+        this.analysisController = null
+        this.resizeObserver = null
+        // Visible part of the track, as fractions of its duration
+        this.view = { start: 0, end: 1 }
+        this.selection = null
+        this.pointers = new Map()
+        this.gesture = null
+        this.dragged = false
+        // Drawn in the same normalized dB as the constellation's peak picking
+        this.stft = new STFT({ ...this.options.stft, scale: 'db', normalize: true })
+        this.colors = SpectrogramPlugin.createColorMap()
+    }
+
+    static create(options) {
+        return new SpectrogramPlugin(options)
+    }
+
+    onInit() {
+        if (!this.wavesurfer) {
+            throw Error('WaveSurfer is not initialized')
+        }
+
+        // Created here so plugins registered after this one find the wrapper
+        this.createWrapper()
+
+        this.subscriptions.push(
+            this.wavesurfer.on('load', () => this.clear()),
+            this.wavesurfer.on('ready', () => this.processAudioData()),
+            this.wavesurfer.on('zoom', () => this.updateView()),
+            this.wavesurfer.on('scroll', () => this.updateView()),
+            this.wavesurfer.on('redraw', () => {
+                this.updateView()
+                this.draw()
+            })
+        )
+    }
+
+    createWrapper() {
+        const { container } = this.options
+        const parent = typeof container === 'string' ? document.querySelector(container) : container
+
+        this.wrapper = document.createElement('div')
+        this.wrapper.className = 'spectrogram-view'
+        this.wrapper.style.position = 'relative'
+        this.wrapper.style.height = `${this.options.height}px`
+        this.wrapper.style.cursor = 'grab'
+        // Vertical swipes still scroll the page; everything else is ours
+        this.wrapper.style.touchAction = 'pan-y'
+
+        this.canvas = document.createElement('canvas')
+        this.canvas.className = 'spectrogram-canvas'
+        this.labelsCanvas = document.createElement('canvas')
+        this.labelsCanvas.className = 'spectrogram-labels'
+        ;[this.canvas, this.labelsCanvas].forEach(canvas => {
+            canvas.style.position = 'absolute'
+            canvas.style.top = '0'
+            canvas.style.left = '0'
+            canvas.style.width = '100%'
+            canvas.style.height = '100%'
+            canvas.style.pointerEvents = 'none'
+        })
+        // Labels and the selection stay above overlays drawn by other plugins
+        this.labelsCanvas.style.zIndex = '101'
+        this.wrapper.append(this.canvas, this.labelsCanvas)
+
+        if (parent) {
+            parent.appendChild(this.wrapper)
+        } else {
+            this.wavesurfer.getWrapper().after(this.wrapper)
+        }
+
+        // Registered before other plugins' listeners, so a drag's click can be swallowed
+        this.onClick = (event) => {
+            if (this.dragged) {
+                event.stopImmediatePropagation()
+                this.dragged = false
+                return
+            }
+            const relativeX = this.toAxis(event).position
+            this.emit('click', relativeX)
+            this.wavesurfer.seekTo(relativeX)
+        }
+        this.onPointerDown = (event) => this.handlePointerDown(event)
+        this.onPointerMove = (event) => this.handlePointerMove(event)
+        this.onPointerUp = (event) => this.handlePointerUp(event)
+        this.onWheel = (event) => this.handleWheel(event)
+        this.wrapper.addEventListener('click', this.onClick)
+        this.wrapper.addEventListener('pointerdown', this.onPointerDown)
+        this.wrapper.addEventListener('pointermove', this.onPointerMove)
+        this.wrapper.addEventListener('pointerup', this.onPointerUp)
+        this.wrapper.addEventListener('pointercancel', this.onPointerUp)
+        this.wrapper.addEventListener('wheel', this.onWheel, { passive: false })
+
+        this.resizeObserver = new ResizeObserver(() => this.draw())
+        this.resizeObserver.observe(this.wrapper)
+    }
+
+    async processAudioData() {
+        const decodedData = this.wavesurfer.getDecodedData()
+        if (!decodedData) return
+
+        // Only the latest track's spectrogram matters
+        this.cancelAnalysis()
+        const controller = new AbortController()
+        this.analysisController = controller
+
+        // The mono mix, as the fingerprints are made from
+        const samples = TrackAnalyzer.toMono(decodedData)
+        let frames
+        try {
+            if (this.options.useWorker && typeof Worker !== 'undefined') {
+                this.analysisClient = this.analysisClient || new AnalysisClient()
+                const result = await this.analysisClient.computeSpectrogram(
+                    samples,
+                    decodedData.sampleRate,
+                    this.stft.options,
+                    null,
+                    {
+                        signal: controller.signal,
+                        onProgress: (fraction, stage) => this.emit('analysis-progress', fraction, stage)
+                    }
+                )
+                frames = result.frames
+            } else {
+                frames = this.stft.compute(samples, decodedData.sampleRate)
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.emit('analysis-error', error)
+            }
+            return
+        } finally {
+            if (this.analysisController === controller) {
+                this.analysisController = null
+            }
+        }
+        if (controller.signal.aborted || !frames.length) return
+
+        this.frames = frames
+        this.sampleRate = decodedData.sampleRate
+        this.updateScale()
+        this.emit('ready')
+    }
+
+    /**
+     * Stop a spectrogram analysis that is still running
+     */
+    cancelAnalysis() {
+        if (this.analysisController) {
+            this.analysisController.abort()
+            this.analysisController = null
+        }
+    }
+
+    /**
+     * Switch the frequency axis
+     * @param {string} scale - 'linear', 'log', 'mel' or 'cqt'
+     */
+    setScale(scale) {
+        this.options.scale = scale
+        if (this.frames) {
+            this.updateScale()
+        }
+    }
+
+    /**
+     * Rebuild the axis and the image for the current scale and track
+     */
+    updateScale() {
+        const { scale, minFrequency, binsPerOctave } = this.options
+        this.frequencyScale = new FrequencyScale(scale, this.sampleRate / 2, { minFrequency, binsPerOctave })
+        this.rows = this.getRows()
+        this.image = null
+        this.draw()
+        this.emit('scale-change', this.frequencyScale)
+    }
+
+    /**
+     * Map each band of the frequency axis onto FFT bins. Rows narrower than a
+     * bin interpolate between bins; wider ones take their loudest bin, or for
+     * constant-Q the mean over the band.
+     * @returns {Array<Object>} Rows as {centre, first, last} in bins, lowest first
+     */
+    getRows() {
+        const numBins = this.frames[0].length
+        const binWidth = this.sampleRate / this.stft.fftSize
+        return this.frequencyScale.getBands(this.options.height).map(({ low, high }) => {
+            const start = low / binWidth
+            const end = high / binWidth
+            return {
+                centre: Math.min(numBins - 1, (start + end) / 2),
+                first: Math.max(0, Math.ceil(start)),
+                last: Math.min(numBins - 1, Math.floor(end))
+            }
+        })
+    }
+
+    /**
+     * Render frames into an image with a fixed number of columns, so its width
+     * depends on the view and never on the length of the track. A column
+     * covering several frames shows the loudest of them.
+     * @param {number} startFrame - First frame, may be fractional
+     * @param {number} endFrame - End of the range (exclusive)
+     * @param {number} columns - Image width in pixels
+     * @returns {HTMLCanvasElement} Offscreen image, frequency increasing upwards
+     */
+    renderImage(startFrame, endFrame, columns) {
+        const { frames, rows } = this
+        const average = this.frequencyScale.type === 'cqt'
+        const framesPerColumn = (endFrame - startFrame) / columns
+
+        const image = document.createElement('canvas')
+        image.width = columns
+        image.height = rows.length
+        const ctx = image.getContext('2d')
+        const imageData = ctx.createImageData(columns, rows.length)
+        const pixels = imageData.data
+        const values = new Float32Array(rows.length)
+
+        for (let column = 0; column < columns; column++) {
+            const first = Math.min(frames.length - 1, Math.floor(startFrame + column * framesPerColumn))
+            const last = Math.max(first + 1, Math.min(frames.length, Math.floor(startFrame + (column + 1) * framesPerColumn)))
+            values.fill(0)
+
+            for (let index = first; index < last; index++) {
+                const frame = frames[index]
+                rows.forEach(({ centre, first: firstBin, last: lastBin }, row) => {
+                    let value
+                    if (lastBin < firstBin) {
+                        const lower = Math.floor(centre)
+                        const upper = Math.min(frame.length - 1, lower + 1)
+                        value = frame[lower] + (frame[upper] - frame[lower]) * (centre - lower)
+                    } else {
+                        value = average ? 0 : -Infinity
+                        for (let bin = firstBin; bin <= lastBin; bin++) {
+                            value = average ? value + frame[bin] : Math.max(value, frame[bin])
+                        }
+                        if (average) value /= lastBin - firstBin + 1
+                    }
+                    if (value > values[row]) values[row] = value
+                })
+            }
+
+            values.forEach((value, row) => {
+                const color = this.colors[Math.max(0, Math.min(255, Math.round(value * 255)))]
+                const offset = ((rows.length - 1 - row) * columns + column) * 4
+                pixels[offset] = color[0]
+                pixels[offset + 1] = color[1]
+                pixels[offset + 2] = color[2]
+                pixels[offset + 3] = 255
+            })
+        }
+
+        ctx.putImageData(imageData, 0, 0)
+        return image
+    }
+
+    /**
+     * The image of the frames in view, at most one column per canvas pixel.
+     * Zoomed in closer than that, whole frames are rendered and cropped when
+     * drawn; the last image is kept until the view, width or scale changes.
+     * @param {number} pixelWidth - Canvas width in device pixels
+     * @returns {Object} image and the source rectangle (x, width) to draw
+     */
+    getViewImage(pixelWidth) {
+        const startFrame = this.view.start * this.frames.length
+        const endFrame = Math.max(startFrame + 1, this.view.end * this.frames.length)
+        const key = `${startFrame}:${endFrame}:${pixelWidth}`
+        if (this.image && this.image.key === key) return this.image
+
+        if (endFrame - startFrame > pixelWidth) {
+            const canvas = this.renderImage(startFrame, endFrame, pixelWidth)
+            this.image = { key, canvas, x: 0, width: pixelWidth }
+        } else {
+            const first = Math.floor(startFrame)
+            const last = Math.min(this.frames.length, Math.ceil(endFrame))
+            const canvas = this.renderImage(first, last, last - first)
+            this.image = { key, canvas, x: startFrame - first, width: endFrame - startFrame }
+        }
+        return this.image
+    }
+
+    draw() {
+        if (!this.wrapper) return
+
+        const width = this.wrapper.clientWidth
+        const height = this.wrapper.clientHeight
+        const dpr = window.devicePixelRatio || 1
+        ;[this.canvas, this.labelsCanvas].forEach(canvas => {
+            canvas.width = Math.round(width * dpr)
+            canvas.height = Math.round(height * dpr)
+            canvas.getContext('2d').setTransform(dpr, 0, 0, dpr, 0, 0)
+        })
+        if (!this.frames || !this.rows || !this.canvas.width) return
+
+        const { canvas: image, x, width: sourceWidth } = this.getViewImage(this.canvas.width)
+        const ctx = this.canvas.getContext('2d')
+        ctx.imageSmoothingEnabled = sourceWidth < this.canvas.width
+        ctx.drawImage(image, x, 0, sourceWidth, image.height, 0, 0, width, height)
+
+        const overlay = this.labelsCanvas.getContext('2d')
+        if (this.selection) {
+            this.drawSelection(overlay, width, height)
+        }
+        if (this.options.labels) {
+            this.drawLabels(overlay, width, height)
+        }
+    }
+
+    drawSelection(ctx, width, height) {
+        const { start, end, lowFrequency, highFrequency } = this.selection
+        const toX = (position) => ((position - this.view.start) / (this.view.end - this.view.start)) * width
+        const toY = (hz) => (1 - this.frequencyScale.toPosition(hz)) * height
+        const x = toX(start)
+        const y = toY(highFrequency)
+        const boxWidth = toX(end) - x
+        const boxHeight = toY(lowFrequency) - y
+
+        ctx.fillStyle = this.options.selectionColor
+        ctx.fillRect(x, y, boxWidth, boxHeight)
+        ctx.strokeStyle = this.options.selectionBorderColor
+        ctx.lineWidth = 1
+        ctx.strokeRect(x + 0.5, y + 0.5, boxWidth - 1, boxHeight - 1)
+    }
+
+    /**
+     * Take the visible time range from the WaveSurfer instance
+     */
+    updateView() {
+        const total = this.wavesurfer.getWrapper().clientWidth
+        if (!total) return
+
+        const scroll = this.wavesurfer.getScroll()
+        const start = Math.max(0, Math.min(1, scroll / total))
+        const end = Math.max(start, Math.min(1, (scroll + this.wavesurfer.getWidth()) / total))
+        if (start === this.view.start && end === this.view.end) return
+
+        this.view = { start, end }
+        this.draw()
+        this.emit('view-change', this.view)
+    }
+
+    /**
+     * Where a pointer event falls on the time and frequency axes
+     * @param {MouseEvent} event - Pointer event
+     * @returns {Object} position as a fraction of the track and frequency in Hz
+     */
+    toAxis(event) {
+        const rect = this.wrapper.getBoundingClientRect()
+        const x = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width))
+        const y = Math.max(0, Math.min(1, (event.clientY - rect.top) / rect.height))
+        return {
+            position: this.view.start + x * (this.view.end - this.view.start),
+            frequency: this.frequencyScale ? this.frequencyScale.toFrequency(1 - y) : 0
+        }
+    }
+
+    /**
+     * Zoom the WaveSurfer instance, keeping the time under a point in place
+     * @param {number} clientX - Horizontal position to zoom around, in client pixels
+     * @param {number} factor - Zoom factor, above 1 to zoom in
+     */
+    zoomAt(clientX, factor) {
+        const duration = this.wavesurfer.getDuration()
+        if (!this.frames || !duration) return
+
+        const rect = this.wrapper.getBoundingClientRect()
+        const fraction = (clientX - rect.left) / rect.width
+        const anchor = this.view.start + fraction * (this.view.end - this.view.start)
+
+        const visibleWidth = this.wavesurfer.getWidth()
+        const fit = visibleWidth / duration
+        const current = this.wavesurfer.getWrapper().clientWidth / duration
+        const pxPerSec = Math.min(this.options.maxPxPerSec, Math.max(fit, current * factor))
+
+        // Zoom 0 fills the container again
+        this.wavesurfer.zoom(pxPerSec > fit ? pxPerSec : 0)
+        this.wavesurfer.setScroll(anchor * duration * pxPerSec - fraction * visibleWidth)
+        this.updateView()
+    }
+
+    handleWheel(event) {
+        if (!this.frames) return
+        event.preventDefault()
+
+        const lines = event.deltaMode === 1 ? 16 : 1
+        if (Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+            this.wavesurfer.setScroll(this.wavesurfer.getScroll() + event.deltaX * lines)
+        } else {
+            this.zoomAt(event.clientX, Math.exp(-event.deltaY * lines * WHEEL_ZOOM_SPEED))
+        }
+    }
+
+    handlePointerDown(event) {
+        if (!this.frames || (event.pointerType === 'mouse' && event.button !== 0)) return
+
+        this.wrapper.setPointerCapture(event.pointerId)
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY })
+        this.dragged = false
+
+        if (this.pointers.size === 2) {
+            this.gesture = { type: 'pinch', distance: this.getPinchDistance() }
+        } else if (event.shiftKey) {
+            this.gesture = { type: 'select', x: event.clientX, y: event.clientY, origin: this.toAxis(event) }
+        } else {
+            this.startPan(event)
+        }
+    }
+
+    startPan(event) {
+        this.gesture = { type: 'pan', x: event.clientX, y: event.clientY, scroll: this.wavesurfer.getScroll() }
+        this.wrapper.style.cursor = 'grabbing'
+    }
+
+    handlePointerMove(event) {
+        if (!this.gesture || !this.pointers.has(event.pointerId)) return
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY })
+
+        const { gesture } = this
+        if (gesture.type === 'pinch') {
+            const distance = this.getPinchDistance()
+            const [a, b] = [...this.pointers.values()]
+            this.zoomAt((a.x + b.x) / 2, distance / gesture.distance)
+            gesture.distance = distance
+            this.dragged = true
+            return
+        }
+
+        if (Math.hypot(event.clientX - gesture.x, event.clientY - gesture.y) > DRAG_THRESHOLD) {
+            this.dragged = true
+        }
+        if (!this.dragged) return
+
+        if (gesture.type === 'pan') {
+            this.wavesurfer.setScroll(gesture.scroll - (event.clientX - gesture.x))
+        } else {
+            const corner = this.toAxis(event)
+            this.selection = {
+                start: Math.min(gesture.origin.position, corner.position),
+                end: Math.max(gesture.origin.position, corner.position),
+                lowFrequency: Math.min(gesture.origin.frequency, corner.frequency),
+                highFrequency: Math.max(gesture.origin.frequency, corner.frequency)
+            }
+            this.draw()
+        }
+    }
+
+    handlePointerUp(event) {
+        if (!this.pointers.delete(event.pointerId)) return
+
+        if (this.gesture && this.gesture.type === 'select' && this.dragged) {
+            const duration = this.wavesurfer.getDuration()
+            this.selection.startTime = this.selection.start * duration
+            this.selection.endTime = this.selection.end * duration
+            this.emit('select', this.selection)
+        }
+
+        // Lifting one finger of a pinch carries on as a pan
+        const remaining = [...this.pointers.values()]
+        if (remaining.length === 1) {
+            this.startPan({ clientX: remaining[0].x, clientY: remaining[0].y })
+        } else if (!remaining.length) {
+            this.gesture = null
+            this.wrapper.style.cursor = 'grab'
+        }
+    }
+
+    /**
+     * @returns {number} Distance between the two touching pointers in pixels
+     */
+    getPinchDistance() {
+        const [a, b] = [...this.pointers.values()]
+        return Math.max(1, Math.hypot(a.x - b.x, a.y - b.y))
+    }
+
+    /**
+     * Remove the selected region
+     */
+    clearSelection() {
+        if (!this.selection) return
+        this.selection = null
+        this.draw()
+        this.emit('select', null)
+    }
+
+    /**
+     * Tick marks along the left edge, e.g. "C4 262 Hz" or "1 kHz B5"
+     */
+    drawLabels(ctx, width, height) {
+        const ticks = this.frequencyScale.getTicks(height)
+        ctx.font = '10px sans-serif'
+        ctx.textBaseline = 'middle'
+
+        ticks.forEach(({ position, label }) => {
+            const y = Math.round((1 - position) * height) + 0.5
+            ctx.strokeStyle = this.options.tickColor
+            ctx.beginPath()
+            ctx.moveTo(0, y)
+            ctx.lineTo(width, y)
+            ctx.stroke()
+
+            // Keep the top and bottom labels inside the canvas
+            const textY = Math.max(7, Math.min(height - 7, y))
+            const textWidth = ctx.measureText(label).width
+            ctx.fillStyle = this.options.labelsBackground
+            ctx.fillRect(0, textY - 7, textWidth + 8, 14)
+            ctx.fillStyle = this.options.labelsColor
+            ctx.fillText(label, 4, textY)
+        })
+    }
+
+    /**
+     * @returns {Array<Array<number>>} 256 RGB colours from quiet to loud
+     */
+    static createColorMap() {
+        return Array.from({ length: 256 }, (_, i) => {
+            const value = i / 255
+            const upper = COLOR_STOPS.findIndex(([stop]) => stop >= value)
+            if (upper <= 0) return COLOR_STOPS[0][1]
+            const [lowStop, lowColor] = COLOR_STOPS[upper - 1]
+            const [highStop, highColor] = COLOR_STOPS[upper]
+            const t = (value - lowStop) / (highStop - lowStop)
+            return lowColor.map((channel, c) => Math.round(channel + (highColor[c] - channel) * t))
+        })
+    }
+
+    clear() {
+        this.cancelAnalysis()
+        this.frames = null
+        this.sampleRate = null
+        this.image = null
+        this.rows = null
+        this.frequencyScale = null
+        this.view = { start: 0, end: 1 }
+        this.selection = null
+        this.pointers.clear()
+        this.gesture = null
+        this.draw()
+    }
+
+    /**
+     * Stop analysis and remove the view, its listeners and the worker.
+     * WaveSurfer calls this when it is destroyed.
+     */
+    destroy() {
+        this.cancelAnalysis()
+        if (this.analysisClient) {
+            this.analysisClient.terminate()
+            this.analysisClient = null
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect()
+            this.resizeObserver = null
+        }
+        if (this.wrapper) {
+            this.wrapper.removeEventListener('click', this.onClick)
+            this.wrapper.removeEventListener('pointerdown', this.onPointerDown)
+            this.wrapper.removeEventListener('pointermove', this.onPointerMove)
+            this.wrapper.removeEventListener('pointerup', this.onPointerUp)
+            this.wrapper.removeEventListener('pointercancel', this.onPointerUp)
+            this.wrapper.removeEventListener('wheel', this.onWheel)
+            this.wrapper.remove()
+        }
+        this.wrapper = null
+        this.canvas = null
+        this.labelsCanvas = null
+        this.image = null
+
+        // Emits 'destroy' and unsubscribes from WaveSurfer
+        super.destroy()
+    }
+}
+
+export default SpectrogramPlugin
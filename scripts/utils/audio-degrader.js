@@ -0,0 +1,273 @@
+/**
+ * Noise and distortion simulator
+ *
+ * Renders a degraded copy of an AudioBuffer through an OfflineAudioContext:
+ * additive noise at a chosen signal-to-noise ratio, a phone speaker band-pass,
+ * low-bitrate style bandwidth and resolution loss, and clipping. Noise is
+ * mixed in first, as in a noisy room, so the speaker and encoder shape it too.
+ */
+
+export const DEFAULT_DEGRADATION = {
+    // 'none', 'white', 'pink' or 'babble'
+    noiseType: 'none',
+    // Signal-to-noise ratio in dB, measured before the other degradations
+    snr: 10,
+    // Band-pass the signal like a small phone speaker
+    phoneSpeaker: false,
+    phoneLowCutoff: 300,
+    phoneHighCutoff: 3400,
+    // Simulated bitrate in kbps, 0 to disable
+    bitrate: 0,
+    // Gain in dB driven into a hard clipper, 0 to disable
+    clipping: 0
+};
+
+// Bandwidth and sample resolution kept by encoders at each bitrate
+const BITRATE_PROFILES = {
+    128: { cutoff: 16000, bits: 12 },
+    96: { cutoff: 15000, bits: 10 },
+    64: { cutoff: 11000, bits: 8 },
+    32: { cutoff: 7000, bits: 6 },
+    16: { cutoff: 4000, bits: 5 }
+};
+
+export class AudioDegrader {
+    /**
+     * Render a degraded copy of a buffer
+     * @param {AudioBuffer} audioBuffer - Clean audio
+     * @param {Object} options - Overrides for DEFAULT_DEGRADATION
+     * @returns {Promise<AudioBuffer>} Degraded audio
+     */
+    static async degrade(audioBuffer, options = {}) {
+        const settings = { ...DEFAULT_DEGRADATION, ...options };
+        const { numberOfChannels, length, sampleRate } = audioBuffer;
+        const context = new OfflineAudioContext(numberOfChannels, length, sampleRate);
+
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        const mix = context.createGain();
+        source.connect(mix);
+
+        if (settings.noiseType !== 'none') {
+            const noise = context.createBufferSource();
+            noise.buffer = AudioDegrader.createNoise(context, audioBuffer, settings.noiseType, settings.snr);
+            noise.connect(mix);
+            noise.start();
+        }
+
+        // Signal chain: source + noise → filters → clipper → quantizer → destination
+        let node = mix;
+        const connect = (next) => {
+            node.connect(next);
+            node = next;
+        };
+
+        if (settings.phoneSpeaker) {
+            const highpass = context.createBiquadFilter();
+            highpass.type = 'highpass';
+            highpass.frequency.value = settings.phoneLowCutoff;
+            connect(highpass);
+
+            const lowpass = context.createBiquadFilter();
+            lowpass.type = 'lowpass';
+            lowpass.frequency.value = settings.phoneHighCutoff;
+            connect(lowpass);
+        }
+
+        const profile = BITRATE_PROFILES[settings.bitrate];
+        if (profile) {
+            const lowpass = context.createBiquadFilter();
+            lowpass.type = 'lowpass';
+            lowpass.frequency.value = Math.min(profile.cutoff, sampleRate / 2);
+            connect(lowpass);
+        }
+
+        if (settings.clipping > 0) {
+            const drive = context.createGain();
+            drive.gain.value = Math.pow(10, settings.clipping / 20);
+            connect(drive);
+
+            const clipper = context.createWaveShaper();
+            clipper.curve = new Float32Array([-1, 1]);
+            connect(clipper);
+        }
+
+        if (profile) {
+            const quantizer = context.createWaveShaper();
+            quantizer.curve = AudioDegrader.quantizeCurve(profile.bits);
+            connect(quantizer);
+        }
+
+        node.connect(context.destination);
+        source.start();
+
+        return context.startRendering();
+    }
+
+    /**
+     * Create a noise buffer scaled to a signal-to-noise ratio
+     * @param {BaseAudioContext} context - Context to create the buffer in
+     * @param {AudioBuffer} signal - Clean audio the noise is measured against
+     * @param {string} type - 'white', 'pink' or 'babble'
+     * @param {number} snr - Signal-to-noise ratio in dB
+     * @returns {AudioBuffer} Noise with the same shape as the signal
+     */
+    static createNoise(context, signal, type, snr) {
+        const { numberOfChannels, length, sampleRate } = signal;
+        const noise = context.createBuffer(numberOfChannels, length, sampleRate);
+
+        const generators = {
+            white: AudioDegrader.whiteNoise,
+            pink: AudioDegrader.pinkNoise,
+            babble: AudioDegrader.babbleNoise
+        };
+        const generate = generators[type];
+        if (!generate) {
+            throw new Error(`Unknown noise type: ${type}`);
+        }
+
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            const data = generate(length, sampleRate);
+            const signalRms = AudioDegrader.rms(signal.getChannelData(channel));
+            const noiseRms = AudioDegrader.rms(data);
+            const scale = noiseRms > 0 ? signalRms / (noiseRms * Math.pow(10, snr / 20)) : 0;
+
+            for (let i = 0; i < length; i++) {
+                data[i] *= scale;
+            }
+            noise.copyToChannel(data, channel);
+        }
+
+        return noise;
+    }
+
+    /**
+     * @param {number} length - Number of samples
+     * @returns {Float32Array} Uniform white noise
+     */
+    static whiteNoise(length) {
+        const data = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return data;
+    }
+
+    /**
+     * Pink (1/f) noise using Paul Kellet's filter
+     * @param {number} length - Number of samples
+     * @returns {Float32Array} Pink noise
+     */
+    static pinkNoise(length) {
+        const data = new Float32Array(length);
+        let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+
+        for (let i = 0; i < length; i++) {
+            const white = Math.random() * 2 - 1;
+            b0 = 0.99886 * b0 + white * 0.0555179;
+            b1 = 0.99332 * b1 + white * 0.0750759;
+            b2 = 0.96900 * b2 + white * 0.1538520;
+            b3 = 0.86650 * b3 + white * 0.3104856;
+            b4 = 0.55000 * b4 + white * 0.5329522;
+            b5 = -0.7616 * b5 - white * 0.0168980;
+            data[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+            b6 = white * 0.115926;
+        }
+        return data;
+    }
+
+    /**
+     * Crowd-like babble: several "talkers" of speech-band noise, each switched
+     * on and off at a syllable rate of a few Hz
+     * @param {number} length - Number of samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Float32Array} Babble noise
+     */
+    static babbleNoise(length, sampleRate) {
+        const talkers = 6;
+        const data = new Float32Array(length);
+
+        for (let talker = 0; talker < talkers; talker++) {
+            const pink = AudioDegrader.pinkNoise(length);
+            const syllableRate = 3 + Math.random() * 3;
+            const phase = Math.random() * 2 * Math.PI;
+
+            // One-pole high-pass to drop the rumble below the speech band
+            let previousInput = 0;
+            let previousOutput = 0;
+            const alpha = 1 / (1 + (2 * Math.PI * 300) / sampleRate);
+
+            for (let i = 0; i < length; i++) {
+                const highpassed = alpha * (previousOutput + pink[i] - previousInput);
+                previousInput = pink[i];
+                previousOutput = highpassed;
+
+                const envelope = Math.max(0, Math.sin((2 * Math.PI * syllableRate * i) / sampleRate + phase));
+                data[i] += highpassed * envelope;
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Build a staircase WaveShaper curve that rounds samples to a bit depth
+     * @param {number} bits - Bits of resolution to keep
+     * @returns {Float32Array} Shaper curve
+     */
+    static quantizeCurve(bits) {
+        const steps = Math.pow(2, bits - 1);
+        const curve = new Float32Array(65536);
+        for (let i = 0; i < curve.length; i++) {
+            const x = (i / (curve.length - 1)) * 2 - 1;
+            curve[i] = Math.round(x * steps) / steps;
+        }
+        return curve;
+    }
+
+    /**
+     * @param {Float32Array} data - Samples
+     * @returns {number} Root mean square level
+     */
+    static rms(data) {
+        let sum = 0;
+        for (let i = 0; i < data.length; i++) {
+            sum += data[i] * data[i];
+        }
+        return Math.sqrt(sum / Math.max(1, data.length));
+    }
+
+    /**
+     * Count how many peaks and hashes of the clean analysis survive degradation
+     * @param {Object} clean - TrackAnalyzer.analyze result for the clean audio
+     * @param {Object} degraded - TrackAnalyzer.analyze result for the degraded audio
+     * @param {number} tolerance - Allowed difference in frames and bins
+     * @returns {Object} Counts for peaks and hashes
+     */
+    static compare(clean, degraded, tolerance = 1) {
+        const peakKeys = new Set(degraded.peaks.map(peak => `${peak.time}:${peak.frequency}`));
+        const survivingPeaks = clean.peaks.filter(peak => {
+            for (let dt = -tolerance; dt <= tolerance; dt++) {
+                for (let df = -tolerance; df <= tolerance; df++) {
+                    if (peakKeys.has(`${peak.time + dt}:${peak.frequency + df}`)) return true;
+                }
+            }
+            return false;
+        });
+
+        const hashTimes = new Map();
+        degraded.hashes.forEach(({ hash, anchorTime }) => {
+            if (!hashTimes.has(hash)) hashTimes.set(hash, []);
+            hashTimes.get(hash).push(anchorTime);
+        });
+        const survivingHashes = clean.hashes.filter(({ hash, anchorTime }) => {
+            const times = hashTimes.get(hash);
+            return times && times.some(time => Math.abs(time - anchorTime) <= tolerance);
+        });
+
+        return {
+            peaks: { clean: clean.peaks.length, degraded: degraded.peaks.length, surviving: survivingPeaks.length },
+            hashes: { clean: clean.hashes.length, degraded: degraded.hashes.length, surviving: survivingHashes.length },
+            survivingPeaks
+        };
+    }
+}
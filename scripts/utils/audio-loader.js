@@ -1,3 +1,7 @@
+// Local files accepted by loadFile
+const SUPPORTED_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'flac'];
+const SUPPORTED_MIME_TYPES = /^audio\/(mpeg|mp3|wav|x-wav|wave|vnd\.wave|ogg|flac|x-flac)$/;
+
 /**
  * Audio loader class for handling audio file loading and processing
  */
@@ -18,17 +22,98 @@ export class AudioLoader {
      */
     async loadAudio(url) {
         try {
-            const response = await fetch(url);
-            const arrayBuffer = await response.arrayBuffer();
-            this.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            this.isLoaded = true;
-            return this.audioBuffer;
+            return await this.decodeAudio(await this.fetchAudio(url));
         } catch (error) {
             console.error('Error loading audio:', error);
             throw error;
         }
     }
 
+    /**
+     * Fetches the raw bytes of an audio file
+     * @param {string} url - URL of the audio file
+     * @returns {Promise<ArrayBuffer>} Encoded file contents
+     */
+    async fetchAudio(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not fetch ${url} (${response.status})`);
+        }
+        return response.arrayBuffer();
+    }
+
+    /**
+     * Decodes encoded audio bytes. The ArrayBuffer is detached afterwards.
+     * @param {ArrayBuffer} arrayBuffer - Encoded file contents
+     * @returns {Promise<AudioBuffer>} Decoded audio data
+     */
+    async decodeAudio(arrayBuffer) {
+        this.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        this.isLoaded = true;
+        return this.audioBuffer;
+    }
+
+    /**
+     * Decodes a local audio file
+     * @param {File|Blob} file - MP3, WAV, OGG or FLAC file
+     * @returns {Promise<AudioBuffer>} Decoded audio data
+     */
+    async loadFile(file) {
+        const name = file.name || 'The file';
+        const extension = file.name ? file.name.split('.').pop().toLowerCase() : '';
+        if (!SUPPORTED_MIME_TYPES.test(file.type) && !SUPPORTED_EXTENSIONS.includes(extension)) {
+            throw new Error(`${name} is not a supported audio file. Please use MP3, WAV, OGG or FLAC.`);
+        }
+
+        const arrayBuffer = await file.arrayBuffer();
+        try {
+            this.audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        } catch (error) {
+            console.error('Error decoding audio file:', error);
+            throw new Error(`${name} could not be decoded. It may be corrupt or use a codec your browser does not support.`);
+        }
+
+        this.isLoaded = true;
+        return this.audioBuffer;
+    }
+
+    /**
+     * Copy a section of an audio buffer into a new buffer
+     * @param {AudioBuffer} audioBuffer - Source audio
+     * @param {number} startTime - Start of the section in seconds
+     * @param {number} duration - Length of the section in seconds
+     * @returns {AudioBuffer} The section, clamped to the source length
+     */
+    sliceAudio(audioBuffer, startTime, duration) {
+        const { sampleRate, numberOfChannels } = audioBuffer;
+        const start = Math.max(0, Math.floor(startTime * sampleRate));
+        const end = Math.min(audioBuffer.length, start + Math.floor(duration * sampleRate));
+        const clip = this.audioContext.createBuffer(numberOfChannels, Math.max(1, end - start), sampleRate);
+
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            clip.copyToChannel(audioBuffer.getChannelData(channel).subarray(start, end), channel);
+        }
+        return clip;
+    }
+
+    /**
+     * Resamples audio with an offline context
+     * @param {AudioBuffer} audioBuffer - Audio to resample
+     * @param {number} sampleRate - Target sample rate in Hz
+     * @returns {Promise<AudioBuffer>} Resampled audio, or the input if already at that rate
+     */
+    async resample(audioBuffer, sampleRate) {
+        if (audioBuffer.sampleRate === sampleRate) return audioBuffer;
+
+        const length = Math.max(1, Math.ceil(audioBuffer.duration * sampleRate));
+        const context = new OfflineAudioContext(audioBuffer.numberOfChannels, length, sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(context.destination);
+        source.start();
+        return context.startRendering();
+    }
+
     /**
      * Get waveform data from the audio buffer
      * @returns {Float32Array} Waveform data
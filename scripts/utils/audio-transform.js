@@ -0,0 +1,181 @@
+/**
+ * Speed and tempo changes
+ *
+ * Resampling plays a buffer faster or slower, moving pitch along with tempo
+ * like a DJ's pitch fader. Time-stretching changes the tempo only, like radio
+ * time compression, using waveform-similarity overlap-add (WSOLA): frames are
+ * read from the input at the new rate, each nudged to where it best continues
+ * the frame before it, and cross-faded at the original rate.
+ */
+
+export const DEFAULT_TIME_STRETCH = {
+    // Length of the cross-faded frames in seconds
+    frameDuration: 0.05,
+    // How far each frame may move to line up with the previous one, in seconds
+    searchDuration: 0.01,
+    // Compare every nth sample while searching; 1 for an exact search
+    searchStride: 4
+};
+
+export class AudioTransformer {
+    /**
+     * @param {number} percent - Change in speed, e.g. 5 for 5% faster or -5 for 5% slower
+     * @returns {number} Playback rate, e.g. 1.05
+     */
+    static toRate(percent) {
+        const rate = 1 + percent / 100;
+        if (!(rate > 0)) {
+            throw new Error(`Invalid speed change: ${percent}%`);
+        }
+        return rate;
+    }
+
+    /**
+     * Apply a speed or tempo change
+     * @param {AudioBuffer} audioBuffer - Original audio
+     * @param {Object} transform - mode ('resample' or 'stretch') and percent
+     * @returns {Promise<AudioBuffer>} Transformed audio
+     */
+    static transform(audioBuffer, { mode, percent }) {
+        if (mode === 'resample') return AudioTransformer.resample(audioBuffer, percent);
+        if (mode === 'stretch') return AudioTransformer.timeStretch(audioBuffer, percent);
+        throw new Error(`Unknown transform: ${mode}`);
+    }
+
+    /**
+     * Change speed and pitch together by playing the buffer at another rate
+     * @param {AudioBuffer} audioBuffer - Original audio
+     * @param {number} percent - Change in speed
+     * @returns {Promise<AudioBuffer>} Resampled audio at the original sample rate
+     */
+    static async resample(audioBuffer, percent) {
+        const rate = AudioTransformer.toRate(percent);
+        const { numberOfChannels, length, sampleRate } = audioBuffer;
+        const context = new OfflineAudioContext(numberOfChannels, Math.max(1, Math.ceil(length / rate)), sampleRate);
+
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.playbackRate.value = rate;
+        source.connect(context.destination);
+        source.start();
+        return context.startRendering();
+    }
+
+    /**
+     * Change tempo without changing pitch
+     * @param {AudioBuffer} audioBuffer - Original audio
+     * @param {number} percent - Change in tempo
+     * @param {Object} options - Overrides for DEFAULT_TIME_STRETCH
+     * @returns {Promise<AudioBuffer>} Stretched audio
+     */
+    static async timeStretch(audioBuffer, percent, options = {}) {
+        const { numberOfChannels, sampleRate } = audioBuffer;
+        const channels = [];
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+
+        const stretched = AudioTransformer.stretchChannels(channels, sampleRate, AudioTransformer.toRate(percent), options);
+        const output = new AudioBuffer({ numberOfChannels, length: Math.max(1, stretched[0].length), sampleRate });
+        stretched.forEach((data, channel) => output.copyToChannel(data, channel));
+        return output;
+    }
+
+    /**
+     * WSOLA on raw channel data. The frame positions are chosen on the first
+     * channel and applied to all of them, so the stereo image stays intact.
+     * @param {Array<Float32Array>} channels - Samples of each channel
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} rate - Tempo factor, e.g. 1.05 for 5% faster
+     * @param {Object} options - Overrides for DEFAULT_TIME_STRETCH
+     * @returns {Array<Float32Array>} Stretched samples of each channel
+     */
+    static stretchChannels(channels, sampleRate, rate, options = {}) {
+        const { frameDuration, searchDuration, searchStride } = { ...DEFAULT_TIME_STRETCH, ...options };
+        const input = channels[0];
+        const inputLength = input.length;
+        const outputLength = Math.round(inputLength / rate);
+        const outputs = channels.map(() => new Float32Array(outputLength));
+
+        // Hann frames at 50% overlap sum to one
+        const frameLength = Math.max(4, Math.round(frameDuration * sampleRate / 2) * 2);
+        const outputHop = frameLength / 2;
+        const searchRange = Math.round(searchDuration * sampleRate);
+        const window = new Float32Array(frameLength);
+        for (let i = 0; i < frameLength; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frameLength);
+        }
+
+        const read = (data, index) => (index >= 0 && index < data.length ? data[index] : 0);
+        let previous = 0;
+
+        for (let outputStart = 0; outputStart < outputLength; outputStart += outputHop) {
+            const nominal = Math.round(outputStart * rate);
+            let start = nominal;
+
+            // Line the frame up with what naturally follows the previous frame
+            if (outputStart > 0) {
+                const natural = previous + outputHop;
+                const correlation = (candidate) => {
+                    let sum = 0;
+                    for (let i = 0; i < outputHop; i += searchStride) {
+                        sum += read(input, candidate + i) * read(input, natural + i);
+                    }
+                    return sum;
+                };
+
+                let best = -Infinity;
+                for (let offset = -searchRange; offset <= searchRange; offset += searchStride) {
+                    const value = correlation(nominal + offset);
+                    if (value > best) {
+                        best = value;
+                        start = nominal + offset;
+                    }
+                }
+            }
+            previous = start;
+
+            const end = Math.min(frameLength, outputLength - outputStart);
+            channels.forEach((data, channel) => {
+                const output = outputs[channel];
+                for (let i = 0; i < end; i++) {
+                    output[outputStart + i] += read(data, start + i) * window[i];
+                }
+            });
+        }
+
+        // The first half-frame has no partner to overlap with
+        outputs.forEach(output => {
+            for (let i = 0; i < Math.min(outputHop, outputLength); i++) {
+                output[i] /= Math.max(window[i], 1e-3);
+            }
+        });
+
+        return outputs;
+    }
+
+    /**
+     * Count the hashes of the original audio that the transformed audio still
+     * produces near the time they should have moved to
+     * @param {Array<Object>} original - Hashes of the original audio
+     * @param {Array<Object>} transformed - Hashes of the transformed audio, made the same way
+     * @param {number} rate - Speed or tempo factor of the transform
+     * @param {number} [tolerance=1] - Frames an anchor may be away from its expected time
+     * @returns {Object} original, transformed and surviving hash counts
+     */
+    static compareHashes(original, transformed, rate, tolerance = 1) {
+        const hashTimes = new Map();
+        transformed.forEach(({ hash, anchorTime }) => {
+            if (!hashTimes.has(hash)) hashTimes.set(hash, []);
+            hashTimes.get(hash).push(anchorTime);
+        });
+
+        const surviving = original.filter(({ hash, anchorTime }) => {
+            const times = hashTimes.get(hash);
+            const expected = anchorTime / rate;
+            return times && times.some(time => Math.abs(time - expected) <= tolerance);
+        });
+
+        return { original: original.length, transformed: transformed.length, surviving: surviving.length };
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Chroma fingerprinting
+ *
+ * Folds the spectrum onto the twelve pitch classes, C to B, so a frame
+ * describes which notes sound rather than which exact frequencies. Each
+ * frame becomes a 12-bit code of the pitch classes louder than average, and a
+ * hash joins the codes of two frames a fixed gap apart. Harmony survives
+ * equalisation and most noise, but a pitch shift rotates every code. Has the
+ * same interface as TrackAnalyzer.
+ */
+
+import { STFT } from './stft.js';
+import { Resampler } from './resampler.js';
+import { TrackAnalyzer } from './track-analyzer.js';
+
+const PITCH_CLASSES = 12;
+
+export const DEFAULT_CHROMA_OPTIONS = {
+    // Audio is analysed at this rate
+    sampleRate: 5512.5,
+    // About 0.37 s frames, 46 ms apart
+    frameSize: 2048,
+    hopSize: 256,
+    // Spectrum folded onto pitch classes, in Hz (A1 to about B6)
+    minFrequency: 55,
+    maxFrequency: 2000,
+    // Frames averaged into each chroma vector
+    smoothing: 4,
+    // Frames between the two codes joined into a hash
+    gap: 8,
+    // Frames quieter than this total energy are skipped
+    minEnergy: 1e-6
+};
+
+export class ChromaAnalyzer {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_CHROMA_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_CHROMA_OPTIONS, ...options };
+        const { frameSize, hopSize } = this.options;
+        this.stft = new STFT({ windowSize: frameSize, hopSize, window: 'hann', scale: 'linear' });
+    }
+
+    /**
+     * @returns {number} Bits stored per hash
+     */
+    get hashBits() {
+        return PITCH_CLASSES * 2;
+    }
+
+    /**
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} Pitch class, 0 for C to 11 for B
+     */
+    static pitchClass(frequency) {
+        const semitonesFromA4 = Math.round(12 * Math.log2(frequency / 440));
+        return (((semitonesFromA4 + 9) % PITCH_CLASSES) + PITCH_CLASSES) % PITCH_CLASSES;
+    }
+
+    /**
+     * Fold spectrogram frames onto pitch classes and smooth them over time
+     * @param {Array<Float32Array>} frames - Linear magnitude frames
+     * @param {number} sampleRate - Sample rate the frames were computed at
+     * @returns {Array<Float32Array>} Chroma energy per frame, unnormalized
+     */
+    computeChroma(frames, sampleRate) {
+        const { minFrequency, maxFrequency, smoothing } = this.options;
+        const binWidth = sampleRate / this.stft.fftSize;
+        const firstBin = Math.max(1, Math.ceil(minFrequency / binWidth));
+        const lastBin = Math.min(this.stft.numBins - 1, Math.floor(maxFrequency / binWidth));
+        const classes = [];
+        for (let bin = firstBin; bin <= lastBin; bin++) {
+            classes.push(ChromaAnalyzer.pitchClass(bin * binWidth));
+        }
+
+        const raw = frames.map(frame => {
+            const chroma = new Float32Array(PITCH_CLASSES);
+            for (let bin = firstBin; bin <= lastBin; bin++) {
+                chroma[classes[bin - firstBin]] += frame[bin] * frame[bin];
+            }
+            return chroma;
+        });
+
+        return raw.map((_, n) => {
+            const smoothed = new Float32Array(PITCH_CLASSES);
+            const end = Math.min(raw.length, n + smoothing);
+            for (let k = n; k < end; k++) {
+                for (let pc = 0; pc < PITCH_CLASSES; pc++) {
+                    smoothed[pc] += raw[k][pc] / (end - n);
+                }
+            }
+            return smoothed;
+        });
+    }
+
+    /**
+     * @param {Float32Array} chroma - Chroma energy of one frame
+     * @returns {number} 12-bit code of the pitch classes above the frame's mean
+     */
+    static encode(chroma) {
+        const mean = chroma.reduce((sum, energy) => sum + energy, 0) / PITCH_CLASSES;
+        let code = 0;
+        for (let pc = 0; pc < PITCH_CLASSES; pc++) {
+            if (chroma[pc] > mean) code |= 1 << pc;
+        }
+        return code;
+    }
+
+    /**
+     * Run the full pipeline on decoded audio
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @param {Function} [onProgress] - See analyzeSamples
+     * @returns {Object} Chroma hashes with timing information
+     */
+    analyze(audioBuffer, onProgress = null) {
+        return this.analyzeSamples(TrackAnalyzer.toMono(audioBuffer), audioBuffer.sampleRate, onProgress);
+    }
+
+    /**
+     * Run the full pipeline on raw mono samples
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Function} [onProgress] - Called with the overall fraction done and the current stage
+     * @returns {Object} hashes as {hash, anchorTime}, chroma, numFrames, secondsPerFrame and duration
+     */
+    analyzeSamples(samples, sampleRate, onProgress = null) {
+        const { gap, minEnergy } = this.options;
+        const analysisRate = Math.min(sampleRate, this.options.sampleRate);
+        const frames = this.stft.compute(
+            Resampler.downsample(samples, sampleRate, analysisRate),
+            analysisRate,
+            onProgress && ((fraction) => onProgress(fraction * 0.9, 'spectrogram'))
+        );
+
+        const chroma = this.computeChroma(frames, analysisRate);
+        const energy = chroma.map(vector => vector.reduce((sum, value) => sum + value, 0));
+        const codes = chroma.map(ChromaAnalyzer.encode);
+
+        const hashes = [];
+        for (let n = 0; n + gap < chroma.length; n++) {
+            if (energy[n] < minEnergy || energy[n + gap] < minEnergy) continue;
+            hashes.push({ hash: ((codes[n] << PITCH_CLASSES) | codes[n + gap]) >>> 0, anchorTime: n });
+        }
+        if (onProgress) {
+            onProgress(1, 'hashes');
+        }
+
+        return {
+            hashes,
+            chroma,
+            numFrames: frames.length,
+            secondsPerFrame: this.stft.secondsPerFrame(analysisRate),
+            duration: samples.length / sampleRate
+        };
+    }
+
+    /**
+     * Fingerprint as an image: one column per frame, one row per pitch class
+     * @param {Object} result - Result of analyze
+     * @returns {Object} Grid image with each column scaled to its loudest pitch class
+     */
+    getImage(result) {
+        const cells = result.chroma.map(vector => {
+            const max = Math.max(...vector);
+            return vector.map(value => (max > 0 ? value / max : 0));
+        });
+        return { kind: 'grid', rows: PITCH_CLASSES, columns: cells.length, cells, secondsPerColumn: result.secondsPerFrame };
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Shareable links to a moment in a track
+ *
+ * Reads and writes the page's query string: the track, the playhead time,
+ * the section being read and any peak picking or target zone settings that
+ * differ from the defaults, e.g.
+ *
+ *   ?track=tchaikovsky-swan-lake&t=1:23&section=constellation&peakDensity=0.5
+ *
+ * Has no browser dependencies beyond URLSearchParams.
+ */
+
+import { PEAK_OPTION_RANGES } from './peak-finder.js';
+
+// Target zone options of the constellation overlay, carried alongside the peak options
+const TARGET_ZONE_RANGES = {
+    maxDistance: { min: 1, max: 256, step: 1 },
+    minTimeDistance: { min: 0, max: 100, step: 1 },
+    maxTimeDistance: { min: 1, max: 200, step: 1 },
+    fanOut: { min: 1, max: 20, step: 1 }
+};
+
+// Values outside these ranges are pulled into them, so a link cannot stall the page
+const LINK_OPTION_RANGES = { ...PEAK_OPTION_RANGES, ...TARGET_ZONE_RANGES };
+
+export const LINK_OPTION_KEYS = Object.keys(LINK_OPTION_RANGES);
+
+export class DeepLink {
+    /**
+     * @param {string} url - Song list value, e.g. "assets/tchaikovsky-swan-lake.mp3"
+     * @returns {string} Track name used in links, e.g. "tchaikovsky-swan-lake"
+     */
+    static trackName(url) {
+        const file = url.split(/[?#]/)[0].split('/').pop();
+        return decodeURIComponent(file.replace(/\.[^.]+$/, ''));
+    }
+
+    /**
+     * @param {string} text - "83.5", "1:23" or "1:23.5"
+     * @returns {number|null} Seconds, or null if the text is not a time
+     */
+    static parseTime(text) {
+        const match = /^(?:(\d+):)?(\d+(?:\.\d+)?)$/.exec(text.trim());
+        if (!match) return null;
+        return (match[1] ? parseInt(match[1], 10) * 60 : 0) + parseFloat(match[2]);
+    }
+
+    /**
+     * @param {number} seconds - Time in seconds
+     * @returns {string} e.g. "1:23" or "1:23.5", to a tenth of a second
+     */
+    static formatTime(seconds) {
+        const tenths = Math.round(seconds * 10);
+        const minutes = Math.floor(tenths / 600);
+        const rest = (tenths % 600) / 10;
+        const [whole, fraction] = rest.toFixed(1).split('.');
+        return `${minutes}:${whole.padStart(2, '0')}${fraction === '0' ? '' : `.${fraction}`}`;
+    }
+
+    /**
+     * Build a query string for a state
+     * @param {Object} state - track (song list value), time, section and options
+     * @param {Object} [defaults] - Option values left out of the link
+     * @returns {string} Query string starting with "?", or "" for an empty state
+     */
+    static encode({ track = null, time = null, section = null, options = {} }, defaults = {}) {
+        const params = new URLSearchParams();
+        if (track) params.set('track', DeepLink.trackName(track));
+        if (time !== null && time > 0) params.set('t', DeepLink.formatTime(time));
+        if (section) params.set('section', section);
+
+        LINK_OPTION_KEYS.forEach(key => {
+            if (options[key] !== undefined && options[key] !== defaults[key]) {
+                params.set(key, String(options[key]));
+            }
+        });
+
+        // Colons are allowed in a query, and "t=1:23" reads better than "t=1%3A23"
+        const query = params.toString().replace(/%3A/gi, ':');
+        return query ? `?${query}` : '';
+    }
+
+    /**
+     * Bring an option value from a link into the range the page allows
+     * @param {string} key - One of LINK_OPTION_KEYS
+     * @param {number} value - Value read from the link
+     * @returns {number|null} Value clamped and rounded to the option's step, or
+     *   null if it is not a number or a whole-number option gets a fraction
+     */
+    static clampOption(key, value) {
+        const { min, max, step } = LINK_OPTION_RANGES[key];
+        if (!Number.isFinite(value) || (Number.isInteger(step) && !Number.isInteger(value))) {
+            return null;
+        }
+        const steps = Math.round((Math.min(max, Math.max(min, value)) - min) / step);
+        // Rounding to the step's decimals drops floating point noise such as 0.30000000000000004
+        const decimals = (String(step).split('.')[1] || '').length;
+        return Number(Math.min(max, min + steps * step).toFixed(decimals));
+    }
+
+    /**
+     * Read a state from a query string. Unknown parameters and values that
+     * are not numbers are ignored; option values are clamped to their ranges.
+     * @param {string} query - Query string, with or without the leading "?"
+     * @returns {Object} track name, time in seconds and section (each null if absent) and options
+     */
+    static decode(query) {
+        const params = new URLSearchParams(query);
+        const options = {};
+        LINK_OPTION_KEYS.forEach(key => {
+            const value = params.has(key) ? DeepLink.clampOption(key, Number(params.get(key))) : null;
+            if (value !== null) {
+                options[key] = value;
+            }
+        });
+
+        return {
+            track: params.get('track'),
+            time: params.has('t') ? DeepLink.parseTime(params.get('t')) : null,
+            section: params.get('section'),
+            options
+        };
+    }
+}
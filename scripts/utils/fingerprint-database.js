@@ -0,0 +1,176 @@
+/**
+ * In-memory fingerprint database
+ *
+ * Stores hash → (trackId, anchorTime) postings and scores query clips by the
+ * largest bin of the time-offset histogram, as in Wang (2003): hashes of a
+ * true match all share the same offset between track time and query time.
+ *
+ * That only holds at the track's own speed. In a query played faster or
+ * slower, the offset drifts by the speed change times the query time, so even
+ * speed-invariant hashes spread their votes over several bins and score lower
+ * (see RecognitionBenchmark.compareRates).
+ */
+
+export class FingerprintDatabase {
+    constructor() {
+        this.index = new Map();
+        this.tracks = new Map();
+    }
+
+    /**
+     * Add a track's hashes to the index, replacing any previous entry for it
+     * @param {string} trackId - Unique track identifier
+     * @param {Object} metadata - Track details such as title and secondsPerFrame
+     * @param {Array<Object>} hashes - Hashes as produced by Fingerprinter.generate
+     */
+    addTrack(trackId, metadata, hashes) {
+        if (this.tracks.has(trackId)) {
+            this.removeTrack(trackId);
+        }
+
+        this.tracks.set(trackId, { ...metadata, trackId, hashCount: hashes.length });
+        hashes.forEach(({ hash, anchorTime }) => {
+            let postings = this.index.get(hash);
+            if (!postings) {
+                postings = [];
+                this.index.set(hash, postings);
+            }
+            postings.push({ trackId, anchorTime });
+        });
+    }
+
+    /**
+     * Change the title a track is reported under
+     * @param {string} trackId - Indexed track
+     * @param {string} title - New title
+     */
+    renameTrack(trackId, title) {
+        const track = this.tracks.get(trackId);
+        if (track) {
+            track.title = title;
+        }
+    }
+
+    /**
+     * Remove a track and all of its postings
+     * @param {string} trackId - Track to remove
+     */
+    removeTrack(trackId) {
+        if (!this.tracks.delete(trackId)) return;
+
+        for (const [hash, postings] of this.index) {
+            const remaining = postings.filter(posting => posting.trackId !== trackId);
+            if (remaining.length) {
+                this.index.set(hash, remaining);
+            } else {
+                this.index.delete(hash);
+            }
+        }
+    }
+
+    /**
+     * Get the metadata of every indexed track
+     * @returns {Array<Object>} Track metadata
+     */
+    getTracks() {
+        return [...this.tracks.values()];
+    }
+
+    /**
+     * Rebuild each track's hash list from the index
+     * @returns {Map<string, Array<Object>>} trackId → hashes as {hash, anchorTime}, in time order
+     */
+    getHashesByTrack() {
+        const byTrack = new Map([...this.tracks.keys()].map(trackId => [trackId, []]));
+        for (const [hash, postings] of this.index) {
+            postings.forEach(({ trackId, anchorTime }) => byTrack.get(trackId).push({ hash, anchorTime }));
+        }
+        byTrack.forEach(hashes => hashes.sort((a, b) => a.anchorTime - b.anchorTime || a.hash - b.hash));
+        return byTrack;
+    }
+
+    /**
+     * Match a query clip against the index
+     * @param {Array<Object>} hashes - Query hashes as produced by Fingerprinter.generate
+     * @param {number} limit - Maximum number of candidates to return
+     * @returns {Array<Object>} Candidates ranked by score, each with its
+     *   matching hashes and time-offset histogram
+     */
+    query(hashes, limit = 5) {
+        const matchesByTrack = new Map();
+
+        hashes.forEach(({ hash, anchorTime }) => {
+            const postings = this.index.get(hash);
+            if (!postings) return;
+
+            postings.forEach(posting => {
+                let matches = matchesByTrack.get(posting.trackId);
+                if (!matches) {
+                    matches = [];
+                    matchesByTrack.set(posting.trackId, matches);
+                }
+                matches.push({ hash, queryTime: anchorTime, trackTime: posting.anchorTime });
+            });
+        });
+
+        const candidates = [];
+        for (const [trackId, matches] of matchesByTrack) {
+            const histogram = FingerprintDatabase.offsetHistogram(matches);
+
+            let offset = 0;
+            let score = 0;
+            for (const [bin, count] of histogram) {
+                if (count > score) {
+                    score = count;
+                    offset = bin;
+                }
+            }
+
+            candidates.push({
+                trackId,
+                track: this.tracks.get(trackId),
+                score,
+                offset,
+                matchCount: matches.length,
+                matches,
+                histogram
+            });
+        }
+
+        return candidates
+            .sort((a, b) => b.score - a.score || b.matchCount - a.matchCount)
+            .slice(0, limit);
+    }
+
+    /**
+     * Estimate how sure we are of the top candidate
+     *
+     * Combines the margin over the runner-up with the absolute number of
+     * aligned hashes, so a lone candidate with two aligned hashes is not
+     * reported as a certain match.
+     * @param {Array<Object>} candidates - Ranked results from query
+     * @param {number} minScore - Aligned hashes needed for full confidence
+     * @returns {number} Confidence between 0 and 1
+     */
+    static confidence(candidates, minScore = 10) {
+        if (!candidates.length || !candidates[0].score) return 0;
+
+        const [best, runnerUp] = candidates;
+        const margin = runnerUp ? (best.score - runnerUp.score) / best.score : 1;
+        return margin * Math.min(1, best.score / minScore);
+    }
+
+    /**
+     * Count matches per time offset (track time - query time, in frames)
+     * @param {Array<Object>} matches - Matches with queryTime and trackTime
+     * @returns {Map<number, number>} Offset → number of matches
+     */
+    static offsetHistogram(matches) {
+        const histogram = new Map();
+        matches.forEach(({ queryTime, trackTime }) => {
+            const offset = trackTime - queryTime;
+            histogram.set(offset, (histogram.get(offset) || 0) + 1);
+        });
+        return histogram;
+    }
+}
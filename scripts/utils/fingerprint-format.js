@@ -0,0 +1,268 @@
+/**
+ * Fingerprint file formats
+ *
+ * Peaks export as CSV or JSON. Hash databases use a compact little-endian
+ * binary format (.afp) with a versioned header recording the analysis
+ * settings the hashes depend on:
+ *
+ *   offset  size  field
+ *   0       4     magic "AFPD"
+ *   4       2     format version (1)
+ *   6       2     analysis pipeline version (ANALYSIS_VERSION; 0 in older files)
+ *   8       4     analysis sample rate in Hz
+ *   12      4     FFT size in samples
+ *   16      4     hop size in samples
+ *   20      1     frequency bits per hash field
+ *   21      1     time delta bits
+ *   22      2     reserved (0)
+ *   24      4     track count
+ *   28      4     length of the options JSON that follows, in bytes
+ *   32      n     UTF-8 JSON of the full analysis options
+ *
+ * followed by one record per track:
+ *
+ *   2      trackId length, then the UTF-8 trackId
+ *   4      metadata length, then UTF-8 JSON metadata (title, sampleRate, ...)
+ *   4      hash count
+ *   8 × n  hash (uint32), anchor time in frames (uint32)
+ *
+ * Has no browser dependencies.
+ */
+
+import { DEFAULT_FINGERPRINT_OPTIONS } from './fingerprint.js';
+import { DEFAULT_PEAK_OPTIONS } from './peak-finder.js';
+import { ANALYSIS_VERSION } from './track-analyzer.js';
+
+const MAGIC = 'AFPD';
+export const FORMAT_VERSION = 1;
+const HEADER_SIZE = 32;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export class FingerprintFormat {
+    /**
+     * Peaks as CSV, one row per peak
+     * @param {Array<Object>} peaks - Peaks with time, frequency and magnitude
+     * @param {number} secondsPerFrame - Duration of one spectrogram frame
+     * @param {Function} binFrequency - Maps a frequency bin to Hz
+     * @returns {string} CSV text with a header row
+     */
+    static peaksToCsv(peaks, secondsPerFrame, binFrequency) {
+        const rows = peaks.map(({ time, frequency, magnitude }) => [
+            time,
+            (time * secondsPerFrame).toFixed(4),
+            frequency,
+            binFrequency(frequency).toFixed(1),
+            magnitude.toFixed(4)
+        ].join(','));
+        return ['frame,seconds,bin,hz,magnitude', ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Peaks as JSON with the spectrogram settings they were picked from
+     * @param {Array<Object>} peaks - Peaks with time, frequency and magnitude
+     * @param {Object} settings - sampleRate, fftSize, hopSize and any other details to record
+     * @returns {string} JSON text
+     */
+    static peaksToJson(peaks, settings) {
+        return JSON.stringify({
+            format: 'audio-fingerprint-peaks',
+            version: FORMAT_VERSION,
+            ...settings,
+            peaks: peaks.map(({ time, frequency, magnitude }) => ({ time, frequency, magnitude }))
+        }, null, 2);
+    }
+
+    /**
+     * Encode a database in the binary format
+     * @param {FingerprintDatabase} database - Database to export
+     * @param {Object} analysisOptions - TrackAnalyzer options the hashes were made with
+     * @returns {ArrayBuffer} File contents
+     */
+    static encodeDatabase(database, analysisOptions) {
+        const { sampleRate, fftSize, hopSize, fingerprintOptions } = analysisOptions;
+        const { frequencyBits, deltaTimeBits } = { ...DEFAULT_FINGERPRINT_OPTIONS, ...fingerprintOptions };
+        const hashesByTrack = database.getHashesByTrack();
+        const tracks = database.getTracks();
+
+        const optionsBytes = encoder.encode(JSON.stringify(analysisOptions));
+        const records = tracks.map(track => {
+            const { trackId, hashCount, ...metadata } = track;
+            return {
+                idBytes: encoder.encode(trackId),
+                metadataBytes: encoder.encode(JSON.stringify(metadata)),
+                hashes: hashesByTrack.get(trackId)
+            };
+        });
+
+        const size = HEADER_SIZE + optionsBytes.length + records.reduce(
+            (total, record) => total + 2 + record.idBytes.length + 4 + record.metadataBytes.length + 4 + record.hashes.length * 8,
+            0
+        );
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        bytes.set(encoder.encode(MAGIC), 0);
+        view.setUint16(4, FORMAT_VERSION, true);
+        view.setUint16(6, ANALYSIS_VERSION, true);
+        view.setUint32(8, sampleRate, true);
+        view.setUint32(12, fftSize, true);
+        view.setUint32(16, hopSize, true);
+        view.setUint8(20, frequencyBits);
+        view.setUint8(21, deltaTimeBits);
+        view.setUint32(24, records.length, true);
+        view.setUint32(28, optionsBytes.length, true);
+        bytes.set(optionsBytes, HEADER_SIZE);
+
+        let offset = HEADER_SIZE + optionsBytes.length;
+        records.forEach(({ idBytes, metadataBytes, hashes }) => {
+            view.setUint16(offset, idBytes.length, true);
+            bytes.set(idBytes, offset + 2);
+            offset += 2 + idBytes.length;
+
+            view.setUint32(offset, metadataBytes.length, true);
+            bytes.set(metadataBytes, offset + 4);
+            offset += 4 + metadataBytes.length;
+
+            view.setUint32(offset, hashes.length, true);
+            offset += 4;
+            hashes.forEach(({ hash, anchorTime }) => {
+                view.setUint32(offset, hash, true);
+                view.setUint32(offset + 4, anchorTime, true);
+                offset += 8;
+            });
+        });
+
+        return buffer;
+    }
+
+    /**
+     * Decode a file in the binary format
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Object} header (version, analysisVersion, sampleRate, fftSize, hopSize,
+     *   frequencyBits, deltaTimeBits, analysisOptions) and tracks as {trackId, metadata, hashes}
+     */
+    static decodeDatabase(buffer) {
+        if (buffer.byteLength < HEADER_SIZE || decoder.decode(new Uint8Array(buffer, 0, 4)) !== MAGIC) {
+            throw new Error('Not a fingerprint database file');
+        }
+
+        const view = new DataView(buffer);
+        const version = view.getUint16(4, true);
+        if (version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported fingerprint database version ${version} (expected ${FORMAT_VERSION})`);
+        }
+
+        let offset = HEADER_SIZE;
+        const ensure = (length) => {
+            if (offset + length > buffer.byteLength) {
+                throw new Error('Fingerprint database file is truncated');
+            }
+        };
+        const readString = (length) => {
+            ensure(length);
+            const text = decoder.decode(new Uint8Array(buffer, offset, length));
+            offset += length;
+            return text;
+        };
+
+        const header = {
+            version,
+            analysisVersion: view.getUint16(6, true),
+            sampleRate: view.getUint32(8, true),
+            fftSize: view.getUint32(12, true),
+            hopSize: view.getUint32(16, true),
+            frequencyBits: view.getUint8(20),
+            deltaTimeBits: view.getUint8(21),
+            analysisOptions: JSON.parse(readString(view.getUint32(28, true)))
+        };
+
+        const trackCount = view.getUint32(24, true);
+        const tracks = [];
+        for (let i = 0; i < trackCount; i++) {
+            ensure(2);
+            const idLength = view.getUint16(offset, true);
+            offset += 2;
+            const trackId = readString(idLength);
+
+            ensure(4);
+            const metadataLength = view.getUint32(offset, true);
+            offset += 4;
+            const metadata = JSON.parse(readString(metadataLength));
+
+            ensure(4);
+            const hashCount = view.getUint32(offset, true);
+            offset += 4;
+            ensure(hashCount * 8);
+            const hashes = new Array(hashCount);
+            for (let j = 0; j < hashCount; j++) {
+                hashes[j] = { hash: view.getUint32(offset, true), anchorTime: view.getUint32(offset + 4, true) };
+                offset += 8;
+            }
+
+            tracks.push({ trackId, metadata, hashes });
+        }
+
+        return { header, tracks };
+    }
+
+    /**
+     * Check that a decoded file was made by the same analysis pipeline with the
+     * same settings: the header fields and every stored option, peak picking included
+     * @param {Object} header - Header from decodeDatabase
+     * @param {Object} analysisOptions - TrackAnalyzer options in use
+     * @throws {Error} If the hashes would not be comparable
+     */
+    static assertCompatible(header, analysisOptions) {
+        if (header.analysisVersion !== ANALYSIS_VERSION) {
+            throw new Error(`Fingerprints were made by analysis version ${header.analysisVersion} ` +
+                `(expected ${ANALYSIS_VERSION}); fingerprint the tracks again`);
+        }
+
+        const expected = FingerprintFormat.flattenOptions(analysisOptions);
+        // The header records what the hashes were actually packed with
+        const actual = {
+            ...FingerprintFormat.flattenOptions(header.analysisOptions || {}),
+            sampleRate: header.sampleRate,
+            fftSize: header.fftSize,
+            hopSize: header.hopSize,
+            'fingerprintOptions.frequencyBits': header.frequencyBits,
+            'fingerprintOptions.deltaTimeBits': header.deltaTimeBits
+        };
+
+        const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+        const mismatched = keys.filter(key => JSON.stringify(actual[key]) !== JSON.stringify(expected[key]));
+        if (mismatched.length) {
+            const details = mismatched.map(key => `${key} ${actual[key]} (expected ${expected[key]})`).join(', ');
+            throw new Error(`Fingerprints were made with different analysis settings: ${details}`);
+        }
+    }
+
+    /**
+     * Analysis options with peak and fingerprint defaults filled in, nested
+     * options flattened to keys like "peakOptions.neighborhoodSize"
+     * @param {Object} analysisOptions - TrackAnalyzer options
+     * @returns {Object} Flat options
+     */
+    static flattenOptions(analysisOptions) {
+        const options = {
+            ...analysisOptions,
+            peakOptions: { ...DEFAULT_PEAK_OPTIONS, ...analysisOptions.peakOptions },
+            fingerprintOptions: { ...DEFAULT_FINGERPRINT_OPTIONS, ...analysisOptions.fingerprintOptions }
+        };
+
+        const flat = {};
+        Object.entries(options).forEach(([key, value]) => {
+            if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([name, nested]) => {
+                    flat[`${key}.${name}`] = nested;
+                });
+            } else {
+                flat[key] = value;
+            }
+        });
+        return flat;
+    }
+}
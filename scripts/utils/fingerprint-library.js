@@ -0,0 +1,173 @@
+/**
+ * Persistent fingerprint library in IndexedDB
+ *
+ * Keeps each analysed track's metadata, peaks and hashes across page loads,
+ * keyed by the SHA-256 of the audio file, so unchanged files are never
+ * analysed twice. Uploaded files are stored as well, so they can be played and
+ * re-analysed later. Records made with other analysis settings are reported
+ * as stale rather than silently mixed with current ones.
+ */
+
+import { ANALYSIS_VERSION } from './track-analyzer.js';
+
+const DB_NAME = 'audio-fingerprint-library';
+// IndexedDB schema version; add a case to upgrade() when bumping it
+const DB_VERSION = 1;
+const STORE = 'tracks';
+
+export class FingerprintLibrary {
+    /**
+     * @param {Object} analysisOptions - TrackAnalyzer options that new records are made with
+     */
+    constructor(analysisOptions) {
+        this.analysisVersion = FingerprintLibrary.analysisVersion(analysisOptions);
+        this.db = null;
+    }
+
+    /**
+     * Whether this browser can persist the library
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * Identify a set of analysis settings; records with another identifier are stale
+     * @param {Object} analysisOptions - TrackAnalyzer options
+     * @returns {string} Version identifier
+     */
+    static analysisVersion(analysisOptions) {
+        return `${ANALYSIS_VERSION}:${JSON.stringify(analysisOptions)}`;
+    }
+
+    /**
+     * Hash the contents of an audio file
+     * @param {ArrayBuffer} arrayBuffer - File contents (left intact)
+     * @returns {Promise<string>} Hex SHA-256 digest
+     */
+    static async contentHash(arrayBuffer) {
+        const digest = await crypto.subtle.digest('SHA-256', arrayBuffer);
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Pack hashes as interleaved [hash, anchorTime] integers for storage
+     * @param {Array<Object>} hashes - Hashes as {hash, anchorTime}
+     * @returns {Uint32Array} Packed hashes
+     */
+    static packHashes(hashes) {
+        const packed = new Uint32Array(hashes.length * 2);
+        hashes.forEach(({ hash, anchorTime }, i) => {
+            packed[i * 2] = hash;
+            packed[i * 2 + 1] = anchorTime;
+        });
+        return packed;
+    }
+
+    /**
+     * @param {Uint32Array} packed - Hashes from packHashes
+     * @returns {Array<Object>} Hashes as {hash, anchorTime}
+     */
+    static unpackHashes(packed) {
+        const hashes = new Array(packed.length / 2);
+        for (let i = 0; i < hashes.length; i++) {
+            hashes[i] = { hash: packed[i * 2], anchorTime: packed[i * 2 + 1] };
+        }
+        return hashes;
+    }
+
+    async open() {
+        if (this.db) return;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => FingerprintLibrary.upgrade(request.result, event.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The fingerprint library is open in another tab with an older version'));
+        });
+    }
+
+    /**
+     * Bring the IndexedDB schema up to DB_VERSION, one version at a time
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Version on disk (0 when new)
+     */
+    static upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            const store = db.createObjectStore(STORE, { keyPath: 'id' });
+            store.createIndex('source', 'source');
+        }
+    }
+
+    /**
+     * Whether a record was made with the current analysis settings
+     * @param {Object} record - Library record
+     * @returns {boolean}
+     */
+    isCurrent(record) {
+        return record.analysisVersion === this.analysisVersion;
+    }
+
+    /**
+     * @param {string} id - Content hash
+     * @returns {Promise<Object|undefined>} Record, if stored
+     */
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Every record, oldest first
+     */
+    async list() {
+        const records = await this.request('readonly', store => store.getAll());
+        return records.sort((a, b) => a.addedAt - b.addedAt);
+    }
+
+    /**
+     * Store an analysed track, replacing any record with the same content hash
+     * @param {Object} record - id, title, source ('bundled' or 'upload'), optional
+     *   file Blob, metadata, and the peaks and hashes of a TrackAnalyzer result
+     * @returns {Promise<Object>} The stored record
+     */
+    async put({ hashes, ...record }) {
+        const stored = {
+            addedAt: Date.now(),
+            ...record,
+            hashes: FingerprintLibrary.packHashes(hashes),
+            analysisVersion: this.analysisVersion
+        };
+        await this.request('readwrite', store => store.put(stored));
+        return stored;
+    }
+
+    /**
+     * @param {string} id - Content hash
+     * @param {string} title - New title
+     */
+    async rename(id, title) {
+        const record = await this.get(id);
+        if (!record) return;
+        record.title = title;
+        await this.request('readwrite', store => store.put(record));
+    }
+
+    /**
+     * @param {string} id - Content hash
+     */
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+
+    request(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(STORE, mode);
+            const request = operation(transaction.objectStore(STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Library transaction aborted'));
+        });
+    }
+}
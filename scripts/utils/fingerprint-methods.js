@@ -0,0 +1,33 @@
+/**
+ * Fingerprinting methods that can be compared side by side
+ *
+ * Every method is an analyzer with the TrackAnalyzer interface:
+ * analyze(audioBuffer) and analyzeSamples(samples, sampleRate) return at least
+ * {hashes, secondsPerFrame, duration}, with hashes as {hash, anchorTime} in the
+ * method's own frames, so FingerprintDatabase can index and match any of them.
+ * hashBits gives the size of one hash and getImage(result) a picture of the
+ * fingerprint.
+ */
+
+import { TrackAnalyzer } from './track-analyzer.js';
+import { PhilipsAnalyzer } from './philips-analyzer.js';
+import { ChromaAnalyzer } from './chroma-analyzer.js';
+
+export const FINGERPRINT_METHODS = {
+    constellation: { label: 'Constellation pairs (Shazam)', Analyzer: TrackAnalyzer },
+    philips: { label: 'Sub-band energy bits (Philips)', Analyzer: PhilipsAnalyzer },
+    chroma: { label: 'Chroma codes', Analyzer: ChromaAnalyzer }
+};
+
+/**
+ * @param {string} method - Key of FINGERPRINT_METHODS
+ * @param {Object} options - Options for the method's analyzer
+ * @returns {Object} Analyzer for the method
+ */
+export function createAnalyzer(method, options = {}) {
+    const entry = FINGERPRINT_METHODS[method];
+    if (!entry) {
+        throw new Error(`Unknown fingerprinting method: ${method}`);
+    }
+    return new entry.Analyzer(options);
+}
@@ -0,0 +1,28 @@
+/**
+ * Hashing schemes the analysis pipeline can use
+ *
+ * The scheme is picked by the `scheme` fingerprint option, so it travels with
+ * the rest of the analysis settings and databases built with one scheme are
+ * never queried with another.
+ */
+
+import { Fingerprinter, DEFAULT_FINGERPRINT_OPTIONS } from './fingerprint.js';
+import { InvariantFingerprinter } from './invariant-fingerprint.js';
+
+export const FINGERPRINT_SCHEMES = {
+    landmark: { label: 'Landmark pairs', Fingerprinter },
+    invariant: { label: 'Speed-invariant triplets', Fingerprinter: InvariantFingerprinter }
+};
+
+/**
+ * @param {Object} options - Fingerprint options, including the scheme name
+ * @returns {Fingerprinter} Fingerprinter for the scheme
+ */
+export function createFingerprinter(options = {}) {
+    const scheme = options.scheme || DEFAULT_FINGERPRINT_OPTIONS.scheme;
+    const entry = FINGERPRINT_SCHEMES[scheme];
+    if (!entry) {
+        throw new Error(`Unknown fingerprint scheme: ${scheme}`);
+    }
+    return new entry.Fingerprinter(options);
+}
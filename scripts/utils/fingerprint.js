@@ -0,0 +1,156 @@
+/**
+ * Combinatorial hashing of constellation peaks
+ *
+ * Pairs every anchor peak with the peaks inside its target zone and packs each
+ * (anchor frequency, target frequency, time delta) triple into a 32-bit hash.
+ * Works on plain {time, frequency, magnitude} objects so it can be used
+ * outside the page as well.
+ */
+
+export const DEFAULT_FINGERPRINT_OPTIONS = {
+    // Hashing scheme (see fingerprint-schemes.js)
+    scheme: 'landmark',
+    // Target zone starts this many frames after the anchor...
+    minTimeOffset: 1,
+    // ...and ends this many frames after it
+    maxTimeOffset: 64,
+    // Number of frequency bins above and below the anchor covered by the zone
+    frequencySpan: 64,
+    // Maximum number of targets paired with each anchor
+    fanOut: 5,
+    // Hash bit layout: [anchor frequency | target frequency | time delta]
+    frequencyBits: 9,
+    deltaTimeBits: 14
+};
+
+export class Fingerprinter {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_FINGERPRINT_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_FINGERPRINT_OPTIONS, ...options };
+
+        const { frequencyBits, deltaTimeBits } = this.options;
+        if (frequencyBits * 2 + deltaTimeBits > 32) {
+            throw new Error('Hash layout does not fit in 32 bits');
+        }
+        this.maxFrequency = (1 << frequencyBits) - 1;
+        this.maxDeltaTime = (1 << deltaTimeBits) - 1;
+    }
+
+    /**
+     * @returns {number} Bits used by each hash
+     */
+    get hashBits() {
+        return this.options.frequencyBits * 2 + this.options.deltaTimeBits;
+    }
+
+    /**
+     * Get the time-frequency rectangle searched for targets of an anchor
+     * @param {Object} anchor - Anchor peak
+     * @returns {Object} Zone bounds in frames and bins (inclusive)
+     */
+    getTargetZone(anchor) {
+        const { minTimeOffset, maxTimeOffset, frequencySpan } = this.options;
+        return {
+            timeStart: anchor.time + minTimeOffset,
+            timeEnd: anchor.time + maxTimeOffset,
+            freqStart: Math.max(0, anchor.frequency - frequencySpan),
+            freqEnd: anchor.frequency + frequencySpan
+        };
+    }
+
+    /**
+     * Find the targets paired with the anchor at a given index
+     * @param {Array<Object>} peaks - Peaks sorted by time
+     * @param {number} anchorIndex - Index of the anchor in peaks
+     * @returns {Array<Object>} Up to fanOut target peaks, closest in time first
+     */
+    findTargets(peaks, anchorIndex) {
+        const anchor = peaks[anchorIndex];
+        const zone = this.getTargetZone(anchor);
+        const targets = [];
+
+        for (let i = anchorIndex + 1; i < peaks.length && targets.length < this.options.fanOut; i++) {
+            const peak = peaks[i];
+            if (peak.time > zone.timeEnd) break;
+            if (peak.time < zone.timeStart) continue;
+            if (peak.frequency < zone.freqStart || peak.frequency > zone.freqEnd) continue;
+            targets.push(peak);
+        }
+
+        return targets;
+    }
+
+    /**
+     * Generate hashes for a set of peaks
+     * @param {Array<Object>} peaks - Peaks with time, frequency and magnitude
+     * @returns {Array<Object>} Hashes as {hash, anchorTime, anchor, target}
+     */
+    generate(peaks) {
+        const sorted = Fingerprinter.sortPeaks(peaks);
+        const hashes = [];
+
+        for (let i = 0; i < sorted.length; i++) {
+            const anchor = sorted[i];
+            for (const target of this.findTargets(sorted, i)) {
+                hashes.push({
+                    hash: this.packHash(anchor.frequency, target.frequency, target.time - anchor.time),
+                    anchorTime: anchor.time,
+                    anchor,
+                    target
+                });
+            }
+        }
+
+        return hashes;
+    }
+
+    /**
+     * Pack a peak pair into a 32-bit unsigned integer
+     * @param {number} anchorFrequency - Frequency bin of the anchor
+     * @param {number} targetFrequency - Frequency bin of the target
+     * @param {number} deltaTime - Frames between anchor and target
+     * @returns {number} Packed hash
+     */
+    packHash(anchorFrequency, targetFrequency, deltaTime) {
+        const { frequencyBits, deltaTimeBits } = this.options;
+        const f1 = Math.min(this.maxFrequency, Math.max(0, Math.round(anchorFrequency)));
+        const f2 = Math.min(this.maxFrequency, Math.max(0, Math.round(targetFrequency)));
+        const dt = Math.min(this.maxDeltaTime, Math.max(0, Math.round(deltaTime)));
+
+        return ((f1 << (frequencyBits + deltaTimeBits)) | (f2 << deltaTimeBits) | dt) >>> 0;
+    }
+
+    /**
+     * Split a packed hash back into its fields
+     * @param {number} hash - Packed hash
+     * @returns {Object} anchorFrequency, targetFrequency and deltaTime
+     */
+    unpackHash(hash) {
+        const { frequencyBits, deltaTimeBits } = this.options;
+        return {
+            anchorFrequency: (hash >>> (frequencyBits + deltaTimeBits)) & this.maxFrequency,
+            targetFrequency: (hash >>> deltaTimeBits) & this.maxFrequency,
+            deltaTime: hash & this.maxDeltaTime
+        };
+    }
+
+    /**
+     * Format a hash as a fixed-width hex string
+     * @param {number} hash - Packed hash
+     * @returns {string} e.g. 0x0a3f2010
+     */
+    static formatHash(hash) {
+        return '0x' + (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Sort peaks by time, then by frequency, without mutating the input
+     * @param {Array<Object>} peaks - Peaks to sort
+     * @returns {Array<Object>} Sorted copy
+     */
+    static sortPeaks(peaks) {
+        return [...peaks].sort((a, b) => a.time - b.time || a.frequency - b.frequency);
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * Frequency axes for spectrogram views
+ *
+ * Maps frequencies in Hz to a position from 0 (bottom) to 1 (top) of a
+ * linear, logarithmic, mel or constant-Q axis and back, and picks labelled
+ * ticks in Hz and note names. Has no browser dependencies.
+ */
+
+import { STFT } from './stft.js';
+
+export const FREQUENCY_SCALES = {
+    linear: { label: 'Linear' },
+    log: { label: 'Logarithmic' },
+    mel: { label: 'Mel' },
+    cqt: { label: 'Constant-Q' }
+};
+
+// Lowest frequency of the log and constant-Q axes: C1
+const MIN_LOG_FREQUENCY = 32.70;
+
+// Round frequencies tried as ticks on the linear and mel axes
+const ROUND_FREQUENCIES = [50, 100, 200, 300, 500, 700, 1000, 1500, 2000, 3000, 4000, 5000, 7000, 10000, 15000, 20000];
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export class FrequencyScale {
+    /**
+     * @param {string} type - Key of FREQUENCY_SCALES
+     * @param {number} maxFrequency - Frequency at the top of the axis, usually the Nyquist frequency
+     * @param {Object} [options] - minFrequency (default 0, or C1 for log and constant-Q) and binsPerOctave for constant-Q
+     */
+    constructor(type, maxFrequency, { minFrequency = null, binsPerOctave = 24 } = {}) {
+        if (!FREQUENCY_SCALES[type]) {
+            throw new Error(`Unknown frequency scale: ${type}`);
+        }
+        this.type = type;
+        this.logarithmic = type === 'log' || type === 'cqt';
+        this.minFrequency = minFrequency !== null ? minFrequency : (this.logarithmic ? MIN_LOG_FREQUENCY : 0);
+        this.maxFrequency = maxFrequency;
+        this.binsPerOctave = binsPerOctave;
+        if (!(this.maxFrequency > this.minFrequency)) {
+            throw new Error('The frequency range is empty');
+        }
+        this.warpedMin = this.warp(this.minFrequency);
+        this.warpedMax = this.warp(this.maxFrequency);
+    }
+
+    /**
+     * @param {number} hz - Frequency in Hz
+     * @returns {number} Frequency in the axis's own units (Hz, octaves or mels)
+     */
+    warp(hz) {
+        if (this.logarithmic) return Math.log2(Math.max(hz, 1e-3));
+        if (this.type === 'mel') return STFT.hzToMel(hz);
+        return hz;
+    }
+
+    /**
+     * @param {number} value - Frequency in the axis's own units
+     * @returns {number} Frequency in Hz
+     */
+    unwarp(value) {
+        if (this.logarithmic) return Math.pow(2, value);
+        if (this.type === 'mel') return STFT.melToHz(value);
+        return value;
+    }
+
+    /**
+     * @param {number} hz - Frequency in Hz
+     * @returns {number} Position on the axis, 0 at minFrequency and 1 at maxFrequency
+     */
+    toPosition(hz) {
+        return (this.warp(hz) - this.warpedMin) / (this.warpedMax - this.warpedMin);
+    }
+
+    /**
+     * @param {number} position - Position on the axis, 0 to 1
+     * @returns {number} Frequency in Hz
+     */
+    toFrequency(position) {
+        return this.unwarp(this.warpedMin + position * (this.warpedMax - this.warpedMin));
+    }
+
+    /**
+     * Frequency range of each row of a spectrogram image, bottom row first.
+     * Constant-Q rows are binsPerOctave bands per octave, each as wide as its
+     * centre frequency divided by Q, whatever the number of rows asked for.
+     * @param {number} rows - Rows of the image
+     * @returns {Array<Object>} Rows as {low, high} in Hz
+     */
+    getBands(rows) {
+        if (this.type === 'cqt') {
+            const count = Math.max(1, Math.round((this.warpedMax - this.warpedMin) * this.binsPerOctave));
+            const halfBand = 1 / (2 * this.binsPerOctave);
+            return Array.from({ length: count }, (_, row) => {
+                const centre = this.warpedMin + (row + 0.5) / this.binsPerOctave;
+                return { low: this.unwarp(centre - halfBand), high: this.unwarp(centre + halfBand) };
+            });
+        }
+        return Array.from({ length: rows }, (_, row) => ({
+            low: this.toFrequency(row / rows),
+            high: this.toFrequency((row + 1) / rows)
+        }));
+    }
+
+    /**
+     * Labelled ticks that fit on an axis of a given height. Log and constant-Q
+     * axes are marked at every C, the others at round frequencies.
+     * @param {number} height - Axis height in pixels
+     * @param {number} [minSpacing=16] - Fewest pixels between two ticks
+     * @returns {Array<Object>} Ticks as {frequency, position, label}, bottom first
+     */
+    getTicks(height, minSpacing = 16) {
+        const candidates = [];
+        if (this.logarithmic) {
+            for (let midi = 12; FrequencyScale.noteFrequency(midi) <= this.maxFrequency; midi += 12) {
+                const hz = FrequencyScale.noteFrequency(midi);
+                candidates.push({ frequency: hz, label: `${FrequencyScale.noteName(midi)} ${FrequencyScale.formatFrequency(hz)}` });
+            }
+        } else {
+            ROUND_FREQUENCIES.forEach(hz => {
+                const note = FrequencyScale.noteName(Math.round(FrequencyScale.noteNumber(hz)));
+                candidates.push({ frequency: hz, label: `${FrequencyScale.formatFrequency(hz)} ${note}` });
+            });
+        }
+
+        const ticks = [];
+        let lastY = -Infinity;
+        candidates.forEach(candidate => {
+            const position = this.toPosition(candidate.frequency);
+            if (position < 0 || position > 1) return;
+            const y = position * height;
+            if (y - lastY < minSpacing) return;
+            ticks.push({ ...candidate, position });
+            lastY = y;
+        });
+        return ticks;
+    }
+
+    /**
+     * @param {number} hz - Frequency in Hz
+     * @returns {string} e.g. "262 Hz" or "1.5 kHz"
+     */
+    static formatFrequency(hz) {
+        return hz >= 1000 ? `${Number((hz / 1000).toFixed(1))} kHz` : `${Math.round(hz)} Hz`;
+    }
+
+    /**
+     * @param {number} hz - Frequency in Hz
+     * @returns {number} Fractional MIDI note number (69 = A4)
+     */
+    static noteNumber(hz) {
+        return 69 + 12 * Math.log2(hz / 440);
+    }
+
+    /**
+     * @param {number} midi - MIDI note number (69 = A4)
+     * @returns {number} Equal-tempered frequency in Hz
+     */
+    static noteFrequency(midi) {
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
+
+    /**
+     * @param {number} midi - MIDI note number
+     * @returns {string} Note name with octave, e.g. "C4"
+     */
+    static noteName(midi) {
+        return `${NOTE_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+    }
+}
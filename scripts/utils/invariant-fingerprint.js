@@ -0,0 +1,130 @@
+/**
+ * Speed-invariant hashing of constellation peaks
+ *
+ * A landmark hash stores absolute frequencies and a time delta, so it breaks
+ * when a track is sped up, slowed down or pitch-shifted. This variant hashes
+ * triplets instead: an anchor and two of its targets. Resampling by a factor
+ * scales every frequency and every time delta by the same amount, so the
+ * ratios between them survive:
+ *
+ *   [log2(f_b / f_a) | log2(f_c / f_a) | (t_b - t_a) / (t_c - t_a)]
+ *
+ * Time-stretching changes only the deltas, which the last ratio ignores too.
+ * Ratios carry less information than absolute values, so each hash is less
+ * specific and matching relies on more of them lining up. Anchor times are
+ * not scaled back, so FingerprintDatabase still votes on an offset that drifts
+ * through a sped-up query.
+ */
+
+import { Fingerprinter } from './fingerprint.js';
+
+export const DEFAULT_INVARIANT_OPTIONS = {
+    // Frequency ratios are clamped to this many octaves either side of the anchor
+    ratioRange: 2,
+    // Hash bit layout: [ratio to target b | ratio to target c | time delta ratio]
+    ratioBits: 6,
+    deltaRatioBits: 5,
+    // Anchors and targets below this bin are skipped, as integer bins give too coarse a ratio there
+    minFrequency: 16,
+    // Target c must be at least this many frames after the anchor for the time ratio to mean anything
+    minTimeSpan: 4
+};
+
+export class InvariantFingerprinter extends Fingerprinter {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_FINGERPRINT_OPTIONS and DEFAULT_INVARIANT_OPTIONS
+     */
+    constructor(options = {}) {
+        super({ ...DEFAULT_INVARIANT_OPTIONS, ...options });
+
+        const { ratioBits, deltaRatioBits, ratioRange } = this.options;
+        if (ratioBits * 2 + deltaRatioBits > 32) {
+            throw new Error('Hash layout does not fit in 32 bits');
+        }
+        this.maxRatio = (1 << ratioBits) - 1;
+        this.maxDeltaRatio = (1 << deltaRatioBits) - 1;
+        this.ratioSteps = (1 << ratioBits) / (2 * ratioRange);
+    }
+
+    /**
+     * @returns {number} Bits used by each hash
+     */
+    get hashBits() {
+        return this.options.ratioBits * 2 + this.options.deltaRatioBits;
+    }
+
+    /**
+     * Generate hashes for a set of peaks, one per anchor and pair of its targets
+     * @param {Array<Object>} peaks - Peaks with time, frequency and magnitude
+     * @returns {Array<Object>} Hashes as {hash, anchorTime, anchor, target, second}
+     */
+    generate(peaks) {
+        const { minFrequency, minTimeSpan } = this.options;
+        const sorted = Fingerprinter.sortPeaks(peaks).filter(peak => peak.frequency >= minFrequency);
+        const hashes = [];
+
+        for (let i = 0; i < sorted.length; i++) {
+            const anchor = sorted[i];
+            const targets = this.findTargets(sorted, i);
+
+            for (let b = 0; b < targets.length; b++) {
+                for (let c = b + 1; c < targets.length; c++) {
+                    const target = targets[b];
+                    const second = targets[c];
+                    if (second.time === target.time || second.time - anchor.time < minTimeSpan) continue;
+
+                    hashes.push({
+                        hash: this.packTriplet(anchor, target, second),
+                        anchorTime: anchor.time,
+                        anchor,
+                        target,
+                        second
+                    });
+                }
+            }
+        }
+
+        return hashes;
+    }
+
+    /**
+     * Pack an anchor and two later targets into a 32-bit unsigned integer
+     * @param {Object} anchor - Anchor peak
+     * @param {Object} target - Earlier target
+     * @param {Object} second - Later target
+     * @returns {number} Packed hash
+     */
+    packTriplet(anchor, target, second) {
+        const { ratioBits, deltaRatioBits } = this.options;
+        const ratioB = this.quantizeRatio(target.frequency / anchor.frequency);
+        const ratioC = this.quantizeRatio(second.frequency / anchor.frequency);
+        const deltaRatio = (target.time - anchor.time) / (second.time - anchor.time);
+        const dt = Math.min(this.maxDeltaRatio, Math.max(0, Math.floor(deltaRatio * (this.maxDeltaRatio + 1))));
+
+        return ((ratioB << (ratioBits + deltaRatioBits)) | (ratioC << deltaRatioBits) | dt) >>> 0;
+    }
+
+    /**
+     * @param {number} ratio - Frequency ratio to the anchor
+     * @returns {number} Step on a log scale centred on a ratio of one
+     */
+    quantizeRatio(ratio) {
+        const step = Math.floor((Math.log2(ratio) + this.options.ratioRange) * this.ratioSteps);
+        return Math.min(this.maxRatio, Math.max(0, step));
+    }
+
+    /**
+     * Split a packed hash back into its fields
+     * @param {number} hash - Packed hash
+     * @returns {Object} Frequency ratios to both targets and the time delta ratio, at step centres
+     */
+    unpackHash(hash) {
+        const { ratioBits, deltaRatioBits, ratioRange } = this.options;
+        const toRatio = (step) => Math.pow(2, (step + 0.5) / this.ratioSteps - ratioRange);
+        return {
+            targetRatio: toRatio((hash >>> (ratioBits + deltaRatioBits)) & this.maxRatio),
+            secondRatio: toRatio((hash >>> deltaRatioBits) & this.maxRatio),
+            deltaRatio: ((hash & this.maxDeltaRatio) + 0.5) / (this.maxDeltaRatio + 1)
+        };
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Match backends
+ *
+ * The page finds matches through a backend with one interface, so the same
+ * UI can search the in-page index or a match server (server/index.js). Only
+ * hashes cross the wire: `[hash, anchorTime]` pairs in JSON, the same pairs
+ * the CLI's disk index stores.
+ *
+ * Backend interface:
+ *   connect()                          → Promise, resolves once tracks are known
+ *   getTracks()                        → metadata of every indexed track
+ *   addTrack(trackId, metadata, hashes) → Promise
+ *   query(hashes, limit)               → Promise of FingerprintDatabase.query results
+ */
+
+/**
+ * @param {Array<Object>} hashes - Hashes as {hash, anchorTime}
+ * @returns {Array<Array<number>>} [hash, anchorTime] pairs
+ */
+export function encodeHashes(hashes) {
+    return hashes.map(({ hash, anchorTime }) => [hash, anchorTime]);
+}
+
+/**
+ * @param {Array<Array<number>>} pairs - [hash, anchorTime] pairs
+ * @returns {Array<Object>} Hashes as {hash, anchorTime}
+ */
+export function decodeHashes(pairs) {
+    if (!Array.isArray(pairs) || !pairs.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(Number.isInteger))) {
+        throw new Error('hashes must be an array of [hash, anchorTime] integer pairs');
+    }
+    return pairs.map(([hash, anchorTime]) => ({ hash, anchorTime }));
+}
+
+/**
+ * Make query results JSON-safe
+ * @param {Array<Object>} candidates - Results from FingerprintDatabase.query
+ * @returns {Array<Object>} Candidates with matches and histogram as arrays
+ */
+export function encodeCandidates(candidates) {
+    return candidates.map(({ histogram, matches, ...candidate }) => ({
+        ...candidate,
+        matches: matches.map(({ hash, queryTime, trackTime }) => [hash, queryTime, trackTime]),
+        histogram: [...histogram]
+    }));
+}
+
+/**
+ * @param {Array<Object>} candidates - Results from encodeCandidates
+ * @returns {Array<Object>} Candidates in the shape of FingerprintDatabase.query results
+ */
+export function decodeCandidates(candidates) {
+    return candidates.map(({ histogram, matches, ...candidate }) => ({
+        ...candidate,
+        matches: matches.map(([hash, queryTime, trackTime]) => ({ hash, queryTime, trackTime })),
+        histogram: new Map(histogram)
+    }));
+}
+
+/**
+ * Searches the page's own FingerprintDatabase
+ */
+export class LocalMatchBackend {
+    /**
+     * @param {FingerprintDatabase} database - In-page index
+     */
+    constructor(database) {
+        this.database = database;
+        this.label = 'this page';
+    }
+
+    async connect() {}
+
+    getTracks() {
+        return this.database.getTracks();
+    }
+
+    async addTrack(trackId, metadata, hashes) {
+        this.database.addTrack(trackId, metadata, hashes);
+    }
+
+    async query(hashes, limit = 5) {
+        return this.database.query(hashes, limit);
+    }
+}
+
+/**
+ * Sends hashes to a match server and reads back its results
+ */
+export class HttpMatchBackend {
+    /**
+     * @param {string} baseUrl - Server address, e.g. http://localhost:8787
+     * @param {Object} analysisOptions - TrackAnalyzer options the hashes are made with;
+     *   the server refuses hashes made with other settings
+     */
+    constructor(baseUrl, analysisOptions) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.analysisOptions = analysisOptions;
+        this.label = this.baseUrl;
+        this.tracks = [];
+        // Size of the last query body, to show how little is sent
+        this.lastRequestBytes = 0;
+    }
+
+    async connect() {
+        const { tracks } = await this.request('GET', '/tracks');
+        this.tracks = tracks;
+    }
+
+    getTracks() {
+        return this.tracks;
+    }
+
+    async addTrack(trackId, metadata, hashes) {
+        const { track } = await this.request('POST', '/tracks', {
+            trackId,
+            ...metadata,
+            analysis: this.analysisOptions,
+            hashes: encodeHashes(hashes)
+        });
+        this.tracks = [...this.tracks.filter(other => other.trackId !== trackId), track];
+    }
+
+    async query(hashes, limit = 5) {
+        // TrackAnalyzer resamples every query to the analysis rate before hashing it
+        const { candidates } = await this.request('POST', '/match', {
+            analysis: this.analysisOptions,
+            sampleRate: this.analysisOptions.sampleRate,
+            limit,
+            hashes: encodeHashes(hashes)
+        });
+        return decodeCandidates(candidates);
+    }
+
+    async request(method, path, body = null) {
+        const init = { method };
+        if (body) {
+            init.body = JSON.stringify(body);
+            init.headers = { 'Content-Type': 'application/json' };
+            this.lastRequestBytes = new TextEncoder().encode(init.body).length;
+        }
+
+        const response = await fetch(this.baseUrl + path, init);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `${method} ${path} failed (${response.status})`);
+        }
+        return result;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Records a few seconds from a MediaStream into an AudioBuffer
+ *
+ * Works with any audio MediaStream: the microphone from getUserMedia, or a
+ * replay of decoded audio from createReplayStream, which stands in for the
+ * microphone on machines that don't have one.
+ */
+export class MicrophoneRecorder {
+    /**
+     * @param {AudioContext} audioContext - Context to record in; recordings use its sample rate
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.isRecording = false;
+    }
+
+    /**
+     * Ask the user for microphone access
+     * @returns {Promise<MediaStream>} Unprocessed microphone stream
+     */
+    static async getMicrophoneStream() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Microphone access is not supported in this browser');
+        }
+
+        // Browser voice processing removes exactly the tonal peaks we are looking for
+        return navigator.mediaDevices.getUserMedia({
+            audio: {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+    }
+
+    /**
+     * Create a MediaStream that plays back decoded audio, as a fake microphone
+     * @param {AudioBuffer} audioBuffer - Audio to replay
+     * @param {number} startTime - Position in seconds to start from
+     * @returns {MediaStream} Stream carrying the replayed audio
+     */
+    createReplayStream(audioBuffer, startTime = 0) {
+        const source = this.audioContext.createBufferSource();
+        const destination = this.audioContext.createMediaStreamDestination();
+        source.buffer = audioBuffer;
+        source.connect(destination);
+        source.start(0, startTime);
+
+        // Stopping the stream's tracks also stops the replay
+        destination.stream.getTracks().forEach(track => {
+            const stop = track.stop.bind(track);
+            track.stop = () => {
+                source.stop();
+                source.disconnect();
+                stop();
+            };
+        });
+
+        return destination.stream;
+    }
+
+    /**
+     * Record from a stream
+     * @param {MediaStream} stream - Audio stream to record
+     * @param {number} duration - Length of the recording in seconds
+     * @param {Function} onProgress - Called with the recorded fraction (0-1)
+     * @returns {Promise<AudioBuffer>} Mono recording
+     */
+    async record(stream, duration, onProgress = () => {}) {
+        if (this.isRecording) {
+            throw new Error('Already recording');
+        }
+        this.isRecording = true;
+
+        // The context may still be suspended if nothing has played yet
+        await this.audioContext.resume();
+
+        const { sampleRate } = this.audioContext;
+        const targetLength = Math.floor(duration * sampleRate);
+        const source = this.audioContext.createMediaStreamSource(stream);
+        const processor = this.audioContext.createScriptProcessor(4096, 1, 1);
+        const mute = this.audioContext.createGain();
+        mute.gain.value = 0;
+
+        const chunks = [];
+        let recorded = 0;
+
+        return new Promise((resolve, reject) => {
+            let timeout = null;
+
+            const finish = () => {
+                clearTimeout(timeout);
+                processor.onaudioprocess = null;
+                source.disconnect();
+                processor.disconnect();
+                mute.disconnect();
+                this.isRecording = false;
+
+                if (!recorded) {
+                    reject(new Error('No audio was received from the input'));
+                    return;
+                }
+
+                const recording = this.audioContext.createBuffer(1, recorded, sampleRate);
+                const data = recording.getChannelData(0);
+                let offset = 0;
+                chunks.forEach(chunk => {
+                    data.set(chunk, offset);
+                    offset += chunk.length;
+                });
+                resolve(recording);
+            };
+
+            processor.onaudioprocess = (event) => {
+                const input = event.inputBuffer.getChannelData(0);
+                const chunk = input.slice(0, targetLength - recorded);
+                chunks.push(chunk);
+                recorded += chunk.length;
+                onProgress(recorded / targetLength);
+
+                if (recorded >= targetLength) {
+                    finish();
+                }
+            };
+
+            // Give up on a stream that stops delivering audio, keeping what arrived
+            timeout = setTimeout(finish, (duration + 2) * 1000);
+
+            // The processor only runs while connected to the destination
+            source.connect(processor);
+            processor.connect(mute);
+            mute.connect(this.audioContext.destination);
+        });
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Constellation peak picking
+ *
+ * Finds peak frequencies that are robust against noise and distortion: each
+ * region of the spectrogram contributes at most its strongest point, and only
+ * if that point stands out from both the whole track and its own region.
+ * Has no browser dependencies, so it runs in Node as well.
+ */
+
+export const DEFAULT_PEAK_OPTIONS = {
+    // Minimum magnitude for a point to be considered a peak
+    minPeakMagnitude: 0.3,
+
+    // Frames and bins checked on each side of a candidate (2 = a 5×5 window; higher = fewer peaks)
+    neighborhoodSize: 2,
+
+    // Fraction of regions allowed to contribute a peak; the strongest are kept
+    peakDensity: 1,
+
+    // Bounds and base for the number of regions along each axis
+    minRegions: 20,
+    maxRegions: 40,
+    baseRegionSize: 8,
+
+    // A peak must exceed the track average times globalThreshold...
+    globalThreshold: 1.2,
+    // ...and its region's average times localThreshold
+    localThreshold: 1.1,
+
+    // Regions quieter than this fraction of the global threshold are skipped
+    regionEnergyThreshold: 0.3
+};
+
+// Sensible bounds for each option, used by the tuning sliders and to check shared links
+export const PEAK_OPTION_RANGES = {
+    minPeakMagnitude: { min: 0, max: 1, step: 0.01 },
+    neighborhoodSize: { min: 1, max: 6, step: 1 },
+    peakDensity: { min: 0.05, max: 1, step: 0.05 },
+    minRegions: { min: 4, max: 60, step: 1 },
+    maxRegions: { min: 4, max: 80, step: 1 },
+    baseRegionSize: { min: 1, max: 40, step: 1 },
+    globalThreshold: { min: 1, max: 3, step: 0.05 },
+    localThreshold: { min: 1, max: 3, step: 0.05 },
+    regionEnergyThreshold: { min: 0, max: 1, step: 0.05 }
+};
+
+export class PeakFinder {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_PEAK_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_PEAK_OPTIONS, ...options };
+        this.stats = null;
+    }
+
+    /**
+     * Find constellation peaks in a spectrogram
+     * @param {Array<ArrayLike<number>>} frequencies - Magnitudes normalized to 0-1, in [time][frequency] order
+     * @param {Object} [range] - start and end frame to search; frames outside it are
+     *   only compared against, so peaks at the edges of a block are checked across it
+     * @returns {Array<Object>} Peaks as {frequency, magnitude, time}, in bins and frames of `frequencies`
+     */
+    findPeaks(frequencies, { start = 0, end = frequencies ? frequencies.length : 0 } = {}) {
+        this.stats = null;
+        if (!frequencies || end <= start) return [];
+
+        const peaks = [];
+        const {
+            minPeakMagnitude, neighborhoodSize, peakDensity, minRegions, baseRegionSize,
+            globalThreshold, localThreshold, regionEnergyThreshold
+        } = this.options;
+        const maxRegions = Math.max(minRegions, this.options.maxRegions);
+
+        // Get the frequency data
+        const freqData = frequencies;
+        const numTimeFrames = end - start;
+        const numFreqBins = freqData[0].length;
+
+        // Calculate global statistics for adaptive thresholding
+        let maxMagnitude = 0;
+        let totalMagnitude = 0;
+        let magnitudeCount = 0;
+
+        for (let timeIndex = start; timeIndex < end; timeIndex++) {
+            for (let freqIndex = 0; freqIndex < numFreqBins; freqIndex++) {
+                const magnitude = freqData[timeIndex][freqIndex];
+                if (magnitude > maxMagnitude) maxMagnitude = magnitude;
+                totalMagnitude += magnitude;
+                magnitudeCount++;
+            }
+        }
+
+        const avgMagnitude = totalMagnitude / magnitudeCount;
+        const dynamicMinMagnitude = Math.max(minPeakMagnitude, avgMagnitude * globalThreshold);
+
+        // Adjust region size based on audio content
+        const energyLevel = maxMagnitude > 0 ? avgMagnitude / maxMagnitude : 1;
+        const regions = Math.max(minRegions, Math.min(maxRegions, Math.floor(baseRegionSize / energyLevel)));
+        // A block shorter than the region count gets one frame per region
+        const timeRegions = Math.min(regions, numTimeFrames);
+        const freqRegions = Math.min(regions, numFreqBins);
+
+        // For each region; boundaries are rounded so the regions cover every frame and bin
+        for (let timeRegion = 0; timeRegion < timeRegions; timeRegion++) {
+            for (let freqRegion = 0; freqRegion < freqRegions; freqRegion++) {
+                const timeStart = start + Math.floor(timeRegion * numTimeFrames / timeRegions);
+                const timeEnd = start + Math.floor((timeRegion + 1) * numTimeFrames / timeRegions);
+                const freqStart = Math.floor(freqRegion * numFreqBins / freqRegions);
+                const freqEnd = Math.floor((freqRegion + 1) * numFreqBins / freqRegions);
+
+                let maxMagnitude = 0;
+                let maxPeak = null;
+                let regionAvgMagnitude = 0;
+                let regionCount = 0;
+
+                // First pass: calculate region statistics
+                for (let timeIndex = timeStart; timeIndex < timeEnd; timeIndex++) {
+                    for (let freqIndex = freqStart; freqIndex < freqEnd; freqIndex++) {
+                        const magnitude = freqData[timeIndex][freqIndex];
+                        regionAvgMagnitude += magnitude;
+                        regionCount++;
+                    }
+                }
+                regionAvgMagnitude /= regionCount;
+
+                // Only process region if it has significant energy
+                if (regionAvgMagnitude > dynamicMinMagnitude * regionEnergyThreshold) {
+                    // Second pass: find peaks
+                    for (let timeIndex = timeStart; timeIndex < timeEnd; timeIndex++) {
+                        for (let freqIndex = freqStart; freqIndex < freqEnd; freqIndex++) {
+                            const magnitude = freqData[timeIndex][freqIndex];
+
+                            // Skip if magnitude is too low relative to both global and local thresholds
+                            if (magnitude < dynamicMinMagnitude || magnitude < regionAvgMagnitude * localThreshold) continue;
+
+                            // Check if it's higher than ALL neighbors in a small window
+                            let isHighest = true;
+                            for (let t = -neighborhoodSize; t <= neighborhoodSize && isHighest; t++) {
+                                for (let f = -neighborhoodSize; f <= neighborhoodSize && isHighest; f++) {
+                                    if (t === 0 && f === 0) continue;
+
+                                    const neighborTime = timeIndex + t;
+                                    const neighborFreq = freqIndex + f;
+
+                                    if (neighborTime >= 0 && neighborTime < freqData.length &&
+                                        neighborFreq >= 0 && neighborFreq < numFreqBins) {
+                                        const neighborMag = freqData[neighborTime][neighborFreq];
+                                        if (neighborMag >= magnitude) {
+                                            isHighest = false;
+                                            break;
+                                        }
+                                    }
+                                }
+                            }
+
+                            if (isHighest && magnitude > maxMagnitude) {
+                                maxMagnitude = magnitude;
+                                maxPeak = {
+                                    frequency: freqIndex,
+                                    magnitude: magnitude,
+                                    time: timeIndex
+                                };
+                            }
+                        }
+                    }
+
+                    // Add the highest peak from this region if we found one
+                    if (maxPeak) {
+                        peaks.push(maxPeak);
+                    }
+                }
+            }
+        }
+
+        // Thin out to the target density, keeping the strongest peaks in time order
+        const maxPeaks = Math.ceil(peakDensity * timeRegions * freqRegions);
+        const selected = peaks.length > maxPeaks
+            ? [...peaks].sort((a, b) => b.magnitude - a.magnitude).slice(0, maxPeaks).sort((a, b) => a.time - b.time)
+            : peaks;
+
+        this.stats = { timeRegions, freqRegions, avgMagnitude, dynamicMinMagnitude };
+        return selected;
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Haitsma–Kalker (Philips) fingerprinting
+ *
+ * Instead of sparse peaks, every frame gets a 32-bit sub-fingerprint. The
+ * band from 300 Hz to 2 kHz is split into 33 logarithmically spaced sub-bands
+ * and each bit records whether the energy difference between two neighbouring
+ * bands grew or shrank since the previous frame:
+ *
+ *   F(n, m) = 1 if E(n, m) - E(n, m+1) - (E(n-1, m) - E(n-1, m+1)) > 0
+ *
+ * Long, heavily overlapping frames make consecutive sub-fingerprints change
+ * slowly, so a clip still lines up with the track when it starts between two
+ * frames. Has the same interface as TrackAnalyzer.
+ *
+ * Queries are matched by exact sub-fingerprint lookups in the usual index. The
+ * original system also looks up variants with the least reliable bits flipped,
+ * which is what keeps it working in heavy noise.
+ */
+
+import { STFT } from './stft.js';
+import { Resampler } from './resampler.js';
+import { TrackAnalyzer } from './track-analyzer.js';
+
+export const DEFAULT_PHILIPS_OPTIONS = {
+    // Audio is analysed at this rate; the bands stop well below its Nyquist frequency
+    sampleRate: 5512.5,
+    // About 0.37 s frames, advanced by 1/32 of a frame
+    frameSize: 2048,
+    hopSize: 64,
+    // Edges of the sub-bands in Hz; bits per frame is one less than bands
+    minFrequency: 300,
+    maxFrequency: 2000,
+    bands: 33,
+    // Frames quieter than this mean band energy are skipped, as their bits are noise
+    minEnergy: 1e-8
+};
+
+export class PhilipsAnalyzer {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_PHILIPS_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_PHILIPS_OPTIONS, ...options };
+        const { frameSize, hopSize, bands } = this.options;
+        if (bands - 1 > 32) {
+            throw new Error('Sub-fingerprints are limited to 32 bits');
+        }
+        this.stft = new STFT({ windowSize: frameSize, hopSize, window: 'hann', scale: 'linear' });
+    }
+
+    /**
+     * @returns {number} Bits stored per hash
+     */
+    get hashBits() {
+        return this.options.bands - 1;
+    }
+
+    /**
+     * FFT bins belonging to each sub-band
+     * @param {number} sampleRate - Sample rate the spectrogram is computed at
+     * @returns {Array<Array<number>>} [first, last] bin of each band, inclusive
+     */
+    getBandBins(sampleRate) {
+        const { minFrequency, maxFrequency, bands } = this.options;
+        const binWidth = sampleRate / this.stft.fftSize;
+        const ratio = maxFrequency / minFrequency;
+        const edges = [];
+        for (let i = 0; i <= bands; i++) {
+            edges.push(Math.round((minFrequency * Math.pow(ratio, i / bands)) / binWidth));
+        }
+        return edges.slice(0, -1).map((start, i) => [start, Math.max(start, edges[i + 1] - 1)]);
+    }
+
+    /**
+     * Run the full pipeline on decoded audio
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @param {Function} [onProgress] - See analyzeSamples
+     * @returns {Object} Sub-fingerprints as hashes, with timing information
+     */
+    analyze(audioBuffer, onProgress = null) {
+        return this.analyzeSamples(TrackAnalyzer.toMono(audioBuffer), audioBuffer.sampleRate, onProgress);
+    }
+
+    /**
+     * Run the full pipeline on raw mono samples
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Function} [onProgress] - Called with the overall fraction done and the current stage
+     * @returns {Object} hashes as {hash, anchorTime} per frame, numFrames, secondsPerFrame and duration
+     */
+    analyzeSamples(samples, sampleRate, onProgress = null) {
+        const { minEnergy } = this.options;
+        const analysisRate = Math.min(sampleRate, this.options.sampleRate);
+        const frames = this.stft.compute(
+            Resampler.downsample(samples, sampleRate, analysisRate),
+            analysisRate,
+            onProgress && ((fraction) => onProgress(fraction * 0.9, 'spectrogram'))
+        );
+
+        const bandBins = this.getBandBins(analysisRate);
+        const energies = frames.map(frame => bandBins.map(([start, end]) => {
+            let energy = 0;
+            for (let bin = start; bin <= end; bin++) {
+                energy += frame[bin] * frame[bin];
+            }
+            return energy;
+        }));
+
+        const hashes = [];
+        for (let n = 1; n < energies.length; n++) {
+            const current = energies[n];
+            const previous = energies[n - 1];
+            const mean = current.reduce((sum, energy) => sum + energy, 0) / current.length;
+            if (mean < minEnergy) continue;
+
+            let hash = 0;
+            for (let m = 0; m < current.length - 1; m++) {
+                const difference = current[m] - current[m + 1] - (previous[m] - previous[m + 1]);
+                if (difference > 0) {
+                    hash |= 1 << m;
+                }
+            }
+            hashes.push({ hash: hash >>> 0, anchorTime: n });
+        }
+        if (onProgress) {
+            onProgress(1, 'hashes');
+        }
+
+        return {
+            hashes,
+            numFrames: frames.length,
+            secondsPerFrame: this.stft.secondsPerFrame(analysisRate),
+            duration: samples.length / sampleRate
+        };
+    }
+
+    /**
+     * Fingerprint as an image: one column per frame, one row per bit
+     * @param {Object} result - Result of analyze
+     * @returns {Object} Grid image with values of 0 or 1
+     */
+    getImage(result) {
+        const rows = this.hashBits;
+        const cells = result.hashes.map(({ hash }) => {
+            const column = new Float32Array(rows);
+            for (let bit = 0; bit < rows; bit++) {
+                column[bit] = (hash >>> bit) & 1;
+            }
+            return column;
+        });
+        return { kind: 'grid', rows, columns: cells.length, cells, secondsPerColumn: result.secondsPerFrame };
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * Playback controller
+ *
+ * Owns the <audio> element every WaveSurfer view plays through. Each track is
+ * decoded once here and the views are handed the decoded audio, so none of
+ * them fetches or decodes it again. Seeking, playback rate and looping all go
+ * through the controller, so every view shows the same position.
+ */
+
+// Views draw from audio at WaveSurfer's default decoding rate, which keeps the
+// spectrograms' frequency range the same as when each view decoded its own copy
+const VIEW_SAMPLE_RATE = 8000;
+
+export class PlaybackController {
+    /**
+     * @param {AudioLoader} audioLoader - Decodes tracks
+     * @param {Object} handlers - onTimeUpdate(seconds) and onStateChange(isPlaying) callbacks
+     */
+    constructor(audioLoader, { onTimeUpdate = () => {}, onStateChange = () => {} } = {}) {
+        this.audioLoader = audioLoader;
+        this.onTimeUpdate = onTimeUpdate;
+        this.onStateChange = onStateChange;
+
+        this.media = document.createElement('audio');
+        this.media.controls = false;
+        this.media.addEventListener('play', () => this.onStateChange(true));
+        this.media.addEventListener('pause', () => this.onStateChange(false));
+
+        this.views = [];
+        this.url = null;
+        this.buffer = null;
+        this.rate = 1;
+        this.loop = false;
+        // Range looped instead of the whole track, as {start, end} in seconds
+        this.loopRange = null;
+        this.loadId = 0;
+    }
+
+    /**
+     * Show playback in a WaveSurfer instance created with `media: controller.media`
+     * @param {WaveSurfer} wavesurfer - View to keep in step
+     */
+    addView(wavesurfer) {
+        // The first view reports the time; WaveSurfer updates it every frame while playing
+        if (!this.views.length) {
+            wavesurfer.on('timeupdate', (time) => this.handleTimeUpdate(time));
+        }
+        this.views.push(wavesurfer);
+    }
+
+    /**
+     * Decode a track once and show it in every view
+     * @param {string} url - Audio URL, also used as the media source
+     * @param {AudioBuffer} [buffer] - Already decoded audio of the track
+     * @returns {Promise<AudioBuffer|null>} Decoded audio, or null if another load started meanwhile
+     */
+    async load(url, buffer = null) {
+        const loadId = ++this.loadId;
+        this.pause();
+
+        const decoded = buffer || await this.audioLoader.loadAudio(url);
+        const viewAudio = await this.audioLoader.resample(decoded, VIEW_SAMPLE_RATE);
+        if (loadId !== this.loadId) return null;
+
+        // Set before the views load, so their 'ready' handlers see the new track
+        this.url = url;
+        this.buffer = decoded;
+        this.loopRange = null;
+
+        const channels = Array.from({ length: viewAudio.numberOfChannels }, (_, channel) => viewAudio.getChannelData(channel));
+        // The same absolute URL lets WaveSurfer see the media source is already set
+        const src = new URL(url, document.baseURI).href;
+        await Promise.all(this.views.map(view => view.load(src, channels, decoded.duration)));
+        if (loadId !== this.loadId) return null;
+
+        // A new source resets the rate
+        this.setRate(this.rate);
+        this.setLoop(this.loop);
+        return decoded;
+    }
+
+    play() {
+        return this.media.play();
+    }
+
+    pause() {
+        this.media.pause();
+    }
+
+    toggle() {
+        if (this.isPlaying()) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether audio is playing
+     */
+    isPlaying() {
+        return !this.media.paused && !this.media.ended;
+    }
+
+    getCurrentTime() {
+        return this.media.currentTime || 0;
+    }
+
+    getDuration() {
+        return this.buffer ? this.buffer.duration : 0;
+    }
+
+    /**
+     * Move every view to a position
+     * @param {number} seconds - Position in the track
+     */
+    seek(seconds) {
+        const time = Math.max(0, Math.min(seconds, this.getDuration()));
+        this.views.forEach(view => view.setTime(time));
+    }
+
+    /**
+     * @param {number} rate - Playback speed, 1 for normal
+     */
+    setRate(rate) {
+        this.rate = rate;
+        this.media.defaultPlaybackRate = rate;
+        this.media.playbackRate = rate;
+    }
+
+    /**
+     * @param {boolean} enabled - Whether to loop
+     * @param {Object|null} [range] - {start, end} in seconds to loop instead of the whole track
+     */
+    setLoop(enabled, range = null) {
+        this.loop = enabled;
+        this.loopRange = enabled && range && range.end > range.start ? { start: range.start, end: range.end } : null;
+        // The media element loops whole tracks by itself; ranges are handled in handleTimeUpdate
+        this.media.loop = enabled && !this.loopRange;
+    }
+
+    handleTimeUpdate(time) {
+        if (this.loopRange && this.isPlaying() && time >= this.loopRange.end) {
+            this.seek(this.loopRange.start);
+            return;
+        }
+        this.onTimeUpdate(time);
+    }
+}
@@ -0,0 +1,345 @@
+/**
+ * Recognition accuracy benchmark
+ *
+ * Cuts random clips from indexed tracks, optionally degrades them, queries the
+ * database with each and reports how often the right track comes first. The
+ * audio operations are passed in, so the same benchmark runs against the
+ * worker in the page or TrackAnalyzer directly in Node.
+ */
+
+import { FingerprintDatabase } from './fingerprint-database.js';
+
+export const DEFAULT_BENCHMARK_OPTIONS = {
+    // Clips cut from each track
+    clipsPerTrack: 10,
+    // Clip length in seconds
+    clipLength: 3,
+    // Seed for the clip positions, so runs with different settings use the same clips
+    seed: 1,
+    // An identified clip counts as correctly placed within this many seconds
+    offsetTolerance: 0.1
+};
+
+export class RecognitionBenchmark {
+    /**
+     * @param {Object} pipeline - Functions the benchmark calls:
+     *   analyze(buffer) → Promise of a TrackAnalyzer result,
+     *   slice(buffer, startTime, duration) → clip,
+     *   degrade(clip) → Promise of a degraded clip (optional)
+     * @param {FingerprintDatabase} database - Index to query
+     * @param {Object} options - Overrides for DEFAULT_BENCHMARK_OPTIONS
+     */
+    constructor(pipeline, database, options = {}) {
+        this.pipeline = pipeline;
+        this.database = database;
+        this.options = { ...DEFAULT_BENCHMARK_OPTIONS, ...options };
+    }
+
+    /**
+     * Run every query
+     * @param {Array<Object>} tracks - Tracks as {trackId, title, buffer}; all must be indexed
+     * @param {Function} [onProgress] - Called with (queries done, total queries)
+     * @returns {Promise<Object>} Report with options, per-query results and summaries
+     */
+    async run(tracks, onProgress = null) {
+        const positions = this.getClipPositions(tracks);
+        const results = [];
+        for (const position of positions) {
+            results.push(await this.query(await this.prepareClip(position)));
+            if (onProgress) onProgress(results.length, positions.length);
+        }
+        return this.createReport(tracks, results);
+    }
+
+    /**
+     * Run every query on clips prepared beforehand, e.g. to give several
+     * indexes exactly the same degraded audio
+     * @param {Array<Object>} tracks - Tracks the clips were cut from; all must be indexed
+     * @param {Array<Object>} clips - Result of prepareClips
+     * @param {Function} [onProgress] - Called with (queries done, total queries)
+     * @returns {Promise<Object>} Same report as run
+     */
+    async runClips(tracks, clips, onProgress = null) {
+        const results = [];
+        for (const clip of clips) {
+            results.push(await this.query(clip));
+            if (onProgress) onProgress(results.length, clips.length);
+        }
+        return this.createReport(tracks, results);
+    }
+
+    /**
+     * Seeded clip positions, the same for every benchmark with the same options
+     * @param {Array<Object>} tracks - Tracks as {trackId, title, buffer}
+     * @returns {Array<Object>} {track, startTime, length} per query
+     */
+    getClipPositions(tracks) {
+        const { clipsPerTrack, clipLength, seed } = this.options;
+        const random = RecognitionBenchmark.createRandom(seed);
+        const positions = [];
+        tracks.forEach(track => {
+            const length = Math.min(clipLength, track.buffer.duration);
+            for (let i = 0; i < clipsPerTrack; i++) {
+                positions.push({ track, startTime: random() * (track.buffer.duration - length), length });
+            }
+        });
+        return positions;
+    }
+
+    /**
+     * Cut and, if the pipeline says so, degrade every query clip
+     * @param {Array<Object>} tracks - Tracks as {trackId, title, buffer}
+     * @param {Function} [onProgress] - Called with (clips done, total clips)
+     * @returns {Promise<Array<Object>>} Clips as {trackId, title, startTime, clip}
+     */
+    async prepareClips(tracks, onProgress = null) {
+        const positions = this.getClipPositions(tracks);
+        const clips = [];
+        for (const position of positions) {
+            clips.push(await this.prepareClip(position));
+            if (onProgress) onProgress(clips.length, positions.length);
+        }
+        return clips;
+    }
+
+    async prepareClip({ track, startTime, length }) {
+        let clip = this.pipeline.slice(track.buffer, startTime, length);
+        if (this.pipeline.degrade) {
+            clip = await this.pipeline.degrade(clip);
+        }
+        return { trackId: track.trackId, title: track.title, startTime, clip };
+    }
+
+    /**
+     * Identify one clip and score the answer
+     * @param {Object} clip - {trackId, title, startTime, clip} from prepareClip
+     * @returns {Promise<Object>} Per-query result
+     */
+    async query({ trackId, title, startTime, clip }) {
+        const trackCount = this.database.getTracks().length;
+
+        // Time the recognition itself, not the clip preparation
+        const started = now();
+        const { hashes, secondsPerFrame } = await this.pipeline.analyze(clip);
+        const candidates = this.database.query(hashes, trackCount);
+        const queryMs = now() - started;
+
+        // Unranked tracks count as one place below the last track
+        const rankIndex = candidates.findIndex(candidate => candidate.trackId === trackId);
+        const rank = rankIndex >= 0 ? rankIndex + 1 : trackCount + 1;
+        const best = candidates[0] || null;
+        const correct = rank === 1;
+        const offsetError = correct ? Math.abs(best.offset * secondsPerFrame - startTime) : null;
+
+        return {
+            trackId,
+            title,
+            startTime,
+            queryHashes: hashes.length,
+            matchedTrackId: best ? best.trackId : null,
+            score: best ? best.score : 0,
+            rank,
+            correct,
+            offsetCorrect: correct && offsetError <= this.options.offsetTolerance,
+            offsetError,
+            queryMs
+        };
+    }
+
+    createReport(tracks, results) {
+        return {
+            options: { ...this.options },
+            summary: RecognitionBenchmark.summarize(results),
+            tracks: tracks.map(({ trackId, title }) =>
+                ({ trackId, title, ...RecognitionBenchmark.summarize(results.filter(result => result.trackId === trackId)) })
+            ),
+            results
+        };
+    }
+
+    /**
+     * Run the same clips against one index per hashing scheme. Tracks are
+     * analysed once and their peaks hashed with every scheme.
+     * @param {Array<Object>} tracks - Tracks as {trackId, title, buffer}
+     * @param {Object} fingerprinters - Fingerprinter for each scheme name
+     * @param {Object} pipeline - As for the constructor; analyze results must include peaks
+     * @param {Object} options - Overrides for DEFAULT_BENCHMARK_OPTIONS
+     * @param {Function} [onProgress] - Called with (steps done, total steps)
+     * @returns {Promise<Object>} run report for each scheme name
+     */
+    static async compareSchemes(tracks, fingerprinters, pipeline, options = {}, onProgress = null) {
+        const progress = RecognitionBenchmark.createStepCounter(tracks, Object.keys(fingerprinters).length, options, onProgress);
+        const databases = await RecognitionBenchmark.indexSchemes(tracks, fingerprinters, pipeline, progress);
+        const clips = await new RecognitionBenchmark(pipeline, null, options).prepareClips(tracks, () => progress.step());
+        return RecognitionBenchmark.runSchemes(tracks, clips, fingerprinters, databases, pipeline, options, progress);
+    }
+
+    /**
+     * Compare hashing schemes on clips played at several speeds. Votes are
+     * counted per offset between track and query time, which drifts through
+     * a clip that is faster or slower than the track, so accuracy falls with
+     * the change even for hashes that survive it.
+     * @param {Array<Object>} tracks - Tracks as {trackId, title, buffer}
+     * @param {Object} fingerprinters - Fingerprinter for each scheme name
+     * @param {Object} pipeline - As for compareSchemes, with transform(clip, percent) → Promise
+     *   of the clip sped up or slowed down instead of degrade
+     * @param {Array<number>} percents - Speed changes to test, e.g. [-5, 0, 5]
+     * @param {Object} options - Overrides for DEFAULT_BENCHMARK_OPTIONS
+     * @param {Function} [onProgress] - Called with (steps done, total steps)
+     * @returns {Promise<Array<Object>>} {percent, reports} per speed change, reports as from compareSchemes
+     */
+    static async compareRates(tracks, fingerprinters, pipeline, percents, options = {}, onProgress = null) {
+        const runs = Object.keys(fingerprinters).length;
+        const progress = RecognitionBenchmark.createStepCounter(tracks, runs, options, onProgress, 1, percents.length);
+        const databases = await RecognitionBenchmark.indexSchemes(tracks, fingerprinters, pipeline, progress);
+
+        const results = [];
+        for (const percent of percents) {
+            const transformed = { ...pipeline, degrade: (clip) => pipeline.transform(clip, percent) };
+            const clips = await new RecognitionBenchmark(transformed, null, options).prepareClips(tracks, () => progress.step());
+            const reports = await RecognitionBenchmark.runSchemes(tracks, clips, fingerprinters, databases, pipeline, options, progress);
+            results.push({ percent, reports });
+        }
+        return results;
+    }
+
+    /**
+     * Analyse every track once and index its peaks with each scheme
+     * @param {Array<Object>} tracks - Tracks as {trackId, title, buffer}
+     * @param {Object} fingerprinters - Fingerprinter for each scheme name
+     * @param {Object} pipeline - analyze results must include peaks
+     * @param {Object} progress - Counter from createStepCounter
+     * @returns {Promise<Map<string, FingerprintDatabase>>} Index for each scheme name
+     */
+    static async indexSchemes(tracks, fingerprinters, pipeline, progress) {
+        const schemes = Object.entries(fingerprinters);
+        const databases = new Map(schemes.map(([name]) => [name, new FingerprintDatabase()]));
+        for (const { trackId, title, buffer } of tracks) {
+            const { peaks, secondsPerFrame, duration } = await pipeline.analyze(buffer);
+            schemes.forEach(([name, fingerprinter]) => {
+                databases.get(name).addTrack(trackId, { title, secondsPerFrame, duration }, fingerprinter.generate(peaks));
+            });
+            progress.step();
+        }
+        return databases;
+    }
+
+    /**
+     * Query each scheme's index with the same prepared clips
+     * @param {Array<Object>} tracks - Tracks the clips were cut from
+     * @param {Array<Object>} clips - Result of prepareClips
+     * @param {Object} fingerprinters - Fingerprinter for each scheme name
+     * @param {Map<string, FingerprintDatabase>} databases - Result of indexSchemes
+     * @param {Object} pipeline - analyze results must include peaks
+     * @param {Object} options - Overrides for DEFAULT_BENCHMARK_OPTIONS
+     * @param {Object} progress - Counter from createStepCounter
+     * @returns {Promise<Object>} run report for each scheme name
+     */
+    static async runSchemes(tracks, clips, fingerprinters, databases, pipeline, options, progress) {
+        const reports = {};
+        for (const [name, fingerprinter] of Object.entries(fingerprinters)) {
+            const benchmark = new RecognitionBenchmark({
+                ...pipeline,
+                analyze: async (clip) => {
+                    const result = await pipeline.analyze(clip);
+                    return { ...result, hashes: fingerprinter.generate(result.peaks) };
+                }
+            }, databases.get(name), options);
+            reports[name] = await benchmark.runClips(tracks, clips, () => progress.step());
+        }
+        return reports;
+    }
+
+    /**
+     * Run the same clips against one index per fingerprinting method
+     * @param {Array<Object>} tracks - Tracks as {trackId, title, buffer}
+     * @param {Object} analyzers - analyze(buffer) → Promise of a result with hashes, for each method name
+     * @param {Object} pipeline - slice and degrade functions, as for the constructor
+     * @param {Object} options - Overrides for DEFAULT_BENCHMARK_OPTIONS
+     * @param {Function} [onProgress] - Called with (steps done, total steps)
+     * @returns {Promise<Object>} run report for each method name, with the hashes and seconds indexed
+     */
+    static async compareMethods(tracks, analyzers, pipeline, options = {}, onProgress = null) {
+        const methods = Object.entries(analyzers);
+        const progress = RecognitionBenchmark.createStepCounter(tracks, methods.length, options, onProgress, methods.length);
+        const clips = await new RecognitionBenchmark(pipeline, null, options).prepareClips(tracks, () => progress.step());
+
+        const reports = {};
+        for (const [name, analyze] of methods) {
+            const database = new FingerprintDatabase();
+            const index = { hashCount: 0, duration: 0 };
+            for (const { trackId, title, buffer } of tracks) {
+                const result = await analyze(buffer);
+                database.addTrack(trackId, { title, secondsPerFrame: result.secondsPerFrame, duration: result.duration }, result.hashes);
+                index.hashCount += result.hashes.length;
+                index.duration += result.duration;
+                progress.step();
+            }
+
+            const benchmark = new RecognitionBenchmark({ ...pipeline, analyze }, database, options);
+            const report = await benchmark.runClips(tracks, clips, () => progress.step());
+            reports[name] = { ...report, index };
+        }
+        return reports;
+    }
+
+    /**
+     * Progress over indexing, clip preparation and queries
+     * @param {Array<Object>} tracks - Tracks being compared
+     * @param {number} runs - Indexes queried with every clip
+     * @param {Object} options - Benchmark options
+     * @param {Function|null} onProgress - Called with (steps done, total steps)
+     * @param {number} [indexings=1] - Times every track is analysed for an index
+     * @param {number} [rounds=1] - Times a set of clips is prepared and run
+     * @returns {Object} Counter with a step() method
+     */
+    static createStepCounter(tracks, runs, options, onProgress, indexings = 1, rounds = 1) {
+        const { clipsPerTrack } = { ...DEFAULT_BENCHMARK_OPTIONS, ...options };
+        const clips = tracks.length * clipsPerTrack;
+        const total = tracks.length * indexings + rounds * (clips + clips * runs);
+        let done = 0;
+        return {
+            step() {
+                done++;
+                if (onProgress) onProgress(done, total);
+            }
+        };
+    }
+
+    /**
+     * Aggregate a set of query results
+     * @param {Array<Object>} results - Per-query results from run
+     * @returns {Object} queries, top1Accuracy, offsetAccuracy, meanRank and meanQueryMs
+     */
+    static summarize(results) {
+        const count = results.length;
+        const mean = (values) => (count ? values.reduce((sum, value) => sum + value, 0) / count : 0);
+        return {
+            queries: count,
+            top1Accuracy: mean(results.map(result => (result.correct ? 1 : 0))),
+            offsetAccuracy: mean(results.map(result => (result.offsetCorrect ? 1 : 0))),
+            meanRank: mean(results.map(result => result.rank)),
+            meanQueryMs: mean(results.map(result => result.queryMs))
+        };
+    }
+
+    /**
+     * Seeded pseudo-random numbers (mulberry32)
+     * @param {number} seed - Integer seed
+     * @returns {Function} Returns a number in [0, 1) on each call
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
@@ -0,0 +1,86 @@
+/**
+ * Sample rate conversion for raw samples
+ *
+ * Methods that only look at low frequencies analyse a few kilohertz of
+ * bandwidth, not 44.1 kHz. Two passes of a moving average remove most of what
+ * would alias, then samples are read at the new rate by linear interpolation.
+ * Cruder than a proper polyphase filter, but linear in time and free of
+ * browser dependencies. Going up, samples are only interpolated, so nothing
+ * appears above the input's Nyquist frequency.
+ */
+
+export class Resampler {
+    /**
+     * Convert to any rate: filtered downsampling, or linear interpolation upwards
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate of the input in Hz
+     * @param {number} targetRate - Sample rate of the output in Hz
+     * @returns {Float32Array} Samples at targetRate
+     */
+    static resample(samples, sampleRate, targetRate) {
+        if (targetRate === sampleRate) return samples;
+        if (targetRate < sampleRate) return Resampler.downsample(samples, sampleRate, targetRate);
+        return Resampler.interpolate(samples, sampleRate / targetRate);
+    }
+
+    /**
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate of the input in Hz
+     * @param {number} targetRate - Sample rate of the output in Hz, at most sampleRate
+     * @returns {Float32Array} Samples at targetRate
+     */
+    static downsample(samples, sampleRate, targetRate) {
+        if (targetRate >= sampleRate) return samples;
+
+        const ratio = sampleRate / targetRate;
+        const width = Math.max(1, Math.round(ratio));
+        const filtered = Resampler.movingAverage(Resampler.movingAverage(samples, width), width);
+
+        return Resampler.interpolate(filtered, ratio);
+    }
+
+    /**
+     * Read samples at a new spacing by linear interpolation
+     * @param {Float32Array} samples - Input samples
+     * @param {number} ratio - Input samples per output sample
+     * @returns {Float32Array} Interpolated samples
+     */
+    static interpolate(samples, ratio) {
+        const output = new Float32Array(Math.floor(samples.length / ratio));
+        for (let i = 0; i < output.length; i++) {
+            const position = i * ratio;
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const next = index + 1 < samples.length ? samples[index + 1] : 0;
+            output[i] = samples[index] * (1 - fraction) + next * fraction;
+        }
+        return output;
+    }
+
+    /**
+     * Centred running mean
+     * @param {Float32Array} samples - Input samples
+     * @param {number} width - Window length in samples
+     * @returns {Float32Array} Smoothed samples
+     */
+    static movingAverage(samples, width) {
+        if (width <= 1) return samples;
+
+        const output = new Float32Array(samples.length);
+        const half = Math.floor(width / 2);
+
+        // Sample i averages [i - half, i - half + width - 1]; samples outside the input count as silence
+        let sum = 0;
+        for (let j = 0; j < Math.min(width - half - 1, samples.length); j++) {
+            sum += samples[j];
+        }
+        for (let i = 0; i < samples.length; i++) {
+            const entering = i + width - half - 1;
+            const leaving = i - half - 1;
+            if (entering < samples.length) sum += samples[entering];
+            if (leaving >= 0) sum -= samples[leaving];
+            output[i] = sum / width;
+        }
+        return output;
+    }
+}
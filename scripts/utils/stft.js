@@ -0,0 +1,268 @@
+/**
+ * Short-time Fourier transform built on the FFT class
+ *
+ * Slices audio into overlapping windowed frames and returns one Float32Array
+ * of magnitudes per frame, as linear amplitude, log-compressed amplitude,
+ * decibels or mel bands. Has no browser dependencies.
+ */
+
+import { FFT } from './fft.js';
+
+// Frames between progress callbacks
+const PROGRESS_INTERVAL = 256;
+
+export const WINDOW_FUNCTIONS = {
+    rectangular: () => 1,
+    hann: (i, n) => 0.5 * (1 - Math.cos((2 * Math.PI * i) / (n - 1))),
+    hamming: (i, n) => 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (n - 1)),
+    blackman: (i, n) => 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)) + 0.08 * Math.cos((4 * Math.PI * i) / (n - 1))
+};
+
+export const DEFAULT_STFT_OPTIONS = {
+    // Samples per analysis window
+    windowSize: 1024,
+    // Samples between the starts of consecutive frames
+    hopSize: 512,
+    // FFT length as a multiple of the window size; frames are zero-padded to it
+    zeroPadding: 1,
+    // 'rectangular', 'hann', 'hamming' or 'blackman'
+    window: 'hann',
+    // 'linear', 'log', 'db' or 'mel'
+    scale: 'db',
+    // Decibels below full scale that map to silence for the 'db' scale
+    rangeDB: 80,
+    // Compression factor for the 'log' scale
+    logCompression: 1000,
+    // Mel filterbank settings for the 'mel' scale (maxFrequency null = Nyquist)
+    melBands: 64,
+    minFrequency: 0,
+    maxFrequency: null,
+    // Map the output onto 0-1, as expected by PeakFinder
+    normalize: false
+};
+
+export class STFT {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_STFT_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_STFT_OPTIONS, ...options };
+        const { windowSize, hopSize, zeroPadding, window, scale } = this.options;
+
+        if (!WINDOW_FUNCTIONS[window]) {
+            throw new Error(`Unknown window function: ${window}`);
+        }
+        if (!['linear', 'log', 'db', 'mel'].includes(scale)) {
+            throw new Error(`Unknown magnitude scale: ${scale}`);
+        }
+        if (!(hopSize > 0) || !(windowSize > 0)) {
+            throw new Error('Window and hop sizes must be positive');
+        }
+
+        // The FFT needs a power of two
+        this.fftSize = Math.pow(2, Math.ceil(Math.log2(windowSize * Math.max(1, zeroPadding))));
+        this.fft = new FFT(this.fftSize);
+        this.window = STFT.createWindow(window, windowSize);
+
+        // Scale so a full-scale sine has an amplitude of 1 whatever the window
+        const windowSum = this.window.reduce((sum, value) => sum + value, 0);
+        this.amplitudeScale = 2 / windowSum;
+
+        this.melFilterbank = null;
+        this.melSampleRate = null;
+    }
+
+    /**
+     * Number of values per output frame
+     * @returns {number} FFT bins, or mel bands for the 'mel' scale
+     */
+    get numBins() {
+        return this.options.scale === 'mel' ? this.options.melBands : this.fftSize / 2;
+    }
+
+    /**
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {number} Duration of one hop in seconds
+     */
+    secondsPerFrame(sampleRate) {
+        return this.options.hopSize / sampleRate;
+    }
+
+    /**
+     * Centre frequency of an output bin
+     * @param {number} bin - Bin (or mel band) index
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {number} Frequency in Hz
+     */
+    binFrequency(bin, sampleRate) {
+        if (this.options.scale !== 'mel') {
+            return (bin * sampleRate) / this.fftSize;
+        }
+        const { minFrequency, maxFrequency, melBands } = this.options;
+        const minMel = STFT.hzToMel(minFrequency);
+        const maxMel = STFT.hzToMel(maxFrequency || sampleRate / 2);
+        return STFT.melToHz(minMel + ((bin + 1) * (maxMel - minMel)) / (melBands + 1));
+    }
+
+    /**
+     * Compute the spectrogram of mono samples
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz (needed for the 'mel' scale)
+     * @param {Function} [onProgress] - Called with the fraction of frames computed so far
+     * @returns {Array<Float32Array>} Frames in [time][frequency] order
+     */
+    compute(samples, sampleRate, onProgress = null) {
+        const { windowSize, hopSize, scale, rangeDB, logCompression, normalize } = this.options;
+        const numBins = this.fftSize / 2;
+        const input = new Float32Array(this.fftSize);
+        const amplitudes = new Float32Array(numBins);
+        const frames = [];
+        let maxValue = 0;
+        const totalFrames = Math.max(0, Math.floor((samples.length - windowSize) / hopSize) + 1);
+
+        if (scale === 'mel' && this.melSampleRate !== sampleRate) {
+            this.melFilterbank = this.createMelFilterbank(sampleRate);
+            this.melSampleRate = sampleRate;
+        }
+
+        for (let start = 0; start + windowSize <= samples.length; start += hopSize) {
+            // The tail of the input stays zero, which is the zero-padding
+            for (let i = 0; i < windowSize; i++) {
+                input[i] = samples[start + i] * this.window[i];
+            }
+
+            const spectrum = this.fft.forward(input);
+            for (let bin = 0; bin < numBins; bin++) {
+                const re = spectrum[bin * 2];
+                const im = spectrum[bin * 2 + 1];
+                amplitudes[bin] = Math.sqrt(re * re + im * im) * this.amplitudeScale;
+            }
+
+            let frame;
+            if (scale === 'mel') {
+                frame = new Float32Array(this.melFilterbank.length);
+                this.melFilterbank.forEach((filter, band) => {
+                    let sum = 0;
+                    for (let i = 0; i < filter.weights.length; i++) {
+                        sum += amplitudes[filter.start + i] * filter.weights[i];
+                    }
+                    frame[band] = sum;
+                });
+            } else if (scale === 'db') {
+                frame = new Float32Array(numBins);
+                for (let bin = 0; bin < numBins; bin++) {
+                    frame[bin] = Math.max(-rangeDB, 20 * Math.log10(Math.max(amplitudes[bin], 1e-12)));
+                }
+            } else if (scale === 'log') {
+                frame = new Float32Array(numBins);
+                const denominator = Math.log1p(logCompression);
+                for (let bin = 0; bin < numBins; bin++) {
+                    frame[bin] = Math.log1p(amplitudes[bin] * logCompression) / denominator;
+                }
+            } else {
+                frame = Float32Array.from(amplitudes);
+            }
+
+            for (let i = 0; i < frame.length; i++) {
+                if (frame[i] > maxValue) maxValue = frame[i];
+            }
+            frames.push(frame);
+
+            if (onProgress && frames.length % PROGRESS_INTERVAL === 0) {
+                onProgress(frames.length / totalFrames);
+            }
+        }
+
+        if (normalize) {
+            STFT.normalizeFrames(frames, scale === 'db' ? rangeDB : null, maxValue);
+        }
+        return frames;
+    }
+
+    /**
+     * Map frames onto 0-1 in place
+     * @param {Array<Float32Array>} frames - Spectrogram frames
+     * @param {number|null} rangeDB - Decibel range for dB frames, null for amplitude frames
+     * @param {number} maxValue - Largest amplitude value, used when rangeDB is null
+     */
+    static normalizeFrames(frames, rangeDB, maxValue) {
+        frames.forEach(frame => {
+            for (let i = 0; i < frame.length; i++) {
+                frame[i] = rangeDB !== null
+                    ? (frame[i] + rangeDB) / rangeDB
+                    : (maxValue > 0 ? frame[i] / maxValue : 0);
+            }
+        });
+    }
+
+    /**
+     * Build triangular mel filters over the FFT bins
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Array<Object>} Filters as {start, weights}
+     */
+    createMelFilterbank(sampleRate) {
+        const { melBands, minFrequency, maxFrequency } = this.options;
+        const numBins = this.fftSize / 2;
+        const minMel = STFT.hzToMel(minFrequency);
+        const maxMel = STFT.hzToMel(maxFrequency || sampleRate / 2);
+
+        // Band edges in (fractional) FFT bins
+        const edges = [];
+        for (let i = 0; i < melBands + 2; i++) {
+            const hz = STFT.melToHz(minMel + (i * (maxMel - minMel)) / (melBands + 1));
+            edges.push((hz * this.fftSize) / sampleRate);
+        }
+
+        const filters = [];
+        for (let band = 0; band < melBands; band++) {
+            const [left, centre, right] = [edges[band], edges[band + 1], edges[band + 2]];
+            const start = Math.max(0, Math.floor(left));
+            const end = Math.min(numBins - 1, Math.ceil(right));
+            const weights = new Float32Array(Math.max(1, end - start + 1));
+
+            for (let bin = start; bin <= end; bin++) {
+                const rising = centre > left ? (bin - left) / (centre - left) : 0;
+                const falling = right > centre ? (right - bin) / (right - centre) : 0;
+                weights[bin - start] = Math.max(0, Math.min(rising, falling));
+            }
+
+            // Narrow low bands may fall between bins; give them their nearest bin
+            if (!weights.some(weight => weight > 0)) {
+                weights[Math.min(weights.length - 1, Math.round(centre) - start)] = 1;
+            }
+            filters.push({ start, weights });
+        }
+        return filters;
+    }
+
+    /**
+     * Create a window of a given type
+     * @param {string} type - Key of WINDOW_FUNCTIONS
+     * @param {number} size - Window length in samples
+     * @returns {Float32Array} Window coefficients
+     */
+    static createWindow(type, size) {
+        const windowFunction = WINDOW_FUNCTIONS[type];
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            window[i] = size > 1 ? windowFunction(i, size) : 1;
+        }
+        return window;
+    }
+
+    /**
+     * @param {number} hz - Frequency in Hz
+     * @returns {number} Frequency in mels
+     */
+    static hzToMel(hz) {
+        return 2595 * Math.log10(1 + hz / 700);
+    }
+
+    /**
+     * @param {number} mel - Frequency in mels
+     * @returns {number} Frequency in Hz
+     */
+    static melToHz(mel) {
+        return 700 * (Math.pow(10, mel / 2595) - 1);
+    }
+}
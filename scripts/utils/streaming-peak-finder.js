@@ -0,0 +1,96 @@
+/**
+ * Incremental constellation peak picking
+ *
+ * Accepts spectrogram frames as they arrive and runs PeakFinder over fixed
+ * blocks of them, so peaks appear progressively instead of after the whole
+ * track has been analysed. Works the same for a decoded file being played back
+ * and for live input. With the same block size it finds the same peaks as
+ * TrackAnalyzer. Has no browser dependencies.
+ */
+
+import { PeakFinder } from './peak-finder.js';
+import { Fingerprinter } from './fingerprint.js';
+
+export const DEFAULT_STREAMING_OPTIONS = {
+    // Frames per block handed to the peak picker; peaks in a block are final once it is full
+    chunkFrames: 128
+};
+
+export class StreamingPeakFinder {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_STREAMING_OPTIONS and PeakFinder options
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_STREAMING_OPTIONS, ...options };
+        this.peakFinder = new PeakFinder(this.options);
+        this.reset();
+    }
+
+    /**
+     * Forget all frames, e.g. when a new track starts
+     */
+    reset() {
+        // Frames still needed, starting at absolute frame `offset`
+        this.frames = [];
+        this.offset = 0;
+        // Frames before this one have been searched for peaks
+        this.processed = 0;
+    }
+
+    /**
+     * Number of frames received since the last reset
+     * @returns {number} Frame count
+     */
+    get frameCount() {
+        return this.offset + this.frames.length;
+    }
+
+    /**
+     * Add frames and search every block that is now complete
+     * @param {Array<ArrayLike<number>>} frames - Magnitudes normalized to 0-1, in [time][frequency] order
+     * @returns {Array<Object>} Newly found peaks with absolute frame times
+     */
+    push(frames) {
+        for (let i = 0; i < frames.length; i++) {
+            this.frames.push(frames[i]);
+        }
+        return this.process(false);
+    }
+
+    /**
+     * Search the remaining frames, including a final partial block
+     * @returns {Array<Object>} Newly found peaks with absolute frame times
+     */
+    flush() {
+        return this.process(true);
+    }
+
+    process(final) {
+        const { chunkFrames } = this.options;
+        const { neighborhoodSize } = this.peakFinder.options;
+        const peaks = [];
+
+        while (this.processed < this.frameCount) {
+            const chunkEnd = this.processed + chunkFrames;
+            // Peaks near the end of a block are compared with the frames after it, so wait for them
+            if (!final && chunkEnd + neighborhoodSize > this.frameCount) break;
+
+            // Searched with the frames around it, as TrackAnalyzer.findPeaksInBlocks does
+            const start = this.processed - this.offset;
+            const end = Math.min(start + chunkFrames, this.frames.length);
+            const from = Math.max(0, start - neighborhoodSize);
+            const block = this.frames.slice(from, end + neighborhoodSize);
+            this.peakFinder.findPeaks(block, { start: start - from, end: end - from }).forEach(peak => {
+                peaks.push({ ...peak, time: this.offset + from + peak.time });
+            });
+            this.processed += end - start;
+
+            // Keep only the frames the next block's edge checks look back at
+            const keepFrom = Math.max(this.offset, this.processed - neighborhoodSize);
+            this.frames.splice(0, keepFrom - this.offset);
+            this.offset = keepFrom;
+        }
+
+        return Fingerprinter.sortPeaks(peaks);
+    }
+}
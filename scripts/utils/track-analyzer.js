@@ -0,0 +1,204 @@
+/**
+ * Headless analysis pipeline: audio samples → spectrogram → constellation
+ * peaks → hashes
+ *
+ * Audio is resampled to a fixed rate and transformed with a fixed hop size,
+ * so frame times are comparable between a full track and a short query clip.
+ * The constellation overlay runs the same steps with the same defaults, so the
+ * peaks and hashes it shows are the ones that get matched. Has no browser
+ * dependencies, so it also powers the Node CLI.
+ */
+
+import { STFT } from './stft.js';
+import { Fingerprinter } from './fingerprint.js';
+import { createFingerprinter } from './fingerprint-schemes.js';
+import { PeakFinder } from './peak-finder.js';
+import { Resampler } from './resampler.js';
+
+// Bump when a change to the pipeline alters peaks or hashes for the same options
+export const ANALYSIS_VERSION = 2;
+
+export const DEFAULT_ANALYSIS_OPTIONS = {
+    // Audio is resampled to this rate first, so hashes do not depend on the rate it was recorded at
+    sampleRate: 44100,
+    // STFT window length in samples
+    fftSize: 1024,
+    // Samples between the starts of consecutive frames
+    hopSize: 512,
+    // STFT window function and zero-padding factor (see STFT)
+    window: 'hann',
+    zeroPadding: 1,
+    // Dynamic range of the dB spectrogram that peaks are picked from
+    rangeDB: 80,
+    // Peaks are picked per block of frames so their density does not depend on track length
+    chunkFrames: 256,
+    // Options passed to the peak picker
+    peakOptions: {
+        minPeakMagnitude: 0.25
+    },
+    // Options passed to the Fingerprinter
+    fingerprintOptions: {}
+};
+
+export class TrackAnalyzer {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_ANALYSIS_OPTIONS; peakOptions and
+     *   fingerprintOptions override the defaults key by key
+     */
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_ANALYSIS_OPTIONS,
+            ...options,
+            peakOptions: { ...DEFAULT_ANALYSIS_OPTIONS.peakOptions, ...options.peakOptions },
+            fingerprintOptions: { ...DEFAULT_ANALYSIS_OPTIONS.fingerprintOptions, ...options.fingerprintOptions }
+        };
+        this.stft = new STFT({ ...TrackAnalyzer.getStftOptions(this.options), scale: 'db', normalize: true });
+        this.fingerprinter = createFingerprinter(this.options.fingerprintOptions);
+        this.peakFinder = new PeakFinder(this.options.peakOptions);
+    }
+
+    /**
+     * @returns {number} Bits stored per hash
+     */
+    get hashBits() {
+        return this.fingerprinter.hashBits;
+    }
+
+    /**
+     * STFT settings of an analysis, in the form the STFT and the spectrogram plugin take
+     * @param {Object} [options] - Analysis options
+     * @returns {Object} windowSize, hopSize, window, zeroPadding and rangeDB
+     */
+    static getStftOptions({ fftSize, hopSize, window, zeroPadding, rangeDB } = DEFAULT_ANALYSIS_OPTIONS) {
+        return { windowSize: fftSize, hopSize, window, zeroPadding, rangeDB };
+    }
+
+    /**
+     * Mix all channels of an AudioBuffer down to mono
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @returns {Float32Array} Mono samples
+     */
+    static toMono(audioBuffer) {
+        const { numberOfChannels, length } = audioBuffer;
+        if (numberOfChannels === 1) {
+            return audioBuffer.getChannelData(0);
+        }
+
+        const mono = new Float32Array(length);
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                mono[i] += data[i] / numberOfChannels;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * Compute a dB spectrogram normalized to 0-1
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Function} [onProgress] - Called with the fraction of frames computed so far
+     * @returns {Array<Float32Array>} Frames in [time][frequency] order
+     */
+    computeSpectrogram(samples, sampleRate, onProgress = null) {
+        return this.stft.compute(samples, sampleRate, onProgress);
+    }
+
+    /**
+     * Pick constellation peaks block by block
+     * @param {Array<Float32Array>} frames - Spectrogram frames
+     * @param {Function} [onProgress] - Called with the fraction of frames searched so far
+     * @returns {Array<Object>} Peaks with absolute frame times
+     */
+    findPeaks(frames, onProgress = null) {
+        return TrackAnalyzer.findPeaksInBlocks(this.peakFinder, frames, this.options.chunkFrames, onProgress);
+    }
+
+    /**
+     * Pick peaks from each block of frames, so their density does not depend
+     * on the length of the track
+     * @param {PeakFinder} peakFinder - Peak picker to search each block with
+     * @param {Array<Float32Array>} frames - Spectrogram frames
+     * @param {number} chunkFrames - Frames per block
+     * @param {Function} [onProgress] - Called with the fraction of frames searched so far
+     * @returns {Array<Object>} Peaks with absolute frame times
+     */
+    static findPeaksInBlocks(peakFinder, frames, chunkFrames, onProgress = null) {
+        const { neighborhoodSize } = peakFinder.options;
+        const peaks = [];
+
+        for (let start = 0; start < frames.length; start += chunkFrames) {
+            // Include the neighbouring frames, so peaks at the edges of a block are compared across it
+            const end = Math.min(start + chunkFrames, frames.length);
+            const from = Math.max(0, start - neighborhoodSize);
+            const block = frames.slice(from, end + neighborhoodSize);
+            peakFinder.findPeaks(block, { start: start - from, end: end - from }).forEach(peak => {
+                peaks.push({ ...peak, time: peak.time + from });
+            });
+            if (onProgress) {
+                onProgress(Math.min(1, (start + chunkFrames) / frames.length));
+            }
+        }
+
+        return Fingerprinter.sortPeaks(peaks);
+    }
+
+    /**
+     * Run the full pipeline on decoded audio
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @param {Function} [onProgress] - See analyzeSamples
+     * @returns {Object} peaks, hashes, spectrogram size and timing information
+     */
+    analyze(audioBuffer, onProgress = null) {
+        return this.analyzeSamples(TrackAnalyzer.toMono(audioBuffer), audioBuffer.sampleRate, onProgress);
+    }
+
+    /**
+     * Run the full pipeline on raw mono samples
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Function} [onProgress] - Called with the overall fraction done and the current stage
+     * @returns {Object} peaks, hashes, spectrogram size, the analysis sample rate and timing information
+     */
+    analyzeSamples(samples, sampleRate, onProgress = null) {
+        const report = (stage, start, end) => onProgress && ((fraction) => onProgress(start + fraction * (end - start), stage));
+
+        const analysisRate = this.options.sampleRate;
+        const frames = this.computeSpectrogram(
+            Resampler.resample(samples, sampleRate, analysisRate),
+            analysisRate,
+            report('spectrogram', 0, 0.5)
+        );
+        const peaks = this.findPeaks(frames, report('peaks', 0.5, 0.9));
+        const hashes = this.fingerprinter.generate(peaks);
+        if (onProgress) {
+            onProgress(1, 'hashes');
+        }
+
+        return {
+            peaks,
+            hashes,
+            numFrames: frames.length,
+            numBins: this.stft.numBins,
+            sampleRate: analysisRate,
+            secondsPerFrame: this.stft.secondsPerFrame(analysisRate),
+            duration: samples.length / sampleRate
+        };
+    }
+
+    /**
+     * Fingerprint as an image: the constellation peaks
+     * @param {Object} result - Result of analyze
+     * @returns {Object} Points image with one row per frequency bin
+     */
+    getImage(result) {
+        return {
+            kind: 'points',
+            rows: result.numBins,
+            points: result.peaks.map(({ time, frequency }) => ({ column: time, row: frequency })),
+            columns: result.numFrames,
+            secondsPerColumn: result.secondsPerFrame
+        };
+    }
+}
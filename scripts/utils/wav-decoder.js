@@ -0,0 +1,141 @@
+/**
+ * WAV and raw PCM decoding without the Web Audio API
+ *
+ * Returns AudioBuffer-like objects (sampleRate, numberOfChannels, length,
+ * duration, getChannelData) so decoded files can go straight into
+ * TrackAnalyzer.analyze, in Node or in the browser.
+ */
+
+// Sample formats understood by decodePcm, with their size in bytes
+const PCM_FORMATS = {
+    u8: 1,
+    s16le: 2,
+    s24le: 3,
+    s32le: 4,
+    f32le: 4
+};
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+export class WavDecoder {
+    /**
+     * Wrap de-interleaved channels in an AudioBuffer-like object
+     * @param {Array<Float32Array>} channels - Samples per channel
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} AudioBuffer-like object
+     */
+    static createAudioData(channels, sampleRate) {
+        const length = channels.length ? channels[0].length : 0;
+        return {
+            sampleRate,
+            numberOfChannels: channels.length,
+            length,
+            duration: length / sampleRate,
+            getChannelData: (channel) => channels[channel]
+        };
+    }
+
+    /**
+     * Decode interleaved raw PCM samples
+     * @param {ArrayBuffer} arrayBuffer - Raw sample data
+     * @param {Object} options - sampleRate, channels and format (u8, s16le, s24le, s32le or f32le)
+     * @returns {Object} AudioBuffer-like object
+     */
+    static decodePcm(arrayBuffer, { sampleRate = 44100, channels = 1, format = 's16le' } = {}) {
+        const bytesPerSample = PCM_FORMATS[format];
+        if (!bytesPerSample) {
+            throw new Error(`Unsupported PCM format: ${format}`);
+        }
+        if (!(sampleRate > 0) || !(channels > 0)) {
+            throw new Error('Sample rate and channel count must be positive');
+        }
+
+        const view = new DataView(arrayBuffer);
+        const frameCount = Math.floor(arrayBuffer.byteLength / (bytesPerSample * channels));
+        const channelData = Array.from({ length: channels }, () => new Float32Array(frameCount));
+
+        const read = {
+            u8: (offset) => (view.getUint8(offset) - 128) / 128,
+            s16le: (offset) => view.getInt16(offset, true) / 32768,
+            s24le: (offset) => {
+                const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+                return value / 8388608;
+            },
+            s32le: (offset) => view.getInt32(offset, true) / 2147483648,
+            f32le: (offset) => view.getFloat32(offset, true)
+        }[format];
+
+        let offset = 0;
+        for (let i = 0; i < frameCount; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                channelData[channel][i] = read(offset);
+                offset += bytesPerSample;
+            }
+        }
+
+        return WavDecoder.createAudioData(channelData, sampleRate);
+    }
+
+    /**
+     * Decode a RIFF/WAVE file with integer PCM or 32-bit float samples
+     * @param {ArrayBuffer} arrayBuffer - Contents of the .wav file
+     * @returns {Object} AudioBuffer-like object
+     */
+    static decodeWav(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const readTag = (offset) => String.fromCharCode(
+            view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+        );
+
+        if (arrayBuffer.byteLength < 12 || readTag(0) !== 'RIFF' || readTag(8) !== 'WAVE') {
+            throw new Error('Not a WAV file');
+        }
+
+        let format = null;
+        let offset = 12;
+        while (offset + 8 <= arrayBuffer.byteLength) {
+            const chunkId = readTag(offset);
+            const chunkSize = view.getUint32(offset + 4, true);
+            const body = offset + 8;
+
+            if (chunkId === 'fmt ') {
+                let audioFormat = view.getUint16(body, true);
+                if (audioFormat === WAVE_FORMAT_EXTENSIBLE) {
+                    // The real format is the first two bytes of the sub-format GUID
+                    audioFormat = view.getUint16(body + 24, true);
+                }
+                format = {
+                    audioFormat,
+                    channels: view.getUint16(body + 2, true),
+                    sampleRate: view.getUint32(body + 4, true),
+                    bitsPerSample: view.getUint16(body + 14, true)
+                };
+            } else if (chunkId === 'data') {
+                if (!format) {
+                    throw new Error('WAV data chunk comes before its fmt chunk');
+                }
+
+                const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+                let pcmFormat = null;
+                if (audioFormat === WAVE_FORMAT_PCM) {
+                    pcmFormat = { 8: 'u8', 16: 's16le', 24: 's24le', 32: 's32le' }[bitsPerSample];
+                } else if (audioFormat === WAVE_FORMAT_IEEE_FLOAT && bitsPerSample === 32) {
+                    pcmFormat = 'f32le';
+                }
+                if (!pcmFormat) {
+                    throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample} bits)`);
+                }
+
+                const dataEnd = Math.min(body + chunkSize, arrayBuffer.byteLength);
+                return WavDecoder.decodePcm(arrayBuffer.slice(body, dataEnd), { sampleRate, channels, format: pcmFormat });
+            }
+
+            // Chunks are padded to an even number of bytes
+            offset = body + chunkSize + (chunkSize % 2);
+        }
+
+        throw new Error('WAV file has no data chunk');
+    }
+}
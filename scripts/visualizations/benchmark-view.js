@@ -0,0 +1,75 @@
+/**
+ * Recognition benchmark results
+ *
+ * Renders a RecognitionBenchmark report as a table with one row per track and
+ * a summary row, so different settings can be compared at a glance
+ */
+
+const COLUMNS = [
+    { label: 'Track', value: (row) => row.title },
+    { label: 'Queries', value: (row) => row.queries },
+    { label: 'Top-1', value: (row) => `${(row.top1Accuracy * 100).toFixed(0)}%` },
+    { label: 'Offset correct', value: (row) => `${(row.offsetAccuracy * 100).toFixed(0)}%` },
+    { label: 'Mean rank', value: (row) => row.meanRank.toFixed(2) },
+    { label: 'ms / query', value: (row) => row.meanQueryMs.toFixed(0) }
+];
+
+export class BenchmarkView {
+    /**
+     * @param {HTMLElement} container - Element the view is rendered into
+     */
+    constructor(container) {
+        this.container = container;
+        this.container.innerHTML = `
+            <div class="benchmark-status"></div>
+            <table class="benchmark-table">
+                <thead><tr></tr></thead>
+                <tbody></tbody>
+                <tfoot></tfoot>
+            </table>`;
+        this.statusEl = this.container.querySelector('.benchmark-status');
+        this.table = this.container.querySelector('table');
+        this.tableBody = this.container.querySelector('tbody');
+        this.tableFoot = this.container.querySelector('tfoot');
+
+        const headRow = this.container.querySelector('thead tr');
+        COLUMNS.forEach(column => {
+            const cell = document.createElement('th');
+            cell.textContent = column.label;
+            headRow.appendChild(cell);
+        });
+        this.table.hidden = true;
+    }
+
+    /**
+     * @param {string} text - Status message
+     */
+    setStatus(text) {
+        this.statusEl.textContent = text;
+    }
+
+    /**
+     * Render a benchmark report
+     * @param {Object} report - Result of RecognitionBenchmark.run
+     */
+    showReport(report) {
+        this.tableBody.innerHTML = '';
+        this.tableFoot.innerHTML = '';
+        report.tracks.forEach(track => this.tableBody.appendChild(this.createRow(track)));
+        this.tableFoot.appendChild(this.createRow({ title: 'All tracks', ...report.summary }));
+        this.table.hidden = false;
+
+        const { clipsPerTrack, clipLength } = report.options;
+        this.setStatus(`${report.summary.queries} queries of ${clipLength}s (${clipsPerTrack} per track)${report.degradation ? ', degraded' : ''}`);
+    }
+
+    createRow(row) {
+        const tableRow = document.createElement('tr');
+        COLUMNS.forEach(column => {
+            const cell = document.createElement('td');
+            cell.textContent = column.value(row);
+            tableRow.appendChild(cell);
+        });
+        return tableRow;
+    }
+}
@@ -0,0 +1,306 @@
+/**
+ * Constellation builder
+ *
+ * Steps through the current track's peaks one anchor at a time, drawing the
+ * anchor's target zone and the pairs it forms, and listing the hashes those
+ * pairs produce
+ */
+
+import { CanvasUtils } from '../utils/canvas.js';
+import { Fingerprinter } from '../utils/fingerprint.js';
+
+// Delay between anchors while autoplaying, in milliseconds
+const AUTOPLAY_INTERVAL = 1200;
+
+// Pixels between a click and a peak for the peak to be selected
+const CLICK_DISTANCE = 10;
+
+const COLORS = {
+    peak: '#999',
+    anchor: '#4a9eff',
+    target: '#4caf50',
+    zone: 'rgba(76, 175, 80, 0.15)',
+    label: '#666'
+};
+
+export class ConstellationBuilder {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on; sized to its parent
+     * @param {Fingerprinter} fingerprinter - Defines the target zone and the hashes
+     * @param {Object} elements - previousButton, nextButton, autoplayButton, status and hashList elements
+     */
+    constructor(canvas, fingerprinter, elements) {
+        this.canvas = canvas;
+        this.wrapper = canvas.parentElement;
+        this.fingerprinter = fingerprinter;
+        this.elements = elements;
+
+        this.peaks = [];
+        this.anchors = [];
+        this.index = -1;
+        this.secondsPerFrame = 0;
+        this.numBins = 0;
+        this.binFrequency = null;
+        this.autoplayTimer = null;
+
+        elements.previousButton.addEventListener('click', () => this.previous());
+        elements.nextButton.addEventListener('click', () => this.next());
+        elements.autoplayButton.addEventListener('click', () => this.toggleAutoplay());
+        this.canvas.addEventListener('click', (event) => this.selectAtPoint(event));
+
+        this.resizeObserver = new ResizeObserver(() => this.draw());
+        this.resizeObserver.observe(this.wrapper);
+        this.updateControls();
+    }
+
+    /**
+     * Use a new set of peaks, keeping the selected anchor if it still exists
+     * @param {Array<Object>} peaks - Constellation peaks
+     * @param {Object} spectrogram - secondsPerFrame, numBins and a binFrequency(bin) function
+     */
+    setPeaks(peaks, { secondsPerFrame, numBins, binFrequency }) {
+        const previous = this.anchors[this.index];
+        this.peaks = Fingerprinter.sortPeaks(peaks);
+        this.secondsPerFrame = secondsPerFrame;
+        this.numBins = numBins;
+        this.binFrequency = binFrequency;
+
+        // Only peaks that pair with something are worth stepping through
+        this.anchors = [];
+        this.peaks.forEach((anchor, i) => {
+            const targets = this.fingerprinter.findTargets(this.peaks, i);
+            if (targets.length) {
+                this.anchors.push({ anchor, targets, zone: this.fingerprinter.getTargetZone(anchor) });
+            }
+        });
+
+        const kept = previous ? this.anchors.findIndex(entry =>
+            entry.anchor.time === previous.anchor.time && entry.anchor.frequency === previous.anchor.frequency
+        ) : -1;
+        this.index = kept >= 0 ? kept : (this.anchors.length ? 0 : -1);
+        if (!this.anchors.length) {
+            this.stopAutoplay();
+        }
+        this.render();
+    }
+
+    /**
+     * Select an anchor by position in the anchor list
+     * @param {number} index - Anchor index; wraps around at either end
+     */
+    select(index) {
+        if (!this.anchors.length) return;
+        this.index = (index + this.anchors.length) % this.anchors.length;
+        this.render();
+    }
+
+    next() {
+        this.select(this.index + 1);
+    }
+
+    previous() {
+        this.select(this.index - 1);
+    }
+
+    toggleAutoplay() {
+        if (this.autoplayTimer) {
+            this.stopAutoplay();
+        } else if (this.anchors.length) {
+            this.autoplayTimer = setInterval(() => this.next(), AUTOPLAY_INTERVAL);
+            this.updateControls();
+        }
+    }
+
+    stopAutoplay() {
+        clearInterval(this.autoplayTimer);
+        this.autoplayTimer = null;
+        this.updateControls();
+    }
+
+    /**
+     * Select the anchor closest to a click on the canvas
+     * @param {MouseEvent} event - Click event
+     */
+    selectAtPoint(event) {
+        const view = this.getView();
+        if (!view) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+
+        let nearest = -1;
+        let nearestDistance = CLICK_DISTANCE;
+        this.anchors.forEach(({ anchor }, i) => {
+            const distance = Math.hypot(view.toX(anchor.time) - x, view.toY(anchor.frequency) - y);
+            if (distance <= nearestDistance) {
+                nearest = i;
+                nearestDistance = distance;
+            }
+        });
+
+        if (nearest >= 0) {
+            this.stopAutoplay();
+            this.select(nearest);
+        }
+    }
+
+    /**
+     * Visible time window and coordinate mapping around the selected anchor
+     * @returns {Object|null} Frame range, size and toX/toY mappings
+     */
+    getView() {
+        const entry = this.anchors[this.index];
+        const width = this.wrapper.clientWidth;
+        const height = this.wrapper.clientHeight;
+        if (!entry || !width || !height) return null;
+
+        // Show a little history before the anchor and the whole zone after it
+        const { maxTimeOffset } = this.fingerprinter.options;
+        const startFrame = entry.anchor.time - Math.ceil(maxTimeOffset * 0.5);
+        const frameSpan = Math.ceil(maxTimeOffset * 2);
+        const padding = { left: 50, right: 10, top: 10, bottom: 20 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        return {
+            entry,
+            width,
+            height,
+            padding,
+            startFrame,
+            endFrame: startFrame + frameSpan,
+            toX: (time) => padding.left + ((time - startFrame) / frameSpan) * plotWidth,
+            toY: (frequency) => padding.top + (1 - frequency / this.numBins) * plotHeight
+        };
+    }
+
+    render() {
+        this.draw();
+        this.renderHashes();
+        this.updateControls();
+    }
+
+    draw() {
+        const width = this.wrapper.clientWidth;
+        const height = this.wrapper.clientHeight;
+        const { ctx } = CanvasUtils.setupHighDPICanvas(this.canvas, width, height);
+        CanvasUtils.clearCanvas(ctx, width, height);
+        CanvasUtils.drawGrid(ctx, width, height);
+
+        const view = this.getView();
+        if (!view) {
+            ctx.fillStyle = COLORS.label;
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Waiting for constellation peaks...', width / 2, height / 2);
+            return;
+        }
+
+        const { entry, padding, startFrame, endFrame, toX, toY } = view;
+        const { anchor, targets, zone } = entry;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(padding.left, padding.top, width - padding.left - padding.right, height - padding.top - padding.bottom);
+        ctx.clip();
+
+        // Target zone (bounds are inclusive)
+        ctx.fillStyle = COLORS.zone;
+        const zoneTop = toY(Math.min(zone.freqEnd + 1, this.numBins));
+        ctx.fillRect(toX(zone.timeStart), zoneTop, toX(zone.timeEnd + 1) - toX(zone.timeStart), toY(zone.freqStart) - zoneTop);
+
+        // Every peak in view
+        ctx.fillStyle = COLORS.peak;
+        this.peaks.forEach(peak => {
+            if (peak.time < startFrame || peak.time > endFrame) return;
+            ctx.beginPath();
+            ctx.arc(toX(peak.time), toY(peak.frequency), 2.5, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
+        // Pairs formed by the anchor
+        ctx.strokeStyle = COLORS.target;
+        ctx.lineWidth = 1.5;
+        targets.forEach(target => {
+            ctx.beginPath();
+            ctx.moveTo(toX(anchor.time), toY(anchor.frequency));
+            ctx.lineTo(toX(target.time), toY(target.frequency));
+            ctx.stroke();
+        });
+
+        ctx.fillStyle = COLORS.target;
+        targets.forEach(target => {
+            ctx.beginPath();
+            ctx.arc(toX(target.time), toY(target.frequency), 5, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
+        ctx.fillStyle = COLORS.anchor;
+        ctx.beginPath();
+        ctx.arc(toX(anchor.time), toY(anchor.frequency), 6, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.restore();
+
+        // Axis labels: frequency on the left, time along the bottom
+        ctx.fillStyle = COLORS.label;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        [0, 0.25, 0.5, 0.75, 1].forEach(fraction => {
+            const bin = fraction * this.numBins;
+            const hz = this.binFrequency ? this.binFrequency(bin) : bin;
+            const label = hz >= 1000 ? `${(hz / 1000).toFixed(1)}k` : `${Math.round(hz)}`;
+            ctx.fillText(label, padding.left - 6, toY(bin));
+        });
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        [startFrame, anchor.time, endFrame].forEach(frame => {
+            ctx.fillText(`${(frame * this.secondsPerFrame).toFixed(2)}s`, toX(frame), height - 2);
+        });
+    }
+
+    renderHashes() {
+        const { hashList, status } = this.elements;
+        hashList.innerHTML = '';
+
+        const entry = this.anchors[this.index];
+        if (!entry) {
+            status.textContent = '';
+            return;
+        }
+
+        const { anchor, targets } = entry;
+        status.textContent = `Anchor ${this.index + 1} of ${this.anchors.length}: ` +
+            `bin ${anchor.frequency} at ${(anchor.time * this.secondsPerFrame).toFixed(2)}s, ${targets.length} targets`;
+
+        targets.forEach(target => {
+            const deltaTime = target.time - anchor.time;
+            const hash = this.fingerprinter.packHash(anchor.frequency, target.frequency, deltaTime);
+            const item = document.createElement('li');
+            item.textContent = `(${anchor.frequency}, ${target.frequency}, ${deltaTime}) → ${Fingerprinter.formatHash(hash)}`;
+            hashList.appendChild(item);
+        });
+    }
+
+    updateControls() {
+        const { previousButton, nextButton, autoplayButton } = this.elements;
+        const empty = !this.anchors.length;
+        previousButton.disabled = empty;
+        nextButton.disabled = empty;
+        autoplayButton.disabled = empty;
+        autoplayButton.querySelector('i').className = this.autoplayTimer ? 'fas fa-pause' : 'fas fa-play';
+    }
+
+    /**
+     * Reset the builder while a new song is loading
+     */
+    clear() {
+        this.stopAutoplay();
+        this.peaks = [];
+        this.anchors = [];
+        this.index = -1;
+        this.render();
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Database matching view
+ *
+ * Shows, for every indexed track, how many query hashes were found in it and
+ * how many of those line up at the best time offset
+ */
+
+export class DatabaseView {
+    /**
+     * @param {HTMLElement} wrapper - Element the view is rendered into
+     */
+    constructor(wrapper) {
+        this.wrapper = wrapper;
+        this.wrapper.innerHTML = `
+            <div class="match-view">
+                <div class="match-status"></div>
+                <ul class="match-list"></ul>
+            </div>`;
+        this.statusEl = this.wrapper.querySelector('.match-status');
+        this.listEl = this.wrapper.querySelector('.match-list');
+    }
+
+    /**
+     * Show a status line above the results
+     * @param {string} text - Status message
+     */
+    setStatus(text) {
+        this.statusEl.textContent = text;
+    }
+
+    /**
+     * Render the query results
+     * @param {Array<Object>} tracks - Metadata of every indexed track
+     * @param {Array<Object>} candidates - Ranked results from FingerprintDatabase.query
+     * @param {number} queryHashCount - Number of hashes in the query clip
+     * @param {string} [note] - Extra detail appended to the status line
+     */
+    showResults(tracks, candidates, queryHashCount, note = '') {
+        const byTrack = new Map(candidates.map(candidate => [candidate.trackId, candidate]));
+        const maxMatches = Math.max(1, ...candidates.map(candidate => candidate.matchCount));
+        const winner = candidates[0];
+
+        this.setStatus((winner
+            ? `${queryHashCount} query hashes, best match: ${winner.track.title}`
+            : `${queryHashCount} query hashes, no matching hashes found`) + (note ? ` ${note}` : ''));
+
+        this.listEl.innerHTML = '';
+        tracks.forEach(track => {
+            const candidate = byTrack.get(track.trackId);
+            const matchCount = candidate ? candidate.matchCount : 0;
+            const score = candidate ? candidate.score : 0;
+
+            const item = document.createElement('li');
+            item.className = 'match-item';
+            if (candidate && candidate === winner) {
+                item.classList.add('winner');
+            }
+            item.innerHTML = `
+                <div class="match-title"></div>
+                <div class="match-bar"><div class="match-bar-total"></div><div class="match-bar-aligned"></div></div>
+                <div class="match-count"></div>`;
+            item.querySelector('.match-title').textContent = track.title;
+            item.querySelector('.match-bar-total').style.width = `${(matchCount / maxMatches) * 100}%`;
+            item.querySelector('.match-bar-aligned').style.width = `${(score / maxMatches) * 100}%`;
+            item.querySelector('.match-count').textContent = `${matchCount} matching, ${score} aligned`;
+            this.listEl.appendChild(item);
+        });
+    }
+
+    /**
+     * Remove all results
+     */
+    clear() {
+        this.listEl.innerHTML = '';
+        this.setStatus('');
+    }
+}
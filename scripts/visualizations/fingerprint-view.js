@@ -0,0 +1,139 @@
+/**
+ * Fingerprint generation view
+ *
+ * Lists the hashes formed by the anchor closest to the playhead, so the reader
+ * can follow how each anchor and its target zone turn into 32-bit hashes
+ */
+
+import { Fingerprinter } from '../utils/fingerprint.js';
+
+export class FingerprintView {
+    /**
+     * @param {HTMLElement} wrapper - Element the view is rendered into
+     * @param {Fingerprinter} fingerprinter - Hash generator
+     */
+    constructor(wrapper, fingerprinter) {
+        this.wrapper = wrapper;
+        this.fingerprinter = fingerprinter;
+        this.peakCount = 0;
+        this.hashCount = 0;
+        this.anchors = [];
+        this.secondsPerFrame = 0;
+        this.currentAnchor = null;
+
+        this.wrapper.innerHTML = `
+            <div class="fingerprint-view">
+                <div class="fingerprint-summary">Waiting for constellation peaks...</div>
+                <div class="fingerprint-anchor"></div>
+                <table class="fingerprint-table">
+                    <thead>
+                        <tr><th>Anchor bin</th><th>Target bin</th><th>&Delta;t (frames)</th><th>Hash</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>`;
+        this.summaryEl = this.wrapper.querySelector('.fingerprint-summary');
+        this.anchorEl = this.wrapper.querySelector('.fingerprint-anchor');
+        this.tableBody = this.wrapper.querySelector('tbody');
+    }
+
+    /**
+     * Generate hashes for a new set of peaks
+     * @param {Array<Object>} peaks - Constellation peaks
+     * @param {number} secondsPerFrame - Duration of one spectrogram frame
+     */
+    setPeaks(peaks, secondsPerFrame) {
+        const hashes = this.fingerprinter.generate(peaks);
+        this.peakCount = peaks.length;
+        this.hashCount = hashes.length;
+        this.secondsPerFrame = secondsPerFrame;
+        this.currentAnchor = null;
+
+        // Hashes are generated anchor by anchor, so consecutive entries share an anchor
+        this.anchors = [];
+        hashes.forEach(entry => {
+            const last = this.anchors[this.anchors.length - 1];
+            if (last && last.anchor === entry.anchor) {
+                last.targets.push(entry.target);
+                last.hashes.push(entry.hash);
+            } else {
+                this.anchors.push({
+                    anchor: entry.anchor,
+                    zone: this.fingerprinter.getTargetZone(entry.anchor),
+                    targets: [entry.target],
+                    hashes: [entry.hash]
+                });
+            }
+        });
+
+        this.summaryEl.textContent = `${this.peakCount} peaks → ${this.anchors.length} anchors → ${this.hashCount} hashes`;
+        this.renderAnchor();
+    }
+
+    /**
+     * Select the last anchor at or before a playback time
+     * @param {number} seconds - Playback time
+     * @returns {Object|null} Anchor entry with anchor, zone, targets and hashes
+     */
+    showAnchorAt(seconds) {
+        if (!this.anchors.length || !this.secondsPerFrame) return null;
+
+        const frame = seconds / this.secondsPerFrame;
+        let low = 0;
+        let high = this.anchors.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.anchors[mid].anchor.time <= frame) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const entry = this.anchors[low];
+        if (entry !== this.currentAnchor) {
+            this.currentAnchor = entry;
+            this.renderAnchor();
+        }
+        return entry;
+    }
+
+    renderAnchor() {
+        this.tableBody.innerHTML = '';
+        const entry = this.currentAnchor;
+        if (!entry) {
+            this.anchorEl.textContent = this.anchors.length ? 'Play the song to step through the anchors.' : '';
+            return;
+        }
+
+        const time = (entry.anchor.time * this.secondsPerFrame).toFixed(2);
+        this.anchorEl.textContent = `Anchor at ${time}s, bin ${entry.anchor.frequency}: ${entry.targets.length} targets in zone`;
+
+        entry.targets.forEach((target, i) => {
+            const row = document.createElement('tr');
+            [
+                entry.anchor.frequency,
+                target.frequency,
+                target.time - entry.anchor.time,
+                Fingerprinter.formatHash(entry.hashes[i])
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            this.tableBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Reset the view while a new song is loading
+     */
+    clear() {
+        this.peakCount = 0;
+        this.hashCount = 0;
+        this.anchors = [];
+        this.currentAnchor = null;
+        this.summaryEl.textContent = 'Waiting for constellation peaks...';
+        this.renderAnchor();
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Fingerprint library manager
+ *
+ * Lists the files kept in the FingerprintLibrary with their length and the
+ * date they were added. Titles are edited in place; each file can be deleted.
+ */
+
+export class LibraryView {
+    /**
+     * @param {HTMLElement} container - Element the view is rendered into
+     * @param {Object} handlers - onRename(id, title) and onDelete(id) callbacks
+     */
+    constructor(container, { onRename, onDelete }) {
+        this.container = container;
+        this.onRename = onRename;
+        this.onDelete = onDelete;
+        this.container.innerHTML = `
+            <div class="library-status"></div>
+            <ul class="library-list"></ul>`;
+        this.statusEl = this.container.querySelector('.library-status');
+        this.listEl = this.container.querySelector('.library-list');
+    }
+
+    /**
+     * @param {string} text - Status message
+     */
+    setStatus(text) {
+        this.statusEl.textContent = text;
+    }
+
+    /**
+     * Render the stored files
+     * @param {Array<Object>} records - Library records, in display order
+     */
+    show(records) {
+        this.listEl.innerHTML = '';
+        this.setStatus(records.length
+            ? `${records.length} ${records.length === 1 ? 'file' : 'files'} saved in this browser.`
+            : 'Files you add are saved here and stay searchable after a reload.');
+
+        records.forEach(record => {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+            item.innerHTML = `
+                <input type="text" class="library-title" aria-label="Title">
+                <span class="library-details"></span>
+                <button class="btn btn-primary library-delete" aria-label="Delete"><i class="fas fa-trash"></i></button>`;
+
+            const titleInput = item.querySelector('.library-title');
+            titleInput.value = record.title;
+            titleInput.addEventListener('change', () => {
+                const title = titleInput.value.trim();
+                if (title && title !== record.title) {
+                    this.onRename(record.id, title);
+                } else {
+                    titleInput.value = record.title;
+                }
+            });
+
+            item.querySelector('.library-details').textContent =
+                `${LibraryView.formatDuration(record.duration)}, added ${new Date(record.addedAt).toLocaleDateString()}`;
+            item.querySelector('.library-delete').addEventListener('click', () => this.onDelete(record.id));
+            this.listEl.appendChild(item);
+        });
+    }
+
+    /**
+     * @param {number} seconds - Duration
+     * @returns {string} Duration as m:ss
+     */
+    static formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * Listen mode panel
+ *
+ * Shows recording progress and the identified song, offset and confidence
+ */
+
+export class ListenView {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     */
+    constructor(container) {
+        this.container = container;
+        this.container.innerHTML = `
+            <div class="listen-status">Press Listen and hold your device near the music.</div>
+            <div class="listen-progress"><div class="listen-progress-bar"></div></div>
+            <dl class="listen-result hidden">
+                <dt>Song</dt><dd class="listen-title"></dd>
+                <dt>Position</dt><dd class="listen-offset"></dd>
+                <dt>Confidence</dt><dd class="listen-confidence"></dd>
+            </dl>`;
+        this.statusEl = this.container.querySelector('.listen-status');
+        this.progressBar = this.container.querySelector('.listen-progress-bar');
+        this.resultEl = this.container.querySelector('.listen-result');
+    }
+
+    /**
+     * Show a status message and hide any previous result
+     * @param {string} text - Status message
+     */
+    setStatus(text) {
+        this.statusEl.textContent = text;
+        this.statusEl.classList.remove('error');
+        this.resultEl.classList.add('hidden');
+    }
+
+    /**
+     * @param {number} fraction - Recorded fraction (0-1)
+     */
+    setProgress(fraction) {
+        this.progressBar.style.width = `${Math.min(1, fraction) * 100}%`;
+    }
+
+    /**
+     * Show the identified song
+     * @param {Object|undefined} candidate - Top result from FingerprintDatabase.query
+     * @param {number} confidence - Confidence between 0 and 1
+     * @param {number} offsetSeconds - Position of the recording in the song
+     */
+    showResult(candidate, confidence, offsetSeconds) {
+        if (!candidate || !confidence) {
+            this.setStatus('No match found. Try again closer to the speaker.');
+            return;
+        }
+
+        const minutes = Math.floor(offsetSeconds / 60);
+        const seconds = (offsetSeconds % 60).toFixed(1).padStart(4, '0');
+
+        this.statusEl.textContent = 'Match found!';
+        this.resultEl.querySelector('.listen-title').textContent = candidate.track.title;
+        this.resultEl.querySelector('.listen-offset').textContent = `${minutes}:${seconds}`;
+        this.resultEl.querySelector('.listen-confidence').textContent =
+            `${Math.round(confidence * 100)}% (${candidate.score} aligned hashes)`;
+        this.resultEl.classList.remove('hidden');
+    }
+
+    /**
+     * @param {string} message - Error to show
+     */
+    showError(message) {
+        this.setStatus(message);
+        this.statusEl.classList.add('error');
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * Match scatter plot
+ *
+ * Plots every matching hash at (time in the query, time in the track). Chance
+ * matches scatter across the plot; a true match lines up on a diagonal whose
+ * offset is the position of the clip in the track. Clicking the diagonal
+ * seeks to that position.
+ */
+
+import { CanvasUtils } from '../utils/canvas.js';
+
+// Pixels between the pointer and the diagonal for a click to count
+const CLICK_DISTANCE = 10;
+
+const COLORS = {
+    match: 'rgba(74, 158, 255, 0.5)',
+    aligned: '#e53935',
+    diagonal: 'rgba(229, 57, 53, 0.35)',
+    label: '#666'
+};
+
+export class MatchScatterView {
+    /**
+     * @param {HTMLElement} wrapper - Element the view is rendered into
+     * @param {Function} onSeek - Called with (trackId, seconds) when the diagonal is clicked
+     */
+    constructor(wrapper, onSeek) {
+        this.wrapper = wrapper;
+        this.onSeek = onSeek;
+        this.wrapper.innerHTML = '';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'visualization-canvas';
+        this.wrapper.appendChild(this.canvas);
+
+        this.label = document.createElement('div');
+        this.label.className = 'histogram-label';
+        this.wrapper.appendChild(this.label);
+
+        this.candidate = null;
+        this.querySecondsPerFrame = 0;
+        this.view = null;
+
+        this.canvas.addEventListener('click', (event) => this.handleClick(event));
+        this.canvas.addEventListener('mousemove', (event) => {
+            this.canvas.style.cursor = this.getSeekTime(event) !== null ? 'pointer' : '';
+        });
+
+        this.resizeObserver = new ResizeObserver(() => this.draw());
+        this.resizeObserver.observe(this.wrapper);
+    }
+
+    /**
+     * Plot the matching hashes of a candidate
+     * @param {Object} candidate - Result from FingerprintDatabase.query
+     * @param {number} querySecondsPerFrame - Duration of one analysis frame of the query
+     */
+    show(candidate, querySecondsPerFrame) {
+        this.candidate = candidate;
+        this.querySecondsPerFrame = querySecondsPerFrame;
+        this.draw();
+    }
+
+    draw() {
+        const width = this.wrapper.clientWidth;
+        const height = this.wrapper.clientHeight;
+        const { ctx } = CanvasUtils.setupHighDPICanvas(this.canvas, width, height);
+        CanvasUtils.clearCanvas(ctx, width, height);
+        CanvasUtils.drawGrid(ctx, width, height);
+
+        const candidate = this.candidate;
+        this.view = null;
+        if (!candidate || !candidate.matches.length) {
+            this.label.textContent = '';
+            return;
+        }
+
+        const queryTimes = candidate.matches.map(match => match.queryTime);
+        const trackTimes = candidate.matches.map(match => match.trackTime);
+        const queryEnd = Math.max(1, ...queryTimes);
+        const trackStart = Math.min(...trackTimes);
+        const trackRange = Math.max(1, Math.max(...trackTimes) - trackStart);
+
+        const padding = { left: 44, right: 10, top: 30, bottom: 22 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const toX = (queryTime) => padding.left + (queryTime / queryEnd) * plotWidth;
+        const toY = (trackTime) => padding.top + (1 - (trackTime - trackStart) / trackRange) * plotHeight;
+        this.view = { toX, toY, queryEnd, padding, plotWidth };
+
+        // The line a true match falls on: track time = query time + offset
+        ctx.strokeStyle = COLORS.diagonal;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(toX(0), toY(candidate.offset));
+        ctx.lineTo(toX(queryEnd), toY(queryEnd + candidate.offset));
+        ctx.stroke();
+
+        candidate.matches.forEach(({ queryTime, trackTime }) => {
+            ctx.fillStyle = trackTime - queryTime === candidate.offset ? COLORS.aligned : COLORS.match;
+            ctx.fillRect(toX(queryTime) - 1.5, toY(trackTime) - 1.5, 3, 3);
+        });
+
+        // Axis labels in seconds
+        const trackSecondsPerFrame = candidate.track.secondsPerFrame;
+        ctx.fillStyle = COLORS.label;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('0s', toX(0), height - 4);
+        ctx.fillText(`clip ${(queryEnd * this.querySecondsPerFrame).toFixed(1)}s`, toX(queryEnd) - 20, height - 4);
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${(trackStart * trackSecondsPerFrame).toFixed(1)}s`, padding.left - 4, toY(trackStart));
+        ctx.fillText(`${((trackStart + trackRange) * trackSecondsPerFrame).toFixed(1)}s`, padding.left - 4, toY(trackStart + trackRange));
+
+        const aligned = candidate.matches.filter(match => match.trackTime - match.queryTime === candidate.offset).length;
+        this.label.textContent = `${candidate.track.title}: ${aligned} of ${candidate.matches.length} matches on the diagonal. Click it to jump there.`;
+    }
+
+    /**
+     * Track position under the pointer if it is on the diagonal
+     * @param {MouseEvent} event - Pointer event
+     * @returns {number|null} Seconds into the matched track, or null
+     */
+    getSeekTime(event) {
+        if (!this.view || !this.candidate) return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        const { toX, toY, queryEnd, padding, plotWidth } = this.view;
+        if (x < toX(0) || x > toX(queryEnd)) return null;
+
+        const queryTime = ((x - padding.left) / plotWidth) * queryEnd;
+        const trackTime = queryTime + this.candidate.offset;
+        if (Math.abs(toY(trackTime) - y) > CLICK_DISTANCE) return null;
+
+        return Math.max(0, trackTime * this.candidate.track.secondsPerFrame);
+    }
+
+    handleClick(event) {
+        const seconds = this.getSeekTime(event);
+        if (seconds !== null) {
+            this.onSeek(this.candidate.trackId, seconds);
+        }
+    }
+
+    /**
+     * Remove the plot
+     */
+    clear() {
+        this.candidate = null;
+        this.draw();
+    }
+}
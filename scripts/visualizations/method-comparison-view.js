@@ -0,0 +1,140 @@
+/**
+ * Fingerprinting method comparison
+ *
+ * Draws what each method's fingerprint of the same few seconds looks like and
+ * tabulates how big each method's index is and how well it recognises the
+ * same degraded clips
+ */
+
+import { CanvasUtils } from '../utils/canvas.js';
+
+const COLUMNS = [
+    { label: 'Method', value: (row) => row.label },
+    { label: 'Index size', value: (row) => `${(row.bitsPerSecond / 8000).toFixed(2)} kB/s` },
+    { label: 'Top-1', value: (row) => `${(row.summary.top1Accuracy * 100).toFixed(0)}%` },
+    { label: 'Offset correct', value: (row) => `${(row.summary.offsetAccuracy * 100).toFixed(0)}%` },
+    { label: 'ms / query', value: (row) => row.summary.meanQueryMs.toFixed(0) }
+];
+
+const COLORS = {
+    point: '#4a9eff',
+    cell: [74, 158, 255]
+};
+
+export class MethodComparisonView {
+    /**
+     * @param {HTMLElement} container - Element the view is rendered into
+     * @param {Array<Object>} methods - {name, label} of each method, in display order
+     */
+    constructor(container, methods) {
+        this.container = container;
+        this.methods = methods;
+        this.images = {};
+        this.container.innerHTML = `
+            <div class="method-images"></div>
+            <div class="method-status"></div>
+            <table class="method-table" hidden>
+                <thead><tr></tr></thead>
+                <tbody></tbody>
+            </table>`;
+        this.statusEl = this.container.querySelector('.method-status');
+        this.table = this.container.querySelector('table');
+        this.tableBody = this.container.querySelector('tbody');
+
+        const headRow = this.container.querySelector('thead tr');
+        COLUMNS.forEach(column => {
+            const cell = document.createElement('th');
+            cell.textContent = column.label;
+            headRow.appendChild(cell);
+        });
+
+        // One labelled canvas per method
+        const imageList = this.container.querySelector('.method-images');
+        this.canvases = {};
+        methods.forEach(({ name, label }) => {
+            const figure = document.createElement('figure');
+            figure.className = 'method-image';
+            figure.innerHTML = '<figcaption></figcaption><div class="method-canvas"><canvas></canvas></div>';
+            figure.querySelector('figcaption').textContent = label;
+            imageList.appendChild(figure);
+            this.canvases[name] = figure.querySelector('canvas');
+        });
+
+        this.resizeObserver = new ResizeObserver(() => this.draw());
+        this.resizeObserver.observe(imageList);
+    }
+
+    /**
+     * @param {string} text - Status message
+     */
+    setStatus(text) {
+        this.statusEl.textContent = text;
+    }
+
+    /**
+     * Show each method's fingerprint of the same excerpt
+     * @param {Object} images - getImage result for each method name
+     */
+    showImages(images) {
+        this.images = images;
+        this.draw();
+    }
+
+    /**
+     * @param {Array<Object>} rows - {label, bitsPerSecond, summary} per method
+     */
+    showResults(rows) {
+        this.tableBody.innerHTML = '';
+        rows.forEach(row => {
+            const tableRow = document.createElement('tr');
+            COLUMNS.forEach(column => {
+                const cell = document.createElement('td');
+                cell.textContent = column.value(row);
+                tableRow.appendChild(cell);
+            });
+            this.tableBody.appendChild(tableRow);
+        });
+        this.table.hidden = false;
+    }
+
+    draw() {
+        this.methods.forEach(({ name }) => {
+            const canvas = this.canvases[name];
+            const width = canvas.parentElement.clientWidth;
+            const height = canvas.parentElement.clientHeight;
+            const { ctx } = CanvasUtils.setupHighDPICanvas(canvas, width, height);
+            CanvasUtils.clearCanvas(ctx, width, height);
+
+            const image = this.images[name];
+            if (!image || !image.columns) return;
+
+            const columnWidth = width / image.columns;
+            const rowHeight = height / image.rows;
+            if (image.kind === 'points') {
+                ctx.fillStyle = COLORS.point;
+                image.points.forEach(({ column, row }) => {
+                    ctx.fillRect(column * columnWidth - 1, height - (row + 1) * rowHeight - 1, 2, 2);
+                });
+                return;
+            }
+
+            // Grid images: row 0 at the bottom, darker for larger values
+            const [r, g, b] = COLORS.cell;
+            image.cells.forEach((cells, column) => {
+                cells.forEach((value, row) => {
+                    if (value <= 0) return;
+                    ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${value})`;
+                    ctx.fillRect(column * columnWidth, height - (row + 1) * rowHeight, Math.ceil(columnWidth), Math.ceil(rowHeight));
+                });
+            });
+        });
+    }
+
+    /**
+     * Remove the images while a new song is loading
+     */
+    clear() {
+        this.images = {};
+        this.draw();
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * Noise robustness view
+ *
+ * Plots the clean and degraded constellations on top of each other and counts
+ * how many peaks and hashes survived
+ */
+
+import { CanvasUtils } from '../utils/canvas.js';
+
+const COLORS = {
+    lost: '#b0bec5',
+    surviving: '#4caf50',
+    degraded: '#ff9800'
+};
+
+export class NoiseView {
+    /**
+     * @param {HTMLElement} wrapper - Element the view is rendered into
+     */
+    constructor(wrapper) {
+        this.wrapper = wrapper;
+        this.wrapper.innerHTML = `
+            <canvas class="visualization-canvas"></canvas>
+            <div class="noise-stats">
+                <div class="noise-status">Choose some degradations and apply them to the current song.</div>
+                <table class="noise-table hidden">
+                    <thead><tr><th></th><th>Clean</th><th>Degraded</th><th>Surviving</th></tr></thead>
+                    <tbody>
+                        <tr class="noise-peaks"><th>Peaks</th><td></td><td></td><td></td></tr>
+                        <tr class="noise-hashes"><th>Hashes</th><td></td><td></td><td></td></tr>
+                    </tbody>
+                </table>
+            </div>`;
+        this.canvas = this.wrapper.querySelector('canvas');
+        this.statusEl = this.wrapper.querySelector('.noise-status');
+        this.tableEl = this.wrapper.querySelector('.noise-table');
+        this.result = null;
+
+        this.resizeObserver = new ResizeObserver(() => this.draw());
+        this.resizeObserver.observe(this.wrapper);
+    }
+
+    /**
+     * @param {string} text - Status message
+     */
+    setStatus(text) {
+        this.statusEl.textContent = text;
+    }
+
+    /**
+     * Show the clean and degraded analyses side by side
+     * @param {Object} clean - TrackAnalyzer.analyze result for the clean audio
+     * @param {Object} degraded - TrackAnalyzer.analyze result for the degraded audio
+     * @param {Object} comparison - AudioDegrader.compare result
+     */
+    showComparison(clean, degraded, comparison) {
+        this.result = { clean, degraded, comparison };
+
+        const percent = (part, whole) => whole ? ` (${Math.round((part / whole) * 100)}%)` : '';
+        [['peaks', '.noise-peaks'], ['hashes', '.noise-hashes']].forEach(([key, selector]) => {
+            const counts = comparison[key];
+            const cells = this.tableEl.querySelectorAll(`${selector} td`);
+            cells[0].textContent = counts.clean;
+            cells[1].textContent = counts.degraded;
+            cells[2].textContent = counts.surviving + percent(counts.surviving, counts.clean);
+        });
+
+        this.setStatus('Green: surviving peaks, grey: lost peaks, orange: peaks found only in the degraded audio');
+        this.tableEl.classList.remove('hidden');
+        this.draw();
+    }
+
+    draw() {
+        const width = this.wrapper.clientWidth;
+        const height = this.wrapper.clientHeight;
+        const { ctx } = CanvasUtils.setupHighDPICanvas(this.canvas, width, height);
+        CanvasUtils.clearCanvas(ctx, width, height);
+        if (!this.result) return;
+
+        const { clean, degraded, comparison } = this.result;
+        const toX = (time) => (time / clean.numFrames) * width;
+        const toY = (frequency) => (1 - frequency / clean.numBins) * height;
+        const dot = (peak, color, radius) => {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(toX(peak.time), toY(peak.frequency), radius, 0, 2 * Math.PI);
+            ctx.fill();
+        };
+
+        degraded.peaks.forEach(peak => dot(peak, COLORS.degraded, 1.5));
+
+        const surviving = new Set(comparison.survivingPeaks);
+        clean.peaks.forEach(peak => {
+            dot(peak, surviving.has(peak) ? COLORS.surviving : COLORS.lost, 2);
+        });
+    }
+
+    /**
+     * Remove the previous comparison
+     */
+    clear() {
+        this.result = null;
+        this.tableEl.classList.add('hidden');
+        this.setStatus('Choose some degradations and apply them to the current song.');
+        this.draw();
+    }
+}
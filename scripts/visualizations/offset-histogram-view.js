@@ -0,0 +1,93 @@
+/**
+ * Time-offset histogram view
+ *
+ * Plots how many matching hashes share each (track time - query time) offset.
+ * A true match shows up as a single tall spike.
+ */
+
+import { CanvasUtils } from '../utils/canvas.js';
+
+export class OffsetHistogramView {
+    /**
+     * @param {HTMLElement} wrapper - Element the view is rendered into
+     */
+    constructor(wrapper) {
+        this.wrapper = wrapper;
+        this.wrapper.innerHTML = '';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'visualization-canvas';
+        this.wrapper.appendChild(this.canvas);
+
+        this.label = document.createElement('div');
+        this.label.className = 'histogram-label';
+        this.wrapper.appendChild(this.label);
+
+        this.candidate = null;
+        this.secondsPerFrame = 0;
+
+        this.resizeObserver = new ResizeObserver(() => this.draw());
+        this.resizeObserver.observe(this.wrapper);
+    }
+
+    /**
+     * Plot the offset histogram of a candidate
+     * @param {Object} candidate - Result from FingerprintDatabase.query
+     * @param {number} secondsPerFrame - Duration of one analysis frame
+     */
+    show(candidate, secondsPerFrame) {
+        this.candidate = candidate;
+        this.secondsPerFrame = secondsPerFrame;
+        this.draw();
+    }
+
+    draw() {
+        const width = this.wrapper.clientWidth;
+        const height = this.wrapper.clientHeight;
+        const { ctx } = CanvasUtils.setupHighDPICanvas(this.canvas, width, height);
+        CanvasUtils.clearCanvas(ctx, width, height);
+        CanvasUtils.drawGrid(ctx, width, height);
+
+        const candidate = this.candidate;
+        if (!candidate) {
+            this.label.textContent = '';
+            return;
+        }
+
+        const offsets = [...candidate.histogram.keys()];
+        const minOffset = Math.min(...offsets);
+        const range = Math.max(1, Math.max(...offsets) - minOffset);
+        const padding = 10;
+        const plotWidth = width - padding * 2;
+        const plotHeight = height - padding * 2;
+
+        // Several offsets can fall into one pixel column; keep the tallest
+        const columns = new Map();
+        for (const [offset, count] of candidate.histogram) {
+            const x = Math.round(padding + ((offset - minOffset) / range) * plotWidth);
+            columns.set(x, Math.max(columns.get(x) || 0, count));
+        }
+
+        ctx.fillStyle = '#4a9eff';
+        for (const [x, count] of columns) {
+            const barHeight = (count / candidate.score) * plotHeight;
+            ctx.fillRect(x, padding + plotHeight - barHeight, 1, barHeight);
+        }
+
+        // Mark the winning offset
+        const peakX = padding + ((candidate.offset - minOffset) / range) * plotWidth;
+        ctx.fillStyle = '#e53935';
+        ctx.fillRect(peakX - 1, padding, 3, plotHeight);
+
+        const offsetSeconds = (candidate.offset * this.secondsPerFrame).toFixed(2);
+        this.label.textContent = `${candidate.track.title}: ${candidate.score} of ${candidate.matchCount} matching hashes at offset ${offsetSeconds}s`;
+    }
+
+    /**
+     * Remove the plot
+     */
+    clear() {
+        this.candidate = null;
+        this.draw();
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * Peak picking tuning panel
+ *
+ * Sliders for every PeakFinder parameter, plus statistics on the resulting
+ * constellation so readers can see the trade-off between density and
+ * robustness as they drag
+ */
+
+import { PEAK_OPTION_RANGES } from '../utils/peak-finder.js';
+
+const CONTROLS = [
+    { key: 'minPeakMagnitude', label: 'Minimum magnitude' },
+    { key: 'neighborhoodSize', label: 'Neighborhood radius' },
+    { key: 'minRegions', label: 'Min regions per axis' },
+    { key: 'maxRegions', label: 'Max regions per axis' },
+    { key: 'globalThreshold', label: 'Global threshold (× track average)' },
+    { key: 'localThreshold', label: 'Local threshold (× region average)' },
+    { key: 'peakDensity', label: 'Peak density (share of regions)' }
+].map(control => ({ ...control, ...PEAK_OPTION_RANGES[control.key] }));
+
+// Octave-wide bands for the frequency spread, in Hz
+const FREQUENCY_BANDS = [
+    { label: '< 250 Hz', min: 0, max: 250 },
+    { label: '250–500 Hz', min: 250, max: 500 },
+    { label: '500 Hz–1 kHz', min: 500, max: 1000 },
+    { label: '1–2 kHz', min: 1000, max: 2000 },
+    { label: '2–4 kHz', min: 2000, max: 4000 },
+    { label: '> 4 kHz', min: 4000, max: Infinity }
+];
+
+export class PeakTuningPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {Object} options - Current peak picking options
+     * @param {Function} onChange - Called with the changed options on every slider move
+     */
+    constructor(container, options, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        this.defaults = {};
+        this.inputs = {};
+
+        this.container.innerHTML = `
+            <div class="tuning-controls"></div>
+            <div class="tuning-stats">
+                <div class="tuning-summary"></div>
+                <ul class="tuning-bands"></ul>
+            </div>
+            <button class="btn btn-primary tuning-reset">Reset</button>`;
+        this.summaryEl = this.container.querySelector('.tuning-summary');
+        this.bandsEl = this.container.querySelector('.tuning-bands');
+
+        const controlsEl = this.container.querySelector('.tuning-controls');
+        CONTROLS.forEach(control => {
+            this.defaults[control.key] = options[control.key];
+
+            const label = document.createElement('label');
+            label.innerHTML = `<span class="tuning-label"></span><input type="range"><span class="threshold-value"></span>`;
+            label.querySelector('.tuning-label').textContent = control.label;
+
+            const input = label.querySelector('input');
+            Object.assign(input, { min: control.min, max: control.max, step: control.step, value: options[control.key] });
+            const valueEl = label.querySelector('.threshold-value');
+            valueEl.textContent = input.value;
+
+            input.addEventListener('input', () => {
+                valueEl.textContent = input.value;
+                this.onChange({ [control.key]: parseFloat(input.value) });
+            });
+
+            this.inputs[control.key] = { input, valueEl };
+            controlsEl.appendChild(label);
+        });
+
+        this.container.querySelector('.tuning-reset').addEventListener('click', () => this.reset());
+    }
+
+    /**
+     * Move the sliders to options set elsewhere, without calling onChange
+     * @param {Object} options - Peak picking options; keys without a slider are ignored
+     */
+    setValues(options) {
+        Object.entries(options).forEach(([key, value]) => {
+            if (!this.inputs[key]) return;
+            this.inputs[key].input.value = value;
+            this.inputs[key].valueEl.textContent = this.inputs[key].input.value;
+        });
+    }
+
+    /**
+     * Restore the options the panel was created with
+     */
+    reset() {
+        Object.entries(this.defaults).forEach(([key, value]) => {
+            this.inputs[key].input.value = value;
+            this.inputs[key].valueEl.textContent = value;
+        });
+        this.onChange({ ...this.defaults });
+    }
+
+    /**
+     * Show statistics for a set of peaks
+     * @param {Array<Object>} peaks - Constellation peaks
+     * @param {number} duration - Track duration in seconds
+     * @param {Function} getBinFrequency - Maps a frequency bin to Hz
+     */
+    showStats(peaks, duration, getBinFrequency) {
+        const perSecond = duration ? (peaks.length / duration).toFixed(1) : '0';
+        this.summaryEl.textContent = `${peaks.length} peaks, ${perSecond} per second`;
+
+        const counts = FREQUENCY_BANDS.map(() => 0);
+        peaks.forEach(peak => {
+            const hz = getBinFrequency(peak.frequency);
+            const band = FREQUENCY_BANDS.findIndex(({ min, max }) => hz >= min && hz < max);
+            if (band >= 0) counts[band]++;
+        });
+
+        const maxCount = Math.max(1, ...counts);
+        this.bandsEl.innerHTML = '';
+        FREQUENCY_BANDS.forEach((band, i) => {
+            const item = document.createElement('li');
+            item.innerHTML = '<span class="tuning-band-label"></span><span class="tuning-band-bar"></span><span class="tuning-band-count"></span>';
+            item.querySelector('.tuning-band-label').textContent = band.label;
+            item.querySelector('.tuning-band-bar').style.width = `${(counts[i] / maxCount) * 100}%`;
+            item.querySelector('.tuning-band-count').textContent = counts[i];
+            this.bandsEl.appendChild(item);
+        });
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Region inspector
+ *
+ * Lists the constellation peaks and hashes inside a region selected on the
+ * spectrogram, each with its time in seconds and frequency in Hz
+ */
+
+import { FrequencyScale } from '../utils/frequency-scale.js';
+import { Fingerprinter } from '../utils/fingerprint.js';
+
+// Rows listed per table; the rest are counted
+const MAX_ROWS = 100;
+
+const PEAK_COLUMNS = ['Time (s)', 'Frequency (Hz)', 'Note', 'Magnitude'];
+const PAIR_COLUMNS = ['Hash', 'Anchor (s)', 'Anchor (Hz)', 'Target (s)', 'Target (Hz)', 'Δt (ms)'];
+
+const PROMPT = 'Hold Shift and drag across the spectrogram to list the peaks and hashes in a region.';
+
+export class RegionView {
+    /**
+     * @param {HTMLElement} container - Element the view is rendered into
+     * @param {Object} handlers - onClear() callback for the clear button
+     */
+    constructor(container, { onClear }) {
+        this.container = container;
+        this.container.innerHTML = `
+            <div class="region-header">
+                <span class="region-status"></span>
+                <button class="btn btn-primary region-clear" hidden>Clear selection</button>
+            </div>
+            <div class="region-tables" hidden>
+                <div>
+                    <h4 class="region-peaks-title"></h4>
+                    <div class="region-scroll"><table class="region-table region-peaks"><thead><tr></tr></thead><tbody></tbody></table></div>
+                </div>
+                <div>
+                    <h4 class="region-pairs-title"></h4>
+                    <div class="region-scroll"><table class="region-table region-pairs"><thead><tr></tr></thead><tbody></tbody></table></div>
+                </div>
+            </div>`;
+        this.statusEl = this.container.querySelector('.region-status');
+        this.clearBtn = this.container.querySelector('.region-clear');
+        this.tables = this.container.querySelector('.region-tables');
+        this.peaksTitle = this.container.querySelector('.region-peaks-title');
+        this.pairsTitle = this.container.querySelector('.region-pairs-title');
+        this.peaksTable = this.container.querySelector('.region-peaks');
+        this.pairsTable = this.container.querySelector('.region-pairs');
+
+        [[this.peaksTable, PEAK_COLUMNS], [this.pairsTable, PAIR_COLUMNS]].forEach(([table, columns]) => {
+            const headRow = table.querySelector('thead tr');
+            columns.forEach(label => {
+                const cell = document.createElement('th');
+                cell.textContent = label;
+                headRow.appendChild(cell);
+            });
+        });
+        this.clearBtn.addEventListener('click', () => onClear());
+        this.clear();
+    }
+
+    /**
+     * @param {Object} region - Selected region with startTime, endTime, lowFrequency and highFrequency
+     * @param {Object} contents - peaks and pairs inside it, from ConstellationPlugin.getRegionContents
+     */
+    show(region, { peaks, pairs }) {
+        const hz = (frequency) => frequency.toFixed(1);
+        const seconds = (time) => time.toFixed(3);
+
+        this.statusEl.textContent =
+            `${seconds(region.startTime)}–${seconds(region.endTime)} s, ` +
+            `${Math.round(region.lowFrequency)}–${Math.round(region.highFrequency)} Hz`;
+        this.peaksTitle.textContent = RegionView.countLabel(peaks.length, 'peak');
+        this.pairsTitle.textContent = RegionView.countLabel(pairs.length, 'hash', 'hashes');
+
+        RegionView.fillTable(this.peaksTable, peaks.map(peak => [
+            seconds(peak.time),
+            hz(peak.frequency),
+            peak.frequency > 0 ? FrequencyScale.noteName(Math.round(FrequencyScale.noteNumber(peak.frequency))) : '–',
+            peak.magnitude.toFixed(2)
+        ]));
+        RegionView.fillTable(this.pairsTable, pairs.map(({ hash, anchor, target }) => [
+            Fingerprinter.formatHash(hash),
+            seconds(anchor.time),
+            hz(anchor.frequency),
+            seconds(target.time),
+            hz(target.frequency),
+            Math.round((target.time - anchor.time) * 1000)
+        ]));
+
+        this.tables.hidden = false;
+        this.clearBtn.hidden = false;
+    }
+
+    /**
+     * @param {number} count - Number of items
+     * @param {string} singular - Item name
+     * @param {string} [plural] - Plural, if not singular + "s"
+     * @returns {string} e.g. "12 peaks" or "1 hash", noting when the list is cut short
+     */
+    static countLabel(count, singular, plural = `${singular}s`) {
+        const label = `${count} ${count === 1 ? singular : plural}`;
+        return count > MAX_ROWS ? `${label} (first ${MAX_ROWS} listed)` : label;
+    }
+
+    static fillTable(table, rows) {
+        const body = table.querySelector('tbody');
+        body.innerHTML = '';
+        rows.slice(0, MAX_ROWS).forEach(values => {
+            const row = document.createElement('tr');
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+    }
+
+    /**
+     * Remove the lists, e.g. when the selection is cleared or a new song loads
+     */
+    clear() {
+        this.statusEl.textContent = PROMPT;
+        this.tables.hidden = true;
+        this.clearBtn.hidden = true;
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Live spectrum analyser
+ *
+ * Runs FFT.forward on the frame of audio under the playhead and plots its
+ * magnitude against frequency on a log axis labelled with note names. A frame
+ * can be frozen to compare how window functions change the spectrum.
+ */
+
+import { CanvasUtils } from '../utils/canvas.js';
+import { FFT } from '../utils/fft.js';
+import { STFT } from '../utils/stft.js';
+
+// Samples per analysed frame
+const FRAME_SIZE = 4096;
+
+// Plotted ranges
+const MIN_FREQUENCY = 20;
+const MIN_DB = -100;
+const MAX_DB = 0;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const COLORS = {
+    primary: '#4a9eff',
+    compare: '#e53935',
+    label: '#666',
+    noteLine: 'rgba(0, 0, 0, 0.08)'
+};
+
+export class SpectrumView {
+    /**
+     * @param {HTMLElement} wrapper - Element the plot is rendered into
+     */
+    constructor(wrapper) {
+        this.wrapper = wrapper;
+        this.wrapper.innerHTML = '';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'visualization-canvas';
+        this.wrapper.appendChild(this.canvas);
+
+        this.fft = new FFT(FRAME_SIZE);
+        this.windows = {};
+        this.frame = new Float32Array(FRAME_SIZE);
+        this.sampleRate = 0;
+        this.hasFrame = false;
+        this.frozen = false;
+        this.windowType = 'hann';
+        this.compareWindowType = null;
+
+        this.resizeObserver = new ResizeObserver(() => this.draw());
+        this.resizeObserver.observe(this.wrapper);
+    }
+
+    /**
+     * Analyse the frame centred on a playback time, unless frozen
+     * @param {AudioBuffer} buffer - Decoded audio of the current track
+     * @param {number} time - Playback time in seconds
+     */
+    update(buffer, time) {
+        if (this.frozen || !buffer) return;
+
+        // Mix the channels over just this frame; the edges of the track read as silence
+        const start = Math.round(time * buffer.sampleRate) - FRAME_SIZE / 2;
+        this.frame.fill(0);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = Math.max(0, -start); i < FRAME_SIZE && start + i < data.length; i++) {
+                this.frame[i] += data[start + i] / buffer.numberOfChannels;
+            }
+        }
+        this.sampleRate = buffer.sampleRate;
+        this.hasFrame = true;
+        this.draw();
+    }
+
+    /**
+     * Stop or resume following the playhead
+     * @param {boolean} frozen - Whether to keep the current frame
+     */
+    setFrozen(frozen) {
+        this.frozen = frozen;
+    }
+
+    /**
+     * @param {string} type - Window for the main curve
+     * @param {string|null} compareType - Window for a second curve, or null for none
+     */
+    setWindows(type, compareType = null) {
+        this.windowType = type;
+        this.compareWindowType = compareType;
+        this.draw();
+    }
+
+    /**
+     * Magnitude spectrum of the current frame under a window
+     * @param {string} type - Key of WINDOW_FUNCTIONS
+     * @returns {Float32Array} Level of each bin in dB relative to full scale
+     */
+    computeSpectrum(type) {
+        if (!this.windows[type]) {
+            const window = STFT.createWindow(type, FRAME_SIZE);
+            // Normalize so a full-scale sine reads 0 dB whatever the window
+            const scale = 2 / window.reduce((sum, value) => sum + value, 0);
+            this.windows[type] = { window, scale };
+        }
+        const { window, scale } = this.windows[type];
+
+        const input = new Float32Array(FRAME_SIZE);
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            input[i] = this.frame[i] * window[i];
+        }
+
+        const spectrum = this.fft.forward(input);
+        const levels = new Float32Array(FRAME_SIZE / 2);
+        for (let bin = 0; bin < levels.length; bin++) {
+            const magnitude = Math.hypot(spectrum[bin * 2], spectrum[bin * 2 + 1]) * scale;
+            levels[bin] = 20 * Math.log10(Math.max(magnitude, 1e-10));
+        }
+        return levels;
+    }
+
+    draw() {
+        const width = this.wrapper.clientWidth;
+        const height = this.wrapper.clientHeight;
+        const { ctx } = CanvasUtils.setupHighDPICanvas(this.canvas, width, height);
+        CanvasUtils.clearCanvas(ctx, width, height);
+        CanvasUtils.drawGrid(ctx, width, height);
+        if (!this.hasFrame || !width || !height) return;
+
+        const padding = { left: 40, right: 10, top: 10, bottom: 24 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const maxFrequency = this.sampleRate / 2;
+        const logRange = Math.log(maxFrequency / MIN_FREQUENCY);
+        const toX = (hz) => padding.left + (Math.log(hz / MIN_FREQUENCY) / logRange) * plotWidth;
+        const toY = (db) => padding.top + ((MAX_DB - Math.max(MIN_DB, Math.min(MAX_DB, db))) / (MAX_DB - MIN_DB)) * plotHeight;
+
+        this.drawNoteLabels(ctx, toX, padding, height, maxFrequency);
+
+        // dB scale
+        ctx.fillStyle = COLORS.label;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let db = MAX_DB; db >= MIN_DB; db -= 20) {
+            ctx.fillText(`${db}`, padding.left - 6, toY(db));
+        }
+
+        if (this.compareWindowType && this.compareWindowType !== this.windowType) {
+            this.drawCurve(ctx, this.computeSpectrum(this.compareWindowType), COLORS.compare, toX, toY);
+        }
+        this.drawCurve(ctx, this.computeSpectrum(this.windowType), COLORS.primary, toX, toY);
+    }
+
+    drawCurve(ctx, levels, color, toX, toY) {
+        const binWidth = this.sampleRate / FRAME_SIZE;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+
+        let started = false;
+        for (let bin = 1; bin < levels.length; bin++) {
+            const hz = bin * binWidth;
+            if (hz < MIN_FREQUENCY) continue;
+            if (started) {
+                ctx.lineTo(toX(hz), toY(levels[bin]));
+            } else {
+                ctx.moveTo(toX(hz), toY(levels[bin]));
+                started = true;
+            }
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Mark every C along the frequency axis, e.g. "C4 262"
+     */
+    drawNoteLabels(ctx, toX, padding, height, maxFrequency) {
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+
+        for (let midi = 12; ; midi += 12) {
+            const hz = SpectrumView.noteFrequency(midi);
+            if (hz > maxFrequency) break;
+            if (hz < MIN_FREQUENCY) continue;
+
+            const x = toX(hz);
+            ctx.strokeStyle = COLORS.noteLine;
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, height - padding.bottom);
+            ctx.stroke();
+
+            ctx.fillStyle = COLORS.label;
+            ctx.fillText(`${SpectrumView.noteName(midi)} ${Math.round(hz)}`, x, height - 4);
+        }
+    }
+
+    /**
+     * @param {number} midi - MIDI note number (69 = A4)
+     * @returns {number} Equal-tempered frequency in Hz
+     */
+    static noteFrequency(midi) {
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
+
+    /**
+     * @param {number} midi - MIDI note number
+     * @returns {string} Note name with octave, e.g. "C4"
+     */
+    static noteName(midi) {
+        return `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+    }
+
+    /**
+     * Remove the plot while a new song is loading
+     */
+    clear() {
+        this.hasFrame = false;
+        this.frozen = false;
+        this.draw();
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Speed and pitch robustness view
+ *
+ * Tabulates, for each hashing scheme, how many of the current track's hashes
+ * a sped-up or time-stretched copy still produces, and how often clips with
+ * the same change, or with a range of changes, are recognised
+ */
+
+const SURVIVAL_COLUMNS = ['Scheme', 'Original', 'Transformed', 'Surviving'];
+const RECOGNITION_COLUMNS = ['Scheme', 'Queries', 'Top-1', 'Mean rank'];
+const RATE_COLUMNS = ['Change', 'Scheme', 'Top-1', 'Right offset'];
+
+export class TransformView {
+    /**
+     * @param {HTMLElement} container - Element the view is rendered into
+     */
+    constructor(container) {
+        this.container = container;
+        this.container.innerHTML = `
+            <div class="transform-status">Pick a change and apply it to the current song.</div>
+            <table class="transform-table transform-survival" hidden>
+                <thead><tr></tr></thead>
+                <tbody></tbody>
+            </table>
+            <div class="transform-status transform-recognition-status"></div>
+            <table class="transform-table transform-recognition" hidden>
+                <thead><tr></tr></thead>
+                <tbody></tbody>
+            </table>
+            <table class="transform-table transform-rates" hidden>
+                <thead><tr></tr></thead>
+                <tbody></tbody>
+            </table>`;
+        this.statusEl = this.container.querySelector('.transform-status');
+        this.recognitionStatusEl = this.container.querySelector('.transform-recognition-status');
+        this.survivalTable = this.container.querySelector('.transform-survival');
+        this.recognitionTable = this.container.querySelector('.transform-recognition');
+        this.ratesTable = this.container.querySelector('.transform-rates');
+
+        [
+            [this.survivalTable, SURVIVAL_COLUMNS],
+            [this.recognitionTable, RECOGNITION_COLUMNS],
+            [this.ratesTable, RATE_COLUMNS]
+        ].forEach(([table, columns]) => {
+            const headRow = table.querySelector('thead tr');
+            columns.forEach(label => {
+                const cell = document.createElement('th');
+                cell.textContent = label;
+                headRow.appendChild(cell);
+            });
+        });
+    }
+
+    /**
+     * @param {string} text - Status message for the hash counts
+     */
+    setStatus(text) {
+        this.statusEl.textContent = text;
+    }
+
+    /**
+     * @param {string} text - Status message for the recognition comparison
+     */
+    setRecognitionStatus(text) {
+        this.recognitionStatusEl.textContent = text;
+    }
+
+    /**
+     * Show how many hashes of each scheme survived a transform
+     * @param {string} description - The transform, e.g. "Resampled +5%"
+     * @param {Array<Object>} rows - {label, original, transformed, surviving} per scheme
+     */
+    showSurvival(description, rows) {
+        this.fillTable(this.survivalTable, rows.map(({ label, original, transformed, surviving }) =>
+            [label, original, transformed, `${surviving} (${TransformView.formatPercent(surviving, original)})`]
+        ));
+        this.setStatus(`${description}: hashes of the constellation above found again at the expected time`);
+    }
+
+    /**
+     * Show recognition rates of each scheme on the same transformed clips
+     * @param {string} description - The transform, e.g. "Resampled +5%"
+     * @param {Array<Object>} rows - {label, report} per scheme, report from RecognitionBenchmark.run
+     */
+    showRecognition(description, rows) {
+        this.fillTable(this.recognitionTable, rows.map(({ label, report }) => [
+            label,
+            report.summary.queries,
+            TransformView.formatPercent(report.summary.top1Accuracy, 1),
+            report.summary.meanRank.toFixed(2)
+        ]));
+
+        const { clipsPerTrack, clipLength } = rows[0].report.options;
+        this.ratesTable.hidden = true;
+        this.setRecognitionStatus(`${description}: ${clipsPerTrack} clips of ${clipLength}s from each bundled song`);
+    }
+
+    /**
+     * Show recognition rates of each scheme at every tested speed
+     * @param {string} mode - 'resample' or 'stretch'
+     * @param {Array<Object>} results - {percent, rows} per speed change, rows as for showRecognition
+     */
+    showRates(mode, results) {
+        this.fillTable(this.ratesTable, results.flatMap(({ percent, rows }) => rows.map(({ label, report }) => [
+            TransformView.formatChange(percent),
+            label,
+            TransformView.formatPercent(report.summary.top1Accuracy, 1),
+            TransformView.formatPercent(report.summary.offsetAccuracy, 1)
+        ])));
+
+        const { clipsPerTrack, clipLength } = results[0].rows[0].report.options;
+        this.recognitionTable.hidden = true;
+        this.setRecognitionStatus(
+            `${mode === 'resample' ? 'Resampled' : 'Time-stretched'} clips, ${clipsPerTrack} of ${clipLength}s from each bundled song per speed. ` +
+            'Offsets drift through a clip at another speed, so matches fall away from the track\'s own speed.'
+        );
+    }
+
+    fillTable(table, rows) {
+        const body = table.querySelector('tbody');
+        body.innerHTML = '';
+        rows.forEach(values => {
+            const row = document.createElement('tr');
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        table.hidden = false;
+    }
+
+    /**
+     * @param {number} percent - Change in speed or tempo
+     * @returns {string} e.g. "+5%" or "-10%"
+     */
+    static formatChange(percent) {
+        return `${percent > 0 ? '+' : ''}${percent}%`;
+    }
+
+    /**
+     * @param {Object} transform - mode and percent, as passed to AudioTransformer.transform
+     * @returns {string} e.g. "Resampled +5%"
+     */
+    static describe({ mode, percent }) {
+        return `${mode === 'resample' ? 'Resampled' : 'Time-stretched'} ${TransformView.formatChange(percent)}`;
+    }
+
+    /**
+     * @param {number} part - Count or fraction
+     * @param {number} whole - Total it is a part of
+     * @returns {string} e.g. "42%"
+     */
+    static formatPercent(part, whole) {
+        return whole ? `${Math.round((part / whole) * 100)}%` : '–';
+    }
+
+    /**
+     * Reset the hash counts while a new song is loading
+     */
+    clear() {
+        this.survivalTable.hidden = true;
+        this.setStatus('Pick a change and apply it to the current song.');
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Main-thread side of the analysis worker
+ *
+ * Wraps analysis-worker.js in promises. Sample data is copied and then
+ * transferred, so the caller's AudioBuffer stays usable. Aborting a job
+ * terminates the worker; a fresh one is started for the next job.
+ */
+
+import { TrackAnalyzer } from '../utils/track-analyzer.js';
+
+const WORKER_URL = new URL('./analysis-worker.js', import.meta.url);
+
+export class AnalysisClient {
+    constructor() {
+        this.worker = null;
+        this.jobs = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Compute a normalized spectrogram and, if peakOptions is given, its peaks
+     * @param {Float32Array} samples - Mono samples (copied, not modified)
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} stftOptions - STFT options
+     * @param {Object|null} peakOptions - PeakFinder options, with chunkFrames to pick
+     *   peaks block by block as TrackAnalyzer does, or null for frames only
+     * @param {Object} [job] - onProgress(fraction, stage) callback and AbortSignal
+     * @returns {Promise<Object>} frames and peaks (null if not requested)
+     */
+    computeSpectrogram(samples, sampleRate, stftOptions, peakOptions, job = {}) {
+        const copy = samples.slice();
+        return this.run('spectrogram', { samples: copy, sampleRate, stftOptions, peakOptions }, [copy.buffer], job);
+    }
+
+    /**
+     * Pick peaks from a spectrogram that is already computed
+     * @param {Array<Float32Array>} frames - Normalized spectrogram frames (copied, not modified)
+     * @param {Object} peakOptions - PeakFinder options, optionally with chunkFrames (see computeSpectrogram)
+     * @param {Object} [job] - onProgress(fraction, stage) callback and AbortSignal
+     * @returns {Promise<Object>} peaks
+     */
+    findPeaks(frames, peakOptions, job = {}) {
+        return this.run('peaks', { frames, peakOptions }, [], job);
+    }
+
+    /**
+     * Run the TrackAnalyzer pipeline on decoded audio
+     * @param {AudioBuffer} audioBuffer - Decoded audio (not modified)
+     * @param {Object} analysisOptions - TrackAnalyzer options
+     * @param {Object} [job] - onProgress(fraction, stage) callback and AbortSignal
+     * @returns {Promise<Object>} Same result as TrackAnalyzer.analyze
+     */
+    analyze(audioBuffer, analysisOptions, job = {}) {
+        const samples = AnalysisClient.copyMono(audioBuffer);
+        const payload = { samples, sampleRate: audioBuffer.sampleRate, analysisOptions };
+        return this.run('analyze', payload, [samples.buffer], job);
+    }
+
+    /**
+     * Fingerprint decoded audio with any method from FINGERPRINT_METHODS
+     * @param {string} method - Method name
+     * @param {AudioBuffer} audioBuffer - Decoded audio (not modified)
+     * @param {Object} options - Options for the method's analyzer
+     * @param {Object} [job] - onProgress(fraction, stage) callback and AbortSignal
+     * @returns {Promise<Object>} Result of the analyzer's analyze
+     */
+    fingerprint(method, audioBuffer, options, job = {}) {
+        const samples = AnalysisClient.copyMono(audioBuffer);
+        const payload = { samples, sampleRate: audioBuffer.sampleRate, method, options };
+        return this.run('fingerprint', payload, [samples.buffer], job);
+    }
+
+    /**
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @returns {Float32Array} Mono mix that can be transferred to the worker
+     */
+    static copyMono(audioBuffer) {
+        const samples = TrackAnalyzer.toMono(audioBuffer);
+        // Mono buffers hand back their own channel data, which must not be detached
+        return audioBuffer.numberOfChannels === 1 ? samples.slice() : samples;
+    }
+
+    run(type, payload, transfer, { onProgress = null, signal = null } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(AnalysisClient.abortError());
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.jobs.set(id, { resolve, reject, onProgress });
+            if (signal) {
+                signal.addEventListener('abort', () => this.cancel(id), { once: true });
+            }
+            this.getWorker().postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    /**
+     * Stop a job. The worker can't be interrupted mid-computation, so it is
+     * terminated, and any other jobs queued on it are cancelled too.
+     * @param {number} id - Job to cancel
+     */
+    cancel(id) {
+        if (!this.jobs.has(id)) return;
+        this.terminate();
+    }
+
+    /**
+     * Stop the worker and reject every outstanding job
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.jobs.forEach(({ reject }) => reject(AnalysisClient.abortError()));
+        this.jobs.clear();
+    }
+
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(WORKER_URL, { type: 'module' });
+            this.worker.addEventListener('message', ({ data }) => this.handleMessage(data));
+            this.worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                const error = new Error(event.message || 'Analysis worker failed');
+                this.jobs.forEach(({ reject }) => reject(error));
+                this.jobs.clear();
+                this.worker.terminate();
+                this.worker = null;
+            });
+        }
+        return this.worker;
+    }
+
+    handleMessage({ id, type, fraction, stage, result, message }) {
+        const job = this.jobs.get(id);
+        if (!job) return;
+
+        if (type === 'progress') {
+            if (job.onProgress) job.onProgress(fraction, stage);
+            return;
+        }
+
+        this.jobs.delete(id);
+        if (type === 'result') {
+            job.resolve(result);
+        } else {
+            job.reject(new Error(message));
+        }
+    }
+
+    static abortError() {
+        return new DOMException('Analysis was cancelled', 'AbortError');
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Analysis worker
+ *
+ * Runs the spectrogram, peak picking and hashing off the main thread, so long
+ * tracks don't freeze the page. Driven by AnalysisClient; every request
+ * carries an id that is echoed back on its progress, result and error
+ * messages. Cancelled jobs are stopped by terminating the worker.
+ */
+
+import { STFT } from '../utils/stft.js';
+import { PeakFinder } from '../utils/peak-finder.js';
+import { TrackAnalyzer } from '../utils/track-analyzer.js';
+import { createAnalyzer } from '../utils/fingerprint-methods.js';
+
+// Send at most this many progress messages per job
+const PROGRESS_STEP = 0.02;
+
+/**
+ * Peaks of a whole spectrogram, or block by block as TrackAnalyzer picks them
+ * when peakOptions include chunkFrames
+ */
+function findPeaks(frames, { chunkFrames, ...peakOptions }) {
+    const peakFinder = new PeakFinder(peakOptions);
+    return chunkFrames ? TrackAnalyzer.findPeaksInBlocks(peakFinder, frames, chunkFrames) : peakFinder.findPeaks(frames);
+}
+
+const jobs = {
+    /**
+     * Spectrogram for the constellation overlay, optionally with its peaks
+     */
+    spectrogram({ samples, sampleRate, stftOptions, peakOptions }, onProgress) {
+        const stft = new STFT(stftOptions);
+        const frames = stft.compute(samples, sampleRate, (fraction) => onProgress(fraction * 0.8, 'spectrogram'));
+
+        let peaks = null;
+        if (peakOptions) {
+            onProgress(0.8, 'peaks');
+            peaks = findPeaks(frames, peakOptions);
+        }
+
+        // Each frame owns its buffer, so they can all be handed over without copying
+        return {
+            result: { frames, peaks },
+            transfer: frames.map(frame => frame.buffer)
+        };
+    },
+
+    /**
+     * Peaks of a spectrogram computed elsewhere, e.g. by the spectrogram view
+     */
+    peaks({ frames, peakOptions }, onProgress) {
+        onProgress(0, 'peaks');
+        return {
+            result: { peaks: findPeaks(frames, peakOptions) },
+            transfer: []
+        };
+    },
+
+    /**
+     * Full TrackAnalyzer pipeline, as used to index and match tracks
+     */
+    analyze({ samples, sampleRate, analysisOptions }, onProgress) {
+        const analyzer = new TrackAnalyzer(analysisOptions);
+        return {
+            result: analyzer.analyzeSamples(samples, sampleRate, onProgress),
+            transfer: []
+        };
+    },
+
+    /**
+     * Any fingerprinting method, for comparing them
+     */
+    fingerprint({ samples, sampleRate, method, options }, onProgress) {
+        const analyzer = createAnalyzer(method, options);
+        return {
+            result: analyzer.analyzeSamples(samples, sampleRate, onProgress),
+            transfer: []
+        };
+    }
+};
+
+self.addEventListener('message', ({ data }) => {
+    const { id, type, payload } = data;
+
+    let lastReported = -Infinity;
+    const onProgress = (fraction, stage) => {
+        if (fraction - lastReported < PROGRESS_STEP && fraction < 1) return;
+        lastReported = fraction;
+        self.postMessage({ id, type: 'progress', fraction, stage });
+    };
+
+    try {
+        if (!jobs[type]) {
+            throw new Error(`Unknown analysis job: ${type}`);
+        }
+        const { result, transfer } = jobs[type](payload, onProgress);
+        self.postMessage({ id, type: 'result', result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Match server for the page's "Server" match backend
+ *
+ * Serves an in-memory fingerprint index over HTTP (see match-server.js for the
+ * routes). With --db, tracks are loaded from and saved to a CLI disk index.
+ */
+
+import { parseArgs } from 'node:util';
+import { TrackAnalyzer, DEFAULT_ANALYSIS_OPTIONS } from '../scripts/utils/track-analyzer.js';
+import { DiskIndex } from '../cli/disk-index.js';
+import { MatchServer } from './match-server.js';
+
+const USAGE = `Usage:
+  audio-fingerprint-server [--port <n>] [--host <address>] [--db <dir>]
+
+  --port <n>        default 8787
+  --host <address>  default 127.0.0.1
+  --db <dir>        load tracks from and save new ones to a CLI index directory`;
+
+const OPTIONS = {
+    port: { type: 'string', default: '8787' },
+    host: { type: 'string', default: '127.0.0.1' },
+    db: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+async function main(argv) {
+    const { values: options } = parseArgs({ args: argv, options: OPTIONS });
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return;
+    }
+
+    const port = parseInt(options.port, 10);
+    if (!(port >= 0 && port < 65536)) {
+        throw new Error('--port must be a port number');
+    }
+
+    let database, diskIndex = null;
+    if (options.db) {
+        diskIndex = new DiskIndex(options.db, DEFAULT_ANALYSIS_OPTIONS);
+        await diskIndex.open();
+        database = await diskIndex.loadDatabase();
+    }
+
+    const server = new MatchServer(new TrackAnalyzer(), { database, diskIndex });
+    const { address, port: boundPort } = await server.listen(port, options.host);
+    process.stdout.write(`Match server listening on http://${address}:${boundPort} (${server.database.getTracks().length} tracks)\n`);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    process.stderr.write(`${error.message}\n`);
+    if (error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+        process.stderr.write(`\n${USAGE}\n`);
+        process.exitCode = 2;
+    } else {
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,223 @@
+/**
+ * HTTP match service
+ *
+ * Routes:
+ *   GET  /tracks  - metadata of every indexed track
+ *   POST /tracks  - add a track, either as WAV audio (title in ?title=) that is
+ *                   fingerprinted here, or as JSON fingerprints:
+ *                   {trackId?, title, sampleRate, duration, secondsPerFrame, analysis, hashes: [[hash, anchorTime], ...]}
+ *   POST /match   - JSON {analysis, sampleRate, limit?, hashes: [[hash, anchorTime], ...]},
+ *                   answered with ranked candidates
+ *
+ * JSON fingerprints must carry the analysis options they were made with and
+ * the sample rate they were computed at; hashes from other settings or rates
+ * would never match, so they are refused. Uploaded WAV audio is resampled to
+ * the analysis rate instead. Responses allow any origin so the page can be
+ * served from elsewhere.
+ */
+
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+import { WavDecoder } from '../scripts/utils/wav-decoder.js';
+import { FingerprintDatabase } from '../scripts/utils/fingerprint-database.js';
+import { encodeCandidates, decodeHashes } from '../scripts/utils/match-backend.js';
+import { DiskIndex } from '../cli/disk-index.js';
+
+// Largest request body accepted, in bytes (about ten minutes of CD-quality WAV)
+const MAX_BODY_BYTES = 128 * 1024 * 1024;
+const MAX_LIMIT = 50;
+
+const WAV_TYPES = ['audio/wav', 'audio/wave', 'audio/x-wav', 'audio/vnd.wave'];
+
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+export class MatchServer {
+    /**
+     * @param {TrackAnalyzer} analyzer - Fingerprints uploaded audio; its options are the only ones accepted
+     * @param {Object} options - database (FingerprintDatabase to serve) and diskIndex (DiskIndex to save new tracks to)
+     */
+    constructor(analyzer, { database = new FingerprintDatabase(), diskIndex = null } = {}) {
+        this.analyzer = analyzer;
+        this.database = database;
+        this.diskIndex = diskIndex;
+        this.server = http.createServer((request, response) => this.handle(request, response));
+    }
+
+    /**
+     * @param {number} port - Port to listen on
+     * @param {string} host - Interface to bind
+     * @returns {Promise<Object>} Bound address
+     */
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => resolve(this.server.address()));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    async handle(request, response) {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204).end();
+            return;
+        }
+
+        const url = new URL(request.url, 'http://localhost');
+        const routes = {
+            'GET /tracks': () => this.listTracks(),
+            'POST /tracks': () => this.addTrack(request, url),
+            'POST /match': () => this.match(request)
+        };
+        const route = routes[`${request.method} ${url.pathname}`];
+
+        try {
+            if (!route) {
+                const known = Object.keys(routes).some(key => key.endsWith(` ${url.pathname}`));
+                throw known ? new HttpError(405, `${request.method} is not supported on ${url.pathname}`) : new HttpError(404, `No route for ${url.pathname}`);
+            }
+            const [status, body] = await route();
+            MatchServer.send(response, status, body);
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error(error);
+            }
+            MatchServer.send(response, error.status || 500, { error: error.message });
+        }
+    }
+
+    listTracks() {
+        return [200, { tracks: this.database.getTracks() }];
+    }
+
+    async addTrack(request, url) {
+        const type = MatchServer.contentType(request);
+        const body = await MatchServer.readBody(request);
+
+        let trackId, metadata, hashes;
+        if (WAV_TYPES.includes(type)) {
+            let audio;
+            try {
+                audio = WavDecoder.decodeWav(body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength));
+            } catch (error) {
+                throw new HttpError(400, error.message);
+            }
+            const result = this.analyzer.analyze(audio);
+            trackId = DiskIndex.trackId(body);
+            hashes = result.hashes;
+            metadata = {
+                title: url.searchParams.get('title') || 'Untitled',
+                sampleRate: result.sampleRate,
+                duration: result.duration,
+                secondsPerFrame: result.secondsPerFrame
+            };
+        } else if (type === 'application/json') {
+            const fields = this.parseFingerprints(body);
+            hashes = decodeOrReject(fields.hashes);
+            const { title, sampleRate, duration, secondsPerFrame } = fields;
+            if (typeof title !== 'string' || !(secondsPerFrame > 0)) {
+                throw new HttpError(400, 'title and a positive secondsPerFrame are required');
+            }
+            // Without an id from the client, the same fingerprints always get the same one
+            trackId = fields.trackId ? String(fields.trackId) : createHash('sha1').update(JSON.stringify(fields.hashes)).digest('hex');
+            metadata = { title, sampleRate, duration, secondsPerFrame };
+        } else {
+            throw new HttpError(415, 'Send WAV audio (audio/wav) or JSON fingerprints (application/json)');
+        }
+
+        this.database.addTrack(trackId, metadata, hashes);
+        if (this.diskIndex) {
+            await this.diskIndex.addTrack({ trackId, ...metadata }, hashes);
+            await this.diskIndex.save();
+        }
+        return [201, { track: this.database.tracks.get(trackId) }];
+    }
+
+    async match(request) {
+        if (MatchServer.contentType(request) !== 'application/json') {
+            throw new HttpError(415, 'Send the query as JSON (application/json)');
+        }
+        const fields = this.parseFingerprints(await MatchServer.readBody(request));
+        const hashes = decodeOrReject(fields.hashes);
+        const limit = fields.limit === undefined ? 5 : fields.limit;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw new HttpError(400, `limit must be a whole number from 1 to ${MAX_LIMIT}`);
+        }
+
+        const candidates = this.database.query(hashes, limit);
+        return [200, {
+            queryHashes: hashes.length,
+            confidence: FingerprintDatabase.confidence(candidates),
+            candidates: encodeCandidates(candidates)
+        }];
+    }
+
+    /**
+     * Parse a JSON fingerprint body and check it was made with this server's settings
+     * @param {Buffer} body - Request body
+     * @returns {Object} Parsed fields
+     */
+    parseFingerprints(body) {
+        let fields;
+        try {
+            fields = JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            throw new HttpError(400, `Invalid JSON: ${error.message}`);
+        }
+        if (!fields || typeof fields !== 'object') {
+            throw new HttpError(400, 'Expected a JSON object');
+        }
+        if (JSON.stringify(fields.analysis) !== JSON.stringify(this.analyzer.options)) {
+            throw new HttpError(422, 'Fingerprints were made with different analysis options than this server uses');
+        }
+        const { sampleRate } = this.analyzer.options;
+        if (fields.sampleRate !== sampleRate) {
+            throw new HttpError(422, `Fingerprints must be computed at ${sampleRate} Hz, not ${fields.sampleRate} Hz; resample the audio first`);
+        }
+        return fields;
+    }
+
+    static contentType(request) {
+        return (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    }
+
+    /**
+     * @param {http.IncomingMessage} request - Request to read
+     * @returns {Promise<Buffer>} Whole body
+     */
+    static async readBody(request) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of request) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                throw new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`);
+            }
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    static send(response, status, body) {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    }
+}
+
+function decodeOrReject(pairs) {
+    try {
+        return decodeHashes(pairs);
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+}
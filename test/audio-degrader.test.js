@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioDegrader } from '../scripts/utils/audio-degrader.js';
+import { STFT } from '../scripts/utils/stft.js';
+import { FakeOfflineAudioContext, FakeAudioBuffer } from './helpers/fake-offline-audio-context.js';
+
+const SAMPLE_RATE = 44100;
+
+before(() => {
+    globalThis.OfflineAudioContext = FakeOfflineAudioContext;
+});
+
+after(() => {
+    delete globalThis.OfflineAudioContext;
+});
+
+function createSine(frequency = 1000, amplitude = 0.5, seconds = 1) {
+    const samples = Float32Array.from({ length: seconds * SAMPLE_RATE }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+    return FakeAudioBuffer.fromChannels([samples], SAMPLE_RATE);
+}
+
+const rms = (data) => AudioDegrader.rms(data);
+const difference = (a, b) => a.map((value, i) => value - b[i]);
+
+/**
+ * Mean amplitude of the spectrum between two frequencies
+ */
+function bandLevel(samples, lowFrequency, highFrequency) {
+    const stft = new STFT({ windowSize: 2048, hopSize: 2048, scale: 'linear' });
+    const frames = stft.compute(samples, SAMPLE_RATE);
+    let sum = 0;
+    let count = 0;
+    frames.forEach(frame => frame.forEach((value, bin) => {
+        const frequency = stft.binFrequency(bin, SAMPLE_RATE);
+        if (frequency >= lowFrequency && frequency < highFrequency) {
+            sum += value;
+            count++;
+        }
+    }));
+    return sum / count;
+}
+
+test('with nothing enabled the audio is unchanged', async () => {
+    const clean = createSine();
+    const degraded = await AudioDegrader.degrade(clean);
+    assert.deepEqual(degraded.getChannelData(0), clean.getChannelData(0));
+});
+
+test('noise is added at the requested signal-to-noise ratio', async () => {
+    const clean = createSine();
+    for (const snr of [0, 10, 20]) {
+        const degraded = await AudioDegrader.degrade(clean, { noiseType: 'white', snr });
+        const noise = difference(degraded.getChannelData(0), clean.getChannelData(0));
+        const measured = 20 * Math.log10(rms(clean.getChannelData(0)) / rms(noise));
+        assert.ok(Math.abs(measured - snr) < 0.1, `snr ${snr}: measured ${measured}`);
+    }
+});
+
+test('the phone speaker band-passes the added noise too', async () => {
+    const clean = createSine();
+    const noisy = (await AudioDegrader.degrade(clean, { noiseType: 'white', snr: 0 })).getChannelData(0);
+    const phone = (await AudioDegrader.degrade(clean, { noiseType: 'white', snr: 0, phoneSpeaker: true })).getChannelData(0);
+
+    assert.ok(bandLevel(phone, 8000, 20000) < bandLevel(noisy, 8000, 20000) * 0.05);
+    assert.ok(bandLevel(phone, 20, 100) < bandLevel(noisy, 20, 100) * 0.1);
+    assert.ok(bandLevel(phone, 1000, 2000) > bandLevel(noisy, 1000, 2000) * 0.5);
+});
+
+test('a low bitrate cuts the bandwidth of the added noise', async () => {
+    const clean = createSine();
+    const noisy = (await AudioDegrader.degrade(clean, { noiseType: 'pink', snr: 0 })).getChannelData(0);
+    const encoded = (await AudioDegrader.degrade(clean, { noiseType: 'pink', snr: 0, bitrate: 16 })).getChannelData(0);
+
+    assert.ok(bandLevel(encoded, 12000, 20000) < bandLevel(noisy, 12000, 20000) * 0.25);
+});
+
+test('a low bitrate quantizes the samples', async () => {
+    const degraded = (await AudioDegrader.degrade(createSine(1000, 0.5), { bitrate: 16 })).getChannelData(0);
+    // 5 bits leave 16 steps per unit; the shaper only interpolates right at each step's edge
+    const onStep = degraded.filter(sample => Math.abs(sample * 16 - Math.round(sample * 16)) < 1e-3);
+    assert.ok(onStep.length > degraded.length * 0.99);
+    assert.ok(new Set(onStep.map(sample => Math.round(sample * 16))).size <= 17);
+});
+
+test('clipping drives the signal into a hard limit', async () => {
+    const clean = createSine(1000, 0.5);
+    const clipped = (await AudioDegrader.degrade(clean, { clipping: 12 })).getChannelData(0);
+
+    assert.ok(Math.max(...clipped.map(Math.abs)) <= 1);
+    assert.ok(clipped.filter(sample => Math.abs(sample) > 0.999).length > clipped.length / 3);
+});
+
+test('createNoise scales every noise type to the SNR', () => {
+    const context = new FakeOfflineAudioContext(1, SAMPLE_RATE, SAMPLE_RATE);
+    const clean = createSine();
+    for (const type of ['white', 'pink', 'babble']) {
+        const noise = AudioDegrader.createNoise(context, clean, type, 6);
+        const measured = 20 * Math.log10(rms(clean.getChannelData(0)) / rms(noise.getChannelData(0)));
+        assert.ok(Math.abs(measured - 6) < 1e-3, `${type}: ${measured}`);
+    }
+    assert.throws(() => AudioDegrader.createNoise(context, clean, 'brown', 6), /Unknown noise type: brown/);
+});
+
+test('quantizeCurve rounds to the bit depth', () => {
+    const curve = AudioDegrader.quantizeCurve(3);
+    assert.equal(curve[0], -1);
+    assert.equal(curve[curve.length - 1], 1);
+    assert.deepEqual([...new Set(curve)].sort((a, b) => a - b), [-1, -0.75, -0.5, -0.25, 0, 0.25, 0.5, 0.75, 1]);
+});
+
+test('compare counts peaks and hashes that survive within the tolerance', () => {
+    const clean = {
+        peaks: [{ time: 10, frequency: 20 }, { time: 30, frequency: 40 }, { time: 50, frequency: 60 }],
+        hashes: [{ hash: 1, anchorTime: 10 }, { hash: 2, anchorTime: 30 }, { hash: 3, anchorTime: 50 }]
+    };
+    const degraded = {
+        // One peak exact, one a frame and a bin away, one moved too far
+        peaks: [{ time: 10, frequency: 20 }, { time: 31, frequency: 39 }, { time: 52, frequency: 60 }, { time: 90, frequency: 5 }],
+        hashes: [{ hash: 1, anchorTime: 11 }, { hash: 2, anchorTime: 35 }, { hash: 9, anchorTime: 50 }]
+    };
+
+    const result = AudioDegrader.compare(clean, degraded);
+    assert.deepEqual(result.peaks, { clean: 3, degraded: 4, surviving: 2 });
+    assert.deepEqual(result.hashes, { clean: 3, degraded: 3, surviving: 1 });
+    assert.deepEqual(result.survivingPeaks, clean.peaks.slice(0, 2));
+
+    assert.deepEqual(AudioDegrader.compare(clean, degraded, 2).peaks.surviving, 3);
+    assert.deepEqual(AudioDegrader.compare(clean, degraded, 0).hashes.surviving, 0);
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Resampler } from '../scripts/utils/resampler.js';
+import { createTrack, encodeWav } from './helpers/audio.js';
+
+const CLI = fileURLToPath(new URL('../cli/index.js', import.meta.url));
+const SAMPLE_RATE = 22050;
+
+let directory;
+
+function run(...args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [CLI, ...args], { cwd: directory }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+async function runJson(...args) {
+    const { code, stdout, stderr } = await run(...args);
+    assert.equal(code, 0, stderr);
+    return JSON.parse(stdout);
+}
+
+before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'fingerprint-cli-'));
+    await mkdir(path.join(directory, 'tracks'));
+    for (const seed of [1, 2, 3]) {
+        await writeFile(path.join(directory, 'tracks', `track-${seed}.wav`), encodeWav(createTrack(seed, 6, SAMPLE_RATE), SAMPLE_RATE));
+    }
+});
+
+after(async () => {
+    await rm(directory, { recursive: true, force: true });
+});
+
+test('fingerprint prints peaks and hashes', async () => {
+    const result = await runJson('fingerprint', 'tracks/track-1.wav');
+    assert.equal(result.sampleRate, SAMPLE_RATE);
+    assert.ok(Math.abs(result.duration - 6) < 0.01);
+    assert.ok(result.peaks.length > 0);
+    assert.ok(result.hashes.length > 0);
+    assert.deepEqual(Object.keys(result.hashes[0]).sort(), ['anchorTime', 'hash']);
+});
+
+test('fingerprint --peaks-only leaves out hashes', async () => {
+    const result = await runJson('fingerprint', 'tracks/track-1.wav', '--peaks-only');
+    assert.ok(result.peaks.length > 0);
+    assert.equal(result.hashes, undefined);
+});
+
+test('fingerprint reads raw PCM described by options', async () => {
+    const wav = await runJson('fingerprint', 'tracks/track-2.wav', '--peaks-only');
+    const samples = createTrack(2, 6, SAMPLE_RATE).map(sample => Math.round(sample * 32767) / 32767);
+    await writeFile(path.join(directory, 'track-2.raw'), Buffer.from(samples.buffer));
+
+    const raw = await runJson('fingerprint', 'track-2.raw', '--peaks-only', '--format', 'f32le', '--sample-rate', String(SAMPLE_RATE));
+    assert.equal(raw.sampleRate, SAMPLE_RATE);
+    assert.equal(raw.peaks.length, wav.peaks.length);
+});
+
+test('index adds every file in a directory once', async () => {
+    const first = await runJson('index', 'tracks', '--db', 'db');
+    assert.equal(first.tracks, 3);
+    assert.equal(first.added.length, 3);
+    first.added.forEach(({ hashes }) => assert.ok(hashes > 0));
+
+    const again = await runJson('index', 'tracks/track-1.wav', '--db', 'db');
+    assert.equal(again.tracks, 3);
+});
+
+test('match finds the track and offset of a clip at another sample rate', async () => {
+    const start = 2;
+    const track = createTrack(3, 6, SAMPLE_RATE);
+    const clip = Resampler.resample(track.subarray(start * SAMPLE_RATE, (start + 3) * SAMPLE_RATE), SAMPLE_RATE, 16000);
+    await writeFile(path.join(directory, 'clip.wav'), encodeWav(clip, 16000));
+
+    const { added } = await runJson('index', 'tracks', '--db', 'db');
+    const expected = added.find(({ file }) => file.endsWith('track-3.wav')).trackId;
+
+    const [result] = await runJson('match', 'clip.wav', '--db', 'db', '--limit', '2');
+    assert.equal(result.match.trackId, expected);
+    assert.equal(result.match.title, 'track-3');
+    assert.ok(Math.abs(result.match.offsetSeconds - start) < 0.1, `offset ${result.match.offsetSeconds}`);
+    assert.ok(result.candidates.length <= 2);
+});
+
+test('match needs an existing index', async () => {
+    const { code, stderr } = await run('match', 'tracks/track-1.wav', '--db', 'missing');
+    assert.equal(code, 1);
+    assert.match(stderr, /No fingerprint index found/);
+});
+
+test('usage errors exit with code 2', async () => {
+    for (const args of [['identify', 'tracks'], ['index', 'tracks'], ['match', 'clip.wav', '--db', 'db', '--limit', '0'], ['fingerprint', '--bogus']]) {
+        const { code, stderr } = await run(...args);
+        assert.equal(code, 2, args.join(' '));
+        assert.match(stderr, /Usage:/);
+    }
+});
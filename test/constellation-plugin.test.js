@@ -0,0 +1,311 @@
+import { test, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TrackAnalyzer, DEFAULT_ANALYSIS_OPTIONS } from '../scripts/utils/track-analyzer.js';
+import { createTrack } from './helpers/audio.js';
+import {
+    installPluginEnvironment,
+    FakeWaveSurfer,
+    FakeSpectrogram,
+    FakeResizeObserver,
+    FakeWorker
+} from './helpers/plugin-environment.js';
+
+const window = installPluginEnvironment();
+const { default: ConstellationPlugin } = await import('../scripts/plugins/constellation.js');
+
+// At the analysis rate, so the spectrogram's frames can be shared
+const SAMPLE_RATE = 44100;
+const SAMPLES = createTrack(7, 6, SAMPLE_RATE);
+const STFT_OPTIONS = TrackAnalyzer.getStftOptions();
+
+afterEach(() => {
+    delete globalThis.Worker;
+    document.body.innerHTML = '';
+});
+
+after(async () => {
+    await window.happyDOM.close();
+});
+
+/**
+ * Register the plugin on a fake WaveSurfer and record the events it emits
+ * @param {Object} options - Plugin options
+ * @param {Object} [spectrogramStft] - STFT options of the spectrogram; the plugin's own by default
+ * @param {FakeWaveSurfer} [wavesurfer] - WaveSurfer with the track loaded
+ */
+function setup(options = {}, spectrogramStft = STFT_OPTIONS, wavesurfer = new FakeWaveSurfer(SAMPLES, SAMPLE_RATE)) {
+    const spectrogram = new FakeSpectrogram(spectrogramStft);
+    const plugin = wavesurfer.registerPlugin(ConstellationPlugin.create({ spectrogram, useWorker: false, ...options }));
+
+    const events = [];
+    ['peaks-ready', 'peaks-update', 'pairs-ready', 'peak-click', 'analysis-progress', 'analysis-error', 'destroy'].forEach(name => {
+        plugin.on(name, (...args) => events.push([name, ...args]));
+    });
+    const emitted = (name) => events.filter(([event]) => event === name).map(([, ...args]) => args);
+
+    return { wavesurfer, spectrogram, plugin, events, emitted };
+}
+
+/**
+ * Load a track whose frames the plugin computes itself
+ */
+function loadUnshared(options = {}) {
+    const context = setup(options, { ...STFT_OPTIONS, hopSize: 256 });
+    context.wavesurfer.emit('ready');
+    return context;
+}
+
+/**
+ * Wait for processAudioData, which awaits before emitting
+ */
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+test('registering without a spectrogram throws', () => {
+    const wavesurfer = new FakeWaveSurfer(SAMPLES, SAMPLE_RATE);
+    assert.throws(() => wavesurfer.registerPlugin(ConstellationPlugin.create({ useWorker: false })), /needs the spectrogram plugin/);
+});
+
+test('ready emits peaks and pairs of the track', async () => {
+    const { plugin, spectrogram, emitted } = loadUnshared();
+    await settle();
+
+    const [[peaks]] = emitted('peaks-ready');
+    assert.ok(peaks.length > 0);
+    assert.deepEqual(plugin.getPeaks(), peaks);
+
+    const [[pairs]] = emitted('pairs-ready');
+    assert.ok(pairs.length > 0);
+    assert.deepEqual(plugin.getPairs(), pairs);
+    pairs.forEach(({ anchor, target }) => {
+        assert.ok(peaks.includes(anchor) && peaks.includes(target));
+        assert.ok(target.time - anchor.time >= plugin.options.minTimeDistance);
+        assert.ok(target.time - anchor.time <= plugin.options.maxTimeDistance);
+    });
+
+    // The overlay is drawn on a canvas inside the spectrogram's wrapper
+    const canvas = spectrogram.wrapper.querySelector('canvas.constellation-overlay');
+    assert.ok(canvas);
+    assert.ok(canvas.fakeContext.calls.stroke > 0);
+});
+
+test('getPeaks and getPairs return copies', async () => {
+    const { plugin } = loadUnshared();
+    await settle();
+
+    plugin.getPeaks().length = 0;
+    plugin.getPairs().length = 0;
+    assert.ok(plugin.getPeaks().length > 0);
+    assert.ok(plugin.getPairs().length > 0);
+});
+
+test('frames are taken from the spectrogram when the STFT settings match', async () => {
+    const { wavesurfer, spectrogram, plugin, emitted } = setup();
+    let ownTransforms = 0;
+    const compute = plugin.stft.compute.bind(plugin.stft);
+    plugin.stft.compute = (...args) => {
+        ownTransforms++;
+        return compute(...args);
+    };
+
+    wavesurfer.emit('ready');
+    await settle();
+    assert.equal(emitted('peaks-ready').length, 0, 'waits for the spectrogram');
+
+    spectrogram.emit('analysis-progress', 0.5, 'spectrogram');
+    assert.deepEqual(emitted('analysis-progress'), [[0.5, 'spectrogram']]);
+
+    spectrogram.analyze(wavesurfer.getDecodedData());
+    await settle();
+    assert.equal(ownTransforms, 0);
+    assert.equal(plugin.frequencies, spectrogram.frames);
+
+    const { peaks } = new TrackAnalyzer().analyzeSamples(SAMPLES, SAMPLE_RATE);
+    assert.deepEqual(emitted('peaks-ready'), [[peaks]]);
+});
+
+test('peaks and hashes are the ones TrackAnalyzer finds for the database', async () => {
+    // Another rate, so the track is resampled and the spectrogram's frames are not shared
+    const samples = createTrack(11, 6, 22050);
+    const { wavesurfer, plugin } = setup({}, STFT_OPTIONS, new FakeWaveSurfer(samples, 22050));
+    assert.equal(plugin.sharesSpectrogram(), false);
+    wavesurfer.emit('ready');
+    await settle();
+
+    const result = new TrackAnalyzer().analyzeSamples(samples, 22050);
+    assert.ok(result.hashes.length > 0);
+    assert.equal(plugin.sampleRate, result.sampleRate);
+    assert.equal(plugin.frequencies.length, result.numFrames);
+    assert.deepEqual(plugin.getPeaks(), result.peaks);
+    assert.deepEqual(plugin.getPairs(), result.hashes);
+});
+
+test('the worker picks peaks in the same blocks', async () => {
+    globalThis.Worker = FakeWorker;
+    const { wavesurfer, plugin } = setup({ useWorker: true }, { ...STFT_OPTIONS, hopSize: 256 });
+    wavesurfer.emit('ready');
+
+    const [{ type, payload }] = FakeWorker.instances.at(-1).messages;
+    assert.equal(type, 'spectrogram');
+    assert.equal(payload.sampleRate, plugin.options.sampleRate);
+    assert.deepEqual(payload.stftOptions, plugin.stft.options);
+    assert.deepEqual(payload.peakOptions, { ...plugin.peakFinder.options, chunkFrames: DEFAULT_ANALYSIS_OPTIONS.chunkFrames });
+    plugin.destroy();
+});
+
+test('spectrogram progress and errors are not forwarded when the frames differ', async () => {
+    const { spectrogram, emitted } = loadUnshared();
+    await settle();
+
+    spectrogram.emit('analysis-progress', 0.5, 'spectrogram');
+    spectrogram.emit('analysis-error', new Error('failed'));
+    assert.deepEqual(emitted('analysis-progress'), []);
+    assert.deepEqual(emitted('analysis-error'), []);
+});
+
+test('a failed analysis is reported only through analysis-error', async () => {
+    const { wavesurfer, plugin, emitted } = setup({}, { ...STFT_OPTIONS, hopSize: 256 });
+    const failure = new Error('out of memory');
+    plugin.stft.compute = () => {
+        throw failure;
+    };
+    const consoleError = mock.method(console, 'error');
+    const consoleDebug = mock.method(console, 'debug');
+    try {
+        wavesurfer.emit('ready');
+        await settle();
+        assert.deepEqual(emitted('analysis-error'), [[failure]]);
+        assert.equal(consoleError.mock.callCount(), 0);
+        assert.equal(consoleDebug.mock.callCount(), 0);
+    } finally {
+        consoleError.mock.restore();
+        consoleDebug.mock.restore();
+    }
+});
+
+test('setOptions re-picks peaks when peak options change', async () => {
+    const { plugin, emitted } = loadUnshared();
+    await settle();
+    const before = plugin.getPeaks().length;
+
+    plugin.setOptions({ peakDensity: 0.1 });
+    assert.equal(plugin.options.peakDensity, 0.1);
+    assert.equal(plugin.peakFinder.options.peakDensity, 0.1);
+    assert.equal(emitted('peaks-ready').length, 2);
+    assert.ok(plugin.getPeaks().length < before);
+});
+
+test('setOptions re-pairs the same peaks when the target zone changes', async () => {
+    const { plugin, emitted } = loadUnshared();
+    await settle();
+    const peaks = plugin.getPeaks();
+    const pairs = plugin.getPairs();
+
+    plugin.setOptions({ fanOut: 1 });
+    assert.equal(emitted('peaks-ready').length, 1);
+    assert.equal(emitted('pairs-ready').length, 2);
+    assert.deepEqual(plugin.getPeaks(), peaks);
+    assert.ok(plugin.getPairs().length < pairs.length);
+    assert.equal(plugin.fingerprinter.options.fanOut, 1);
+});
+
+test('setOptions recomputes the spectrogram when STFT options change', async () => {
+    const { plugin, emitted } = loadUnshared();
+    await settle();
+    const frameCount = plugin.frequencies.length;
+
+    plugin.setOptions({ stft: { hopSize: 128 }, peakDensity: 0.5 });
+    await settle();
+    assert.deepEqual(plugin.options.stft, { ...STFT_OPTIONS, hopSize: 128 });
+    assert.equal(plugin.peakFinder.options.peakDensity, 0.5);
+    assert.ok(plugin.frequencies.length > frameCount);
+    assert.equal(emitted('peaks-ready').length, 2);
+});
+
+test('setOptions stores drawing options and rejects another spectrogram', async () => {
+    const { plugin, emitted } = loadUnshared();
+    await settle();
+
+    plugin.setOptions({ peakColor: 'red' });
+    assert.equal(plugin.options.peakColor, 'red');
+    assert.equal(emitted('peaks-ready').length, 1);
+
+    assert.throws(() => plugin.setOptions({ spectrogram: new FakeSpectrogram(STFT_OPTIONS) }), /cannot be changed/);
+});
+
+test('streaming reveals peaks as the playhead moves', async () => {
+    const { wavesurfer, plugin, emitted } = loadUnshared({ streaming: true, chunkFrames: 32 });
+    await settle();
+    assert.equal(emitted('peaks-ready').length, 0);
+    const early = plugin.getPeaks().length;
+
+    wavesurfer.currentTime = wavesurfer.getDuration();
+    wavesurfer.emit('audioprocess');
+    assert.ok(plugin.getPeaks().length > early);
+    assert.ok(emitted('peaks-update').length > 0);
+    assert.deepEqual(emitted('peaks-ready'), [[plugin.getPeaks()]]);
+    assert.equal(plugin.stream, null);
+
+    // Streamed in the same blocks, the peaks are those picked all at once
+    const streamed = plugin.getPeaks();
+    plugin.setStreaming(false);
+    assert.deepEqual(plugin.getPeaks(), streamed);
+});
+
+test('clicking near a peak emits peak-click', async () => {
+    const { spectrogram, plugin, emitted } = loadUnshared();
+    await settle();
+
+    const [peak] = plugin.getPeaks();
+    const { toX, toY } = plugin.getScale(800, 200);
+    spectrogram.wrapper.dispatchEvent(new window.MouseEvent('click', { clientX: toX(peak.time), clientY: toY(peak.frequency) }));
+
+    const [[clicked]] = emitted('peak-click');
+    assert.equal(clicked, peak);
+});
+
+test('destroy stops the worker, observer and listeners', async () => {
+    globalThis.Worker = FakeWorker;
+    const { wavesurfer, spectrogram, plugin, emitted } = setup({ useWorker: true }, { ...STFT_OPTIONS, hopSize: 256 });
+
+    const { wrapper } = spectrogram;
+    const added = [];
+    const removed = [];
+    const addEventListener = wrapper.addEventListener.bind(wrapper);
+    const removeEventListener = wrapper.removeEventListener.bind(wrapper);
+    wrapper.addEventListener = (type, listener, options) => {
+        added.push([type, listener]);
+        addEventListener(type, listener, options);
+    };
+    wrapper.removeEventListener = (type, listener, options) => {
+        removed.push([type, listener]);
+        removeEventListener(type, listener, options);
+    };
+
+    wavesurfer.emit('ready');
+    const worker = FakeWorker.instances.at(-1);
+    assert.equal(worker.messages.length, 1, 'the analysis job is in flight');
+    const observer = FakeResizeObserver.instances.at(-1);
+    assert.deepEqual(observer.observed, [wrapper]);
+
+    plugin.destroy();
+    await settle();
+
+    assert.equal(worker.terminated, true);
+    assert.equal(plugin.analysisClient, null);
+    assert.deepEqual(observer.observed, []);
+    assert.ok(added.length > 0);
+    assert.deepEqual(removed, added);
+    assert.equal(wrapper.querySelector('canvas'), null);
+    assert.equal(wrapper.querySelector('.constellation-tooltip'), null);
+
+    // The cancelled job is not reported as a failure
+    assert.deepEqual(emitted('analysis-error'), []);
+    assert.equal(emitted('destroy').length, 1);
+
+    // Nothing is left listening to WaveSurfer or the spectrogram
+    const listening = (emitter) => Object.values(emitter.listeners).reduce((sum, listeners) => sum + listeners.size, 0);
+    assert.equal(listening(wavesurfer), 0);
+    assert.equal(listening(spectrogram), 0);
+});
@@ -0,0 +1,95 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, rm, access } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { DiskIndex } from '../cli/disk-index.js';
+import { ANALYSIS_VERSION } from '../scripts/utils/track-analyzer.js';
+
+const OPTIONS = { sampleRate: 44100, fftSize: 1024 };
+
+const HASHES = [
+    { hash: 101, anchorTime: 0 },
+    { hash: 202, anchorTime: 4 },
+    { hash: 303, anchorTime: 9 }
+];
+
+let directory;
+
+beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'disk-index-'));
+});
+
+afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+});
+
+test('trackId hashes file contents', () => {
+    assert.equal(DiskIndex.trackId(Buffer.from('abc')), 'a9993e364706816aba3e25717850c26c9cd0d89d');
+});
+
+test('a saved index reopens and matches its tracks', async () => {
+    const index = new DiskIndex(directory, OPTIONS);
+    await index.open();
+    assert.deepEqual(index.tracks, []);
+    await index.addTrack({ trackId: 'a', title: 'A' }, HASHES);
+    await index.addTrack({ trackId: 'b', title: 'B' }, [{ hash: 999, anchorTime: 1 }]);
+    await index.save();
+
+    const reopened = new DiskIndex(directory, OPTIONS);
+    await reopened.open(true);
+    assert.deepEqual(reopened.tracks.map(({ trackId, hashCount }) => [trackId, hashCount]), [['a', 3], ['b', 1]]);
+
+    const database = await reopened.loadDatabase();
+    const [best] = database.query(HASHES.map(({ hash, anchorTime }) => ({ hash, anchorTime: anchorTime + 5 })));
+    assert.equal(best.trackId, 'a');
+    assert.equal(best.track.title, 'A');
+});
+
+test('adding a track again replaces it', async () => {
+    const index = new DiskIndex(directory, OPTIONS);
+    await index.addTrack({ trackId: 'a', title: 'Old' }, HASHES);
+    await index.addTrack({ trackId: 'a', title: 'New' }, HASHES.slice(0, 1));
+
+    assert.equal(index.tracks.length, 1);
+    assert.equal(index.tracks[0].title, 'New');
+    assert.deepEqual(JSON.parse(await readFile(index.trackPath('a'), 'utf8')), [[101, 0]]);
+});
+
+test('removeTrack drops the entry and its file', async () => {
+    const index = new DiskIndex(directory, OPTIONS);
+    await index.addTrack({ trackId: 'a' }, HASHES);
+    await index.removeTrack('a');
+
+    assert.deepEqual(index.tracks, []);
+    await assert.rejects(access(index.trackPath('a')), { code: 'ENOENT' });
+});
+
+test('open rejects a missing index when it must exist', async () => {
+    await assert.rejects(new DiskIndex(directory, OPTIONS).open(true), /No fingerprint index found/);
+});
+
+test('open rejects an index built with other options', async () => {
+    await new DiskIndex(directory, OPTIONS).save();
+    await assert.rejects(new DiskIndex(directory, { ...OPTIONS, fftSize: 2048 }).open(), /different analysis options/);
+});
+
+test('open rejects another index version', async () => {
+    const index = new DiskIndex(directory, OPTIONS);
+    await index.save();
+    const manifest = JSON.parse(await readFile(index.manifestPath, 'utf8'));
+    await writeFile(index.manifestPath, JSON.stringify({ ...manifest, version: 99 }));
+    await assert.rejects(index.open(), /Index version 99 is not supported/);
+});
+
+test('open rejects an index built by another analysis version', async () => {
+    const index = new DiskIndex(directory, OPTIONS);
+    await index.save();
+    const manifest = JSON.parse(await readFile(index.manifestPath, 'utf8'));
+    assert.equal(manifest.analysisVersion, ANALYSIS_VERSION);
+
+    // Indexes written before the version was recorded have none
+    delete manifest.analysisVersion;
+    await writeFile(index.manifestPath, JSON.stringify(manifest));
+    await assert.rejects(index.open(), /older analysis pipeline; rebuild it/);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FFT } from '../scripts/utils/fft.js';
+
+const SIZES = [8, 64, 512, 2048];
+
+// Cycles per frame: near DC, mid-band on and between bins, and near Nyquist (n / 2)
+const cyclesFor = (size) => [1, 2.5, size / 4, size / 4 + 0.5, size * 0.49];
+
+/**
+ * Reference O(n²) DFT, X[k] = Σ x[t]·e^(−2πikt/n), in double precision
+ */
+function naiveDft(input) {
+    const n = input.length;
+    const real = new Float64Array(n);
+    const imag = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+        for (let t = 0; t < n; t++) {
+            const angle = (-2 * Math.PI * ((k * t) % n)) / n;
+            real[k] += input[t] * Math.cos(angle);
+            imag[k] += input[t] * Math.sin(angle);
+        }
+    }
+    return { real, imag };
+}
+
+function sine(size, cycles, phase) {
+    return Float32Array.from({ length: size }, (_, t) => Math.sin((2 * Math.PI * cycles * t) / size + phase));
+}
+
+function phaseDifference(a, b) {
+    const difference = Math.abs(a - b) % (2 * Math.PI);
+    return Math.min(difference, 2 * Math.PI - difference);
+}
+
+function assertMatchesDft(input, label) {
+    const n = input.length;
+    const output = new FFT(n).forward(input);
+    const { real, imag } = naiveDft(input);
+    // Float32 rounding grows with the number of butterfly stages and the sum's size
+    const tolerance = 1e-5 * n * Math.log2(n);
+
+    for (let k = 0; k < n; k++) {
+        const magnitude = Math.hypot(output[k * 2], output[k * 2 + 1]);
+        const expected = Math.hypot(real[k], imag[k]);
+        assert.ok(Math.abs(magnitude - expected) <= tolerance, `${label} bin ${k}: magnitude ${magnitude}, expected ${expected}`);
+
+        // Phase is only meaningful where there is energy
+        if (expected > n / 100) {
+            const phase = Math.atan2(output[k * 2 + 1], output[k * 2]);
+            const difference = phaseDifference(phase, Math.atan2(imag[k], real[k]));
+            assert.ok(difference < 1e-3, `${label} bin ${k}: phase off by ${difference}`);
+        }
+    }
+}
+
+test('forward matches a naive DFT for sines', () => {
+    for (const size of SIZES) {
+        for (const cycles of cyclesFor(size)) {
+            for (const phase of [0, 1]) {
+                assertMatchesDft(sine(size, cycles, phase), `n=${size} cycles=${cycles} phase=${phase}`);
+            }
+        }
+    }
+});
+
+test('forward matches a naive DFT for a sum of sines', () => {
+    const size = 1024;
+    const input = sine(size, 10, 0).map((value, t) => value + 0.5 * Math.sin((2 * Math.PI * 123.4 * t) / size + 2) + 0.25);
+    assertMatchesDft(input, 'mixture');
+});
+
+test('a sine on a bin puts its energy in that bin and its mirror', () => {
+    const size = 256;
+    const output = new FFT(size).forward(sine(size, 16, 0));
+    const magnitudes = Array.from({ length: size }, (_, k) => Math.hypot(output[k * 2], output[k * 2 + 1]));
+
+    assert.ok(Math.abs(magnitudes[16] - size / 2) < 1e-3);
+    assert.ok(Math.abs(magnitudes[size - 16] - size / 2) < 1e-3);
+    // sin has phase −π/2 at its bin
+    assert.ok(phaseDifference(Math.atan2(output[33], output[32]), -Math.PI / 2) < 1e-4);
+    magnitudes.forEach((magnitude, k) => {
+        if (k !== 16 && k !== size - 16) assert.ok(magnitude < 1e-3, `leak into bin ${k}`);
+    });
+});
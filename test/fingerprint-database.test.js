@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FingerprintDatabase } from '../scripts/utils/fingerprint-database.js';
+
+const hashes = (pairs) => pairs.map(([hash, anchorTime]) => ({ hash, anchorTime }));
+
+// Track "a" holds hashes 1-6 every 10 frames; "b" shares some of them at other times
+const TRACK_A = hashes([[1, 0], [2, 10], [3, 20], [4, 30], [5, 40], [6, 50]]);
+const TRACK_B = hashes([[3, 5], [4, 90], [5, 200], [7, 10]]);
+
+function createDatabase() {
+    const database = new FingerprintDatabase();
+    database.addTrack('a', { title: 'A' }, TRACK_A);
+    database.addTrack('b', { title: 'B' }, TRACK_B);
+    return database;
+}
+
+test('offsetHistogram counts matches by track time minus query time', () => {
+    const histogram = FingerprintDatabase.offsetHistogram([
+        { queryTime: 0, trackTime: 20 },
+        { queryTime: 5, trackTime: 25 },
+        { queryTime: 5, trackTime: 30 },
+        { queryTime: 30, trackTime: 10 }
+    ]);
+    assert.deepEqual([...histogram], [[20, 2], [25, 1], [-20, 1]]);
+});
+
+test('query ranks the track whose hashes line up and reports the offset', () => {
+    // hashes 3, 4 and 5 of "a", heard 20 frames into the track
+    const [best, runnerUp] = createDatabase().query(hashes([[3, 0], [4, 10], [5, 20]]));
+
+    assert.equal(best.trackId, 'a');
+    assert.equal(best.track.title, 'A');
+    assert.equal(best.offset, 20);
+    assert.equal(best.score, 3);
+    assert.equal(best.matchCount, 3);
+    assert.deepEqual(best.matches[0], { hash: 3, queryTime: 0, trackTime: 20 });
+
+    // "b" matches as many hashes but at scattered offsets
+    assert.equal(runnerUp.trackId, 'b');
+    assert.equal(runnerUp.matchCount, 3);
+    assert.equal(runnerUp.score, 1);
+});
+
+test('query ignores unknown hashes and respects the limit', () => {
+    const database = createDatabase();
+    assert.deepEqual(database.query(hashes([[99, 0]])), []);
+    assert.equal(database.query(hashes([[3, 0]]), 1).length, 1);
+});
+
+test('confidence grows with the margin and the aligned hash count', () => {
+    const candidates = createDatabase().query(hashes([[3, 0], [4, 10], [5, 20]]));
+    // Margin (3 - 1) / 3, times 3 of the 10 aligned hashes needed for full confidence
+    assert.ok(Math.abs(FingerprintDatabase.confidence(candidates) - (2 / 3) * 0.3) < 1e-9);
+    assert.equal(FingerprintDatabase.confidence(candidates, 3), 2 / 3);
+    assert.equal(FingerprintDatabase.confidence([]), 0);
+});
+
+test('adding a track again replaces its postings', () => {
+    const database = createDatabase();
+    database.addTrack('a', { title: 'A2' }, hashes([[8, 0]]));
+
+    assert.equal(database.getTracks().find(({ trackId }) => trackId === 'a').hashCount, 1);
+    assert.deepEqual(database.query(hashes([[1, 0]])), []);
+    assert.equal(database.query(hashes([[8, 4]]))[0].offset, -4);
+});
+
+test('removeTrack drops its postings and getHashesByTrack rebuilds the rest', () => {
+    const database = createDatabase();
+    database.removeTrack('b');
+
+    assert.deepEqual(database.getTracks().map(({ trackId }) => trackId), ['a']);
+    assert.deepEqual(database.query(hashes([[7, 0]])), []);
+    assert.deepEqual(database.getHashesByTrack().get('a'), TRACK_A);
+});
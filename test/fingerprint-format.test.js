@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FingerprintFormat, FORMAT_VERSION } from '../scripts/utils/fingerprint-format.js';
+import { FingerprintDatabase } from '../scripts/utils/fingerprint-database.js';
+import { ANALYSIS_VERSION, DEFAULT_ANALYSIS_OPTIONS } from '../scripts/utils/track-analyzer.js';
+
+function createDatabase() {
+    const database = new FingerprintDatabase();
+    database.addTrack('a', { title: 'First', sampleRate: 44100 }, [{ hash: 1, anchorTime: 0 }, { hash: 0xffffffff, anchorTime: 7 }]);
+    database.addTrack('b', { title: 'Second' }, [{ hash: 42, anchorTime: 3 }]);
+    return database;
+}
+
+test('a database survives encoding and decoding', () => {
+    const buffer = FingerprintFormat.encodeDatabase(createDatabase(), DEFAULT_ANALYSIS_OPTIONS);
+    const { header, tracks } = FingerprintFormat.decodeDatabase(buffer);
+
+    assert.equal(header.version, FORMAT_VERSION);
+    assert.equal(header.analysisVersion, ANALYSIS_VERSION);
+    assert.equal(header.sampleRate, DEFAULT_ANALYSIS_OPTIONS.sampleRate);
+    assert.equal(header.fftSize, DEFAULT_ANALYSIS_OPTIONS.fftSize);
+    assert.equal(header.hopSize, DEFAULT_ANALYSIS_OPTIONS.hopSize);
+    assert.deepEqual(header.analysisOptions, JSON.parse(JSON.stringify(DEFAULT_ANALYSIS_OPTIONS)));
+    assert.deepEqual(tracks.map(({ trackId, metadata, hashes }) => [trackId, metadata.title, hashes]), [
+        ['a', 'First', [{ hash: 1, anchorTime: 0 }, { hash: 0xffffffff, anchorTime: 7 }]],
+        ['b', 'Second', [{ hash: 42, anchorTime: 3 }]]
+    ]);
+});
+
+test('assertCompatible accepts a file made with the same pipeline and options', () => {
+    const { header } = FingerprintFormat.decodeDatabase(FingerprintFormat.encodeDatabase(createDatabase(), DEFAULT_ANALYSIS_OPTIONS));
+    assert.doesNotThrow(() => FingerprintFormat.assertCompatible(header, DEFAULT_ANALYSIS_OPTIONS));
+});
+
+test('assertCompatible rejects a file made by another analysis version', () => {
+    const buffer = FingerprintFormat.encodeDatabase(createDatabase(), DEFAULT_ANALYSIS_OPTIONS);
+    // Files written before the version was recorded hold 0 here
+    new DataView(buffer).setUint16(6, 0, true);
+    const { header } = FingerprintFormat.decodeDatabase(buffer);
+
+    assert.equal(header.analysisVersion, 0);
+    assert.throws(
+        () => FingerprintFormat.assertCompatible(header, DEFAULT_ANALYSIS_OPTIONS),
+        new RegExp(`analysis version 0 \\(expected ${ANALYSIS_VERSION}\\)`)
+    );
+});
+
+test('assertCompatible names every option that differs', () => {
+    const options = { ...DEFAULT_ANALYSIS_OPTIONS, hopSize: 256, peakOptions: { ...DEFAULT_ANALYSIS_OPTIONS.peakOptions, peakDensity: 0.5 } };
+    const { header } = FingerprintFormat.decodeDatabase(FingerprintFormat.encodeDatabase(createDatabase(), options));
+
+    assert.throws(
+        () => FingerprintFormat.assertCompatible(header, DEFAULT_ANALYSIS_OPTIONS),
+        /hopSize 256 \(expected 512\).*peakOptions\.peakDensity 0\.5/
+    );
+});
+
+test('decodeDatabase rejects other files', () => {
+    assert.throws(() => FingerprintFormat.decodeDatabase(new ArrayBuffer(8)), /Not a fingerprint database file/);
+
+    const buffer = FingerprintFormat.encodeDatabase(createDatabase(), DEFAULT_ANALYSIS_OPTIONS);
+    assert.throws(() => FingerprintFormat.decodeDatabase(buffer.slice(0, buffer.byteLength - 4)), /truncated/);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Fingerprinter, DEFAULT_FINGERPRINT_OPTIONS } from '../scripts/utils/fingerprint.js';
+
+const peak = (time, frequency, magnitude = 1) => ({ time, frequency, magnitude });
+
+test('packHash and unpackHash round-trip every field', () => {
+    const fingerprinter = new Fingerprinter();
+    const cases = [[0, 0, 0], [1, 2, 3], [511, 511, 16383], [100, 300, 64], [511, 0, 1]];
+    cases.forEach(([anchorFrequency, targetFrequency, deltaTime]) => {
+        const hash = fingerprinter.packHash(anchorFrequency, targetFrequency, deltaTime);
+        assert.ok(hash >= 0 && hash <= 0xffffffff);
+        assert.deepEqual(fingerprinter.unpackHash(hash), { anchorFrequency, targetFrequency, deltaTime });
+    });
+});
+
+test('packHash keeps to the configured bit layout', () => {
+    const fingerprinter = new Fingerprinter({ frequencyBits: 10, deltaTimeBits: 12 });
+    assert.equal(fingerprinter.hashBits, 32);
+    assert.equal(fingerprinter.packHash(1023, 0, 0), 1023 * 2 ** 22);
+    assert.deepEqual(fingerprinter.unpackHash(fingerprinter.packHash(700, 1000, 4000)), {
+        anchorFrequency: 700, targetFrequency: 1000, deltaTime: 4000
+    });
+});
+
+test('packHash clamps fields that do not fit', () => {
+    const fingerprinter = new Fingerprinter();
+    assert.deepEqual(fingerprinter.unpackHash(fingerprinter.packHash(900, -3, 20000)), {
+        anchorFrequency: 511, targetFrequency: 0, deltaTime: 16383
+    });
+    assert.deepEqual(fingerprinter.unpackHash(fingerprinter.packHash(10.4, 10.6, 2.5)), {
+        anchorFrequency: 10, targetFrequency: 11, deltaTime: 3
+    });
+});
+
+test('a layout wider than 32 bits is rejected', () => {
+    assert.throws(() => new Fingerprinter({ frequencyBits: 10, deltaTimeBits: 13 }), /does not fit in 32 bits/);
+});
+
+test('formatHash pads to eight hex digits', () => {
+    assert.equal(Fingerprinter.formatHash(0xa3f), '0x00000a3f');
+    assert.equal(Fingerprinter.formatHash(0xffffffff), '0xffffffff');
+});
+
+test('getTargetZone spans the configured frames and bins', () => {
+    const fingerprinter = new Fingerprinter({ minTimeOffset: 2, maxTimeOffset: 10, frequencySpan: 20 });
+    assert.deepEqual(fingerprinter.getTargetZone(peak(100, 50)), { timeStart: 102, timeEnd: 110, freqStart: 30, freqEnd: 70 });
+    assert.equal(fingerprinter.getTargetZone(peak(0, 5)).freqStart, 0);
+});
+
+test('generate pairs each anchor with the targets inside its zone', () => {
+    const fingerprinter = new Fingerprinter({ minTimeOffset: 2, maxTimeOffset: 10, frequencySpan: 20, fanOut: 5 });
+    const anchor = peak(100, 50);
+    const inside = [peak(102, 30), peak(105, 70), peak(110, 50)];
+    const outside = [peak(101, 50), peak(111, 50), peak(105, 29), peak(105, 71)];
+    const hashes = fingerprinter.generate([anchor, ...inside, ...outside]).filter(pair => pair.anchor === anchor);
+
+    assert.deepEqual(hashes.map(({ target }) => target), inside);
+    hashes.forEach(({ hash, anchorTime, target }) => {
+        assert.equal(anchorTime, 100);
+        assert.deepEqual(fingerprinter.unpackHash(hash), {
+            anchorFrequency: 50, targetFrequency: target.frequency, deltaTime: target.time - 100
+        });
+    });
+});
+
+test('generate takes at most fanOut targets, closest in time first', () => {
+    const fingerprinter = new Fingerprinter({ fanOut: 2 });
+    const targets = [peak(5, 10), peak(3, 10), peak(4, 12), peak(8, 10)];
+    const hashes = fingerprinter.generate([peak(0, 10), ...targets]).filter(({ anchorTime }) => anchorTime === 0);
+
+    assert.deepEqual(hashes.map(({ target }) => target), [peak(3, 10), peak(4, 12)]);
+});
+
+test('generate does not reorder its input', () => {
+    const peaks = [peak(5, 1), peak(1, 1), peak(3, 1)];
+    new Fingerprinter().generate(peaks);
+    assert.deepEqual(peaks.map(({ time }) => time), [5, 1, 3]);
+});
+
+test('the same peaks give the same hashes wherever they start', () => {
+    const fingerprinter = new Fingerprinter(DEFAULT_FINGERPRINT_OPTIONS);
+    const peaks = [peak(0, 10), peak(4, 30), peak(9, 12), peak(15, 40)];
+    const shifted = peaks.map(({ time, frequency }) => peak(time + 1000, frequency));
+
+    const hashes = fingerprinter.generate(peaks).map(({ hash }) => hash);
+    assert.ok(hashes.length > 0);
+    assert.deepEqual(fingerprinter.generate(shifted).map(({ hash }) => hash), hashes);
+});
@@ -0,0 +1,67 @@
+/**
+ * Synthetic audio for tests
+ *
+ * Tracks are sequences of random three-note chords with a little noise, which
+ * give dense, distinctive constellations without any audio files in the repo.
+ */
+
+import { RecognitionBenchmark } from '../../scripts/utils/recognition-benchmark.js';
+import { WavDecoder } from '../../scripts/utils/wav-decoder.js';
+
+/**
+ * @param {number} seed - Different seeds give different tracks
+ * @param {number} seconds - Duration
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Float32Array} Mono samples
+ */
+export function createTrack(seed, seconds, sampleRate) {
+    const random = RecognitionBenchmark.createRandom(seed);
+    const samples = new Float32Array(Math.round(seconds * sampleRate));
+    const noteLength = Math.round(sampleRate / 10);
+    let frequencies = [];
+    for (let i = 0; i < samples.length; i++) {
+        if (i % noteLength === 0) {
+            frequencies = [0, 1, 2].map(() => 200 + random() * 3000);
+        }
+        const time = i / sampleRate;
+        const tones = frequencies.reduce((sum, frequency) => sum + Math.sin(2 * Math.PI * frequency * time), 0);
+        samples[i] = tones * 0.2 + (random() - 0.5) * 0.02;
+    }
+    return samples;
+}
+
+/**
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} AudioBuffer-like object, as WavDecoder returns
+ */
+export function toAudioData(samples, sampleRate) {
+    return WavDecoder.createAudioData([samples], sampleRate);
+}
+
+/**
+ * Encode mono samples as a 16-bit PCM WAV file
+ * @param {Float32Array} samples - Mono samples in -1 to 1
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Buffer} File contents
+ */
+export function encodeWav(samples, sampleRate) {
+    const buffer = Buffer.alloc(44 + samples.length * 2);
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + samples.length * 2, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(samples.length * 2, 40);
+    samples.forEach((sample, i) => {
+        buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, sample)) * 32767), 44 + i * 2);
+    });
+    return buffer;
+}
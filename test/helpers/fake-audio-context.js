@@ -0,0 +1,217 @@
+/**
+ * Minimal stand-in for the Web Audio API in Node
+ *
+ * Covers what MicrophoneRecorder uses: buffer sources replayed through a
+ * MediaStream, and a ScriptProcessor that pulls 4096-sample blocks from its
+ * inputs while it is connected to the destination. Blocks are delivered on
+ * setImmediate, so fake setTimeout timers don't stop the audio.
+ */
+
+class FakeAudioBuffer {
+    constructor(channels, sampleRate) {
+        this.channels = channels;
+        this.sampleRate = sampleRate;
+        this.numberOfChannels = channels.length;
+        this.length = channels[0].length;
+        this.duration = this.length / sampleRate;
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+}
+
+class FakeNode {
+    constructor(context) {
+        this.context = context;
+        this.inputs = [];
+        this.outputs = [];
+    }
+
+    connect(node) {
+        this.outputs.push(node);
+        node.inputs.push(this);
+        this.context.update();
+        return node;
+    }
+
+    disconnect() {
+        this.outputs.forEach(node => {
+            node.inputs = node.inputs.filter(input => input !== this);
+        });
+        this.outputs = [];
+    }
+
+    reachesDestination() {
+        return this === this.context.destination || this.outputs.some(node => node.reachesDestination());
+    }
+
+    /**
+     * Mix the next frames of every input
+     * @param {number} frames - Block length
+     * @returns {Float32Array} Mono block
+     */
+    read(frames) {
+        const block = new Float32Array(frames);
+        this.inputs.forEach(input => {
+            input.read(frames).forEach((sample, i) => {
+                block[i] += sample;
+            });
+        });
+        return block;
+    }
+}
+
+class FakeBufferSource extends FakeNode {
+    constructor(context) {
+        super(context);
+        this.buffer = null;
+        this.playing = false;
+        this.position = 0;
+    }
+
+    start(when = 0, offset = 0) {
+        this.playing = true;
+        this.position = Math.round(offset * this.buffer.sampleRate);
+    }
+
+    stop() {
+        this.playing = false;
+    }
+
+    read(frames) {
+        const block = new Float32Array(frames);
+        if (!this.playing) return block;
+
+        const { numberOfChannels } = this.buffer;
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            const data = this.buffer.getChannelData(channel).subarray(this.position, this.position + frames);
+            data.forEach((sample, i) => {
+                block[i] += sample / numberOfChannels;
+            });
+        }
+        this.position += frames;
+        return block;
+    }
+}
+
+class FakeMediaStream {
+    constructor(destination) {
+        this.destination = destination;
+        this.tracks = [{ kind: 'audio', readyState: 'live', stop() { this.readyState = 'ended'; } }];
+    }
+
+    getTracks() {
+        return this.tracks;
+    }
+
+    read(frames) {
+        return this.tracks[0].readyState === 'live' ? this.destination.read(frames) : new Float32Array(frames);
+    }
+}
+
+class FakeMediaStreamSource extends FakeNode {
+    constructor(context, stream) {
+        super(context);
+        this.stream = stream;
+    }
+
+    read(frames) {
+        return this.stream.read(frames);
+    }
+}
+
+class FakeScriptProcessor extends FakeNode {
+    constructor(context, bufferSize) {
+        super(context);
+        this.bufferSize = bufferSize;
+        this.onaudioprocess = null;
+        this.pumping = false;
+    }
+
+    pump() {
+        if (this.pumping) return;
+        this.pumping = true;
+
+        const tick = () => {
+            if (!this.onaudioprocess || !this.reachesDestination() || this.context.state !== 'running') {
+                this.pumping = false;
+                return;
+            }
+            const block = super.read(this.bufferSize);
+            this.context.blocksDelivered++;
+            this.onaudioprocess({ inputBuffer: { getChannelData: () => block } });
+            setImmediate(tick);
+        };
+        setImmediate(tick);
+    }
+}
+
+export class FakeAudioContext {
+    /**
+     * @param {Object} options - sampleRate, and canRun: false for a context
+     *   that never starts, so no audio arrives
+     */
+    constructor({ sampleRate = 44100, canRun = true } = {}) {
+        this.sampleRate = sampleRate;
+        this.canRun = canRun;
+        this.state = 'suspended';
+        this.destination = new FakeNode(this);
+        this.processors = [];
+        this.bufferSources = [];
+        this.blocksDelivered = 0;
+    }
+
+    async resume() {
+        if (this.canRun) this.state = 'running';
+        this.update();
+    }
+
+    update() {
+        this.processors.forEach(processor => {
+            if (processor.reachesDestination()) processor.pump();
+        });
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+        return new FakeAudioBuffer(channels, sampleRate);
+    }
+
+    /**
+     * Wrap existing samples, as decodeAudioData would
+     * @param {Array<Float32Array>} channels - Samples per channel
+     * @returns {FakeAudioBuffer} Buffer at the context's sample rate
+     */
+    wrapSamples(channels) {
+        return new FakeAudioBuffer(channels, this.sampleRate);
+    }
+
+    createBufferSource() {
+        const source = new FakeBufferSource(this);
+        this.bufferSources.push(source);
+        return source;
+    }
+
+    createMediaStreamDestination() {
+        const destination = new FakeNode(this);
+        destination.stream = new FakeMediaStream(destination);
+        return destination;
+    }
+
+    createMediaStreamSource(stream) {
+        return new FakeMediaStreamSource(this, stream);
+    }
+
+    createScriptProcessor(bufferSize) {
+        const processor = new FakeScriptProcessor(this, bufferSize);
+        this.processors.push(processor);
+        return processor;
+    }
+
+    createGain() {
+        const gain = new FakeNode(this);
+        gain.gain = { value: 1 };
+        return gain;
+    }
+}
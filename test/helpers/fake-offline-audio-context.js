@@ -0,0 +1,184 @@
+/**
+ * Minimal OfflineAudioContext for rendering AudioDegrader graphs in Node
+ *
+ * Supports buffer sources, gains, biquad low- and high-pass filters (Audio
+ * EQ Cookbook coefficients, as the Web Audio spec uses) and wave shapers.
+ * Each node renders its whole output at once from the sum of its inputs.
+ */
+
+export class FakeAudioBuffer {
+    constructor(numberOfChannels, length, sampleRate) {
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.duration = length / sampleRate;
+    }
+
+    static fromChannels(channels, sampleRate) {
+        const buffer = new FakeAudioBuffer(channels.length, channels[0].length, sampleRate);
+        channels.forEach((data, channel) => buffer.copyToChannel(data, channel));
+        return buffer;
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+
+    copyToChannel(data, channel) {
+        this.channels[channel].set(data);
+    }
+}
+
+class FakeNode {
+    constructor(context) {
+        this.context = context;
+        this.inputs = [];
+    }
+
+    connect(node) {
+        node.inputs.push(this);
+        return node;
+    }
+
+    /**
+     * @returns {Array<Float32Array>} Sum of the inputs, one array per context channel
+     */
+    mixInputs() {
+        const { numberOfChannels, length } = this.context;
+        const mixed = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+        this.inputs.forEach(input => {
+            input.render().forEach((data, channel) => {
+                for (let i = 0; i < length; i++) mixed[channel][i] += data[i];
+            });
+        });
+        return mixed;
+    }
+
+    render() {
+        return this.mixInputs();
+    }
+}
+
+class FakeBufferSource extends FakeNode {
+    constructor(context) {
+        super(context);
+        this.buffer = null;
+        this.started = false;
+    }
+
+    start() {
+        this.started = true;
+    }
+
+    render() {
+        const { numberOfChannels, length } = this.context;
+        return Array.from({ length: numberOfChannels }, (_, channel) => {
+            const output = new Float32Array(length);
+            if (this.started) {
+                const data = this.buffer.getChannelData(Math.min(channel, this.buffer.numberOfChannels - 1));
+                output.set(data.subarray(0, length));
+            }
+            return output;
+        });
+    }
+}
+
+class FakeGain extends FakeNode {
+    constructor(context) {
+        super(context);
+        this.gain = { value: 1 };
+    }
+
+    render() {
+        return this.mixInputs().map(data => data.map(sample => sample * this.gain.value));
+    }
+}
+
+class FakeBiquadFilter extends FakeNode {
+    constructor(context) {
+        super(context);
+        this.type = 'lowpass';
+        this.frequency = { value: 350 };
+        this.Q = { value: 1 };
+    }
+
+    render() {
+        const w0 = (2 * Math.PI * this.frequency.value) / this.context.sampleRate;
+        // Low- and high-pass Q is in dB in the Web Audio spec
+        const alpha = Math.sin(w0) / (2 * Math.pow(10, this.Q.value / 20));
+        const cos = Math.cos(w0);
+        const b1 = this.type === 'lowpass' ? 1 - cos : -(1 + cos);
+        const b0 = this.type === 'lowpass' ? (1 - cos) / 2 : (1 + cos) / 2;
+        const a0 = 1 + alpha;
+        const [a1, a2] = [-2 * cos, 1 - alpha];
+
+        return this.mixInputs().map(input => {
+            const output = new Float32Array(input.length);
+            let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+            for (let i = 0; i < input.length; i++) {
+                const y = (b0 * input[i] + b1 * x1 + b0 * x2 - a1 * y1 - a2 * y2) / a0;
+                [x2, x1, y2, y1] = [x1, input[i], y1, y];
+                output[i] = y;
+            }
+            return output;
+        });
+    }
+}
+
+class FakeWaveShaper extends FakeNode {
+    constructor(context) {
+        super(context);
+        this.curve = null;
+    }
+
+    render() {
+        const { curve } = this;
+        return this.mixInputs().map(input => input.map(sample => {
+            // Linear interpolation over the curve, clamped at its ends
+            const position = Math.max(0, Math.min(curve.length - 1, ((curve.length - 1) / 2) * (sample + 1)));
+            const index = Math.floor(position);
+            const next = Math.min(curve.length - 1, index + 1);
+            return curve[index] + (curve[next] - curve[index]) * (position - index);
+        }));
+    }
+}
+
+export class FakeOfflineAudioContext {
+    constructor(numberOfChannels, length, sampleRate) {
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.destination = new FakeNode(this);
+        this.nodes = [];
+    }
+
+    track(node) {
+        this.nodes.push(node);
+        return node;
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new FakeAudioBuffer(numberOfChannels, length, sampleRate);
+    }
+
+    createBufferSource() {
+        return this.track(new FakeBufferSource(this));
+    }
+
+    createGain() {
+        return this.track(new FakeGain(this));
+    }
+
+    createBiquadFilter() {
+        return this.track(new FakeBiquadFilter(this));
+    }
+
+    createWaveShaper() {
+        return this.track(new FakeWaveShaper(this));
+    }
+
+    async startRendering() {
+        return FakeAudioBuffer.fromChannels(this.destination.render(), this.sampleRate);
+    }
+}
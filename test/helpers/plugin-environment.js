@@ -0,0 +1,232 @@
+/**
+ * Browser globals for testing the WaveSurfer plugins in Node
+ *
+ * happy-dom supplies the DOM. Canvas drawing, ResizeObserver and Worker are
+ * replaced by fakes that record how they were used. Plugins must be imported
+ * dynamically after installPluginEnvironment, so the unpkg hook is in place.
+ */
+
+import { register } from 'node:module';
+import { Window } from 'happy-dom';
+import EventEmitter from '../../node_modules/wavesurfer.js/dist/event-emitter.js';
+import { STFT } from '../../scripts/utils/stft.js';
+
+export class FakeResizeObserver {
+    static instances = [];
+
+    constructor(callback) {
+        this.callback = callback;
+        this.observed = [];
+        FakeResizeObserver.instances.push(this);
+    }
+
+    observe(element) {
+        this.observed.push(element);
+    }
+
+    disconnect() {
+        this.observed = [];
+    }
+}
+
+/**
+ * Worker that accepts jobs and never answers, so they stay in flight
+ */
+export class FakeWorker {
+    static instances = [];
+
+    constructor(url, options) {
+        this.url = url;
+        this.options = options;
+        this.messages = [];
+        this.terminated = false;
+        FakeWorker.instances.push(this);
+    }
+
+    addEventListener() {}
+
+    postMessage(message) {
+        this.messages.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+// Largest canvas side browsers will draw, in pixels
+export const MAX_CANVAS_SIDE = 32767;
+
+/**
+ * 2D context that keeps image data and drawImage calls, ignores other
+ * drawing and counts calls per method. Like a browser, it refuses images
+ * wider or taller than MAX_CANVAS_SIDE.
+ */
+function createFakeContext(canvas) {
+    const calls = {};
+    const context = {
+        calls,
+        canvas,
+        images: [],
+        putImages: [],
+        createImageData(width, height) {
+            if (width > MAX_CANVAS_SIDE || height > MAX_CANVAS_SIDE) {
+                throw new RangeError(`Image of ${width}×${height} is larger than a canvas allows`);
+            }
+            return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+        },
+        putImageData(imageData) {
+            context.putImages.push(imageData);
+        },
+        drawImage(image, ...args) {
+            context.images.push({ image, args });
+        },
+        measureText: (text) => ({ width: text.length * 6 })
+    };
+    return new Proxy(context, {
+        get(target, key) {
+            if (key in target) return target[key];
+            return () => {
+                calls[key] = (calls[key] || 0) + 1;
+            };
+        },
+        set(target, key, value) {
+            target[key] = value;
+            return true;
+        }
+    });
+}
+
+export function installPluginEnvironment() {
+    register('./unpkg-hooks.js', import.meta.url);
+
+    const window = new Window({ width: 1024, height: 768 });
+    window.HTMLCanvasElement.prototype.getContext = function () {
+        this.fakeContext = this.fakeContext || createFakeContext(this);
+        return this.fakeContext;
+    };
+
+    globalThis.window = window;
+    globalThis.document = window.document;
+    globalThis.ResizeObserver = FakeResizeObserver;
+    return window;
+}
+
+/**
+ * Decoded mono audio as WaveSurfer's getDecodedData returns it
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} AudioBuffer-like object
+ */
+function toDecodedData(samples, sampleRate) {
+    return {
+        sampleRate,
+        numberOfChannels: 1,
+        length: samples.length,
+        duration: samples.length / sampleRate,
+        getChannelData: () => samples
+    };
+}
+
+/**
+ * WaveSurfer as far as the plugins use it: decoded audio, playback position,
+ * and zoom and scroll over a view 800 pixels wide
+ */
+export class FakeWaveSurfer extends EventEmitter {
+    constructor(samples, sampleRate) {
+        super();
+        this.decodedData = toDecodedData(samples, sampleRate);
+        this.currentTime = 0;
+        this.width = 800;
+        this.pxPerSec = 0;
+        this.scroll = 0;
+        this.wrapper = document.createElement('div');
+        // Zoom 0 fits the track to the view
+        Object.defineProperty(this.wrapper, 'clientWidth', {
+            get: () => (this.pxPerSec ? Math.round(this.getDuration() * this.pxPerSec) : this.width)
+        });
+        document.body.appendChild(this.wrapper);
+    }
+
+    registerPlugin(plugin) {
+        plugin._init(this);
+        return plugin;
+    }
+
+    getWrapper() {
+        return this.wrapper;
+    }
+
+    getDecodedData() {
+        return this.decodedData;
+    }
+
+    getDuration() {
+        return this.decodedData.duration;
+    }
+
+    getCurrentTime() {
+        return this.currentTime;
+    }
+
+    getWidth() {
+        return this.width;
+    }
+
+    getScroll() {
+        return this.scroll;
+    }
+
+    setScroll(pixels) {
+        this.scroll = Math.max(0, Math.min(this.wrapper.clientWidth - this.width, pixels));
+        this.emit('scroll');
+    }
+
+    zoom(pxPerSec) {
+        this.pxPerSec = pxPerSec;
+        this.setScroll(this.scroll);
+        this.emit('zoom', pxPerSec);
+    }
+
+    seekTo(fraction) {
+        this.currentTime = fraction * this.getDuration();
+    }
+}
+
+/**
+ * Give an element the layout size happy-dom leaves at zero
+ * @param {HTMLElement} element - Element to size
+ * @param {number} width - Width in CSS pixels
+ * @param {number} height - Height in CSS pixels
+ */
+export function setElementSize(element, width, height) {
+    Object.defineProperty(element, 'clientWidth', { value: width, configurable: true });
+    Object.defineProperty(element, 'clientHeight', { value: height, configurable: true });
+    element.getBoundingClientRect = () => ({ left: 0, top: 0, width, height });
+}
+
+/**
+ * Spectrogram plugin as far as the constellation plugin uses it: a wrapper to
+ * draw in and, with analyze(), frames of its STFT
+ */
+export class FakeSpectrogram extends EventEmitter {
+    constructor(stftOptions) {
+        super();
+        this.wrapper = document.createElement('div');
+        setElementSize(this.wrapper, 800, 200);
+        document.body.appendChild(this.wrapper);
+        this.stft = new STFT({ ...stftOptions, scale: 'db', normalize: true });
+        this.frames = null;
+        this.frequencyScale = null;
+        this.view = { start: 0, end: 1 };
+    }
+
+    /**
+     * Compute frames as the real plugin does, then announce them
+     * @param {Object} decodedData - AudioBuffer-like object
+     */
+    analyze(decodedData) {
+        this.frames = this.stft.compute(decodedData.getChannelData(0), decodedData.sampleRate);
+        this.emit('ready');
+    }
+}
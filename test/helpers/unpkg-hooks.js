@@ -0,0 +1,16 @@
+/**
+ * Module resolve hook serving the page's wavesurfer.js imports from node_modules
+ *
+ * The plugins import WaveSurfer straight from unpkg, as the page has no build
+ * step; Node can't load https: modules, so these map to the installed package.
+ */
+
+const UNPKG_DIST = 'https://unpkg.com/wavesurfer.js@7/dist/';
+const LOCAL_DIST = new URL('../../node_modules/wavesurfer.js/dist/', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith(UNPKG_DIST)) {
+        return { url: new URL(specifier.slice(UNPKG_DIST.length), LOCAL_DIST).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,139 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MatchServer } from '../server/match-server.js';
+import { HttpMatchBackend, encodeHashes } from '../scripts/utils/match-backend.js';
+import { TrackAnalyzer, DEFAULT_ANALYSIS_OPTIONS } from '../scripts/utils/track-analyzer.js';
+import { createTrack, encodeWav } from './helpers/audio.js';
+
+const SAMPLE_RATE = 22050;
+const analyzer = new TrackAnalyzer();
+const tracks = [21, 22].map(seed => createTrack(seed, 6, SAMPLE_RATE));
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = new MatchServer(new TrackAnalyzer());
+    const { address, port } = await server.listen(0, '127.0.0.1');
+    baseUrl = `http://${address}:${port}`;
+});
+
+after(async () => {
+    await server.close();
+});
+
+async function send(method, path, body = null, type = 'application/json') {
+    const init = { method };
+    if (body !== null) {
+        init.body = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+        init.headers = { 'Content-Type': type };
+    }
+    const response = await fetch(baseUrl + path, init);
+    return { status: response.status, headers: response.headers, body: await response.json().catch(() => null) };
+}
+
+function fingerprints(samples, fields = {}) {
+    const { hashes, sampleRate, duration, secondsPerFrame } = analyzer.analyzeSamples(samples, SAMPLE_RATE);
+    return { title: 'Track', sampleRate, duration, secondsPerFrame, analysis: DEFAULT_ANALYSIS_OPTIONS, hashes: encodeHashes(hashes), ...fields };
+}
+
+function clipHashes(samples, startSeconds, seconds) {
+    const clip = samples.subarray(startSeconds * SAMPLE_RATE, (startSeconds + seconds) * SAMPLE_RATE);
+    return analyzer.analyzeSamples(clip, SAMPLE_RATE);
+}
+
+test('WAV uploads are fingerprinted at the analysis rate', async () => {
+    const { status, body } = await send('POST', '/tracks?title=First', encodeWav(tracks[0], SAMPLE_RATE), 'audio/wav');
+    assert.equal(status, 201);
+    assert.equal(body.track.title, 'First');
+    assert.equal(body.track.sampleRate, DEFAULT_ANALYSIS_OPTIONS.sampleRate);
+    assert.ok(body.track.hashCount > 0);
+});
+
+test('HttpMatchBackend adds fingerprints and finds a clip', async () => {
+    const backend = new HttpMatchBackend(`${baseUrl}/`, DEFAULT_ANALYSIS_OPTIONS);
+    await backend.connect();
+    assert.deepEqual(backend.getTracks().map(({ title }) => title), ['First']);
+
+    const { hashes, sampleRate, duration, secondsPerFrame } = analyzer.analyzeSamples(tracks[1], SAMPLE_RATE);
+    await backend.addTrack('second', { title: 'Second', sampleRate, duration, secondsPerFrame }, hashes);
+    assert.deepEqual(backend.getTracks().map(({ title }) => title), ['First', 'Second']);
+
+    const query = clipHashes(tracks[1], 2, 3);
+    const candidates = await backend.query(query.hashes, 2);
+    assert.ok(candidates.length <= 2);
+    assert.equal(candidates[0].trackId, 'second');
+    assert.equal(candidates[0].track.title, 'Second');
+    assert.ok(Math.abs(candidates[0].offset * query.secondsPerFrame - 2) < 0.1);
+    assert.ok(backend.lastRequestBytes > 0);
+});
+
+test('a match answers with ranked candidates and a confidence', async () => {
+    const { hashes } = clipHashes(tracks[0], 1, 3);
+    const { status, body } = await send('POST', '/match', {
+        analysis: DEFAULT_ANALYSIS_OPTIONS,
+        sampleRate: DEFAULT_ANALYSIS_OPTIONS.sampleRate,
+        hashes: encodeHashes(hashes)
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.queryHashes, hashes.length);
+    assert.equal(body.candidates[0].track.title, 'First');
+    assert.ok(body.confidence > 0.5);
+});
+
+test('fingerprints made with other analysis options are refused', async () => {
+    const backend = new HttpMatchBackend(baseUrl, { ...DEFAULT_ANALYSIS_OPTIONS, hopSize: 256 });
+    await assert.rejects(backend.query([{ hash: 1, anchorTime: 0 }]), /different analysis options/);
+
+    const { status, body } = await send('POST', '/tracks', fingerprints(tracks[0], { analysis: { ...DEFAULT_ANALYSIS_OPTIONS, fftSize: 2048 } }));
+    assert.equal(status, 422);
+    assert.match(body.error, /different analysis options/);
+});
+
+test('fingerprints computed at another sample rate are refused', async () => {
+    for (const path of ['/tracks', '/match']) {
+        const { status, body } = await send('POST', path, fingerprints(tracks[0], { sampleRate: 16000 }));
+        assert.equal(status, 422, path);
+        assert.equal(body.error, 'Fingerprints must be computed at 44100 Hz, not 16000 Hz; resample the audio first');
+    }
+
+    const { status } = await send('POST', '/match', { analysis: DEFAULT_ANALYSIS_OPTIONS, hashes: [] });
+    assert.equal(status, 422);
+});
+
+test('malformed requests are answered with 400', async () => {
+    const query = { analysis: DEFAULT_ANALYSIS_OPTIONS, sampleRate: DEFAULT_ANALYSIS_OPTIONS.sampleRate, hashes: [[1, 0]] };
+    const cases = [
+        ['/match', '{not json', /Invalid JSON/],
+        ['/match', '"text"', /Expected a JSON object/],
+        ['/match', { ...query, hashes: [[1.5, 0]] }, /integer pairs/],
+        ['/match', { ...query, limit: 0 }, /limit must be a whole number from 1 to 50/],
+        ['/tracks', fingerprints(tracks[0], { title: undefined }), /title and a positive secondsPerFrame/]
+    ];
+    for (const [path, body, message] of cases) {
+        const response = await send('POST', path, body);
+        assert.equal(response.status, 400, message.source);
+        assert.match(response.body.error, message);
+    }
+
+    const wav = await send('POST', '/tracks', Buffer.from('RIFF not really'), 'audio/wav');
+    assert.equal(wav.status, 400);
+});
+
+test('other content types, routes and methods are refused', async () => {
+    assert.equal((await send('POST', '/tracks', 'text', 'text/plain')).status, 415);
+    assert.equal((await send('POST', '/match', encodeWav(tracks[0].subarray(0, 100), SAMPLE_RATE), 'audio/wav')).status, 415);
+
+    const missing = await send('GET', '/nowhere');
+    assert.equal(missing.status, 404);
+    assert.match(missing.body.error, /No route for \/nowhere/);
+    assert.equal((await send('GET', '/match')).status, 405);
+});
+
+test('CORS preflight requests are allowed', async () => {
+    const response = await fetch(`${baseUrl}/match`, { method: 'OPTIONS' });
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    assert.match(response.headers.get('access-control-allow-methods'), /POST/);
+});
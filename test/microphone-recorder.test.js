@@ -0,0 +1,120 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MicrophoneRecorder } from '../scripts/utils/microphone-recorder.js';
+import { TrackAnalyzer } from '../scripts/utils/track-analyzer.js';
+import { FingerprintDatabase } from '../scripts/utils/fingerprint-database.js';
+import { LocalMatchBackend } from '../scripts/utils/match-backend.js';
+import { FakeAudioContext } from './helpers/fake-audio-context.js';
+import { createTrack } from './helpers/audio.js';
+
+const SAMPLE_RATE = 22050;
+
+function createContext(options = {}) {
+    return new FakeAudioContext({ sampleRate: SAMPLE_RATE, ...options });
+}
+
+test('record captures the replayed audio from the start time', async () => {
+    const context = createContext();
+    const samples = createTrack(1, 4, SAMPLE_RATE);
+    const recorder = new MicrophoneRecorder(context);
+    const stream = recorder.createReplayStream(context.wrapSamples([samples]), 1.5);
+
+    const progress = [];
+    const recording = await recorder.record(stream, 2, fraction => progress.push(fraction));
+
+    assert.equal(recording.sampleRate, SAMPLE_RATE);
+    assert.equal(recording.numberOfChannels, 1);
+    assert.equal(recording.length, 2 * SAMPLE_RATE);
+    const start = 1.5 * SAMPLE_RATE;
+    assert.deepEqual(recording.getChannelData(0), samples.slice(start, start + 2 * SAMPLE_RATE));
+
+    assert.equal(progress.at(-1), 1);
+    assert.ok(progress.every((fraction, i) => i === 0 || fraction > progress[i - 1]));
+    assert.equal(recorder.isRecording, false);
+});
+
+test('a replay mixes channels down to mono', async () => {
+    const context = createContext();
+    const left = Float32Array.from({ length: SAMPLE_RATE }, (_, i) => Math.sin(i / 10));
+    const right = new Float32Array(SAMPLE_RATE).fill(0.5);
+    const recorder = new MicrophoneRecorder(context);
+
+    const recording = await recorder.record(recorder.createReplayStream(context.wrapSamples([left, right])), 0.5);
+    const data = recording.getChannelData(0);
+    for (const i of [0, 100, 5000]) {
+        assert.ok(Math.abs(data[i] - (left[i] + right[i]) / 2) < 1e-6);
+    }
+});
+
+test('recording stops pulling audio and disconnects when done', async () => {
+    const context = createContext();
+    const recorder = new MicrophoneRecorder(context);
+    await recorder.record(recorder.createReplayStream(context.wrapSamples([createTrack(2, 2, SAMPLE_RATE)])), 1);
+
+    const [processor] = context.processors;
+    assert.equal(processor.onaudioprocess, null);
+    assert.deepEqual(processor.inputs, []);
+    assert.deepEqual(processor.outputs, []);
+    assert.equal(context.blocksDelivered, Math.ceil(SAMPLE_RATE / 4096));
+});
+
+test('stopping the stream tracks stops the replay', async () => {
+    const context = createContext();
+    const recorder = new MicrophoneRecorder(context);
+    const stream = recorder.createReplayStream(context.wrapSamples([createTrack(3, 2, SAMPLE_RATE)]));
+    const [source] = context.bufferSources;
+    assert.equal(source.playing, true);
+
+    stream.getTracks().forEach(track => track.stop());
+    assert.equal(source.playing, false);
+    assert.deepEqual(source.outputs, []);
+    assert.equal(stream.getTracks()[0].readyState, 'ended');
+});
+
+test('only one recording runs at a time', async () => {
+    const context = createContext();
+    const recorder = new MicrophoneRecorder(context);
+    const buffer = context.wrapSamples([createTrack(4, 2, SAMPLE_RATE)]);
+    const first = recorder.record(recorder.createReplayStream(buffer), 0.5);
+
+    await assert.rejects(recorder.record(recorder.createReplayStream(buffer), 0.5), /Already recording/);
+    await first;
+});
+
+test('record gives up on a stream that delivers no audio', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+        const context = createContext({ canRun: false });
+        const recorder = new MicrophoneRecorder(context);
+        const recording = recorder.record(recorder.createReplayStream(context.wrapSamples([createTrack(5, 2, SAMPLE_RATE)])), 1);
+
+        // Let record() reach its timeout after awaiting resume()
+        await new Promise(resolve => setImmediate(resolve));
+        mock.timers.tick(3000);
+        await assert.rejects(recording, /No audio was received/);
+        assert.equal(recorder.isRecording, false);
+    } finally {
+        mock.timers.reset();
+    }
+});
+
+test('a recording of a replayed track matches that track and position', async () => {
+    const context = createContext();
+    const analyzer = new TrackAnalyzer();
+    const database = new FingerprintDatabase();
+    const tracks = [11, 12, 13].map(seed => createTrack(seed, 6, SAMPLE_RATE));
+    tracks.forEach((samples, i) => {
+        database.addTrack(`track-${i}`, { title: `Track ${i}` }, analyzer.analyzeSamples(samples, SAMPLE_RATE).hashes);
+    });
+
+    const recorder = new MicrophoneRecorder(context);
+    const stream = recorder.createReplayStream(context.wrapSamples([tracks[1]]), 2);
+    const recording = await recorder.record(stream, 3);
+    stream.getTracks().forEach(track => track.stop());
+
+    const { hashes, secondsPerFrame } = analyzer.analyze(recording);
+    const candidates = await new LocalMatchBackend(database).query(hashes);
+    assert.equal(candidates[0].trackId, 'track-1');
+    assert.ok(Math.abs(candidates[0].offset * secondsPerFrame - 2) < 0.1, `offset ${candidates[0].offset * secondsPerFrame}`);
+    assert.ok(FingerprintDatabase.confidence(candidates) > 0);
+});
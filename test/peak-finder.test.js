@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PeakFinder, DEFAULT_PEAK_OPTIONS } from '../scripts/utils/peak-finder.js';
+
+/**
+ * Quiet spectrogram with bright points at the given [time, frequency, magnitude]
+ */
+function createFrames(times, bins, points, background = 0.1) {
+    const frames = Array.from({ length: times }, () => new Float32Array(bins).fill(background));
+    points.forEach(([time, frequency, magnitude]) => {
+        frames[time][frequency] = magnitude;
+    });
+    return frames;
+}
+
+const positions = (peaks) => peaks.map(({ time, frequency }) => [time, frequency]);
+
+const POINTS = [[10, 20, 0.9], [50, 100, 0.8], [120, 40, 0.95], [170, 200, 0.7]];
+
+test('isolated bright points are found where they are', () => {
+    const peaks = new PeakFinder().findPeaks(createFrames(200, 256, POINTS));
+    assert.deepEqual(positions(peaks), POINTS.map(([time, frequency]) => [time, frequency]));
+    assert.deepEqual(peaks.map(({ magnitude }) => magnitude), POINTS.map(([, , magnitude]) => Math.fround(magnitude)));
+});
+
+test('silence and an empty range have no peaks', () => {
+    const finder = new PeakFinder();
+    assert.deepEqual(finder.findPeaks(createFrames(100, 64, [], 0)), []);
+    assert.deepEqual(finder.findPeaks(createFrames(100, 64, POINTS.slice(0, 1)), { start: 50, end: 50 }), []);
+    assert.deepEqual(finder.findPeaks([]), []);
+});
+
+test('points below the magnitude floor are ignored', () => {
+    const frames = createFrames(200, 256, [[10, 20, 0.9], [100, 100, 0.25]]);
+    assert.deepEqual(positions(new PeakFinder().findPeaks(frames)), [[10, 20]]);
+    assert.deepEqual(positions(new PeakFinder({ minPeakMagnitude: 0.2 }).findPeaks(frames)), [[10, 20], [100, 100]]);
+});
+
+test('a point beside a brighter one in its neighbourhood is not a peak', () => {
+    const frames = createFrames(200, 256, [[100, 100, 0.9], [101, 102, 0.8]]);
+    assert.deepEqual(positions(new PeakFinder({ neighborhoodSize: 2 }).findPeaks(frames)), [[100, 100]]);
+    assert.deepEqual(positions(new PeakFinder({ neighborhoodSize: 1 }).findPeaks(frames)), [[100, 100], [101, 102]]);
+});
+
+test('a range searches only its frames but compares across its edges', () => {
+    const frames = createFrames(200, 256, [[59, 100, 0.9], [60, 101, 0.8], [90, 30, 0.85], [140, 60, 0.9]]);
+    const peaks = new PeakFinder().findPeaks(frames, { start: 60, end: 120 });
+
+    // (60, 101) is outshone by its neighbour just before the range
+    assert.deepEqual(positions(peaks), [[90, 30]]);
+});
+
+test('peakDensity keeps the strongest peaks in time order', () => {
+    const points = Array.from({ length: 40 }, (_, i) => [i * 5 + 2, (i * 37) % 250 + 3, 0.5 + (i % 10) / 20]);
+    const finder = new PeakFinder({ peakDensity: 0.01 });
+    const peaks = finder.findPeaks(createFrames(200, 256, points));
+
+    const limit = Math.ceil(0.01 * finder.stats.timeRegions * finder.stats.freqRegions);
+    assert.equal(peaks.length, limit);
+    // Every peak dropped is at most as strong as the weakest one kept
+    const weakestKept = Math.min(...peaks.map(({ magnitude }) => magnitude));
+    const all = new PeakFinder().findPeaks(createFrames(200, 256, points));
+    assert.ok(all.length > limit);
+    all.filter(peak => !peaks.some(kept => kept.time === peak.time && kept.frequency === peak.frequency))
+        .forEach(({ magnitude }) => assert.ok(magnitude <= weakestKept));
+    assert.deepEqual(peaks, [...peaks].sort((a, b) => a.time - b.time));
+});
+
+test('stats describe the last search', () => {
+    const finder = new PeakFinder();
+    finder.findPeaks(createFrames(200, 256, POINTS));
+    const { timeRegions, freqRegions, avgMagnitude, dynamicMinMagnitude } = finder.stats;
+
+    assert.ok(timeRegions >= DEFAULT_PEAK_OPTIONS.minRegions && timeRegions <= DEFAULT_PEAK_OPTIONS.maxRegions);
+    assert.equal(freqRegions, timeRegions);
+    assert.ok(Math.abs(avgMagnitude - 0.1) < 0.001);
+    assert.equal(dynamicMinMagnitude, DEFAULT_PEAK_OPTIONS.minPeakMagnitude);
+});
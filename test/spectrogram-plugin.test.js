@@ -0,0 +1,148 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    installPluginEnvironment,
+    setElementSize,
+    FakeWaveSurfer,
+    MAX_CANVAS_SIDE
+} from './helpers/plugin-environment.js';
+
+const window = installPluginEnvironment();
+const { default: SpectrogramPlugin } = await import('../scripts/plugins/spectrogram.js');
+
+const SAMPLE_RATE = 8000;
+const STFT_OPTIONS = { windowSize: 64, hopSize: 16, window: 'hann', rangeDB: 80 };
+// More frames than a canvas can be wide, one column per frame
+const FRAMES = 40000;
+// Loud for a few frames in the middle of column 400 of 800
+const BURST_FRAME = 20025;
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+after(async () => {
+    await window.happyDOM.close();
+});
+
+/**
+ * Silence with one short 1 kHz burst
+ */
+function createSamples() {
+    const samples = new Float32Array((FRAMES - 1) * STFT_OPTIONS.hopSize + STFT_OPTIONS.windowSize);
+    const start = BURST_FRAME * STFT_OPTIONS.hopSize;
+    for (let i = 0; i < STFT_OPTIONS.windowSize; i++) {
+        samples[start + i] = Math.sin((2 * Math.PI * 1000 * i) / SAMPLE_RATE);
+    }
+    return samples;
+}
+
+const SAMPLES = createSamples();
+
+/**
+ * Load the track into the plugin, 800 by 200 pixels, and wait until it is drawn
+ */
+async function load(options = {}) {
+    const wavesurfer = new FakeWaveSurfer(SAMPLES, SAMPLE_RATE);
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const plugin = wavesurfer.registerPlugin(
+        SpectrogramPlugin.create({ container, useWorker: false, stft: STFT_OPTIONS, ...options })
+    );
+    setElementSize(plugin.wrapper, 800, 200);
+
+    const ready = new Promise(resolve => plugin.once('ready', resolve));
+    wavesurfer.emit('ready');
+    await ready;
+    return { wavesurfer, plugin, context: plugin.canvas.getContext('2d') };
+}
+
+/**
+ * The last image drawn onto the spectrogram canvas, with its source rectangle
+ */
+function lastDrawn(context) {
+    const { image, args } = context.images.at(-1);
+    const [x, y, width, height] = args;
+    return { image, x, y, width, height };
+}
+
+/**
+ * Brightness of each column of an image: the largest RGB sum of its pixels
+ */
+function columnBrightness(image) {
+    const { width, height, data } = image.getContext('2d').putImages.at(-1);
+    const brightness = new Float32Array(width);
+    for (let row = 0; row < height; row++) {
+        for (let column = 0; column < width; column++) {
+            const offset = (row * width + column) * 4;
+            const value = data[offset] + data[offset + 1] + data[offset + 2];
+            brightness[column] = Math.max(brightness[column], value);
+        }
+    }
+    return brightness;
+}
+
+test('renders a track longer than a canvas allows at the width of the view', async () => {
+    const { plugin, context } = await load();
+    assert.equal(plugin.frames.length, FRAMES);
+    assert.ok(FRAMES > MAX_CANVAS_SIDE);
+
+    const { image, x, width, height } = lastDrawn(context);
+    assert.equal(image.width, 800);
+    assert.equal(image.height, plugin.rows.length);
+    assert.deepEqual([x, width, height], [0, 800, plugin.rows.length]);
+    assert.equal(context.imageSmoothingEnabled, false);
+});
+
+test('shows the loudest frame of each column', async () => {
+    const { context } = await load();
+    const brightness = columnBrightness(lastDrawn(context).image);
+
+    const column = Math.floor(BURST_FRAME / (FRAMES / 800));
+    const loudest = brightness.indexOf(Math.max(...brightness));
+    assert.equal(loudest, column);
+    assert.ok(brightness[column] > 3 * brightness[100]);
+});
+
+test('keeps the image while the view is unchanged', async () => {
+    const { plugin, context } = await load();
+    const image = lastDrawn(context).image;
+
+    plugin.draw();
+    plugin.updateView();
+    assert.equal(lastDrawn(context).image, image);
+    assert.equal(image.getContext('2d').putImages.length, 1);
+});
+
+test('renders only the visible frames when zoomed', async () => {
+    const { wavesurfer, plugin, context } = await load();
+
+    // 20000 of the frames in view, still more than one per pixel
+    wavesurfer.zoom(20);
+    let drawn = lastDrawn(context);
+    assert.equal(drawn.image.width, 800);
+    assert.deepEqual([drawn.x, drawn.width], [0, 800]);
+
+    // About 400 frames in view: whole frames, cropped and smoothed
+    wavesurfer.zoom(1000);
+    wavesurfer.setScroll(40000);
+    drawn = lastDrawn(context);
+    const startFrame = plugin.view.start * FRAMES;
+    const endFrame = plugin.view.end * FRAMES;
+    assert.ok(endFrame - startFrame < 800);
+    assert.equal(drawn.image.width, Math.ceil(endFrame) - Math.floor(startFrame));
+    assert.ok(Math.abs(drawn.x - (startFrame - Math.floor(startFrame))) < 1e-6);
+    assert.ok(Math.abs(drawn.width - (endFrame - startFrame)) < 1e-6);
+    assert.equal(context.imageSmoothingEnabled, true);
+});
+
+test('renders again for another frequency scale', async () => {
+    const { plugin, context } = await load();
+    const before = lastDrawn(context).image;
+
+    plugin.setScale('cqt');
+    const { image } = lastDrawn(context);
+    assert.notEqual(image, before);
+    assert.equal(image.width, 800);
+    assert.equal(image.height, plugin.rows.length);
+});
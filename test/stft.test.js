@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STFT } from '../scripts/utils/stft.js';
+
+const SAMPLE_RATE = 8000;
+
+function sine(frequency, length, amplitude = 1) {
+    return Float32Array.from({ length }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+}
+
+const argmax = (frame) => frame.reduce((best, value, i) => (value > frame[best] ? i : best), 0);
+
+test('frames start every hop and only cover whole windows', () => {
+    const stft = new STFT({ windowSize: 256, hopSize: 64, scale: 'linear' });
+    assert.equal(stft.compute(new Float32Array(1000), SAMPLE_RATE).length, Math.floor((1000 - 256) / 64) + 1);
+    assert.equal(stft.compute(new Float32Array(255), SAMPLE_RATE).length, 0);
+    assert.equal(stft.secondsPerFrame(SAMPLE_RATE), 64 / SAMPLE_RATE);
+});
+
+test('a sine peaks in its bin with unit amplitude', () => {
+    const stft = new STFT({ windowSize: 512, hopSize: 256, scale: 'linear' });
+    // Bin 32 of a 512-point FFT at 8 kHz
+    const frequency = stft.binFrequency(32, SAMPLE_RATE);
+    assert.equal(frequency, 500);
+
+    const frames = stft.compute(sine(frequency, 4096), SAMPLE_RATE);
+    frames.forEach(frame => {
+        assert.equal(frame.length, 256);
+        assert.equal(argmax(frame), 32);
+        assert.ok(Math.abs(frame[32] - 1) < 0.01, `amplitude ${frame[32]}`);
+    });
+});
+
+test('every window is scaled to the same sine amplitude', () => {
+    ['rectangular', 'hann', 'hamming', 'blackman'].forEach(window => {
+        const stft = new STFT({ windowSize: 512, hopSize: 512, window, scale: 'linear' });
+        const [frame] = stft.compute(sine(500, 512, 0.5), SAMPLE_RATE);
+        assert.ok(Math.abs(frame[32] - 0.5) < 0.01, `${window}: ${frame[32]}`);
+    });
+});
+
+test('the dB scale is relative to full scale and floored at rangeDB', () => {
+    const stft = new STFT({ windowSize: 512, hopSize: 512, scale: 'db', rangeDB: 60 });
+    const [loud] = stft.compute(sine(500, 512), SAMPLE_RATE);
+    const [quiet] = stft.compute(sine(500, 512, 0.1), SAMPLE_RATE);
+    const [silent] = stft.compute(new Float32Array(512), SAMPLE_RATE);
+
+    assert.ok(Math.abs(loud[32]) < 0.1);
+    assert.ok(Math.abs(quiet[32] + 20) < 0.1);
+    assert.ok(silent.every(value => value === -60));
+});
+
+test('normalized dB frames map the range onto 0-1', () => {
+    const stft = new STFT({ windowSize: 512, hopSize: 512, scale: 'db', rangeDB: 80, normalize: true });
+    const frames = stft.compute(Float32Array.from([...sine(500, 512), ...new Float32Array(512)]), SAMPLE_RATE);
+
+    assert.ok(Math.abs(frames[0][32] - 1) < 0.01);
+    assert.ok(frames[1].every(value => value === 0));
+    frames.flatMap(frame => [...frame]).forEach(value => assert.ok(value >= 0 && value <= 1.001));
+});
+
+test('zero-padding doubles the bins without moving the peak frequency', () => {
+    const padded = new STFT({ windowSize: 512, hopSize: 512, zeroPadding: 2, scale: 'linear' });
+    assert.equal(padded.fftSize, 1024);
+    assert.equal(padded.numBins, 512);
+
+    const [frame] = padded.compute(sine(500, 512), SAMPLE_RATE);
+    assert.equal(padded.binFrequency(argmax(frame), SAMPLE_RATE), 500);
+});
+
+test('the mel scale gives one value per band, peaking near the sine', () => {
+    const stft = new STFT({ windowSize: 512, hopSize: 512, scale: 'mel', melBands: 40 });
+    assert.equal(stft.numBins, 40);
+
+    const [frame] = stft.compute(sine(1000, 512), SAMPLE_RATE);
+    assert.equal(frame.length, 40);
+    const centre = stft.binFrequency(argmax(frame), SAMPLE_RATE);
+    assert.ok(Math.abs(centre - 1000) < 100, `band centre ${centre}`);
+});
+
+test('invalid options are rejected', () => {
+    assert.throws(() => new STFT({ window: 'triangle' }), /Unknown window function/);
+    assert.throws(() => new STFT({ scale: 'bark' }), /Unknown magnitude scale/);
+    assert.throws(() => new STFT({ hopSize: 0 }), /must be positive/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamingPeakFinder } from '../scripts/utils/streaming-peak-finder.js';
+import { PeakFinder } from '../scripts/utils/peak-finder.js';
+import { TrackAnalyzer } from '../scripts/utils/track-analyzer.js';
+import { RecognitionBenchmark } from '../scripts/utils/recognition-benchmark.js';
+
+/**
+ * Spectrogram of random magnitudes, with peaks everywhere including block edges
+ */
+function createFrames(times, bins, seed) {
+    const random = RecognitionBenchmark.createRandom(seed);
+    return Array.from({ length: times }, () => Float32Array.from({ length: bins }, () => random()));
+}
+
+const FRAMES = createFrames(700, 128, 3);
+
+test('finds the peaks TrackAnalyzer picks with the same block size', () => {
+    for (const chunkFrames of [32, 100, 256]) {
+        const stream = new StreamingPeakFinder({ chunkFrames });
+        const streamed = [];
+        for (let start = 0; start < FRAMES.length; start += 37) {
+            streamed.push(...stream.push(FRAMES.slice(start, start + 37)));
+        }
+        streamed.push(...stream.flush());
+
+        const expected = TrackAnalyzer.findPeaksInBlocks(new PeakFinder(), FRAMES, chunkFrames);
+        assert.ok(expected.length > 0);
+        assert.deepEqual(streamed, expected);
+    }
+});
+
+test('a block is searched once the frames after it have arrived', () => {
+    const stream = new StreamingPeakFinder({ chunkFrames: 100, neighborhoodSize: 2 });
+    assert.deepEqual(stream.push(FRAMES.slice(0, 101)), []);
+    assert.ok(stream.push(FRAMES.slice(101, 102)).length > 0);
+    assert.equal(stream.frameCount, 102);
+});
+
+test('reset forgets earlier frames', () => {
+    const stream = new StreamingPeakFinder({ chunkFrames: 64 });
+    stream.push(FRAMES.slice(0, 300));
+    stream.reset();
+    assert.equal(stream.frameCount, 0);
+
+    const peaks = [...stream.push(FRAMES.slice(0, 200)), ...stream.flush()];
+    assert.deepEqual(peaks, TrackAnalyzer.findPeaksInBlocks(new PeakFinder(), FRAMES.slice(0, 200), 64));
+});